@@ -0,0 +1,53 @@
+/**
+ * Admin Auth Module - ADMIN_PASSWORD check shared by /admin, webhooks and /scrape/bulk
+ *
+ * HTTP Basic auth with any username and password = ADMIN_PASSWORD. Without
+ * ADMIN_PASSWORD nothing is authorized and admin-only routes stay disabled.
+ * safeEqual() is also used for the METRICS_TOKEN check on /metrics.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Constant-time string comparison (both sides hashed first, so lengths may differ)
+ * @param {string} provided - Value sent by the client
+ * @param {string} expected - Secret to compare against
+ * @returns {boolean}
+ */
+function safeEqual(provided, expected) {
+    const a = crypto.createHash('sha256').update(String(provided)).digest();
+    const b = crypto.createHash('sha256').update(String(expected)).digest();
+    return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Whether admin-only routes are enabled on this server
+ * @param {Object} env - Environment (process.env)
+ * @returns {boolean}
+ */
+function isAdminEnabled(env = process.env) {
+    return !!env.ADMIN_PASSWORD;
+}
+
+/**
+ * Whether a request carries the admin password
+ * @param {Object} req - Incoming request (headers.authorization)
+ * @param {Object} env - Environment (process.env)
+ * @returns {boolean} False when ADMIN_PASSWORD is not set
+ */
+function isAdminRequest(req, env = process.env) {
+    const adminPassword = env.ADMIN_PASSWORD;
+    if (!adminPassword) return false;
+
+    const authHeader = req.headers?.['authorization'] || '';
+    const providedPassword = authHeader.startsWith('Basic ')
+        ? Buffer.from(authHeader.substring(6), 'base64').toString('utf-8').split(':').slice(1).join(':')
+        : '';
+    return safeEqual(providedPassword, adminPassword);
+}
+
+module.exports = {
+    safeEqual,
+    isAdminEnabled,
+    isAdminRequest
+};
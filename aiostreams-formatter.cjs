@@ -17,7 +17,7 @@
  * 
  * @param {Object} options - Formatting options
  * @param {string} options.addonName - Base addon name (e.g., "IlCorsaroViola")
- * @param {string} options.service - Debrid service: 'realdebrid', 'torbox', 'alldebrid', 'p2p'
+ * @param {string} options.service - Debrid service: 'realdebrid', 'torbox', 'alldebrid', 'premiumize', 'offcloud', 'p2p'
  * @param {boolean} options.cached - Whether the torrent is cached
  * @param {string} options.quality - Quality string (e.g., "1080p", "4K")
  * @param {boolean} [options.hasError] - Whether there's an error with this stream
@@ -29,6 +29,8 @@ function formatStreamName({ addonName, service, cached, quality, hasError = fals
         'realdebrid': 'RD',
         'torbox': 'TB',
         'alldebrid': 'AD',
+        'premiumize': 'PM',
+        'offcloud': 'OC',
         'p2p': 'P2P'
     };
 
@@ -0,0 +1,139 @@
+/**
+ * Anime Mapping Module - Kitsu/MAL/AniList/TMDB/IMDb IDs and season offsets
+ *
+ * Kitsu requests used to walk Kitsu → MAL → arm.haglund.dev → TMDB on every call.
+ * The IDs now come from an offline mapping dump (Fribb/anime-lists format) stored
+ * in the anime_mappings table, refreshed in background when older than a week:
+ *   ANIME_MAPPING_FILE          local dump (JSON array), takes priority over the URL
+ *   ANIME_MAPPING_URL           dump URL (default: anime-list-full.json from Fribb/anime-lists)
+ *   ANIME_MAPPING_REFRESH_DAYS  re-import interval (default 7)
+ *
+ * Kitsu numbers the episodes of each entry from 1: with the TMDB season the entry
+ * maps to (plus an optional episode offset) the episode is placed in the right
+ * TMDB season, walking into the following seasons when the entry spans several.
+ */
+
+const fs = require('fs');
+
+const DEFAULT_MAPPING_URL = 'https://raw.githubusercontent.com/Fribb/anime-lists/master/anime-list-full.json';
+const DEFAULT_REFRESH_DAYS = 7;
+const DOWNLOAD_TIMEOUT = 60000;
+
+/**
+ * Positive integer or null
+ * @param {*} value
+ * @returns {number|null}
+ */
+function toId(value) {
+    const number = parseInt(value, 10);
+    return Number.isFinite(number) && number > 0 ? number : null;
+}
+
+/**
+ * Convert one dump entry into a mapping row
+ * @param {Object} entry - Dump entry (kitsu_id, mal_id, anilist_id, anidb_id, themoviedb_id, imdb_id, thetvdb_id, type, season)
+ * @returns {Object|null} Row, or null when the entry has neither a Kitsu nor a MAL ID
+ */
+function parseMappingEntry(entry) {
+    if (!entry || typeof entry !== 'object') return null;
+
+    const kitsuId = toId(entry.kitsu_id);
+    const malId = toId(entry.mal_id);
+    if (!kitsuId && !malId) return null;
+
+    const imdbId = typeof entry.imdb_id === 'string' && /^tt\d+$/.test(entry.imdb_id) ? entry.imdb_id : null;
+
+    return {
+        kitsuId,
+        malId,
+        anilistId: toId(entry.anilist_id),
+        anidbId: toId(entry.anidb_id),
+        tmdbId: toId(entry.themoviedb_id),
+        imdbId,
+        tvdbId: toId(entry.thetvdb_id),
+        mediaType: entry.type ? String(entry.type).toUpperCase() : null,
+        tmdbSeason: toId(entry.season?.tmdb),
+        episodeOffset: parseInt(entry.episode_offset, 10) || 0
+    };
+}
+
+/**
+ * Parse a whole dump
+ * @param {Array|string} dump - JSON array (or its text)
+ * @returns {Array<Object>} Mapping rows
+ */
+function parseMappingDump(dump) {
+    const entries = typeof dump === 'string' ? JSON.parse(dump) : dump;
+    if (!Array.isArray(entries)) throw new Error('Anime mapping dump is not an array');
+    return entries.map(parseMappingEntry).filter(Boolean);
+}
+
+/**
+ * Load the dump from ANIME_MAPPING_FILE or ANIME_MAPPING_URL
+ * @param {Object} env - Environment (process.env)
+ * @returns {Promise<Array<Object>>} Mapping rows
+ */
+async function loadMappingDump(env = process.env) {
+    if (env.ANIME_MAPPING_FILE) {
+        return parseMappingDump(await fs.promises.readFile(env.ANIME_MAPPING_FILE, 'utf-8'));
+    }
+
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), DOWNLOAD_TIMEOUT);
+    try {
+        const response = await fetch(env.ANIME_MAPPING_URL || DEFAULT_MAPPING_URL, { signal: controller.signal });
+        if (!response.ok) throw new Error(`Anime mapping download failed: HTTP ${response.status}`);
+        return parseMappingDump(await response.json());
+    } finally {
+        clearTimeout(timeout);
+    }
+}
+
+/**
+ * Whether the stored dump should be re-imported
+ * @param {Date|null} importedAt - Last import time
+ * @param {Object} env - Environment (process.env)
+ * @returns {boolean}
+ */
+function needsRefresh(importedAt, env = process.env) {
+    if (!importedAt) return true;
+    const days = parseFloat(env.ANIME_MAPPING_REFRESH_DAYS) || DEFAULT_REFRESH_DAYS;
+    return Date.now() - new Date(importedAt).getTime() > days * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * Place a Kitsu episode in a TMDB season
+ * @param {Object|null} mapping - {tmdbSeason, episodeOffset} (null = absolute numbering from the first season)
+ * @param {number} kitsuEpisode - Episode number within the Kitsu entry
+ * @param {Array<{season_number: number, episode_count: number}>} seasons - TMDB seasons (may be empty)
+ * @returns {{season: number, episode: number}|null}
+ */
+function resolveEpisode(mapping, kitsuEpisode, seasons) {
+    let episode = parseInt(kitsuEpisode, 10) + (mapping?.episodeOffset || 0);
+    if (!Number.isFinite(episode) || episode < 1) return null;
+
+    const regular = (seasons || [])
+        .filter(s => s.season_number > 0 && s.episode_count > 0)
+        .sort((a, b) => a.season_number - b.season_number);
+    const startSeason = mapping?.tmdbSeason || null;
+
+    // Season counts unknown (or not up to date on TMDB yet): trust the mapping as-is
+    if (regular.length === 0 || (startSeason && !regular.some(s => s.season_number >= startSeason))) {
+        return startSeason ? { season: startSeason, episode } : null;
+    }
+
+    for (const season of regular) {
+        if (startSeason && season.season_number < startSeason) continue;
+        if (episode <= season.episode_count) return { season: season.season_number, episode };
+        episode -= season.episode_count;
+    }
+    return null;
+}
+
+module.exports = {
+    parseMappingEntry,
+    parseMappingDump,
+    loadMappingDump,
+    needsRefresh,
+    resolveEpisode
+};
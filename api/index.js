@@ -3,6 +3,7 @@
 import * as cheerio from 'cheerio';
 import { promises as fs } from 'fs';
 import path from 'path';
+import crypto from 'crypto';
 import { createRequire } from 'module';
 
 // ✅ AIOSTREAMS: Fuzzy matching library (CommonJS import)
@@ -15,10 +16,43 @@ const { completeIds } = require('../lib/id-converter.cjs');
 const rdCacheChecker = require('../rd-cache-checker.cjs');
 const tbCacheChecker = require('../tb-cache-checker.cjs');
 const { searchRARBG } = require('../rarbg.cjs');
+const {
+    parseTorrentTitle,
+    extractQuality,
+    isItalian,
+    getLanguageInfo,
+    isSeasonPack,
+    isExactEpisodeMatch,
+    isExactMovieMatch
+} = require('../title-parser.cjs');
 const aioFormatter = require('../aiostreams-formatter.cjs');
 const packFilesHandler = require('../pack-files-handler.cjs');
 const introSkip = require('../introskip.cjs');
 const customFormatter = require('../formatter.cjs');
+const configStore = require('../config-store.cjs');
+const { isAdminEnabled, isAdminRequest, safeEqual } = require('../admin-auth.cjs');
+const hlsProxy = require('../hls-proxy.cjs');
+const metrics = require('../metrics.cjs');
+const torznab = require('../torznab.cjs');
+const newznab = require('../newznab.cjs');
+const subtitles = require('../subtitles.cjs');
+const qualityProfile = require('../quality-profile.cjs');
+const regexRules = require('../regex-rules.cjs');
+const mediaProbe = require('../media-probe.cjs');
+const animeMapping = require('../anime-mapping.cjs');
+const webhooks = require('../webhooks.cjs');
+const nextEpisodePrefetch = require('../next-episode-prefetch.cjs');
+const playbackLinks = require('../playback-links.cjs');
+const debridLibrary = require('../debrid-library.cjs');
+const debridCleanup = require('../debrid-cleanup.cjs');
+const seederTracker = require('../seeder-tracker.cjs');
+const reports = require('../reports.cjs');
+
+// 🔔 Notify webhook subscribers of new releases (no-op without DATABASE_URL)
+webhooks.attach();
+
+// 🌱 Periodic seeder refresh from trackers/DHT (no-op without DATABASE_URL or with SEEDER_UPDATE_URL)
+seederTracker.start();
 
 // ✅ External Addon Integration (Torrentio, MediaFusion, Comet)
 import { fetchExternalAddonsFlat, EXTERNAL_ADDONS } from './external-addons.js';
@@ -30,9 +64,8 @@ const TRIGGER_API_KEY = process.env.ENRICHMENT_API_KEY || 'change-me-in-producti
 const triggerSeederUpdate = async (results) => {
     try {
         if (!TRIGGER_SEEDER_UPDATE_URL) {
-            if (process.env.DEBUG_MODE === 'true') {
-                console.warn('⚠️ [SEEDER] TRIGGER_SEEDER_UPDATE_URL not configured. Skipping seeder update.');
-            }
+            // 🌱 No external service: built-in tracker/DHT scrape worker
+            seederTracker.queueResults(results);
             return;
         }
         if (!results || results.length === 0) return;
@@ -299,7 +332,8 @@ const enqueueBgJob = (options) => {
 const _startBgJob = (options) => {
     activeBgJobs++;
     console.log(`🔄 [BG Queue] Starting job (${activeBgJobs}/${MAX_CONCURRENT_BG_JOBS} active, ${bgJobQueue.length} queued)`);
-    _runSequentialBackgroundJobs(options)
+    const job = options.debridCleanup ? runDebridCleanup(options.debridCleanup) : _runSequentialBackgroundJobs(options);
+    job
         .catch(err => console.error(`❌ [BG Queue] Job failed: ${err.message}`))
         .finally(() => {
             activeBgJobs--;
@@ -313,6 +347,41 @@ const _startBgJob = (options) => {
         });
 };
 
+// 📊 PROVIDER STATS (admin dashboard)
+// In-memory, per process: name -> { calls, successes, errors, timeouts, totalMs, lastMs, lastError, lastCallAt }
+const providerStats = new Map();
+
+const _isTimeoutError = (err) =>
+    err?.name === 'TimeoutError' || err?.name === 'AbortError' || /timeout|timed out/i.test(err?.message || '');
+
+/**
+ * Run a provider call and record success/error/latency for the admin dashboard.
+ * Errors are re-thrown: callers keep their own error handling.
+ */
+const trackProviderCall = async (name, fn) => {
+    if (!providerStats.has(name)) {
+        providerStats.set(name, { calls: 0, successes: 0, errors: 0, timeouts: 0, totalMs: 0, lastMs: 0, lastError: null, lastCallAt: null });
+    }
+    const stats = providerStats.get(name);
+    const start = Date.now();
+    stats.calls++;
+    stats.lastCallAt = new Date(start).toISOString();
+
+    try {
+        const result = await fn();
+        stats.successes++;
+        return result;
+    } catch (err) {
+        stats.errors++;
+        if (_isTimeoutError(err)) stats.timeouts++;
+        stats.lastError = err?.message || String(err);
+        throw err;
+    } finally {
+        stats.lastMs = Date.now() - start;
+        stats.totalMs += stats.lastMs;
+    }
+};
+
 // 🔄 SEQUENTIAL BACKGROUND PROCESSOR
 // Runs all background jobs in sequence to avoid rate limiting:
 // 1. Cache check (1s delay between calls)
@@ -981,6 +1050,22 @@ const TORRENTIO_VIDEO_BASE = 'https://torrentio.strem.fun';
 const atob = (str) => Buffer.from(str, 'base64').toString('utf-8');
 const btoa = (str) => Buffer.from(str, 'utf-8').toString('base64');
 
+// 🔒 Decode the config segment of an addon URL: opaque token (server-stored) or legacy base64 JSON
+async function parseConfigSegment(segment) {
+    if (configStore.isConfigToken(segment)) {
+        const config = await configStore.resolveConfigToken(segment);
+        if (!config) throw new Error('Token di configurazione non valido o scaduto.');
+        // /stream/ injects the ENV MediaFlow proxy into the config it encodes in playback URLs:
+        // tokens carry the stored config only, so re-apply it here
+        const envProxy = process.env.MEDIAFLOW_URL && process.env.MEDIAFLOW_PASSWORD
+            ? { mediaflow_url: process.env.MEDIAFLOW_URL, mediaflow_password: process.env.MEDIAFLOW_PASSWORD }
+            : {};
+        // Keep the token so generated playback URLs never contain the plain config
+        return { ...config, ...envProxy, config_token: segment };
+    }
+    return JSON.parse(atob(segment));
+}
+
 const _k = new Map();
 
 // ✅ Improved HTML Entity Decoder
@@ -1005,7 +1090,306 @@ function decodeHtmlEntities(text) {
 // ✅ DEBUG MODE - per log dettagliati (default: false in produzione)
 const DEBUG_MODE = process.env.DEBUG_MODE === 'true';
 
+// 🎧 Track languages probed from resolved debrid files
+/**
+ * Probe a resolved debrid link in background and store its audio/subtitle languages
+ * Files already probed are skipped; playback never waits for this
+ * @param {Object} file - {infoHash, season, episode, fileName, url}
+ */
+function probeFileTracksInBackground(file) {
+    if (!file.infoHash || !file.url) return;
+
+    const infoHash = file.infoHash.toLowerCase();
+    const season = parseInt(file.season) || 0;
+    const episode = parseInt(file.episode) || 0;
+    const fileName = String(file.fileName || '').split('/').pop();
+
+    dbHelper.getFileTracks([infoHash], season, episode).then(rows => {
+        if (rows.some(row => row.file_name === fileName.toLowerCase())) return;
+
+        mediaProbe.queueProbe(`${infoHash}:${season}:${episode}:${fileName}`, file.url, tracks => {
+            console.log(`🎧 [Probe] ${fileName.substring(0, 50)}: audio [${tracks.audioLanguages.join(', ')}], subs [${tracks.subtitleLanguages.join(', ')}]`);
+            return dbHelper.saveFileTracks({ infoHash, season, episode, fileName, ...tracks });
+        });
+    }).catch(error => console.warn(`🎧 [Probe] ${error.message}`));
+}
+
+/**
+ * Attach probed track languages (audioLanguages, subtitleLanguages) to search results
+ * @param {Array<Object>} results - Search results
+ * @param {number|null} season
+ * @param {number|null} episode
+ * @returns {Promise<Array<Object>>} Results, with copies for the probed ones (results may be shared through the search caches)
+ */
+async function attachFileTracks(results, season, episode) {
+    const hashOf = result => (result.infoHash || extractInfoHash(result.magnetLink) || '').toLowerCase();
+    const hashes = [...new Set(results.map(hashOf).filter(Boolean))];
+    const rows = await dbHelper.getFileTracks(hashes, season, episode);
+    if (rows.length === 0) return results;
+
+    const rowsByHash = new Map();
+    for (const row of rows) {
+        if (!rowsByHash.has(row.info_hash)) rowsByHash.set(row.info_hash, []);
+        rowsByHash.get(row.info_hash).push(row);
+    }
+
+    return results.map(result => {
+        const candidates = rowsByHash.get(hashOf(result));
+        if (!candidates) return result;
+
+        // Packs hold several files for the same hash: match the selected one by name
+        const fileName = String(result.file_title || result.file_path || '').split('/').pop().toLowerCase();
+        const row = candidates.find(candidate => candidate.file_name === fileName) || (candidates.length === 1 ? candidates[0] : null);
+        if (!row) return result;
+
+        return { ...result, audioLanguages: row.audio_languages, subtitleLanguages: row.subtitle_languages };
+    });
+}
+
+// ▶️ Resolved playback links (playback-links.cjs): /rd-stream/ and /torbox-stream/ reuse
+// the direct link until it expires or stops working. PLAYBACK_LINK_TTL_MINUTES=0 turns it off.
+const PLAYBACK_LINK_TTL_MINUTES = playbackLinks.getTtlMinutes();
+
+/**
+ * Cache key of a playback request: debrid account, torrent and selected file
+ * @param {string} service - 'rd' or 'tb'
+ * @param {string} apiKey - User's debrid API key (stored hashed)
+ * @param {string} infoHash
+ * @param {Array<string>} fileParts - Path segments after the magnet (season/episode, pack/idx, movie/title/year)
+ * @returns {Object} {accountHash, service, infoHash, fileKey}
+ */
+function getPlaybackLinkKey(service, apiKey, infoHash, fileParts) {
+    return {
+        accountHash: debridLibrary.accountHash(apiKey),
+        service,
+        infoHash: infoHash.toLowerCase(),
+        fileKey: fileParts.filter(Boolean).map(part => part.toLowerCase()).join('/') || 'main'
+    };
+}
+
+/**
+ * Still valid and working direct link for a playback request
+ * @param {Object} key - getPlaybackLinkKey() result
+ * @returns {Promise<string|null>}
+ */
+async function getCachedPlaybackLink(key) {
+    if (PLAYBACK_LINK_TTL_MINUTES <= 0 || !process.env.DATABASE_URL) return null;
+    return playbackLinks.getCachedLink(dbHelper, key);
+}
+
+/**
+ * Store a resolved direct link until it expires (fire-and-forget)
+ * @param {Object} key - getPlaybackLinkKey() result
+ * @param {string} directUrl - Unrestricted link
+ * @param {string|null} fileName
+ */
+function cachePlaybackLink(key, directUrl, fileName = null) {
+    if (PLAYBACK_LINK_TTL_MINUTES <= 0 || !process.env.DATABASE_URL || !directUrl) return;
+    playbackLinks.cacheLink(dbHelper, key, directUrl, { maxMinutes: PLAYBACK_LINK_TTL_MINUTES, fileName })
+        .catch(error => console.warn(`▶️ [Playback Cache] ${error.message}`));
+}
+
+// ☁️ Debrid library mirror: each account's cloud is listed at most every
+// DEBRID_LIBRARY_SYNC_MINUTES and stored in debrid_library (personal cache + "my cloud" catalog)
+const MAX_LIBRARY_MATCHES_PER_SYNC = 10;
+const debridLibrarySyncs = new Map(); // service:accountHash -> Promise
+
+/**
+ * List an account's cloud (torrents and downloads) and store the mirror
+ * Concurrent syncs of the same account share one listing
+ * @param {string} service - 'rd' or 'tb'
+ * @param {string} apiKey - Debrid API key
+ * @returns {Promise<Array<Object>>} The account's torrents, as returned by the debrid API
+ */
+function syncDebridLibrary(service, apiKey) {
+    const accountHash = debridLibrary.accountHash(apiKey);
+    const syncKey = `${service}:${accountHash}`;
+    if (debridLibrarySyncs.has(syncKey)) return debridLibrarySyncs.get(syncKey);
+
+    const sync = (async () => {
+        let torrents, items;
+        if (service === 'rd') {
+            const rd = new RealDebrid(apiKey);
+            const [rdTorrents, downloads] = await Promise.all([rd.getTorrents(), rd.getDownloads().catch(() => [])]);
+            torrents = rdTorrents;
+            items = [...rdTorrents.map(debridLibrary.fromRdTorrent), ...downloads.map(debridLibrary.fromRdDownload)];
+        } else {
+            const tb = new Torbox(apiKey);
+            const [tbTorrents, usenet] = await Promise.all([tb.getTorrents(), tb.getUsenetDownloads().catch(() => [])]);
+            torrents = tbTorrents;
+            items = [...tbTorrents.map(debridLibrary.fromTbTorrent), ...usenet.map(debridLibrary.fromTbUsenet)];
+        }
+
+        if (process.env.DATABASE_URL) {
+            items = items.filter(Boolean);
+            if (await dbHelper.saveDebridLibrary(accountHash, service, items)) {
+                console.log(`☁️ [Library] Synced ${service} ${accountHash.substring(0, 8)}: ${items.length} items`);
+                matchDebridLibraryInBackground(accountHash, service);
+            }
+        }
+        return torrents;
+    })().finally(() => debridLibrarySyncs.delete(syncKey));
+
+    debridLibrarySyncs.set(syncKey, sync);
+    return sync;
+}
+
+/**
+ * Map library items unknown to the torrents table to IMDb IDs (TMDB title search, background)
+ * @param {string} accountHash
+ * @param {string} service - 'rd' or 'tb'
+ */
+function matchDebridLibraryInBackground(accountHash, service) {
+    const tmdbKey = process.env.TMDB_KEY || process.env.TMDB_API_KEY || '5462f78469f3d80bf5201645294c16e4';
+
+    (async () => {
+        const items = await dbHelper.getDebridLibraryUnmatched(accountHash, service, MAX_LIBRARY_MATCHES_PER_SYNC);
+        for (const item of items) {
+            const type = item.media_type === 'series' ? 'series' : 'movie';
+            const tmdbType = type === 'series' ? 'tv' : 'movie';
+            const yearParam = item.year ? `&${type === 'series' ? 'first_air_date_year' : 'year'}=${item.year}` : '';
+            let imdbId = null;
+            try {
+                const response = await fetch(`${TMDB_BASE_URL}/search/${tmdbType}?api_key=${tmdbKey}&query=${encodeURIComponent(item.title)}${yearParam}&language=it-IT`, {
+                    signal: AbortSignal.timeout(8000)
+                });
+                const match = response.ok ? (await response.json()).results?.[0] : null;
+                if (match) imdbId = (await getTMDBDetailsByTmdb(match.id, type, tmdbKey))?.imdbId || null;
+            } catch (error) {
+                console.warn(`☁️ [Library] TMDB lookup failed for "${item.title}": ${error.message}`);
+                continue; // retried on the next sync
+            }
+            await dbHelper.setDebridLibraryImdb(accountHash, service, item, imdbId, type);
+            if (DEBUG_MODE) console.log(`☁️ [Library] "${item.name.substring(0, 50)}" -> ${imdbId || 'no match'}`);
+        }
+    })().catch(error => console.warn(`☁️ [Library] Matching failed: ${error.message}`));
+}
+
+/**
+ * The user's debrid torrents for the personal cache check: read from the mirror
+ * while it is fresh, listed live (refreshing the mirror) otherwise
+ * @param {string} service - 'rd' or 'tb'
+ * @param {string} apiKey - Debrid API key
+ * @returns {Promise<Array<Object>>} Torrents in the debrid API shape
+ */
+async function getUserDebridTorrents(service, apiKey) {
+    if (process.env.DATABASE_URL && debridLibrary.syncIntervalMinutes() > 0) {
+        const library = await dbHelper.getDebridLibrary(debridLibrary.accountHash(apiKey), service);
+        if (!debridLibrary.needsSync(library.syncedAt)) {
+            return debridLibrary.toUserTorrents(service, library.rows);
+        }
+    }
+    return syncDebridLibrary(service, apiKey);
+}
+
+// 🧹 Debrid cleanup: torrents the addon adds are tracked per account; with a retention
+// policy in the user config (cleanup_keep_last / cleanup_keep_days) the tracked ones
+// outside it are deleted through the background job queue, at most once an hour
+const DEBRID_CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+const lastDebridCleanups = new Map(); // service:accountHash -> timestamp
+
+/**
+ * Remember a torrent the addon added to the user's account, then schedule the cleanup
+ * @param {string} service - 'rd' or 'tb'
+ * @param {string} apiKey - Debrid API key
+ * @param {string|number} torrentId - Debrid torrent ID
+ * @param {string} infoHash
+ * @param {Object} config - User config (retention policy)
+ */
+function trackAddedTorrent(service, apiKey, torrentId, infoHash, config) {
+    if (!process.env.DATABASE_URL || !torrentId) return;
+    dbHelper.trackAddedTorrent({ accountHash: debridLibrary.accountHash(apiKey), service, torrentId, infoHash })
+        .then(() => scheduleDebridCleanup(service, apiKey, config))
+        .catch(error => console.warn(`🧹 [Cleanup] ${error.message}`));
+}
+
+/**
+ * A torrent already in the account is being used again: push back its cleanup
+ * (only torrents added by the addon are tracked)
+ * @param {string} service - 'rd' or 'tb'
+ * @param {string} apiKey - Debrid API key
+ * @param {string} infoHash
+ */
+function touchAddedTorrent(service, apiKey, infoHash) {
+    if (!process.env.DATABASE_URL || !infoHash) return;
+    dbHelper.touchAddedTorrent(debridLibrary.accountHash(apiKey), service, infoHash)
+        .catch(error => console.warn(`🧹 [Cleanup] ${error.message}`));
+}
+
+/**
+ * Queue the cleanup of an account when a retention policy is configured
+ * @param {string} service - 'rd' or 'tb'
+ * @param {string} apiKey - Debrid API key
+ * @param {Object} config - User config
+ * @returns {boolean} True if queued
+ */
+function scheduleDebridCleanup(service, apiKey, config) {
+    const policy = debridCleanup.normalizePolicy(config);
+    if (!policy) return false;
+
+    const cleanupKey = `${service}:${debridLibrary.accountHash(apiKey)}`;
+    if (Date.now() - (lastDebridCleanups.get(cleanupKey) || 0) < DEBRID_CLEANUP_INTERVAL_MS) return false;
+    lastDebridCleanups.set(cleanupKey, Date.now());
+
+    enqueueBgJob({ debridCleanup: { service, apiKey, policy } });
+    return true;
+}
+
+/**
+ * Delete the tracked torrents outside the retention policy (background job)
+ * @param {Object} job - {service, apiKey, policy}
+ */
+async function runDebridCleanup({ service, apiKey, policy }) {
+    const accountHash = debridLibrary.accountHash(apiKey);
+    const tracked = (await dbHelper.getAddedTorrents(accountHash, service)).map(row => ({
+        torrentId: row.torrent_id,
+        infoHash: row.info_hash,
+        lastUsedAt: row.last_used_at
+    }));
+
+    const toDelete = debridCleanup.selectForCleanup(tracked, policy);
+    if (toDelete.length === 0) return;
+
+    const client = service === 'rd' ? new RealDebrid(apiKey) : new Torbox(apiKey);
+    const deleted = [];
+    for (const item of toDelete) {
+        try {
+            await client.deleteTorrent(service === 'tb' ? Number(item.torrentId) : item.torrentId);
+            deleted.push(item.torrentId);
+        } catch (error) {
+            console.warn(`🧹 [Cleanup] Failed to delete ${service} torrent ${item.torrentId}: ${error.message}`);
+        }
+        // Rate limit protection
+        await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+
+    await dbHelper.forgetAddedTorrents(accountHash, service, deleted);
+    // Links to deleted torrents stop working: don't redirect to them from the playback cache
+    const deletedHashes = toDelete.filter(item => deleted.includes(item.torrentId)).map(item => item.infoHash).filter(Boolean);
+    await dbHelper.deletePlaybackLinksForTorrents(accountHash, service, deletedHashes);
+    console.log(`🧹 [Cleanup] ${service} ${accountHash.substring(0, 8)}: deleted ${deleted.length}/${tracked.length} tracked torrents (keep last ${policy.keepLast || '-'}, ${policy.keepDays || '-'} days)`);
+}
+
 // ✅ Custom Formatter Helper - Full AIOStreams compatible
+/**
+ * Store the user's ranking data on a stream: quality profile score (_meta.score, {stream.score}),
+ * preferred regex rule rank (_meta.regexRank) and dead torrent flag (_meta.dead)
+ * @param {Object} stream - Stream being built
+ * @param {Object} result - Search result the stream comes from
+ * @param {Object|null} profile - qualityProfile.normalizeProfile(config.quality_profile)
+ * @param {boolean} isCached
+ */
+function applyStreamRanking(stream, result, profile, isCached) {
+    stream._meta = stream._meta || {};
+    if (Number.isFinite(result.regexRank)) stream._meta.regexRank = result.regexRank;
+    if (result.isDead) stream._meta.dead = true;
+    if (!profile) return;
+
+    const name = result.file_title || result.filename || result.title || '';
+    const size = Number(result.file_size || result.sizeInBytes || 0);
+    stream._meta.score = qualityProfile.scoreStream(qualityProfile.getStreamFeatures(name, size, isCached), profile);
+}
+
 function applyCustomFormatter(stream, result, userConfig, serviceName = 'RD', isCached = false) {
     // If AIOStreams mode is enabled, SKIP custom formatting to preserve AIO format
     if (userConfig && userConfig.aiostreams_mode) return stream;
@@ -1225,7 +1609,9 @@ function applyCustomFormatter(stream, result, userConfig, serviceName = 'RD', is
             return res; // Return as-is if not recognized
         };
 
-        const languages = result.languages?.length ? result.languages :
+        // 🎧 Audio languages probed from the file beat the ones guessed from the name
+        const probedLanguages = (result.audioLanguages || []).map(mediaProbe.languageName);
+        const languages = probedLanguages.length ? probedLanguages : result.languages?.length ? result.languages :
             extractMultiple(filename, { Italian: /\bita(lian)?\b/i, English: /\beng(lish)?\b/i, French: /\bfre(nch)?\b/i, German: /\bger(man)?\b|deu(tsch)?\b/i, Spanish: /\bspa(nish)?\b/i, Multi: /\bmulti\b/i });
         const languageEmojis = result.languageEmojis?.length ? result.languageEmojis :
             languages.map(l => languageMap[l] || l);
@@ -1333,7 +1719,9 @@ function applyCustomFormatter(stream, result, userConfig, serviceName = 'RD', is
                 audioTags: audioTags,
                 audioChannels: audioChannels,
                 releaseGroup: result.groupTag || result.releaseGroup || result.group || '',
-                regexMatched: null,
+                regexMatched: result.regexMatched || null,
+                audioLanguages: (result.audioLanguages || []).map(code => code.toUpperCase()),
+                subtitleLanguages: (result.subtitleLanguages || []).map(code => code.toUpperCase()),
 
                 // Episode info
                 year: year,
@@ -1359,6 +1747,7 @@ function applyCustomFormatter(stream, result, userConfig, serviceName = 'RD', is
 
                 // Torrent info
                 seeders: result.seeders || 0,
+                score: stream._meta?.score ?? null,
                 private: false,
                 age: formatAge(result.uploadTime || result.ageHours) || result.age || '',
                 ageHours: result.ageHours || null,
@@ -1366,7 +1755,7 @@ function applyCustomFormatter(stream, result, userConfig, serviceName = 'RD', is
                 infoHash: result.infoHash || null,
 
                 // Stream type
-                type: isCached ? 'Debrid' : (result.type || 'p2p'),
+                type: result.isUsenet ? 'Usenet' : (isCached ? 'Debrid' : (result.type || 'p2p')),
                 message: null,
                 proxied: false,
                 seadex: false,
@@ -1382,7 +1771,7 @@ function applyCustomFormatter(stream, result, userConfig, serviceName = 'RD', is
             },
             service: {
                 id: serviceName.toLowerCase(),
-                name: serviceName === 'RD' ? 'Real-Debrid' : (serviceName === 'TB' ? 'Torbox' : (serviceName === 'AD' ? 'AllDebrid' : serviceName)),
+                name: { RD: 'Real-Debrid', TB: 'Torbox', AD: 'AllDebrid', PM: 'Premiumize', OC: 'Offcloud' }[serviceName] || serviceName,
                 shortName: serviceName,
                 cached: isCached
             },
@@ -1473,56 +1862,6 @@ function generateBingeGroup(title, service = 'p2p') {
     return parts.join('|');
 }
 
-// ✅ Enhanced Quality Extraction
-function extractQuality(title) {
-    if (!title) return 'Unknown';
-
-    // More comprehensive quality patterns
-    // Resolution numbers are unique enough to match without strict boundaries
-    const qualityPatterns = [
-        /(2160p?|4k|uhd)/i,
-        /(1080p?)/i,
-        /(720p?)/i,
-        /(480p?)/i,
-        /\b(sd)\b/i,
-        /\b(webrip|web-rip)\b/i,
-        /\b(bluray|blu-ray|bdremux)\b/i,
-        /\b(remux)\b/i,
-        /\b(hdrip)\b/i,
-        /\b(cam|ts|tc)\b/i,
-        // ✅ DVD/DivX quality patterns (fallback when no resolution found)
-        /\b(dvd[ .\-_]?rip|dvdrip)\b/i,
-        /\b(dvd)\b/i,
-        /\b(divx|dvix)\b/i
-    ];
-
-    for (const pattern of qualityPatterns) {
-        const match = title.match(pattern);
-        if (match) {
-            let quality = match[1].toLowerCase();
-
-            // Normalize resolutions: always add 'p' suffix
-            if (quality === '2160' || quality === '2160p' || quality === 'uhd' || quality === '4k') {
-                return '2160p';  // ✅ Sempre 2160p (unificato)
-            }
-            if (quality === '1080') return '1080p';
-            if (quality === '720') return '720p';
-            if (quality === '480') return '480p';
-
-            // ✅ Normalize DVD/DivX qualities
-            if (quality.includes('dvdrip') || quality.includes('dvd rip') || quality.includes('dvd-rip') || quality.includes('dvd_rip')) {
-                return 'DVDRip';
-            }
-            if (quality === 'dvd') return 'DVD';
-            if (quality === 'divx' || quality === 'dvix') return 'DivX';
-
-            return quality;
-        }
-    }
-
-    return 'Unknown';
-}
-
 // ✅ Improved Info Hash Extraction
 function extractInfoHash(magnet) {
     if (!magnet) return null;
@@ -1575,151 +1914,6 @@ function formatBytes(bytes, decimals = 2) {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(dm)) + ' ' + sizes[i];
 }
 
-// ✅ Italian Language Detection
-function isItalian(title, italianMovieTitle = null) {
-    if (!title) return false;
-    // ✅ MODIFICA: Rimosso "multi" e "dual" da qui per evitare conflitti.
-    // Ora questa funzione rileva solo l'italiano esplicito.
-    const italianRegex = /\b(ita|italian|sub[.\s]?ita|nuita)\b/i;
-    if (italianRegex.test(title)) {
-        return true;
-    }
-
-    if (italianMovieTitle) {
-        const normalizedTorrentTitle = title.toLowerCase();
-        const normalizedItalianTitle = italianMovieTitle.toLowerCase()
-            .replace(/[^\w\s]/g, ' ')
-            .replace(/\s+/g, ' ')
-            .trim();
-
-        const italianWords = normalizedItalianTitle.split(' ')
-            .filter(word => word.length > 2) // Filtra parole troppo corte
-            .filter(word => !['del', 'al', 'dal', 'nel', 'sul', 'un', 'il', 'lo', 'la', 'gli', 'le', 'con', 'per', 'che', 'non'].includes(word)); // Filtra parole comuni
-
-        if (italianWords.length > 0) {
-            const matchingWords = italianWords.filter(word =>
-                normalizedTorrentTitle.includes(word)
-            );
-
-            // Se almeno il 60% delle parole del titolo italiano sono presenti, è probabile che sia in italiano.
-            const percentageMatch = matchingWords.length / italianWords.length;
-            if (percentageMatch > 0.6) { // Soglia alzata per essere più precisi ed evitare falsi positivi
-                if (DEBUG_MODE) console.log(`🇮🇹 Matched Italian title words in "${title}" (score: ${percentageMatch.toFixed(2)})`);
-                return true;
-            }
-        }
-    }
-
-    return false;
-}
-
-// ✅ NUOVA FUNZIONE: Icona lingua (usando i regex AIOStreams)
-function getLanguageInfo(title, italianMovieTitle = null, source = null, parsedInfo = null) {
-    if (!title) return { icon: '', isItalian: false, isMulti: false, displayLabel: '', detectedLanguages: [] };
-
-    // ✅ Se abbiamo parsedInfo dal parser AIOStreams, usalo direttamente
-    let detectedLanguages = [];
-    if (parsedInfo?.languages?.length > 0) {
-        detectedLanguages = parsedInfo.languages;
-    } else {
-        // Fallback: usa i regex PARSE_REGEX.languages se definiti
-        if (typeof PARSE_REGEX !== 'undefined' && PARSE_REGEX.languages) {
-            for (const [lang, regex] of Object.entries(PARSE_REGEX.languages)) {
-                if (regex.test(title)) {
-                    detectedLanguages.push(lang);
-                }
-            }
-        } else {
-            // Fallback vecchio metodo se PARSE_REGEX non è ancora disponibile
-            const lowerTitle = title.toLowerCase();
-            if (/\b(ita|italian)\b/i.test(title) && !/\b(ita|italian)[.\s\-_]?sub/i.test(title)) detectedLanguages.push('Italian');
-            if (/\b(eng|english)\b/i.test(title) && !/\b(eng|english)[.\s\-_]?sub/i.test(title)) detectedLanguages.push('English');
-            if (/\b(multi)\b/i.test(title) && !/\b(multi)[.\s\-_]?sub/i.test(title)) detectedLanguages.push('Multi');
-            if (/\b(dual)\b/i.test(title) && !/\b(dual)[.\s\-_]?sub/i.test(title)) detectedLanguages.push('Dual Audio');
-        }
-    }
-
-    // Detect flags based on detected languages
-    let hasIta = detectedLanguages.includes('Italian');
-    const hasEng = detectedLanguages.includes('English');
-    const hasMulti = detectedLanguages.includes('Multi') || detectedLanguages.includes('Dual Audio');
-
-    // Check also for Italian via title matching
-    if (!hasIta && italianMovieTitle) {
-        hasIta = isItalian(title, italianMovieTitle);
-    }
-
-    // Force Italian for CorsaroNero (matches 'CorsaroNero', 'corsaro', '💾 corsaro', etc.)
-    if (source && /corsaro/i.test(source)) {
-        hasIta = true;
-    }
-
-    // Logic 1: ITA + ENG -> 🇮🇹 🇬🇧
-    if (hasIta && hasEng) {
-        return { icon: '🇮🇹 🇬🇧', isItalian: true, isMulti: true, displayLabel: '🇮🇹 🇬🇧', detectedLanguages };
-    }
-
-    // Logic 2: SOLO ITA (or ITA + MULTI) -> 🇮🇹
-    if (hasIta) {
-        return { icon: '🇮🇹', isItalian: true, isMulti: hasMulti, displayLabel: '🇮🇹', detectedLanguages };
-    }
-
-    // Logic 3: MULTI (No ITA) -> 🌈 MULTI
-    if (hasMulti) {
-        return { icon: '🌈', isItalian: false, isMulti: true, displayLabel: '🌈 MULTI', detectedLanguages };
-    }
-
-    // Logic 4: SOLO ENG (Default) -> 🇬🇧
-    if (hasEng) {
-        return { icon: '🇬🇧', isItalian: false, isMulti: false, displayLabel: '🇬🇧', detectedLanguages };
-    }
-
-    // Logic 5: Altre lingue o nessuna rilevata -> 🌐
-    if (detectedLanguages.length > 0) {
-        return { icon: '🌐', isItalian: false, isMulti: false, displayLabel: '🌐', detectedLanguages };
-    }
-
-    // Default
-    return { icon: '', isItalian: false, isMulti: false, displayLabel: '', detectedLanguages };
-}
-
-// ✅ NUOVA FUNZIONE: Detecta Season Pack
-function isSeasonPack(title) {
-    if (!title) return false;
-    const lowerTitle = title.toLowerCase();
-
-    // First check: if it has S07E01 pattern, it's a single episode, NOT a pack
-    const singleEpisodePattern = /s\d{1,2}e\d{1,2}/i;
-    if (singleEpisodePattern.test(lowerTitle)) {
-        return false;
-    }
-
-    // Pattern per pack completi/multi-stagione
-    const packPatterns = [
-        // Multi-season packs
-        /stagion[ei]\s*\d+\s*[-–—]\s*\d+/i,  // Stagione 1-34
-        /season\s*\d+\s*[-–—]\s*\d+/i,       // Season 1-34
-        /s\d+\s*[-–—]\s*s?\d+/i,             // S01-S34
-
-        // Complete/collection keywords
-        /completa/i,                          // Completa
-        /complete/i,                          // Complete
-        /integrale/i,                         // Integrale
-        /collection/i,                        // Collection
-        /\bpack\b/i,                          // Pack
-
-        // Single season packs (without episode number)
-        /stagion[ei]\s*\d+/i,                 // Stagione 7, Stagioni 1
-        /season\s*\d+/i,                      // Season 7
-        /\.s\d{1,2}\./i,                      // .S7. or .S07. (dots around)
-        /\.s\d{1,2}$/i,                       // .S07 at end of title
-        /\bs\d{1,2}(?!e)\b/i,                 // S7 or S07 not followed by E (word boundary)
-        /\bs\d{1,2}\./i,                      // S7. or S07. (S followed by dot, no episode)
-    ];
-
-    return packPatterns.some(pattern => pattern.test(lowerTitle));
-}
-
 // ✅ NUOVA FUNZIONE: Filtro per categorie per adulti
 function isAdultCategory(categoryText) {
     if (!categoryText) return false;
@@ -1962,7 +2156,7 @@ async function fetchCorsaroNeroSingle(searchQuery, type = 'movie') {
 
     } catch (error) {
         console.error(`❌ Error in fetchCorsaroNeroData:`, error);
-        return [];
+        throw error; // Handled per strategy in fetchCorsaroNeroData
     }
 }
 
@@ -1991,6 +2185,8 @@ async function fetchCorsaroNeroData(originalQuery, type = 'movie') {
 
     let allResults = [];
     const seenHashes = new Set();
+    let lastError = null;
+    let failedStrategies = 0;
 
     for (const strategy of searchStrategies) {
         if (!strategy.query) continue;
@@ -2008,9 +2204,16 @@ async function fetchCorsaroNeroData(originalQuery, type = 'movie') {
             if (allResults.length >= 20) break;
         } catch (error) {
             console.error(`❌ CorsaroNero Strategy "${strategy.description}" failed:`, error.message);
+            lastError = error;
+            failedStrategies++;
         }
     }
 
+    // 📈 Every strategy failed: surface it so provider stats/metrics see CorsaroNero as down (callers use allSettled/try)
+    if (allResults.length === 0 && failedStrategies > 0 && failedStrategies === searchStrategies.length) {
+        throw lastError;
+    }
+
     console.log(`🏴‍☠️ Multi-strategy search for CorsaroNero found ${allResults.length} total unique results.`);
     return allResults;
 }
@@ -2018,333 +2221,7 @@ async function fetchCorsaroNeroData(originalQuery, type = 'movie') {
 // --- FINE NUOVA SEZIONE ---
 
 
-// --- NUOVA SEZIONE: TORRENT TITLE PARSER (AIOStreams Style) ---
-
-/**
- * Helper function per creare regex (come AIOStreams)
- * Crea un pattern che matcha solo parole intere, non prefissi/suffissi
- */
-function createRegex(pattern) {
-    return new RegExp(`(?<![^\\s\\[(_\\-.,])(${pattern})(?=[\\s\\)\\]_./\\-,]|$)`, 'i');
-}
-
-/**
- * Regex per lingue che esclude i sottotitoli (come AIOStreams)
- * Non matcha se seguito da "sub", "subtitle", "subs", etc.
- */
-function createLanguageRegex(pattern) {
-    return createRegex(`${pattern}(?![ .\\-_]?sub(title)?s?)`);
-}
-
-// --- REGEX PATTERNS (identici ad AIOStreams parser/regex.ts) ---
-
-const PARSE_REGEX = {
-    resolutions: {
-        '2160p': createRegex('(bd|hd|m)?(4k|2160(p|i)?)|u(ltra)?[ .\\-_]?hd|3840\\s?x\\s?(\\d{4})'),
-        '1440p': createRegex('(bd|hd|m)?(1440(p|i)?)|2k|w?q(uad)?[ .\\-_]?hd|2560\\s?x(\\d{4})'),
-        '1080p': createRegex('(bd|hd|m)?(1080(p|i)?)|f(ull)?[ .\\-_]?hd|1920\\s?x\\s?(\\d{3,4})'),
-        '720p': createRegex('(bd|hd|m)?((720|800)(p|i)?)|hd|1280\\s?x\\s?(\\d{3,4})'),
-        '576p': createRegex('(bd|hd|m)?((576|534)(p|i)?)'),
-        '480p': createRegex('(bd|hd|m)?(480(p|i)?)|sd'),
-        '360p': createRegex('(bd|hd|m)?(360(p|i)?)'),
-        '240p': createRegex('(bd|hd|m)?((240|266)(p|i)?)'),
-    },
-    qualities: {
-        'BluRay REMUX': createRegex('(bd|br|b|uhd)?remux'),
-        'BluRay': createRegex('(?<!remux.*)(bd|blu[ .\\-_]?ray|((bd|br)[ .\\-_]?rip))(?!.*remux)'),
-        'WEB-DL': createRegex('web[ .\\-_]?(dl)?(?![ .\\-_]?(rip|DLRip|cam))'),
-        'WEBRip': createRegex('web[ .\\-_]?rip'),
-        'HDRip': createRegex('hd[ .\\-_]?rip|web[ .\\-_]?dl[ .\\-_]?rip'),
-        'HDTV': createRegex('hd[ .\\-_]?tv|pdtv'),
-        'DVDRip': createRegex('dvd[ .\\-_]?(rip|scr)'),
-        'DVD': createRegex('dvd(?![ .\\-_]?(rip|scr))'),
-        'CAM': createRegex('(hd)?cam(?![ .\\-_]?rip)|cam[ .\\-_]?rip'),
-        'TS': createRegex('((hd)?ts|telesync)(?![ .\\-_]?rip)|ts[ .\\-_]?rip'),
-        'TC': createRegex('tc|telecine'),
-        'SCR': createRegex('((bd|dvd)?scr(eener)?)|scr[ .\\-_]?rip'),
-    },
-    visualTags: {
-        'HDR10+': createRegex('hdr[ .\\-_]?10[ .\\-_]?(\\+|p(lus)?)'),
-        'HDR10': createRegex('hdr[ .\\-_]?10(?![ .\\-_]?(?:\\+|p(lus)?))'),
-        'HDR': createRegex('hdr(?![ .\\-_]?10)(?![ .\\-_]?(?:\\+|p(lus)?))'),
-        'DV': createRegex('do?(lby)?[ .\\-_]?vi?(sion)?(?:[ .\\-_]?atmos)?|dv'),
-        '3D': createRegex('(bd)?(3|three)[ .\\-_]?(d(imension)?(al)?)'),
-        'IMAX': createRegex('imax'),
-        'SDR': createRegex('sdr'),
-    },
-    audioTags: {
-        'Atmos': createRegex('atmos'),
-        'DD+': createRegex('(d(olby)?[ .\\-_]?d(igital)?[ .\\-_]?(p(lus)?|\\+)(?:[ .\\-_]?(2[ .\\-_]?0|5[ .\\-_]?1|7[ .\\-_]?1))?)|e[ .\\-_]?ac[ .\\-_]?3'),
-        'DD': createRegex('(d(olby)?[ .\\-_]?d(igital)?(?:[ .\\-_]?(5[ .\\-_]?1|7[ .\\-_]?1|2[ .\\-_]?0?))?)|(?<!e[ .\\-_]?)ac[ .\\-_]?3'),
-        'DTS-HD MA': createRegex('dts[ .\\-_]?hd[ .\\-_]?ma'),
-        'DTS-HD': createRegex('dts[ .\\-_]?hd(?![ .\\-_]?ma)'),
-        'DTS-ES': createRegex('dts[ .\\-_]?es'),
-        'DTS': createRegex('dts(?![ .\\-_]?hd[ .\\-_]?ma|[ .\\-_]?hd|[ .\\-_]?es)'),
-        'TrueHD': createRegex('true[ .\\-_]?hd'),
-        'OPUS': createRegex('opus'),
-        'AAC': createRegex('q?aac(?:[ .\\-_]?2)?'),
-        'FLAC': createRegex('flac(?:[ .\\-_]?(lossless|2\\.0|x[2-4]))?'),
-    },
-    audioChannels: {
-        '2.0': createRegex('(d(olby)?[ .\\-_]?d(igital)?)?2[ .\\-_]?0(ch)?'),
-        '5.1': createRegex('(d(olby)?[ .\\-_]?d(igital)?[ .\\-_]?(p(lus)?|\\+)?)?5[ .\\-_]?1(ch)?'),
-        '6.1': createRegex('(d(olby)?[ .\\-_]?d(igital)?[ .\\-_]?(p(lus)?|\\+)?)?6[ .\\-_]?1(ch)?'),
-        '7.1': createRegex('(d(olby)?[ .\\-_]?d(igital)?[ .\\-_]?(p(lus)?|\\+)?)?7[ .\\-_]?1(ch)?'),
-    },
-    encodes: {
-        'HEVC': createRegex('hevc[ .\\-_]?(10)?|[xh][ .\\-_]?265'),
-        'AVC': createRegex('avc|[xh][ .\\-_]?264'),
-        'AV1': createRegex('av1'),
-        'XviD': createRegex('xvid'),
-        'DivX': createRegex('divx|dvix'),
-    },
-    // Regex per lingue (come AIOStreams) - escludono "sub", "subtitle"
-    languages: {
-        'Multi': createLanguageRegex('multi'),
-        'Dual Audio': createLanguageRegex('dual[ .\\-_]?(audio|lang(uage)?|flac|ac3|aac2?)'),
-        'Dubbed': createLanguageRegex('dub(s|bed|bing)?'),
-        'English': createLanguageRegex('english|eng'),
-        'Japanese': createLanguageRegex('japanese|jap|jpn'),
-        'Chinese': createLanguageRegex('chinese|chi'),
-        'Russian': createLanguageRegex('russian|rus'),
-        'Arabic': createLanguageRegex('arabic|ara'),
-        'Portuguese': createLanguageRegex('portuguese|por'),
-        'Spanish': createLanguageRegex('spanish|spa|esp'),
-        'French': createLanguageRegex('french|fra|fr|vf|vff|vfi|vf2|vfq|truefrench'),
-        'German': createLanguageRegex('deu(tsch)?(land)?|ger(man)?'),
-        'Italian': createRegex('italian|italiano|italia|ital|ita|sub[.\\s\\-_]?ita'),  // ✅ Include tutte le varianti italiane
-        'Korean': createLanguageRegex('korean|kor'),
-        'Hindi': createLanguageRegex('hindi|hin'),
-        'Bengali': createLanguageRegex('bengali|ben(?![ .\\-_]?the[ .\\-_]?men)'),
-        'Punjabi': createLanguageRegex('punjabi|pan'),
-        'Tamil': createLanguageRegex('tamil|tam'),
-        'Telugu': createLanguageRegex('telugu|tel'),
-        'Thai': createLanguageRegex('thai|tha'),
-        'Vietnamese': createLanguageRegex('vietnamese|vie'),
-        'Indonesian': createLanguageRegex('indonesian|ind'),
-        'Turkish': createLanguageRegex('turkish|tur'),
-        'Hebrew': createLanguageRegex('hebrew|heb'),
-        'Persian': createLanguageRegex('persian|per'),
-        'Ukrainian': createLanguageRegex('ukrainian|ukr'),
-        'Greek': createLanguageRegex('greek|ell'),
-        'Polish': createLanguageRegex('polish|pol'),
-        'Czech': createLanguageRegex('czech|cze'),
-        'Slovak': createLanguageRegex('slovak|slo'),
-        'Hungarian': createLanguageRegex('hungarian|hun'),
-        'Romanian': createLanguageRegex('romanian|rum'),
-        'Bulgarian': createLanguageRegex('bulgarian|bul'),
-        'Serbian': createLanguageRegex('serbian|srp'),
-        'Croatian': createLanguageRegex('croatian|hrv'),
-        'Dutch': createLanguageRegex('dutch|dut'),
-        'Danish': createLanguageRegex('danish|dan'),
-        'Finnish': createLanguageRegex('finnish|fin'),
-        'Swedish': createLanguageRegex('swedish|swe'),
-        'Norwegian': createLanguageRegex('norwegian|nor'),
-        'Malay': createLanguageRegex('malay'),
-        'Latino': createLanguageRegex('latino|lat'),
-    },
-    releaseGroup: /-[. ]?(?!\d+$|S\d+|\d+x|ep?\d+|[^[]+]$)([^\-. []+[^\-. [)\]\d][^\-. [)\]]*)(?:\[[\w.-]+])?(?=\)|[.-]+\w{2,4}$|$)/i,
-};
-
-/**
- * Trova il primo match in un oggetto di regex patterns
- */
-function matchPattern(filename, patterns) {
-    for (const [name, pattern] of Object.entries(patterns)) {
-        if (pattern.test(filename)) {
-            return name;
-        }
-    }
-    return undefined;
-}
-
-/**
- * Trova tutti i match in un oggetto di regex patterns
- */
-function matchMultiplePatterns(filename, patterns) {
-    const matches = [];
-    for (const [name, pattern] of Object.entries(patterns)) {
-        if (pattern.test(filename)) {
-            matches.push(name);
-        }
-    }
-    return matches;
-}
-
-/**
- * Parser principale per titoli torrent (implementazione JavaScript di @viren070/parse-torrent-title)
- * Basato su: https://github.com/clement-escolano/parse-torrent-title
- *
- * @param {string} filename - Nome del file/torrent da parsare
- * @returns {Object} Oggetto con tutti i campi estratti
- */
-function parseTorrentTitle(filename) {
-    if (!filename) {
-        return {
-            title: undefined,
-            year: undefined,
-            seasons: [],
-            episodes: [],
-            resolution: undefined,
-            quality: undefined,
-            languages: [],
-            codec: undefined,
-            group: undefined,
-            complete: false,
-            extended: false,
-            repack: false,
-            proper: false,
-            audioTags: [],
-            visualTags: [],
-            audioChannels: [],
-        };
-    }
-
-    // Normalizza il filename
-    let normalized = filename
-        .replace(/\./g, ' ')
-        .replace(/_/g, ' ')
-        .replace(/\s+/g, ' ')
-        .trim();
-
-    const result = {
-        title: undefined,
-        year: undefined,
-        seasons: [],
-        episodes: [],
-        resolution: undefined,
-        quality: undefined,
-        languages: [],
-        codec: undefined,
-        group: undefined,
-        complete: false,
-        extended: false,
-        repack: false,
-        proper: false,
-        audioTags: [],
-        visualTags: [],
-        audioChannels: [],
-    };
-
-    // 1. Estrai anno (4 cifre tra 1900 e 2099)
-    const yearMatch = filename.match(/[[(. _-]?((?:19|20)\d{2})[\]).\s_-]/);
-    if (yearMatch) {
-        result.year = parseInt(yearMatch[1], 10);
-    }
-
-    // 2. Estrai stagione/episodio (S01E02, 1x02, Season 1 Episode 2, etc.)
-    const seasonEpisodePatterns = [
-        /S(\d{1,2})[ .\-_]?E(\d{1,3})/i,                       // S01E05
-        /(\d{1,2})x(\d{1,3})/i,                                  // 1x05
-        /Season[ .\-_]?(\d{1,2})[ .\-_]?Episode[ .\-_]?(\d{1,3})/i, // Season 1 Episode 5
-        /S(\d{1,2})[ .\-_]?-[ .\-_]?S(\d{1,2})/i,              // S01-S03 (range)
-        /S(\d{1,2})(?!E)/i,                                     // Solo stagione S01
-        /Season[ .\-_]?(\d{1,2})(?![ .\-_]?Episode)/i,          // Solo Season 1
-    ];
-
-    for (const pattern of seasonEpisodePatterns) {
-        const match = filename.match(pattern);
-        if (match) {
-            if (match[1]) {
-                result.seasons.push(parseInt(match[1], 10));
-            }
-            if (match[2]) {
-                // Potrebbe essere episodio o seconda stagione (in range)
-                const num = parseInt(match[2], 10);
-                if (pattern.source.includes('x') || pattern.source.includes('E')) {
-                    result.episodes.push(num);
-                } else {
-                    // È un range di stagioni
-                    for (let s = parseInt(match[1], 10); s <= num; s++) {
-                        if (!result.seasons.includes(s)) {
-                            result.seasons.push(s);
-                        }
-                    }
-                }
-            }
-            break; // Usa solo il primo match
-        }
-    }
-
-    // 3. Estrai episodio assoluto per anime (es. "- 05", "E05", "Ep 5")
-    if (result.episodes.length === 0 && result.seasons.length === 0) {
-        const absEpPatterns = [
-            /[ .\-_](\d{2,4})[ .\-_]?(?:v\d)?(?:[[(]|\b(?:720|1080|480|2160))/i, // - 05 720p
-            /[ .\-_]E(\d{1,4})\b/i,                                               // E05
-            /[ .\-_]Ep[ .\-_]?(\d{1,4})\b/i,                                      // Ep 5
-        ];
-        for (const pattern of absEpPatterns) {
-            const match = filename.match(pattern);
-            if (match) {
-                result.episodes.push(parseInt(match[1], 10));
-                break;
-            }
-        }
-    }
-
-    // 4. Estrai risoluzione
-    result.resolution = matchPattern(filename, PARSE_REGEX.resolutions);
-
-    // 5. Estrai qualità
-    result.quality = matchPattern(filename, PARSE_REGEX.qualities);
-
-    // 6. Estrai lingue (usando i regex AIOStreams che escludono "sub/subtitle")
-    result.languages = matchMultiplePatterns(filename, PARSE_REGEX.languages);
-
-    // 7. Estrai codec
-    result.codec = matchPattern(filename, PARSE_REGEX.encodes);
-
-    // 8. Estrai audio tags
-    result.audioTags = matchMultiplePatterns(filename, PARSE_REGEX.audioTags);
-
-    // 9. Estrai visual tags (HDR, DV, etc.)
-    result.visualTags = matchMultiplePatterns(filename, PARSE_REGEX.visualTags);
-
-    // 10. Estrai audio channels
-    result.audioChannels = matchMultiplePatterns(filename, PARSE_REGEX.audioChannels);
-
-    // 11. Estrai release group
-    const groupMatch = filename.match(PARSE_REGEX.releaseGroup);
-    if (groupMatch && groupMatch[1]) {
-        result.group = groupMatch[1].trim();
-    }
-
-    // 12. Flag speciali
-    result.complete = /\b(complete|completa|tutte)\b/i.test(filename);
-    result.extended = /\b(extended|estesa)\b/i.test(filename);
-    result.repack = /\b(repack)\b/i.test(filename);
-    result.proper = /\b(proper)\b/i.test(filename);
-
-    // 13. Estrai titolo (tutto prima dell'anno o della risoluzione)
-    let titleEndIndex = filename.length;
-
-    // Trova dove finisce il titolo
-    const titleEndPatterns = [
-        /[(. _\-](?:19|20)\d{2}[). _\-]/,           // Anno
-        /[(. _\-]S\d{1,2}[). _\-E]/i,               // Stagione
-        /[(. _\-]\d{1,2}x\d{1,3}[). _\-]/i,         // 1x05
-        /[(. _\-](?:720|1080|480|2160|4k)p?[). _\-]/i, // Risoluzione
-        /[(. _\-](?:HDTV|DVDRip|BluRay|WEB|REMUX)[). _\-]/i, // Qualità
-    ];
-
-    for (const pattern of titleEndPatterns) {
-        const match = filename.match(pattern);
-        if (match && match.index < titleEndIndex) {
-            titleEndIndex = match.index;
-        }
-    }
-
-    if (titleEndIndex > 0) {
-        result.title = filename
-            .substring(0, titleEndIndex)
-            .replace(/\./g, ' ')
-            .replace(/_/g, ' ')
-            .replace(/\s+/g, ' ')
-            .trim();
-    }
-
-    return result;
-}
+// --- TITLE MATCHING HELPERS (parser in title-parser.cjs) ---
 
 /**
  * Normalizza un titolo per confronto (come AIOStreams parser/utils.ts)
@@ -2854,8 +2731,15 @@ async function fetchKnabenData(searchQuery, type = 'movie', metadata = null, par
         }
     }));
 
-    // Elabora tutti i risultati
-    const allHits = [];
+    // 📈 Every query failed: surface it so provider stats/metrics see Knaben as down (callers use allSettled)
+    if (queryResults.every(r => r.error)) {
+        const error = new Error(`All Knaben queries failed: ${queryResults[0].error}`);
+        if (/abort|timeout/i.test(queryResults[0].error)) error.name = 'TimeoutError';
+        throw error;
+    }
+
+    // Elabora tutti i risultati
+    const allHits = [];
     const seenHashes = new Set();
 
     for (const { query, hits, error } of queryResults) {
@@ -4075,6 +3959,17 @@ class RealDebrid {
         return await response.json();
     }
 
+    async getDownloads() {
+        const response = await fetch(`${this.baseUrl}/downloads?limit=100`, {
+            headers: { 'Authorization': `Bearer ${this.apiKey}` }
+        });
+        if (response.status === 204) return [];
+        if (!response.ok) {
+            throw new Error(`Failed to get downloads list from Real-Debrid: ${response.status}`);
+        }
+        return await response.json();
+    }
+
     async deleteTorrent(torrentId) {
         const response = await fetch(`${this.baseUrl}/torrents/delete/${torrentId}`, {
             method: 'DELETE',
@@ -4354,6 +4249,114 @@ class Torbox {
         // Torbox returns direct download URL in data field
         return data.data; // Returns direct download URL string
     }
+
+    // 📰 USENET: TorBox identifies an NZB by the MD5 of its download link
+    static usenetHash(nzbLink) {
+        return crypto.createHash('md5').update(nzbLink).digest('hex');
+    }
+
+    async checkUsenetCache(nzbLinks) {
+        if (!nzbLinks || nzbLinks.length === 0) return {};
+
+        const results = {};
+        try {
+            const response = await fetch(`${this.baseUrl}/usenet/checkcached?format=list`, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${this.apiKey}`,
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'ilcorsaroviola/2.0'
+                },
+                body: JSON.stringify({ hashes: nzbLinks.map(link => Torbox.usenetHash(link)) })
+            });
+
+            if (!response.ok) {
+                throw new Error(`Torbox API error: ${response.status}`);
+            }
+
+            const data = await response.json();
+            const cachedHashes = new Set((Array.isArray(data.data) ? data.data : []).map(entry => entry.hash?.toLowerCase()));
+            nzbLinks.forEach(link => {
+                results[link] = { cached: cachedHashes.has(Torbox.usenetHash(link)), service: 'Torbox' };
+            });
+        } catch (error) {
+            console.error('📰 Torbox usenet cache check failed:', error.message);
+            nzbLinks.forEach(link => {
+                results[link] = { cached: false, service: 'Torbox' };
+            });
+        }
+
+        return results;
+    }
+
+    async addUsenet(nzbLink, name = null) {
+        const form = new FormData();
+        form.append('link', nzbLink);
+        if (name) form.append('name', name);
+
+        const response = await fetch(`${this.baseUrl}/usenet/createusenetdownload`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${this.apiKey}`,
+                'User-Agent': 'ilcorsaroviola/2.0'
+            },
+            body: form
+        });
+
+        const responseData = await response.json();
+        if (!response.ok || !responseData.success) {
+            throw new Error(`Torbox usenet error: ${response.status} - ${responseData.error || responseData.detail || 'Unknown error'}`);
+        }
+
+        return responseData.data; // { usenetdownload_id, hash, auth_id }
+    }
+
+    async getUsenetDownloads(usenetId = null) {
+        const params = new URLSearchParams({ bypass_cache: 'true' });
+        if (usenetId) params.append('id', usenetId);
+
+        const response = await fetch(`${this.baseUrl}/usenet/mylist?${params}`, {
+            headers: {
+                'Authorization': `Bearer ${this.apiKey}`,
+                'User-Agent': 'ilcorsaroviola/2.0'
+            }
+        });
+
+        if (!response.ok) {
+            throw new Error(`Failed to get usenet list from Torbox: ${response.status}`);
+        }
+
+        const data = await response.json();
+        if (!data.success) {
+            throw new Error(`Torbox error: ${data.error || 'Unknown error'}`);
+        }
+
+        // A single object when asking for one id, an array otherwise
+        return Array.isArray(data.data) ? data.data : [data.data].filter(Boolean);
+    }
+
+    async createUsenetDownloadLink(usenetId, fileId) {
+        const params = new URLSearchParams({
+            token: this.apiKey,
+            usenet_id: usenetId,
+            file_id: fileId,
+            zip_link: 'false'
+        });
+
+        const response = await fetch(`${this.baseUrl}/usenet/requestdl?${params}`, {
+            headers: {
+                'Authorization': `Bearer ${this.apiKey}`,
+                'User-Agent': 'ilcorsaroviola/2.0'
+            }
+        });
+
+        const data = await response.json();
+        if (!response.ok || !data.success) {
+            throw new Error(`Torbox usenet requestdl error: ${response.status} - ${data.error || data.detail || 'Unknown error'}`);
+        }
+
+        return data.data;
+    }
 }
 
 // ✅ AllDebrid API integration
@@ -4472,15 +4475,371 @@ class AllDebrid {
     }
 }
 
-// ✅ Debrid Service Factory - Supports RealDebrid, Torbox, and AllDebrid
+// ✅ Premiumize API integration
+class Premiumize {
+    constructor(apiKey) {
+        this.apiKey = apiKey;
+        this.baseUrl = 'https://www.premiumize.me/api';
+    }
+
+    async checkCache(hashes) {
+        if (!hashes || hashes.length === 0) return {};
+
+        const results = {};
+        const batchSize = 100; // Premiumize accepts up to ~100 items per GET before URL gets too long
+
+        for (let i = 0; i < hashes.length; i += batchSize) {
+            const batch = hashes.slice(i, i + batchSize);
+            const params = new URLSearchParams({ apikey: this.apiKey });
+            batch.forEach(hash => params.append('items[]', hash));
+
+            try {
+                const response = await fetch(`${this.baseUrl}/cache/check?${params}`, {
+                    signal: AbortSignal.timeout(15000)
+                });
+
+                if (!response.ok) {
+                    throw new Error(`Premiumize API error: ${response.status}`);
+                }
+
+                const data = await response.json();
+                if (data.status !== 'success') {
+                    throw new Error(`Premiumize error: ${data.message || 'Unknown error'}`);
+                }
+
+                batch.forEach((hash, index) => {
+                    const isCached = data.response?.[index] === true;
+                    results[hash.toLowerCase()] = {
+                        cached: isCached,
+                        downloadLink: null,
+                        service: 'Premiumize',
+                        // ✅ Premiumize returns main filename/size for cached items
+                        file_title: isCached ? (data.filename?.[index] || null) : null,
+                        file_size: isCached ? (Number(data.filesize?.[index]) || null) : null
+                    };
+                });
+            } catch (error) {
+                console.error(`❌ Premiumize cache check failed for batch ${i / batchSize + 1}:`, error.message);
+                batch.forEach(hash => {
+                    results[hash.toLowerCase()] = { cached: false, downloadLink: null, service: 'Premiumize', error: error.message };
+                });
+            }
+        }
+
+        const cachedCount = Object.values(results).filter(r => r.cached).length;
+        console.log(`💎 Premiumize cache check complete: ${cachedCount}/${hashes.length} cached`);
+
+        return results;
+    }
+
+    // Returns the file list of a CACHED magnet (fails if not cached)
+    async directDownload(magnetLink) {
+        const body = new URLSearchParams();
+        body.append('src', magnetLink);
+
+        const response = await fetch(`${this.baseUrl}/transfer/directdl?apikey=${this.apiKey}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: body.toString()
+        });
+
+        if (!response.ok) {
+            throw new Error(`Premiumize API error: ${response.status}`);
+        }
+
+        const data = await response.json();
+        if (data.status !== 'success') {
+            throw new Error(`Premiumize error: ${data.message || 'Unknown error'}`);
+        }
+
+        // content: [{ path, size, link, stream_link, transcode_status }]
+        return data.content || [];
+    }
+
+    async createTransfer(magnetLink) {
+        const body = new URLSearchParams();
+        body.append('src', magnetLink);
+
+        const response = await fetch(`${this.baseUrl}/transfer/create?apikey=${this.apiKey}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: body.toString()
+        });
+
+        if (!response.ok) {
+            throw new Error(`Premiumize API error: ${response.status}`);
+        }
+
+        const data = await response.json();
+        if (data.status !== 'success') {
+            throw new Error(`Premiumize error: ${data.message || 'Unknown error'}`);
+        }
+
+        return data; // { id, name, type }
+    }
+
+    async getTransfers() {
+        const response = await fetch(`${this.baseUrl}/transfer/list?apikey=${this.apiKey}`);
+
+        if (!response.ok) {
+            throw new Error(`Failed to get transfers list from Premiumize: ${response.status}`);
+        }
+
+        const data = await response.json();
+        if (data.status !== 'success') {
+            throw new Error(`Premiumize error: ${data.message || 'Unknown error'}`);
+        }
+
+        return data.transfers || [];
+    }
+
+    async deleteTransfer(transferId) {
+        const body = new URLSearchParams();
+        body.append('id', transferId);
+
+        const response = await fetch(`${this.baseUrl}/transfer/delete?apikey=${this.apiKey}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: body.toString()
+        });
+
+        const data = await response.json().catch(() => ({}));
+        if (data.status !== 'success') {
+            console.error(`Failed to delete transfer ${transferId} from Premiumize.`);
+        }
+    }
+}
+
+// ✅ Offcloud API integration
+class Offcloud {
+    constructor(apiKey) {
+        this.apiKey = apiKey;
+        this.baseUrl = 'https://offcloud.com/api';
+    }
+
+    async checkCache(hashes) {
+        if (!hashes || hashes.length === 0) return {};
+
+        const results = {};
+
+        try {
+            const response = await fetch(`${this.baseUrl}/cache?key=${this.apiKey}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ hashes }),
+                signal: AbortSignal.timeout(15000)
+            });
+
+            if (!response.ok) {
+                throw new Error(`Offcloud API error: ${response.status}`);
+            }
+
+            const data = await response.json();
+            const cachedSet = new Set((data.cachedItems || []).map(h => String(h).toLowerCase()));
+
+            hashes.forEach(hash => {
+                const hashLower = hash.toLowerCase();
+                results[hashLower] = {
+                    cached: cachedSet.has(hashLower),
+                    downloadLink: null,
+                    service: 'Offcloud'
+                };
+            });
+        } catch (error) {
+            console.error('Offcloud cache check failed:', error.message);
+            hashes.forEach(hash => {
+                results[hash.toLowerCase()] = { cached: false, downloadLink: null, service: 'Offcloud' };
+            });
+        }
+
+        const cachedCount = Object.values(results).filter(r => r.cached).length;
+        console.log(`☁️ Offcloud cache check complete: ${cachedCount}/${hashes.length} cached`);
+
+        return results;
+    }
+
+    async addCloud(magnetLink) {
+        const response = await fetch(`${this.baseUrl}/cloud?key=${this.apiKey}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ url: magnetLink })
+        });
+
+        if (!response.ok) {
+            throw new Error(`Offcloud API error: ${response.status}`);
+        }
+
+        const data = await response.json();
+        if (data.error) {
+            throw new Error(`Offcloud error: ${data.error}`);
+        }
+
+        return data; // { requestId, fileName, status, url, ... }
+    }
+
+    async getCloudHistory() {
+        const response = await fetch(`${this.baseUrl}/cloud/history?key=${this.apiKey}`);
+
+        if (!response.ok) {
+            throw new Error(`Failed to get cloud history from Offcloud: ${response.status}`);
+        }
+
+        const data = await response.json();
+        return Array.isArray(data) ? data : [];
+    }
+
+    // Returns the list of download URLs of a multi-file request (empty for single-file requests)
+    async exploreCloud(requestId) {
+        const response = await fetch(`${this.baseUrl}/cloud/explore/${requestId}?key=${this.apiKey}`);
+
+        if (!response.ok) {
+            throw new Error(`Offcloud API error: ${response.status}`);
+        }
+
+        const data = await response.json();
+        // Single-file requests answer with { error: 'Bad archive' }
+        return Array.isArray(data) ? data : [];
+    }
+
+    async removeCloud(requestId) {
+        const response = await fetch(`${this.baseUrl}/cloud/remove/${requestId}?key=${this.apiKey}`);
+
+        if (!response.ok) {
+            console.error(`Failed to remove request ${requestId} from Offcloud.`);
+        }
+    }
+}
+
+// ✅ Shared file picker for debrid services that return a flat file list (Premiumize, Offcloud)
+// Same priority as /rd-stream/ and /torbox-stream/: pack filename > title+year > SxxEyy > largest
+function selectDebridVideoFile(files, { season = null, episode = null, packFileName = null, movieTitle = null, movieYear = null } = {}) {
+    // 🔥 SAME extensions as pack-files-handler.cjs VIDEO_EXTENSIONS
+    const videoExtensions = ['.mkv', '.mp4', '.avi', '.mov', '.wmv', '.flv', '.webm', '.m4v', '.ts', '.m2ts', '.mpg', '.mpeg'];
+    const junkKeywords = ['sample', 'trailer', 'extra', 'bonus', 'extras'];
+    const baseName = (f) => (f.name || '').split('/').pop().toLowerCase();
+
+    const videos = (files || [])
+        .filter(f => videoExtensions.some(ext => baseName(f).endsWith(ext)))
+        .filter(f => !junkKeywords.some(junk => baseName(f).includes(junk)) || (f.size || 0) > 250 * 1024 * 1024)
+        .sort((a, b) => (b.size || 0) - (a.size || 0));
+
+    if (videos.length === 0) return null;
+
+    // ✅ PRIORITY 0: Movie pack with known filename
+    if (packFileName) {
+        const targetName = packFileName.toLowerCase().split('/').pop();
+        const byName = videos.find(f => {
+            const name = baseName(f);
+            return name === targetName || name.includes(targetName) || targetName.includes(name);
+        });
+        if (byName) return byName;
+    }
+
+    // ✅ PRIORITY 1: Movie pack WITHOUT filename - title+year fuzzy matching
+    if (movieTitle) {
+        const targetWords = movieTitle.toLowerCase().replace(/[^a-z0-9\s]/g, '').split(/\s+/).filter(w => w.length > 2);
+        let bestMatch = null;
+        let maxScore = 0;
+
+        for (const file of videos) {
+            const filename = baseName(file);
+            let score = 0;
+            if (movieYear && filename.includes(movieYear)) score += 50;
+            const matchedWords = targetWords.filter(word => filename.includes(word)).length;
+            if (targetWords.length > 0) score += (matchedWords / targetWords.length) * 50;
+
+            if (score > maxScore && score >= 40) {
+                maxScore = score;
+                bestMatch = file;
+            }
+        }
+        if (bestMatch) return bestMatch;
+    }
+
+    // ✅ PRIORITY 2: Series episode pattern matching (word boundaries: e1 must not match e11)
+    if (season && episode) {
+        const seasonStr = String(season).padStart(2, '0');
+        const episodeStr = String(episode).padStart(2, '0');
+        const patterns = [
+            new RegExp(`s${seasonStr}e${episodeStr}(?![0-9])`, 'i'),
+            new RegExp(`s${seasonStr}ep${episodeStr}(?![0-9])`, 'i'),
+            new RegExp(`${season}x${episodeStr}(?![0-9])`, 'i'),
+            new RegExp(`${season}x${episode}(?![0-9])`, 'i'),
+            new RegExp(`s${seasonStr}\\.e${episodeStr}(?![0-9])`, 'i'),
+            new RegExp(`season\\s*${season}\\s*episode\\s*${episode}(?![0-9])`, 'i'),
+            new RegExp(`stagione\\s*${season}\\s*episodio\\s*${episode}(?![0-9])`, 'i'),
+            new RegExp(`episodio[\\s.]*${episode}(?![0-9])`, 'i'),
+            new RegExp(`[^0-9]${season}${episodeStr}[^0-9]`),
+        ];
+
+        const byEpisode = videos.find(f => patterns.some(pattern => pattern.test(baseName(f))));
+        if (byEpisode) return byEpisode;
+        console.log(`⚠️ [Debrid] No file matched S${seasonStr}E${episodeStr}, falling back to largest video file`);
+    }
+
+    // ✅ PRIORITY 3: Fallback - largest video file
+    return videos[0];
+}
+
+// ✅ Parse the shared /xx-stream/{config}/{magnet}/{season}/{episode} | packfile/{name} | movie/{title}/{year} layout
+function parseDebridStreamPath(pathname) {
+    const pathParts = pathname.split('/');
+    const flag = pathParts[4];
+    const param = pathParts[5] ? pathParts[5] : null;
+    const parsed = {
+        encodedConfigStr: pathParts[2],
+        encodedMagnet: pathParts[3],
+        season: null,
+        episode: null,
+        packFileName: null,
+        movieTitle: null,
+        movieYear: null
+    };
+
+    if (flag === 'packfile') {
+        parsed.packFileName = param ? decodeURIComponent(param) : null;
+    } else if (flag === 'movie') {
+        parsed.movieTitle = param ? decodeURIComponent(param) : null;
+        parsed.movieYear = pathParts[6] || null;
+    } else if (flag !== undefined && param !== null && !isNaN(parseInt(flag))) {
+        parsed.season = flag;
+        parsed.episode = String(param);
+    }
+
+    return parsed;
+}
+
+// ⏩ INTROSKIP: Wrap a resolved series URL in the HLS proxy when intro data is known
+async function wrapWithIntroSkip(streamUrl, infoHash, season, episode, workerOrigin) {
+    if (!process.env.DATABASE_URL || !season || !episode) return streamUrl;
+    try {
+        const episodeImdbId = await dbHelper.getImdbIdByHash(infoHash);
+        if (episodeImdbId && episodeImdbId.startsWith('tt')) {
+            const introData = await introSkip.lookupIntro(episodeImdbId, parseInt(season), parseInt(episode));
+            if (introData && introData.end_sec > 0) {
+                console.log(`⏩ [IntroSkip] Wrapped in HLS proxy: ${introData.start_sec}s - ${introData.end_sec}s`);
+                return `${workerOrigin}/introskip/hls.m3u8?stream=${encodeURIComponent(streamUrl)}&start=${introData.start_sec}&end=${introData.end_sec}`;
+            }
+        }
+    } catch (introErr) {
+        console.warn(`⏩ [IntroSkip] Error applying HLS proxy: ${introErr.message}`);
+    }
+    return streamUrl;
+}
+
+// ✅ Debrid Service Factory - Supports RealDebrid, Torbox, AllDebrid, Premiumize and Offcloud
 function createDebridServices(config) {
     const services = {
         realdebrid: null,
         torbox: null,
         alldebrid: null,
+        premiumize: null,
+        offcloud: null,
         useRealDebrid: false,
         useTorbox: false,
         useAllDebrid: false,
+        usePremiumize: false,
+        useOffcloud: false,
         mediaflowProxy: null // MediaFlow Proxy config (for RD sharing)
     };
 
@@ -4506,6 +4865,20 @@ function createDebridServices(config) {
         services.useAllDebrid = true;
     }
 
+    // Check Premiumize
+    if (config.use_premiumize && config.premiumize_key && config.premiumize_key.length > 5) {
+        console.log('💎 Premiumize enabled');
+        services.premiumize = new Premiumize(config.premiumize_key);
+        services.usePremiumize = true;
+    }
+
+    // Check Offcloud
+    if (config.use_offcloud && config.offcloud_key && config.offcloud_key.length > 5) {
+        console.log('☁️ Offcloud enabled');
+        services.offcloud = new Offcloud(config.offcloud_key);
+        services.useOffcloud = true;
+    }
+
     // Check MediaFlow Proxy / EasyProxy (for RD sharing)
     if (config.mediaflow_url) {
         const hasPassword = config.mediaflow_password && config.mediaflow_password.length > 0;
@@ -4516,7 +4889,7 @@ function createDebridServices(config) {
         };
     }
 
-    if (!services.useRealDebrid && !services.useTorbox && !services.useAllDebrid) {
+    if (!services.useRealDebrid && !services.useTorbox && !services.useAllDebrid && !services.usePremiumize && !services.useOffcloud) {
         console.log('⚪ No debrid service enabled - using P2P mode');
     }
 
@@ -5101,16 +5474,84 @@ async function enrichDatabaseInBackground(mediaDetails, type, season = null, epi
     }
 }
 
-// ✅ SOLUZIONE KITSU 1: Get MyAnimeList ID from Kitsu ID
-async function getMALfromKitsu(kitsuId) {
-    try {
-        console.log(`🔄 [Kitsu→MAL] Fetching MAL ID for Kitsu ${kitsuId}...`);
+// 🌸 ANIME ID MAPPINGS: IDs come from the offline dump stored in anime_mappings,
+// the live Kitsu → MAL → TMDb bridge is only used for anime the dump doesn't know
+const ANIME_MAPPING_CHECK_INTERVAL = 60 * 60 * 1000; // check the import age at most once per hour
+let animeMappingRefresh = null;
+let animeMappingCheckedAt = 0;
 
-        const response = await fetch(
-            `https://kitsu.io/api/edge/anime/${kitsuId}/mappings`,
-            {
-                headers: { 'Accept': 'application/vnd.api+json' },
-                timeout: 5000
+/**
+ * Re-import the anime mapping dump in background when missing or stale
+ */
+function refreshAnimeMappingsInBackground() {
+    if (!process.env.DATABASE_URL || animeMappingRefresh) return;
+    if (Date.now() - animeMappingCheckedAt < ANIME_MAPPING_CHECK_INTERVAL) return;
+    animeMappingCheckedAt = Date.now();
+
+    animeMappingRefresh = (async () => {
+        const importedAt = await dbHelper.getAnimeMappingsImportedAt();
+        if (!animeMapping.needsRefresh(importedAt)) return;
+
+        console.log(`🌸 [Anime] Importing anime ID mappings (last import: ${importedAt ? new Date(importedAt).toISOString() : 'never'})...`);
+        const rows = await animeMapping.loadMappingDump();
+        await dbHelper.saveAnimeMappings(rows, 'dump');
+    })()
+        .catch(error => console.warn(`⚠️ [Anime] Mapping import failed: ${error.message}`))
+        .finally(() => { animeMappingRefresh = null; });
+}
+
+/**
+ * IMDb/TMDb IDs and TMDB season of a Kitsu anime
+ * @param {string|number} kitsuId
+ * @returns {Promise<Object|null>} {kitsuId, malId, anilistId, tmdbId, imdbId, tmdbSeason, episodeOffset}
+ */
+async function resolveAnimeIds(kitsuId) {
+    refreshAnimeMappingsInBackground();
+
+    const stored = await dbHelper.getAnimeMapping('kitsu', kitsuId);
+    if (stored && (stored.tmdb_id || stored.imdb_id)) {
+        console.log(`✅ [Anime] Kitsu ${kitsuId} → TMDb ${stored.tmdb_id}, IMDb ${stored.imdb_id}${stored.tmdb_season ? `, season ${stored.tmdb_season}` : ''} (DB)`);
+        return {
+            kitsuId: stored.kitsu_id,
+            malId: stored.mal_id,
+            anilistId: stored.anilist_id,
+            tmdbId: stored.tmdb_id,
+            imdbId: stored.imdb_id,
+            tmdbSeason: stored.tmdb_season,
+            episodeOffset: stored.episode_offset || 0
+        };
+    }
+
+    // Unknown to the dump (or known without TMDb/IMDb): live bridge, then remember the result
+    const malId = stored?.mal_id || await getMALfromKitsu(kitsuId);
+    if (!malId) return null;
+
+    const ids = await getTMDbFromMAL(malId);
+    if (!ids) return null;
+
+    const mapping = {
+        kitsuId: parseInt(kitsuId),
+        malId: parseInt(malId),
+        anilistId: stored?.anilist_id || null,
+        tmdbId: parseInt(ids.tmdbId) || null,
+        imdbId: ids.imdbId || null,
+        tmdbSeason: null,
+        episodeOffset: 0
+    };
+    dbHelper.saveAnimeMappings([mapping], 'api').catch(() => { });
+    return mapping;
+}
+
+// ✅ SOLUZIONE KITSU 1: Get MyAnimeList ID from Kitsu ID
+async function getMALfromKitsu(kitsuId) {
+    try {
+        console.log(`🔄 [Kitsu→MAL] Fetching MAL ID for Kitsu ${kitsuId}...`);
+
+        const response = await fetch(
+            `https://kitsu.io/api/edge/anime/${kitsuId}/mappings`,
+            {
+                headers: { 'Accept': 'application/vnd.api+json' },
+                timeout: 5000
             }
         );
 
@@ -5183,49 +5624,54 @@ async function getTMDbFromMAL(malId) {
     }
 }
 
-// ✅ SOLUZIONE KITSU 4: Convert absolute episode to season/episode using TMDb
-async function convertAbsoluteEpisode(tmdbId, absoluteEpisode, tmdbKey) {
-    try {
-        console.log(`🔄 [Kitsu→Season] Converting absolute episode ${absoluteEpisode} for TMDb ${tmdbId}...`);
+/**
+ * Episode counts of a TMDB show (stored in tmdb_season_episodes for a week)
+ * @param {number} tmdbId
+ * @param {string} tmdbKey
+ * @returns {Promise<Array<{season_number: number, episode_count: number}>>} Regular seasons, empty on failure
+ */
+async function getTmdbSeasons(tmdbId, tmdbKey) {
+    const stored = await dbHelper.getTmdbSeasonEpisodes(tmdbId);
+    if (stored.length > 0) return stored;
 
-        const response = await fetch(
-            `https://api.themoviedb.org/3/tv/${tmdbId}?api_key=${tmdbKey}`,
-            { timeout: 5000 }
-        );
+    const response = await fetch(
+        `https://api.themoviedb.org/3/tv/${tmdbId}?api_key=${tmdbKey}`,
+        { timeout: 5000 }
+    );
 
-        if (!response.ok) {
-            console.warn(`⚠️ [Kitsu→Season] TMDb API error: ${response.status}`);
-            return null;
-        }
+    if (!response.ok) {
+        console.warn(`⚠️ [Kitsu→Season] TMDb API error: ${response.status}`);
+        return [];
+    }
 
-        const data = await response.json();
-        const seasons = data.seasons?.filter(s => s.season_number > 0) || []; // Skip specials (season 0)
+    const data = await response.json();
+    const seasons = (data.seasons || [])
+        .filter(s => s.season_number > 0) // Skip specials (season 0)
+        .map(s => ({ season_number: s.season_number, episode_count: s.episode_count || 0 }));
 
-        if (seasons.length === 0) {
+    if (seasons.length > 0) dbHelper.saveTmdbSeasonEpisodes(tmdbId, seasons).catch(() => { });
+    return seasons;
+}
+
+// ✅ SOLUZIONE KITSU 4: Convert absolute episode to season/episode using TMDb
+// With a mapping the count starts from the TMDB season of the Kitsu entry (sequels are separate Kitsu entries)
+async function convertAbsoluteEpisode(tmdbId, absoluteEpisode, tmdbKey, mapping = null) {
+    try {
+        console.log(`🔄 [Kitsu→Season] Converting episode ${absoluteEpisode} for TMDb ${tmdbId}${mapping?.tmdbSeason ? ` from season ${mapping.tmdbSeason}` : ''}...`);
+
+        const seasons = await getTmdbSeasons(tmdbId, tmdbKey);
+        if (seasons.length === 0 && !mapping?.tmdbSeason) {
             console.warn(`⚠️ [Kitsu→Season] No seasons found for TMDb ${tmdbId}`);
             return null;
         }
 
-        // Calculate cumulative episode count to find the right season
-        let cumulativeEpisodes = 0;
-
-        for (const season of seasons) {
-            const seasonStart = cumulativeEpisodes + 1;
-            const seasonEnd = cumulativeEpisodes + season.episode_count;
-
-            if (absoluteEpisode >= seasonStart && absoluteEpisode <= seasonEnd) {
-                const episodeInSeason = absoluteEpisode - cumulativeEpisodes;
-                console.log(`✅ [Kitsu→Season] Absolute ep. ${absoluteEpisode} = S${season.season_number}E${episodeInSeason}`);
-                return {
-                    season: season.season_number,
-                    episode: episodeInSeason
-                };
-            }
-
-            cumulativeEpisodes += season.episode_count;
+        const converted = animeMapping.resolveEpisode(mapping, absoluteEpisode, seasons);
+        if (converted) {
+            console.log(`✅ [Kitsu→Season] Ep. ${absoluteEpisode} = S${converted.season}E${converted.episode}`);
+            return converted;
         }
 
-        console.warn(`⚠️ [Kitsu→Season] Absolute episode ${absoluteEpisode} exceeds total episodes (${cumulativeEpisodes})`);
+        console.warn(`⚠️ [Kitsu→Season] Episode ${absoluteEpisode} exceeds total episodes (${seasons.reduce((sum, s) => sum + s.episode_count, 0)})`);
         return null;
 
     } catch (error) {
@@ -5262,25 +5708,24 @@ async function getKitsuDetails(kitsuId) {
             type: 'series',
             kitsuId: kitsuId,
             imdbId: null,
-            tmdbId: null
+            tmdbId: null,
+            poster: attributes.posterImage?.medium || attributes.posterImage?.original || null,
+            description: attributes.synopsis || null,
+            episodeCount: attributes.episodeCount || null,
+            startDate: attributes.startDate || null
         };
 
-        // ✅ SOLUZIONE KITSU 3: Try to populate IMDb/TMDb IDs via MAL bridge
+        // ✅ SOLUZIONE KITSU 3: Populate IMDb/TMDb IDs from the anime mappings (live MAL bridge as fallback)
         try {
-            const malId = await getMALfromKitsu(kitsuId);
-
-            if (malId) {
-                const ids = await getTMDbFromMAL(malId);
+            const ids = await resolveAnimeIds(kitsuId);
 
-                if (ids) {
-                    mediaDetails.imdbId = ids.imdbId;
-                    mediaDetails.tmdbId = ids.tmdbId;
-                    console.log(`✅ [Kitsu] Populated IDs: IMDb ${ids.imdbId}, TMDb ${ids.tmdbId}`);
-                } else {
-                    console.log(`⚠️ [Kitsu] MAL ${malId} has no TMDb/IMDb mapping, will use FTS fallback`);
-                }
+            if (ids) {
+                mediaDetails.imdbId = ids.imdbId;
+                mediaDetails.tmdbId = ids.tmdbId;
+                mediaDetails.animeMapping = ids;
+                console.log(`✅ [Kitsu] Populated IDs: IMDb ${ids.imdbId}, TMDb ${ids.tmdbId}`);
             } else {
-                console.log(`⚠️ [Kitsu] No MAL mapping found, will use FTS fallback`);
+                console.log(`⚠️ [Kitsu] No TMDb/IMDb mapping found, will use FTS fallback`);
             }
         } catch (bridgeError) {
             console.warn(`⚠️ [Kitsu] MAL bridge failed, will use FTS fallback:`, bridgeError.message);
@@ -5438,656 +5883,6 @@ async function fetchUIndexData(searchQuery, type = 'movie', italianTitle = null,
     }
 }
 
-// ✅ IMPROVED Matching functions - Supporta SEASON PACKS come Torrentio
-function isExactEpisodeMatch(torrentTitle, showTitleOrTitles, seasonNum, episodeNum, isAnime = false, absoluteEpisodeNum = null, skipTitleCheck = false, requiredYear = null) {
-    if (!torrentTitle || !showTitleOrTitles) return false;
-
-    // ✅ YEAR CHECK: strict filtering if year is present in torrent title
-    if (requiredYear) {
-        const titleYearMatch = torrentTitle.match(/\b((?:19|20)\d{2})\b/);
-        if (titleYearMatch) {
-            const torrentYear = parseInt(titleYearMatch[1]);
-            const diff = Math.abs(torrentYear - parseInt(requiredYear));
-
-            // If torrent has year and it differs by more than 1 year, REJECT
-            // (Strict for series to avoid "Spartacus" vs "Spartacus: Gods of the Arena")
-            if (diff > 1) {
-                if (DEBUG_MODE) console.log(`❌ [YEAR FILTER] Rejected "${torrentTitle}" (Year: ${torrentYear}, Required: ${requiredYear})`);
-                return false;
-            } else {
-                if (DEBUG_MODE) console.log(`✅ [YEAR FILTER] Passed "${torrentTitle}" (Year: ${torrentYear}, Required: ${requiredYear})`);
-            }
-        }
-    }
-
-    // DEBUG: Log rejected single episodes
-    if (DEBUG_MODE && (torrentTitle.includes('155da22a') || torrentTitle.includes('3d700a66') ||
-        (torrentTitle.toLowerCase().includes('scissione') && torrentTitle.toLowerCase().includes('s01e01') && torrentTitle.toLowerCase().includes('2160p')))) {
-        console.log(`🔍 [Match Debug] Checking: "${torrentTitle.substring(0, 80)}" for S${seasonNum}E${episodeNum}`);
-    }
-
-    // ✅ STEP 1: Light cleaning (keep dots and dashes for episode ranges!)
-    const lightCleanedTitle = torrentTitle
-        .replace(/<[^>]*>/g, '')
-        .replace(/[\[\]]/g, '')
-        .replace(/\(.*?\)/g, '')
-        .trim();
-
-    // ✅ STEP 2: Heavy cleaning for title matching only
-    const normalizedTorrentTitle = lightCleanedTitle.toLowerCase()
-        .replace(/[^\w\s]/g, ' ')  // Remove all punctuation including dots
-        .replace(/\s+/g, ' ')
-        .trim();
-
-    const isDebugTarget = torrentTitle.toLowerCase().includes('scissione') &&
-        torrentTitle.toLowerCase().includes('s01e01') &&
-        torrentTitle.toLowerCase().includes('2160p');
-
-    // If skipTitleCheck is true (e.g. trusted DB result), bypass strict title matching
-    if (skipTitleCheck) {
-        if (isDebugTarget) console.log(`    ⏩ Skipping title check (trusted source)`);
-    }
-
-    const titlesToCheck = Array.isArray(showTitleOrTitles) ? showTitleOrTitles : [showTitleOrTitles];
-
-    // ✅ STEP 3: Check if title matches (PHASE 1 - Normal match)
-    const checkTitleMatch = (titlesList) => {
-        return titlesList.some(showTitle => {
-            const normalizedShowTitle = showTitle.toLowerCase()
-                .replace(/[^\w\s]/g, ' ')
-                .replace(/\s+/g, ' ')
-                .trim();
-
-            const showWords = normalizedShowTitle.split(' ')
-                .filter(word => word.length > 2)
-                .filter(word => !['the', 'and', 'or', 'in', 'on', 'at', 'to'].includes(word));
-
-            if (showWords.length === 0) return false;
-
-            const matchingWords = showWords.filter(word =>
-                normalizedTorrentTitle.includes(word)
-            );
-
-            const percentageMatch = matchingWords.length / showWords.length;
-
-            if (isDebugTarget) {
-                console.log(`    🔍 Title match: showTitle="${showTitle}", showWords=[${showWords.join(',')}], matchingWords=[${matchingWords.join(',')}], percentage=${percentageMatch}`);
-            }
-
-            return percentageMatch >= 0.6;
-        });
-    };
-
-    let titleIsAMatch = skipTitleCheck ? true : checkTitleMatch(titlesToCheck);
-
-    // ✅ STEP 3.5: If no match, try PHASE 2 - Split on "-" as last resort
-    if (!titleIsAMatch) {
-        const fallbackTitles = titlesToCheck
-            .filter(title => title.includes('-'))
-            .map(title => title.split('-')[0].trim());
-
-        if (fallbackTitles.length > 0) {
-            if (isDebugTarget) {
-                console.log(`    🔄 Trying fallback with titles before "-": ${JSON.stringify(fallbackTitles)}`);
-            }
-            titleIsAMatch = checkTitleMatch(fallbackTitles);
-        }
-    }
-
-    // ✅ FOR ANIME: Check ranges FIRST, even if title doesn't match perfectly
-    // This is because anime packs often have inconsistent title formatting
-    if (isAnime) {
-        // ✅ ANIME: Match episode ranges on LIGHT cleaned title (preserves dots/dashes)
-        // For Kitsu anime, torrents use INCONSISTENT numbering:
-        // - One Piece: "S05E131-143" (absolute episodes with season prefix)
-        // - Attack on Titan: "S03e01-22" (relative season episodes)
-        // - Naruto: "Naruto 141" (absolute without season)
-        // We check ALL possible patterns!
-
-        const useAbsoluteEpisode = absoluteEpisodeNum || episodeNum;
-        const episodeStr = String(episodeNum).padStart(2, '0');
-        const episodeNumStr = String(episodeNum);
-        const absEpisodeStr = String(useAbsoluteEpisode).padStart(2, '0');
-        const absEpisodeNumStr = String(useAbsoluteEpisode);
-
-        // ✅ CRITICAL: Extract season number from torrent title
-        // Must verify season matches before accepting episode match!
-        // Try multiple patterns: S01, Season 1, Stagione 01, etc.
-        let torrentSeason = null;
-
-        // Pattern 1: S01, S1, s05 (most common)
-        const sPattern = lightCleanedTitle.match(/[Ss](\d{1,2})(?:[Ee]\d|\s|$|\.|-)/);
-        if (sPattern) {
-            torrentSeason = parseInt(sPattern[1]);
-        }
-
-        // Pattern 2: Season 1, Season 01
-        if (!torrentSeason) {
-            const seasonPattern = lightCleanedTitle.match(/\bseason\s*(\d{1,2})\b/i);
-            if (seasonPattern) torrentSeason = parseInt(seasonPattern[1]);
-        }
-
-        // Pattern 3: Stagione 01, Stagione 1 (Italian)
-        if (!torrentSeason) {
-            const stagionePattern = lightCleanedTitle.match(/\bstagione\s*(\d{1,2})\b/i);
-            if (stagionePattern) torrentSeason = parseInt(stagionePattern[1]);
-        }
-
-        console.log(`🔍 [ANIME SEASON] Torrent has season: ${torrentSeason || 'NONE'}, requested: S${seasonNum}E${episodeNum} (abs: ${useAbsoluteEpisode})`);
-
-        // Check for single episode match on light cleaned title
-        // ONLY try absolute episode patterns (e.g., "One Piece 141" or "Naruto - 141")
-        // NOT season/episode patterns because those will be in ranges (S03e01-22, S05E131-143)
-        // ⚠️ CRITICAL: Only accept if NO season indicator in title OR season matches!
-        const singleEpisodePatterns = [
-            new RegExp(`\\b${useAbsoluteEpisode}\\b(?!p|i|\\.|bit|-)`, 'i'), // " 141 " but not "141-195" or "1080p"
-            new RegExp(`\\be${absEpisodeStr}\\b(?!\\d|-)`, 'i'),  // "E141" but not "E141-195"
-            new RegExp(`\\be${absEpisodeNumStr}\\b(?!\\d|-)`, 'i'), // "E141" but not "E1410"
-            new RegExp(`\\s-\\s${absEpisodeStr}\\b`, 'i'),
-            new RegExp(`\\s-\\s${absEpisodeNumStr}\\b`, 'i')
-        ];
-
-        const singleMatch = singleEpisodePatterns.some(pattern => pattern.test(lightCleanedTitle));
-        if (singleMatch) {
-            // ✅ Accept ONLY if no season in title OR season matches requested
-            if (torrentSeason === null || torrentSeason === seasonNum) {
-                console.log(`✅ [ANIME] Single episode match for "${torrentTitle.substring(0, 80)}" Ep.${useAbsoluteEpisode} (absolute)`);
-                return true;
-            } else {
-                console.log(`❌ [ANIME] Episode match but WRONG SEASON: torrent has S${torrentSeason}, need S${seasonNum}`);
-                return false;
-            }
-        }
-
-        // ✅ Check for episode range (e.g., "E144-195", "144-195", "E01-30", "S05E131-143")
-        // CRITICAL: Use light cleaned title that PRESERVES dots/dashes!
-        // Must check BOTH absolute and relative episode numbers in ranges
-        const rangePatterns = [
-            /(?:s\d{1,2})?[eE](\d{1,4})\s*[-–—]\s*(?:[eE])?(\d{1,4})/g,  // S01E144-195 or E1001-E1050
-            /(?<!\d)(\d{1,4})\s*[-–—]\s*(\d{1,4})(?!\d)/g                // 144-195 (not part of year like 1999-2011)
-        ];
-
-        console.log(`🔍 [ANIME RANGE DEBUG] Light cleaned title: "${lightCleanedTitle}"`);
-        console.log(`🔍 [ANIME RANGE DEBUG] Checking episode ${episodeNum} (absolute: ${useAbsoluteEpisode})`);
-
-        for (const pattern of rangePatterns) {
-            const matches = lightCleanedTitle.matchAll(pattern);
-            for (const match of matches) {
-                const startEp = parseInt(match[1]);
-                const endEp = parseInt(match[2]);
-
-                console.log(`🔍 [ANIME RANGE] Found range: ${startEp}-${endEp}`);
-
-                // ✅ STRICT VALIDATION:
-                // 1. Start must be less than end
-                // 2. Range must be reasonable (≤300 episodes per pack)
-                // 3. Reject year ranges (e.g., 1999-2011)
-                const rangeSize = endEp - startEp;
-                const isValidRange = (
-                    startEp > 0 &&
-                    endEp > startEp &&
-                    endEp <= 9999 &&
-                    rangeSize <= 300 &&  // Max 300 episodes per pack
-                    startEp < 1900        // Not a year!
-                );
-
-                if (!isValidRange) {
-                    console.log(`❌ [ANIME RANGE] Invalid range ${startEp}-${endEp}: size=${rangeSize}, startEp=${startEp}`);
-                    continue;
-                }
-
-                // ✅ CRITICAL: Check BOTH absolute episode AND season/episode format!
-                // But ALSO verify the SEASON NUMBER matches!
-                // Because torrents are inconsistent:
-                // - One Piece: "S05E131-143" (absolute episodes 131-143 in season 5)
-                // - Attack on Titan: "S03e01-22" (season 3 episodes 1-22)
-
-                // 1. Check if ABSOLUTE episode is in range (for One Piece style)
-                const matchesAbsolute = useAbsoluteEpisode >= startEp && useAbsoluteEpisode <= endEp;
-                if (matchesAbsolute) {
-                    // ✅ VERIFY SEASON: Accept only if no season OR season matches
-                    if (torrentSeason === null || torrentSeason === seasonNum) {
-                        console.log(`✅ [ANIME RANGE] "${torrentTitle.substring(0, 80)}" range ${startEp}-${endEp} contains ABSOLUTE ep.${useAbsoluteEpisode}`);
-                        return true;
-                    } else {
-                        console.log(`❌ [ANIME RANGE] Range match but WRONG SEASON: torrent S${torrentSeason}, need S${seasonNum}`);
-                        continue;
-                    }
-                }
-
-                // 2. Check if SEASON episode is in range (for Attack on Titan style)
-                const matchesSeasonEp = episodeNum >= startEp && episodeNum <= endEp;
-                if (matchesSeasonEp) {
-                    // ✅ VERIFY SEASON: Must have season indicator AND it must match
-                    if (torrentSeason === seasonNum) {
-                        console.log(`✅ [ANIME RANGE] "${torrentTitle.substring(0, 80)}" range ${startEp}-${endEp} contains SEASON ep.${episodeNum}`);
-                        return true;
-                    } else if (torrentSeason === null) {
-                        console.log(`❌ [ANIME RANGE] Range matches ep but NO SEASON indicator in title`);
-                        continue;
-                    } else {
-                        console.log(`❌ [ANIME RANGE] Range match but WRONG SEASON: torrent S${torrentSeason}, need S${seasonNum}`);
-                        continue;
-                    }
-                }
-
-                console.log(`❌ [ANIME RANGE] Range ${startEp}-${endEp} does NOT contain ep.${episodeNum} (abs: ${useAbsoluteEpisode})`);
-            }
-        }
-
-        // ✅ Check for SEASON PACK (e.g., "S01", "Stagione 1", "Season 1 Complete")
-        // Accept if torrent contains the requested season
-        const seasonPackPatterns = [
-            new RegExp(`s${String(seasonNum).padStart(2, '0')}(?!\\d)`, 'i'),  // S01, S05
-            new RegExp(`season\\s*${seasonNum}(?!\\d)`, 'i'),                   // Season 1, Season 5
-            new RegExp(`stagione\\s*${String(seasonNum).padStart(2, '0')}`, 'i'), // Stagione 01
-            /\b(?:completa|complete)\b/i  // [COMPLETA] or Complete
-        ];
-
-        const hasSeasonPack = seasonPackPatterns.some(pattern => pattern.test(lightCleanedTitle));
-        if (hasSeasonPack && (torrentSeason === seasonNum || torrentSeason === null)) {
-            console.log(`✅ [ANIME SEASON PACK] Match for "${torrentTitle.substring(0, 80)}" S${seasonNum}`);
-            return true;
-        }
-
-        console.log(`❌ [ANIME] Episode match for "${torrentTitle.substring(0, 80)}" Ep.${episodeNum}`);
-        return false;
-    }
-
-    // ✅ FOR NON-ANIME: Check title match FIRST
-    if (!titleIsAMatch) {
-        if (isDebugTarget) {
-            console.log(`    ❌ Title matching FAILED for "${torrentTitle.substring(0, 60)}"`);
-        }
-        return false;
-    }
-
-    if (isDebugTarget) {
-        console.log(`    ✅ Title matching PASSED, checking episode patterns...`);
-    }
-
-    const seasonStr = String(seasonNum).padStart(2, '0');
-    const episodeStr = String(episodeNum).padStart(2, '0');
-
-    // ✅ NUOVA LOGICA: Cerca prima l'episodio specifico
-    const exactEpisodePatterns = [
-        new RegExp(`s${seasonStr}e${episodeStr}`, 'i'),
-        new RegExp(`${seasonNum}x${episodeStr}`, 'i'),
-        new RegExp(`[^0-9]${seasonNum}${episodeStr}[^0-9]`, 'i'),
-        new RegExp(`season\s*${seasonNum}\s*episode\s*${episodeNum}`, 'i'),
-        new RegExp(`s${seasonStr}\.?e${episodeStr}`, 'i'),
-        new RegExp(`${seasonStr}${episodeStr}`, 'i')
-    ];
-
-    if (isDebugTarget) {
-        console.log(`    🔍 Testing episode patterns on lightCleaned: "${lightCleanedTitle.substring(0, 80)}"`);
-        exactEpisodePatterns.forEach((pattern, i) => {
-            const match = pattern.test(lightCleanedTitle);
-            console.log(`      Pattern ${i + 1}: ${pattern} → ${match ? '✅ MATCH' : '❌ no match'}`);
-        });
-    }
-
-    // ✅ Use lightCleanedTitle for regex checks to preserve punctuation (dots, dashes)
-    const exactMatch = exactEpisodePatterns.some(pattern => pattern.test(lightCleanedTitle));
-    if (exactMatch) {
-        if (DEBUG_MODE) console.log(`✅ [EXACT] Episode match for "${torrentTitle}" S${seasonStr}E${episodeStr}`);
-        return true;
-    }
-
-    // ✅ EPISODE RANGE: Check if episode is in a range (e.g., "S06E01-25" contains E06)
-    // Pattern: S06E01-25, S06E01-E25, 6x01-25, etc.
-    // Must use lightCleanedTitle because normalizedTorrentTitle replaces dashes with spaces!
-    // Expanded patterns to support:
-    // - S01E01-10
-    // - S01E01-E10
-    // - 1x01-10
-    // - Season 1 Episode 1-10
-    // - Stagione 1 Episodio 1-10
-    const episodeRangePatterns = [
-        // Standard S01E01-10 or S01E01-E10
-        new RegExp(`s${seasonStr}e(\\d{1,2})\\s*[-–—]\\s*e?(\\d{1,2})`, 'i'),
-        // 1x01-10
-        new RegExp(`${seasonNum}x(\\d{1,2})\\s*[-–—]\\s*(\\d{1,2})`, 'i'),
-        // Season 1 Episode 1-10 (English)
-        new RegExp(`season\\s*${seasonNum}\\s*episode\\s*(\\d{1,2})\\s*[-–—]\\s*(\\d{1,2})`, 'i'),
-        // Stagione 1 Episodio 1-10 (Italian)
-        new RegExp(`stagione\\s*${seasonNum}\\s*episodio\\s*(\\d{1,2})\\s*[-–—]\\s*(\\d{1,2})`, 'i'),
-        // S01 01-10 (Loose)
-        new RegExp(`s${seasonStr}\\s+(\\d{1,2})\\s*[-–—]\\s*(\\d{1,2})`, 'i')
-    ];
-
-    for (const pattern of episodeRangePatterns) {
-        const rangeMatch = lightCleanedTitle.match(pattern);
-        if (rangeMatch) {
-            const startEp = parseInt(rangeMatch[1]);
-            const endEp = parseInt(rangeMatch[2]);
-            if (episodeNum >= startEp && episodeNum <= endEp) {
-                console.log(`✅ [EPISODE RANGE] Match for "${torrentTitle}" S${seasonStr}E${startEp}-${endEp} contains E${episodeStr}`);
-                return true;
-            }
-        }
-    }
-
-    // ✅ MULTI-SEASON RANGE: Check if torrent is a range of seasons (e.g., "S01S05", "S1-5")
-    // This allows S01E06 requests to match "Prison Break S01S05" pack
-    // Patterns: S01S05, S01-05, Season 1-5, Stagioni 1-5
-    const multiSeasonPatterns = [
-        // S01S05 or S1S5 (Specific Issue Fix)
-        /[Ss](\d{1,2})[Ss](\d{1,2})(?!\d)/,
-        // S01-S05 or S1-S5
-        /[Ss](\d{1,2})\s*[-–—]\s*[Ss](\d{1,2})(?!\d)/,
-        // S01-05 or S1-5 (but not S01E05)
-        /[Ss](\d{1,2})\s*[-–—]\s*(?<![eE])(\d{1,2})(?!\d)/,
-        // Season 1-5
-        /season\s*(\d{1,2})\s*[-–—]\s*(\d{1,2})/i,
-        // Stagioni 1-5
-        /stagion[ie]\s*(\d{1,2})\s*[-–—]\s*(\d{1,2})/i
-    ];
-
-    for (const pattern of multiSeasonPatterns) {
-        const rangeMatch = lightCleanedTitle.match(pattern);
-        if (rangeMatch) {
-            const startSeason = parseInt(rangeMatch[1]);
-            const endSeason = parseInt(rangeMatch[2]);
-
-            // Validate range sanely (max 50 seasons, valid order)
-            if (startSeason > 0 && endSeason >= startSeason && endSeason - startSeason < 50) {
-                if (seasonNum >= startSeason && seasonNum <= endSeason) {
-                    if (DEBUG_MODE) console.log(`✅ [MULTI-SEASON RANGE] Match for "${torrentTitle}" Range S${startSeason}-S${endSeason} contains Season S${seasonStr}`);
-                    return true;
-                }
-            }
-        }
-    }
-
-    // ✅ NUOVA LOGICA: Se non trova l'episodio esatto, cerca SEASON PACK
-    // Es: "Simpson Stagione 27", "Simpson S27", "Simpson Season 27 Complete"
-    const seasonPackPatterns = [
-        // Italiano
-        new RegExp(`stagione\\s*${seasonNum}(?!\\d)`, 'i'),
-        new RegExp(`stagione\\s*${seasonStr}(?!\\d)`, 'i'),
-        // Inglese
-        new RegExp(`season\\s*${seasonNum}(?!\\d)`, 'i'),
-        new RegExp(`season\\s*${seasonStr}(?!\\d)`, 'i'),
-        // Formato compatto S01 o S1
-        // Dopo normalizzazione: "S01.1080p" → "s011080p", "S01.ITA" → "s01ita"
-        // Pattern intelligente: riconosce resolution (480-2160p), anni (1900-2099), parole (ita/eng/complete)
-        new RegExp(
-            `s${seasonStr}(?:` +
-            `(?:480|720|1080|1440|2160)p?|` +  // Resolution comuni
-            `(?:19|20)\\d{2}|` +                // Anno
-            `[a-z]{2,}|` +                      // Parola (ita, eng, multi, complete, etc.)
-            `\\s|$` +                           // Spazio o fine stringa
-            `)`,
-            'i'
-        ),
-        // S1 (single digit) - stesso approccio ma evita S1E
-        new RegExp(
-            `s0*${seasonNum}(?:` +
-            `(?:480|720|1080|1440|2160)p?|` +
-            `(?:19|20)\\d{2}|` +
-            `[a-z]{2,}|` +
-            `\\s|$` +
-            `)(?!e)`,  // NON seguito da 'e' (evita S1E)
-            'i'
-        ),
-        // Complete pack con keywords
-        new RegExp(`s${seasonStr}.*(?:completa|complete|full|series)`, 'i'),
-        new RegExp(`(?:completa|complete|full|series).*s${seasonStr}`, 'i')
-    ];
-
-    const seasonPackMatch = seasonPackPatterns.some(pattern => pattern.test(normalizedTorrentTitle));
-    if (seasonPackMatch) {
-        // ✅ PARTE/PART/VOLUME CHECK: Exclude "Parte 2" packs when looking for early episodes
-        // Pattern: "Parte 01/02", "Part 1/2", "Volume 1/2", "Vol.1/2"
-        const parteMatch = torrentTitle.match(/(?:parte|part|volume|vol)[.\s]*0*([12])/i);
-        if (parteMatch) {
-            const partNum = parseInt(parteMatch[1]);
-            // Assume Part 1 = episodes 1-4, Part 2 = episodes 5+
-            // This is a common pattern for Netflix/streaming releases
-            const isFirstHalf = episodeNum <= 4;
-            const isSecondHalf = episodeNum >= 5;
-
-            if (partNum === 1 && isSecondHalf) {
-                if (DEBUG_MODE) console.log(`❌ [SEASON PACK] Excluded "${torrentTitle.substring(0, 60)}..." (Part 1 doesn't contain E${episodeNum})`);
-                return false;
-            }
-            if (partNum === 2 && isFirstHalf) {
-                if (DEBUG_MODE) console.log(`❌ [SEASON PACK] Excluded "${torrentTitle.substring(0, 60)}..." (Part 2 doesn't contain E${episodeNum})`);
-                return false;
-            }
-        }
-        if (DEBUG_MODE) console.log(`✅ [SEASON PACK] Match for "${torrentTitle}" contains Season ${seasonNum}`);
-        return true;
-    }
-
-    // ✅ COMPLETE SERIES PACK: Check for [COMPLETA] / [COMPLETE] / [FULL SERIES] without specific season number
-    // This handles anime and series that are packaged as complete series (e.g., "Death Note (2006) [COMPLETA]")
-    // Also supports year ranges like (2011-2019) which indicate full series run
-    const completeSeriesPattern = /(?:completa?|complete|full.*series|serie.*completa?|integrale|[\[(]\d{4}[-–—]\d{4}[\])])/i;
-    if (completeSeriesPattern.test(normalizedTorrentTitle)) {
-        // Only match if there's NO explicit season number (avoids false positives like "S02 COMPLETA")
-        const hasExplicitSeason = /(?:stagione|season|s)\s*\d{1,2}/i.test(normalizedTorrentTitle);
-        if (!hasExplicitSeason) {
-            if (DEBUG_MODE) console.log(`✅ [COMPLETE SERIES] Match for "${torrentTitle}" - complete series pack (no explicit season)`);
-            return true;
-        }
-    }
-
-    // ✅ MULTI-SEASON RANGE: Check if season is within a range (e.g., "S01-S10" includes S08)
-    // Patterns: S01-S10, Season 1-10, Stagione 1-10, S1-S10, etc.
-    // Must use lightCleanedTitle to preserve dashes!
-    const multiSeasonRangePattern = /(?:s|season|stagione)\s*(\d{1,2})\s*[-–—]\s*(?:s|season|stagione)?\s*(\d{1,2})/i;
-    const seasonRangeMatch = lightCleanedTitle.match(multiSeasonRangePattern);
-    if (seasonRangeMatch) {
-        const startSeason = parseInt(seasonRangeMatch[1]);
-        const endSeason = parseInt(seasonRangeMatch[2]);
-        if (DEBUG_MODE) console.log(`🔍 [MULTI-SEASON CHECK] "${torrentTitle}" has range S${startSeason}-S${endSeason}, checking if Season ${seasonNum} is included...`);
-        if (seasonNum >= startSeason && seasonNum <= endSeason) {
-            if (DEBUG_MODE) console.log(`✅ [MULTI-SEASON RANGE] Match for "${torrentTitle}" S${startSeason}-S${endSeason} contains Season ${seasonNum}`);
-            return true;
-        } else {
-            if (DEBUG_MODE) console.log(`❌ [MULTI-SEASON RANGE] Season ${seasonNum} is NOT in range S${startSeason}-S${endSeason}`);
-        }
-    }
-
-    if (DEBUG_MODE) console.log(`❌ No match for "${torrentTitle}" S${seasonStr}E${episodeStr}`);
-    return false;
-}
-
-function isExactMovieMatch(torrentTitle, movieTitle, year) {
-    if (!torrentTitle || !movieTitle) return false;
-
-    // SMART POSITION-AWARE NORMALIZATION
-
-    // Step 1: Check for YEAR RANGE first (YYYY-YYYY) - for collections/trilogies
-    const rangeMatch = torrentTitle.match(/\(?\s*(\d{4})\s*-\s*(\d{4})\s*\)?/);
-
-    if (rangeMatch) {
-        // RANGE FOUND! (e.g., "Matrix Trilogia (1999-2003)" or "Collection 1989-2015")
-        const year1 = rangeMatch[1];
-        const year2 = rangeMatch[2];
-        const rangeIndex = torrentTitle.indexOf(rangeMatch[0]);
-
-        // Get title before the range
-        let beforeRange = torrentTitle.substring(0, rangeIndex).trim();
-
-        // Clean beforeRange
-        beforeRange = beforeRange
-            .replace(/<[^>]*>/g, '')
-            .replace(/\[.*?\]/g, '')
-            .replace(/\(+/g, ' ')
-            .replace(/\)+/g, ' ')
-            .replace(/[-_.]+/g, ' ')
-            .replace(/\s+/g, ' ')
-            .trim();
-
-        // Return: title + year range (e.g., "matrix trilogia 1999-2003")
-        torrentTitle = `${beforeRange} ${year1}-${year2}`;
-    }
-
-    // Step 2: Find single year BEFORE any cleanup to determine its position
-    const titleYearMatch = torrentTitle.match(/\b((?:19|20)\d{2})\b/);
-
-    if (!rangeMatch && !titleYearMatch) {
-        // NO YEAR: Extract first 5 meaningful words (skip technical terms)
-        let words = torrentTitle
-            .replace(/<[^>]*>/g, '')
-            .replace(/\[.*?\]/g, '')
-            .replace(/\(.*?\)/g, '')
-            .replace(/[-_.]/g, ' ')
-            .split(/\s+/)
-            .filter(w => w.length > 0);
-
-        let meaningfulWords = [];
-        const techPattern = /^(?:480|720|1080|1440|2160|160|576|4K|8K|HD|UHD|FHD|FullHD|SD|HDR|HDR10|DV|x264|x265|H264|H265|HEVC|BluRay|WEBRip|WEBDL|BDRemux|AAC|AC3|DTS|Atmos|iTA|ENG|ITA|MULTI|SUB|MIRCrew|NAHOM|NeoNoir|FHC)$/i;
-
-        for (let word of words) {
-            if (!techPattern.test(word) && !/^\d+\.?\d*$/.test(word)) {
-                meaningfulWords.push(word);
-                if (meaningfulWords.length >= 5) break;
-            }
-        }
-
-        torrentTitle = meaningfulWords.join(' ');
-    } else if (!rangeMatch && titleYearMatch) {
-        const foundYear = titleYearMatch[1];
-        const yearIndex = torrentTitle.indexOf(foundYear);
-        const beforeYear = torrentTitle.substring(0, yearIndex).trim();
-
-        // Check if there's meaningful content before year (not just brackets/punctuation)
-        const cleanBeforeYear = beforeYear.replace(/[\[\](){}]/g, '').replace(/[^\w\s]/g, ' ').trim();
-        const hasContentBeforeYear = cleanBeforeYear.length > 3;
-
-        if (hasContentBeforeYear) {
-            // YEAR IS AFTER TITLE (98% of cases: "Title (2025)" or "Title 2025")
-            // Strategy: Keep title + year, remove everything after
-            let cleanTitle = beforeYear
-                .replace(/<[^>]*>/g, '')
-                .replace(/\[.*?\]/g, '')
-                .replace(/\(+/g, ' ')
-                .replace(/\)+/g, ' ')
-                .replace(/[-_.]+/g, ' ')
-                .replace(/\s+/g, ' ')
-                .trim();
-
-            torrentTitle = cleanTitle + ' ' + foundYear;
-        } else {
-            // YEAR IS AT START (1.4% of cases: "[2025] Title" or "2025 Title")
-            // Strategy: Remove year, clean title after it, take first 5 words
-            let afterYear = torrentTitle.substring(yearIndex + 4).trim();
-            afterYear = afterYear.replace(/^\s*[\[\](){}]\s*/, '');
-
-            // Aggressive cleanup
-            afterYear = afterYear
-                .replace(/\b(?:480|720|1080|1440|2160|160|576)p?\b/gi, '')
-                .replace(/\b(?:4K|8K|HD|UHD|FHD|FullHD|SD)\b/gi, '')
-                .replace(/\b(?:HDR|HDR10|HDR10\+|DV|Dolby\.?Vision|SDR)\b/gi, '')
-                .replace(/\b(?:BluRay|BDRip|BDRemux|WEBRip|WEBDL|WEB-DL|WEB|BRRip|DVDRip)\b/gi, '')
-                .replace(/\b(?:x264|x265|H\.?264|H\.?265|HEVC|AVC)\b/gi, '')
-                .replace(/\b(?:AAC|AC3|DDP5\.1|DDP|DTS|Atmos|EAC3|MP3)\b/gi, '')
-                .replace(/\b(?:10Bit|10bit|8bit)\b/gi, '')
-                .replace(/\b(?:REMASTERED|UNRATED|EXTENDED|REPACK|IMAX|OPEN\.?MATTE|CUSTOM|EXPANDED|EDITION)\b/gi, '')
-                .replace(/\b(?:iTA|ENG|ITA|IND|JAP|CHI|KOR|DEU|FRE|Ita|Eng|THD|ATMOS)\s+(?:ENG|ITA|Eng|Ita|DTS|AAC|AC3|\d+\.?\d*)\b/g, '')
-                .replace(/\b(?:MULTI|MULTi|MULTISUB|NUita|NUeng|NUITA|NUENG)\b/gi, '')
-                .replace(/\bsub\s+(?:ita|eng|nuita|nueng)\b/gi, '')
-                .replace(/\b(?:MIRCrew|NAHOM|NeoNoir|PSA|FHC_CREW|FHC|Dr4gon|realDMDJ|Paso77|TheEmojiCreW|Licdom|phadron|ZEI|HD4ME|jeddak|Sp33dy94|UBi|Disney)\b/gi, '')
-                .replace(/\b(?:by\s+[\w]+)\b/gi, '')
-                .replace(/\b(?:ita|eng|jap|chi|ind|kor|deu|fre)\b/gi, '')
-                .replace(/\bsub\b/gi, '')
-                .replace(/\b\d+\.\d+\b/gi, '')
-                .replace(/\bmkv\b/gi, '')
-                .replace(/\[.*?\]/g, '')
-                .replace(/\(.*?\)/g, '')
-                .replace(/[-_.]/g, ' ')
-                .replace(/\s+/g, ' ')
-                .trim();
-
-            // Take first 5 meaningful words
-            let words = afterYear.split(/\s+/).filter(w => w.length > 2);
-            if (words.length > 5) words = words.slice(0, 5);
-            torrentTitle = words.join(' ');
-        }
-    }
-
-    const normalizedTorrentTitle = torrentTitle.toLowerCase().trim();
-    const normalizedMovieTitle = movieTitle.toLowerCase()
-        .replace(/[^\w\s]/g, ' ')
-        .replace(/\s+/g, ' ')
-        .trim();
-
-    let hasEnoughMovieWords;
-
-    const movieWords = normalizedMovieTitle.split(' ').filter(word => word.length > 2 && !['the', 'and', 'or', 'in', 'on', 'at', 'to'].includes(word));
-
-    if (movieWords.length === 0) {
-        // Handle very short titles like "F1" or "IT" where word-based matching would fail
-        const titleRegex = new RegExp(`\\b${normalizedMovieTitle.replace(/[-\/\\^$*+?.()|[\]{}]/g, '\\$&')}\\b`, 'i');
-        hasEnoughMovieWords = titleRegex.test(normalizedTorrentTitle);
-    } else {
-        const matchingWords = movieWords.filter(word =>
-            normalizedTorrentTitle.includes(word)
-        );
-        const percentageMatch = matchingWords.length / movieWords.length;
-        hasEnoughMovieWords = percentageMatch >= 0.9; // Recommend high threshold for containment
-
-        // 🚨 SEQUEL PROTECTION: Check for SIGNIFICANT extra words
-        // Example: "Glass Onion: A Knives Out Mystery" vs "Knives Out"
-        // Both have 100% containment of "Knives Out".
-        // But "Glass Onion" is a huge prefix.
-        if (hasEnoughMovieWords) {
-            // Remove the movie title from the torrent title to see what's left
-            // Using a simple replace approach
-            let remaining = normalizedTorrentTitle;
-            movieWords.forEach(w => remaining = remaining.replace(w, ''));
-            const extraWords = remaining.split(/\s+/).filter(w => w.length > 3);
-
-            // If we have > 2 significant extra words, we MUST enforce strict year match
-            // This allows "Knives Out Extended Cut" (extra words) vs "Knives Out" if year is good
-            // But blocks "Glass Onion Knives Out" if year is wrong.
-            if (extraWords.length > 2) {
-                if (DEBUG_MODE) console.log(`⚠️ [Movie Match] Found significant extra words: [${extraWords.join(', ')}]. Enforcing strict year match.`);
-                // We don't return false yet, we just ensure year check below is strict.
-            }
-        }
-
-        if (!hasEnoughMovieWords) {
-            if (DEBUG_MODE) console.log(`❌ Movie match failed for "${torrentTitle}" - ${percentageMatch.toFixed(2)} match`);
-        }
-    }
-
-    if (!hasEnoughMovieWords) {
-        return false;
-    }
-
-    const yearMatch = torrentTitle.match(/(?:19|20)\d{2}/);
-
-    // Strict Year Match Flag (default false)
-    let mustHaveStrictYear = false;
-
-    // Check previously calculated extra words
-    if (hasEnoughMovieWords) {
-        let remaining = normalizedTorrentTitle;
-        movieWords.forEach(w => remaining = remaining.replace(w, ''));
-        const extraWords = remaining.split(/\s+/).filter(w => w.length > 3);
-
-        if (extraWords.length > 2) {
-            mustHaveStrictYear = true;
-            if (DEBUG_MODE) console.log(`⚠️ [Movie Match] Found significant extra words: [${extraWords.join(', ')}]. Enforcing STRICT year match.`);
-        }
-    }
-
-    // Validation Logic:
-    // 1. If strict mode: Year MUST exist AND match exactly (no tolerance)
-    // 2. If normal mode: No year is OK OR year matches with tolerance
-    const yearMatches = mustHaveStrictYear
-        ? (yearMatch && yearMatch[0] === year.toString())
-        : (!yearMatch || yearMatch[0] === year.toString() || Math.abs(parseInt(yearMatch[0]) - parseInt(year)) <= 1);
-
-    if (DEBUG_MODE) console.log(`${yearMatches ? '✅' : '❌'} Year match for "${torrentTitle}" (${year}) ${mustHaveStrictYear ? '[STRICT]' : ''}`);
-    return yearMatches;
-}
-
 /**
  * Match the best file in a pack torrent for a specific movie
  * @param {Array} files - Array of files from torrent info
@@ -6173,17 +5968,569 @@ function matchPackFile(files, movieDetails) {
     return bestFileIndex;
 }
 
-// ✅ Enhanced stream handler with better error handling and logging
-async function handleStream(type, id, config, workerOrigin) {
-    maybeCleanupCache();
-
-    // The ID from Stremio might be URL-encoded, especially on Android.
-    const decodedId = decodeURIComponent(id);
-
-    console.log(`\n🎯 Processing ${type} with ID: ${decodedId}`);
+// 🧩 PROVIDER REGISTRY
+// Every live torrent source used by handleStream is declared here. The fan-out,
+// per-provider toggles, stats/metrics and DB saving are driven from this list,
+// so adding a tracker means adding an entry (plus its fetch function).
+//
+// Provider fields:
+//   id              - Name used in logs, stats/metrics and as key of the raw results
+//   types           - Supported search types ('movie', 'series', 'anime')
+//   timeout         - Default timeout (ms) for a single search() call
+//   mode            - 'perQuery': runs for every query of the shared search loop
+//                     'own': runs its own queries from buildQueries(), one after another
+//   configKey       - Toggle in the user config (null = no toggle)
+//   defaultEnabled  - Toggle value when the user never set it
+//   skipOnDbHit     - Also skip when the DB/FTS tier already answered (db_only/hybrid always skip)
+//   trustedItalian  - Results are saved to the DB even without an ITA tag
+//   sourcePattern   - Regex on result.source identifying this provider (defaults to the id)
+//   isAvailable(config)            - Extra requirements (credentials, sub-addons...)
+//   buildQueries(ctx)              - 'own' mode only: queries to run
+//   search(query, ctx, options)    - Returns raw results
+//   normalize(result, provider)    - Maps a raw result to the common schema (defaults to normalizeProviderResult)
+//   shouldStop(state, ctx)         - 'own' mode only: early exit between queries
+
+const ALL_SEARCH_TYPES = ['movie', 'series', 'anime'];
+
+/**
+ * Map a raw provider result to the common result schema used by handleStream:
+ * { title, websiteTitle, filename, infoHash (uppercase), magnetLink, size, sizeInBytes,
+ *   mainFileSize, seeders, leechers, quality, source, providerId }
+ * Provider-specific fields (fileIndex, externalAddon, parsedInfo...) are kept as-is.
+ */
+function normalizeProviderResult(result, provider) {
+    if (!result) return null;
+    const magnetLink = result.magnetLink || result.magnet || null;
+    const infoHash = (result.infoHash || extractInfoHash(magnetLink) || '').toUpperCase() || null;
+    const title = result.title || result.websiteTitle || result.filename || '';
+    const sizeInBytes = result.sizeInBytes ?? result.mainFileSize ?? result.sizeBytes ?? null;
+
+    return {
+        ...result,
+        title,
+        websiteTitle: result.websiteTitle || title,
+        filename: result.filename || title,
+        infoHash,
+        magnetLink: magnetLink || (infoHash ? `magnet:?xt=urn:btih:${infoHash}&dn=${encodeURIComponent(title)}` : null),
+        size: result.size || (sizeInBytes ? formatBytes(sizeInBytes) : 'Unknown'),
+        sizeInBytes,
+        mainFileSize: result.mainFileSize ?? sizeInBytes,
+        seeders: result.seeders || 0,
+        leechers: result.leechers || 0,
+        quality: result.quality || extractQuality(title),
+        source: result.source || provider.id,
+        providerId: provider.id
+    };
+}
+
+/**
+ * External addons (Torrentio, MediaFusion, Comet) enabled in the user config
+ * @param {Object} config - User configuration
+ * @returns {string[]} Addon keys for fetchExternalAddonsFlat
+ */
+function getEnabledExternalAddons(config) {
+    const enabled = [];
+    if (config.use_external_addons === false) return enabled;
+    if (config.use_torrentio !== false) enabled.push('torrentio');
+    if (config.use_mediafusion !== false) enabled.push('mediafusion');
+    if (config.use_comet !== false) enabled.push('comet');
+    return enabled;
+}
+
+// Stremio-format ID (tt123 or tt123:S:E) for addon-style APIs
+const getProviderStremioId = (ctx) => {
+    const imdbId = ctx.mediaDetails.imdbId || ctx.decodedId.split(':')[0];
+    return ctx.type === 'series' && ctx.season && ctx.episode ? `${imdbId}:${ctx.season}:${ctx.episode}` : imdbId;
+};
+
+// Order matters: it is the merge order of the raw results (first wins on dedup ties)
+const PROVIDER_REGISTRY = [
+    {
+        id: 'CorsaroNero',
+        types: ALL_SEARCH_TYPES,
+        timeout: 20000,
+        mode: 'perQuery',
+        configKey: 'use_corsaronero',
+        defaultEnabled: true,
+        skipOnDbHit: true,
+        trustedItalian: true,
+        sourcePattern: /corsaro/i, // Also matches DB results ('💾 CorsaroNero', legacy 'corsaro')
+        search: (query, ctx) => fetchCorsaroNeroData(query, ctx.searchType)
+    },
+    {
+        id: 'Knaben',
+        types: ALL_SEARCH_TYPES,
+        timeout: 12000,
+        mode: 'perQuery',
+        configKey: 'use_knaben',
+        defaultEnabled: true,
+        skipOnDbHit: true,
+        // 🔥 AIOStreams-style API with metadata when available
+        search: (query, ctx) => fetchKnabenData(query, ctx.searchType, {
+            primaryTitle: ctx.mediaDetails.title,
+            title: ctx.mediaDetails.title,
+            titles: ctx.mediaDetails.titles || [ctx.mediaDetails.title],
+            year: ctx.mediaDetails.year,
+            imdbId: ctx.mediaDetails.imdbId,
+            tmdbId: ctx.mediaDetails.tmdbId,
+            absoluteEpisode: ctx.mediaDetails.absoluteEpisode,
+        }, {
+            mediaType: ctx.searchType,
+            season: ctx.season,
+            episode: ctx.episode,
+        })
+    },
+    {
+        id: 'TorrentGalaxy',
+        types: ALL_SEARCH_TYPES,
+        timeout: 12000,
+        mode: 'perQuery',
+        configKey: 'use_torrentgalaxy',
+        defaultEnabled: false, // Opt-in
+        skipOnDbHit: true,
+        search: (query, ctx) => {
+            const cleanedItalianTitle = ctx.italianTitle ? ctx.cleanTitle(ctx.italianTitle) : '';
+            return fetchTorrentGalaxyData(query, ctx.searchType, {
+                primaryTitle: cleanedItalianTitle || ctx.originalTitle || ctx.mediaDetails.title,
+                title: ctx.originalTitle || ctx.mediaDetails.title,
+                year: ctx.mediaDetails.year,
+                titles: [cleanedItalianTitle, ctx.originalTitle, ctx.mediaDetails.title].filter(Boolean),
+            }, {
+                season: ctx.season ? parseInt(ctx.season, 10) : undefined,
+                episode: ctx.episode ? parseInt(ctx.episode, 10) : undefined,
+            });
+        }
+    },
+    {
+        id: 'ExternalAddons', // ✅ Torrentio, MediaFusion, Comet
+        types: ALL_SEARCH_TYPES,
+        timeout: 5000,
+        mode: 'own',
+        configKey: 'use_external_addons',
+        defaultEnabled: true,
+        isAvailable: (config) => getEnabledExternalAddons(config).length > 0,
+        buildQueries: (ctx) => [getProviderStremioId(ctx)],
+        search: (stremioId, ctx) => {
+            const enabledAddons = getEnabledExternalAddons(ctx.config);
+            console.log(`\n🔗 [External Addons] Fetching from ${enabledAddons.join(', ')}...`);
+            return fetchExternalAddonsFlat(ctx.type, stremioId, { enabledAddons });
+        }
+    },
+    {
+        id: 'RARBG',
+        types: ALL_SEARCH_TYPES,
+        timeout: 4500,
+        mode: 'own',
+        configKey: 'use_rarbg',
+        defaultEnabled: true,
+        // 🇮🇹 PRIORITY: Use Italian title if available, otherwise original name, then English title
+        buildQueries: (ctx) => [ctx.italianTitle || ctx.mediaDetails.originalName || ctx.mediaDetails.title],
+        search: (query, ctx, { timeout }) =>
+            searchRARBG(query, ctx.mediaDetails.year, ctx.type, getProviderStremioId(ctx), { timeout, allowEng: true })
+    },
+    {
+        id: 'UIndex',
+        types: ALL_SEARCH_TYPES,
+        timeout: 10000,
+        mode: 'own',
+        configKey: 'use_uindex',
+        defaultEnabled: true,
+        queryDelayMs: 500, // Rate limit protection
+        // Max 1 Italian + 1 English query (movies: "<title> ita", series: "<title> SNN ita")
+        buildQueries: (ctx) => {
+            const seasonStr = ctx.type !== 'movie' && ctx.season ? ` S${String(ctx.season).padStart(2, '0')}` : '';
+            const cleanedItalian = ctx.italianTitle ? ctx.cleanTitle(ctx.italianTitle) : '';
+            const cleanedEnglish = ctx.cleanTitle(ctx.mediaDetails.title);
+            const queries = [];
+            if (cleanedItalian) queries.push(`${cleanedItalian}${seasonStr} ita`);
+            if (cleanedEnglish !== cleanedItalian) queries.push(`${cleanedEnglish}${seasonStr} ita`);
+            return [...new Set(queries)];
+        },
+        search: (query, ctx) => fetchUIndexData(query, ctx.searchType, ctx.italianTitle, {
+            titles: ctx.mediaDetails.titles || [ctx.mediaDetails.title, ctx.italianTitle, ctx.originalTitle].filter(Boolean),
+            year: ctx.mediaDetails.year,
+            season: ctx.season ? parseInt(ctx.season, 10) : undefined,
+            episode: ctx.episode ? parseInt(ctx.episode, 10) : undefined,
+        }),
+        // 🛑 EARLY EXIT: enough results from the Italian title query, skip the English fallback
+        shouldStop: ({ index, results }, ctx) => !!ctx.italianTitle && index >= 1 && results.length >= 5
+    },
+    {
+        id: 'Jackettio',
+        types: ALL_SEARCH_TYPES,
+        timeout: 20000,
+        mode: 'perQuery',
+        configKey: null,
+        skipOnDbHit: true,
+        isAvailable: (config) => !!(config.jackett_url && config.jackett_api_key),
+        search: (query, ctx) => {
+            if (!ctx.jackettio) {
+                ctx.jackettio = new Jackettio(ctx.config.jackett_url, ctx.config.jackett_api_key, ctx.config.jackett_password);
+                console.log('🔍 [Jackettio] Instance initialized (ITALIAN ONLY mode)');
+            }
+            return fetchJackettioData(query, ctx.searchType, ctx.jackettio);
+        }
+    }
+];
+
+/**
+ * Providers enabled for a request (toggles + requirements + supported type)
+ * @param {Object} config - User configuration
+ * @param {string} searchType - 'movie', 'series' or 'anime'
+ * @returns {Object[]} Provider definitions
+ */
+function getEnabledProviders(config, searchType) {
+    return PROVIDER_REGISTRY.filter(provider => {
+        if (!provider.types.includes(searchType)) return false;
+        if (provider.configKey) {
+            const value = config[provider.configKey];
+            const enabled = provider.defaultEnabled ? value !== false : value === true;
+            if (!enabled) return false;
+        }
+        return provider.isAvailable ? provider.isAvailable(config) : true;
+    });
+}
+
+/**
+ * Run one provider search with its default timeout, stats tracking and normalisation
+ * @param {Object} provider - Provider definition
+ * @param {string} query - Search query
+ * @param {Object} ctx - Request context (type, searchType, season, episode, mediaDetails, ...)
+ * @returns {Promise<Object[]>} Normalised results (rejects on error/timeout)
+ */
+async function runProviderSearch(provider, query, ctx) {
+    const raw = await trackProviderCall(provider.id, () => {
+        let timeoutId;
+        const timeout = new Promise((_, reject) => {
+            timeoutId = setTimeout(() => {
+                const error = new Error(`${provider.id} timed out after ${provider.timeout}ms`);
+                error.name = 'TimeoutError';
+                reject(error);
+            }, provider.timeout);
+        });
+        return Promise.race([provider.search(query, ctx, { timeout: provider.timeout }), timeout])
+            .finally(() => clearTimeout(timeoutId));
+    });
+    const normalize = provider.normalize || normalizeProviderResult;
+    return (raw || []).map(result => normalize(result, provider)).filter(Boolean);
+}
+
+/**
+ * Whether a result comes from a provider trusted to be Italian (saved to DB without ITA tag).
+ * Matches both live results and DB results re-saved with their original provider name.
+ */
+function isTrustedItalianResult(result) {
+    const source = result.source || '';
+    return PROVIDER_REGISTRY.some(provider => provider.trustedItalian && (
+        result.providerId === provider.id ||
+        (provider.sourcePattern ? provider.sourcePattern.test(source) : source.toLowerCase().includes(provider.id.toLowerCase()))
+    ));
+}
+
+// 📰 USENET (Newznab indexers + TorBox usenet)
+// Releases have no infoHash and only TorBox can play them. The search runs by IMDb ID in
+// parallel with the torrent search; handleStream adds the releases to the results before
+// the filters and builds their streams next to the torrent ones, before the sorting.
+const USENET_SEARCH_TIMEOUT = 10000;
+
+/**
+ * Search usenet releases for a Stremio request
+ * @param {string} type - 'movie' or 'series'
+ * @param {string} id - Stremio id ("tt0111161" or "tt0903747:1:2")
+ * @param {Object} config - User configuration
+ * @param {string} workerOrigin - Public origin for the /nzb/ links given to TorBox
+ * @returns {Promise<Object[]>} Results flagged isUsenet (empty if usenet is not available)
+ */
+async function searchUsenetReleases(type, id, config, workerOrigin) {
+    const indexers = newznab.getNewznabIndexers();
+    if (!config.torbox_key || indexers.length === 0 || config.usenet_enabled === false) return [];
+
+    const [imdbId, seasonStr, episodeStr] = decodeURIComponent(id).split(':');
+    if (!imdbId?.startsWith('tt')) return [];
+    const season = type === 'series' ? parseInt(seasonStr) || null : null;
+    const episode = type === 'series' ? parseInt(episodeStr) || null : null;
+    if (type === 'series' && (!season || !episode)) return [];
+
+    const dbEnabled = !!process.env.DATABASE_URL;
+    if (dbEnabled) {
+        try { dbHelper.initDatabase(); } catch (error) { console.warn(`⚠️ [Usenet] DB unavailable: ${error.message}`); }
+    }
+
+    // Live search on every indexer + releases already in the DB
+    const [liveBatches, dbRows] = await Promise.all([
+        Promise.all(indexers.map(indexer => trackProviderCall(`Newznab (${indexer.name})`, () =>
+            new newznab.NewznabIndexer(indexer).search({ type, imdbId, season, episode, timeout: USENET_SEARCH_TIMEOUT })
+        ).catch(error => {
+            console.warn(`⚠️ [Usenet] ${indexer.name} failed: ${error.message}`);
+            return [];
+        }))),
+        dbEnabled ? dbHelper.searchUsenetReleases(imdbId, season, episode) : []
+    ]);
+
+    // Italian only (like Jackettio) and the right season/episode: indexers don't always honour season/ep
+    const liveReleases = liveBatches.flat()
+        .filter(release => isItalian(release.title))
+        .map(release => {
+            const parsed = parseTorrentTitle(release.title);
+            return {
+                ...release,
+                type,
+                imdbId,
+                season: type === 'series' ? (parsed.seasons.length === 1 ? parsed.seasons[0] : null) : null,
+                episode: type === 'series' ? (parsed.episodes.length === 1 ? parsed.episodes[0] : null) : null
+            };
+        })
+        .filter(release => type !== 'series' || (release.season === season && (release.episode === null || release.episode === episode)));
+
+    if (dbEnabled && liveReleases.length > 0) {
+        dbHelper.saveUsenetReleases(liveReleases)
+            .catch(error => console.warn(`⚠️ [Usenet] Failed to save releases: ${error.message}`));
+    }
+
+    const releases = new Map();
+    for (const row of dbRows) {
+        releases.set(row.release_id, { id: row.release_id, title: row.title, nzbUrl: row.nzb_url, sizeInBytes: Number(row.size) || 0, indexer: row.indexer, episode: row.imdb_episode });
+    }
+    for (const release of liveReleases) releases.set(release.id, release);
+
+    // Releases from an indexer no longer configured can't be downloaded
+    const playable = [...releases.values()]
+        .map(release => ({
+            ...release,
+            isUsenet: true,
+            filename: release.title,
+            source: `📰 ${release.indexer}`,
+            nzbLink: newznab.getProxyNzbUrl(release.nzbUrl, workerOrigin, indexers)
+        }))
+        .filter(release => release.nzbLink);
+    console.log(`📰 [Usenet] ${playable.length} releases (${liveReleases.length} live, ${dbRows.length} DB)`);
+    return playable;
+}
+
+/**
+ * Build TorBox usenet streams for the usenet results that survived the filters
+ * @param {Object[]} releases - searchUsenetReleases() results
+ * @param {Object} config - User configuration
+ * @param {Object} options
+ * @param {string} options.type - 'movie' or 'series'
+ * @param {number|null} options.season
+ * @param {number|null} options.episode
+ * @param {string} options.workerOrigin - Public origin for the /torbox-usenet/ URLs
+ * @param {Object|null} options.scoreProfile - qualityProfile.normalizeProfile(config.quality_profile)
+ * @returns {Promise<Object[]>} Streams (unsorted)
+ */
+async function buildUsenetStreams(releases, config, { type, season, episode, workerOrigin, scoreProfile }) {
+    const torbox = new Torbox(config.torbox_key);
+    const cacheResults = await trackProviderCall('TorBox Usenet', () => torbox.checkUsenetCache(releases.map(r => r.nzbLink)))
+        .catch(() => ({}));
+    const cachedCount = releases.filter(r => cacheResults[r.nzbLink]?.cached).length;
+    metrics.recordCacheCheck('tb_usenet', releases.length, cachedCount);
+    console.log(`📰 [Usenet] ${cachedCount}/${releases.length} releases cached on TorBox`);
+
+    const encodedConfig = config.config_token || btoa(JSON.stringify(config));
+    const streams = [];
+
+    for (const release of releases) {
+        const isCached = !!cacheResults[release.nzbLink]?.cached;
+        if (config.only_debrid_cache && !isCached) continue;
+
+        const quality = extractQuality(release.title);
+        const isPack = type === 'series' && release.episode === null;
+        const langInfo = getLanguageInfo(release.title);
+        let streamUrl = `${workerOrigin}/torbox-usenet/${encodedConfig}/${encodeURIComponent(release.nzbUrl)}`;
+        if (type === 'series') streamUrl += `/${season}/${episode}`;
+
+        const stream = {
+            name: config.aiostreams_mode
+                ? aioFormatter.formatStreamName({ addonName: 'IlCorsaroViola', service: 'torbox', cached: isCached, quality: quality || 'Unknown' })
+                : `IL 🏴‍☠️ 🔮 [📦] [${isCached ? '⚡' : '⏬'}] 📰\n${quality || 'Unknown'}`,
+            title: [
+                `${isPack ? '🗳️' : '🎬'} ${release.title}`,
+                `💾 ${formatBytes(release.sizeInBytes)}`,
+                `🗣️ ${langInfo.displayLabel}`,
+                `📰 Usenet (${release.indexer})`
+            ].join('\n'),
+            url: streamUrl,
+            behaviorHints: {
+                bingeGroup: generateBingeGroup(release.title, 'tb'),
+                notWebReady: false,
+                ...(release.sizeInBytes ? { videoSize: release.sizeInBytes } : {}),
+                filename: release.title
+            },
+            _meta: {
+                cached: isCached,
+                service: 'torbox',
+                usenet: true,
+                originalSize: formatBytes(release.sizeInBytes),
+                quality
+            }
+        };
+
+        applyStreamRanking(stream, release, scoreProfile, isCached);
+        applyCustomFormatter(stream, {
+            title: release.title,
+            filename: release.title,
+            sizeInBytes: release.sizeInBytes,
+            quality,
+            season,
+            episode,
+            isPack,
+            isUsenet: true,
+            regexMatched: release.regexMatched,
+            provider: release.indexer
+        }, config, 'TB', isCached);
+
+        streams.push(stream);
+    }
+
+    return streams;
+}
+
+// ⏭️ NEXT-EPISODE PREFETCH (opt-in: config.prefetch_next)
+// While the user watches SxxEyy, the next episode (next-episode-prefetch.cjs) is searched in
+// background so that the next stream request is served from the DB/search cache, and the release
+// matching the bingeGroup of the current top stream gets its pack file resolved (and, with
+// config.prefetch_add_debrid, is added to the RD/TB account when already cached).
+
+/**
+ * Add an already cached release to the user's debrid account so playback starts warm
+ * @param {Object} stream - Prefetched stream (_meta.service, _meta.infoHash)
+ * @param {Object} config - User config
+ */
+async function addPrefetchToDebrid(stream, config) {
+    const infoHash = stream._meta?.infoHash;
+    if (!infoHash || !stream._meta?.cached) return;
+
+    const debridServices = createDebridServices(config);
+    const magnetLink = `magnet:?xt=urn:btih:${infoHash}`;
+
+    if (stream._meta.service === 'realdebrid' && debridServices.realdebrid) {
+        const rd = debridServices.realdebrid;
+        const existing = await rd._findExistingTorrent(infoHash);
+        if (existing) return;
+        const added = await rd.addMagnet(magnetLink);
+        await rd.selectFiles(added.id, 'all');
+        trackAddedTorrent('rd', config.rd_key, added.id, infoHash, config);
+        console.log(`⏭️ [Prefetch] Added ${infoHash.substring(0, 8)} to Real-Debrid`);
+    } else if (stream._meta.service === 'torbox' && debridServices.torbox) {
+        const added = await debridServices.torbox.addTorrent(magnetLink);
+        trackAddedTorrent('tb', config.torbox_key, added?.torrent_id, infoHash, config);
+        console.log(`⏭️ [Prefetch] Added ${infoHash.substring(0, 8)} to Torbox`);
+    }
+}
+
+/**
+ * Search the next episode and warm the release matching the current bingeGroup
+ * @param {Object} job - {id, tmdbId, bingeGroup, config, workerOrigin}
+ */
+async function runNextEpisodePrefetch({ id, tmdbId, bingeGroup, config, workerOrigin }) {
+    const tmdbKey = config.tmdb_key || process.env.TMDB_KEY || process.env.TMDB_API_KEY || '5462f78469f3d80bf5201645294c16e4';
+    const seasons = tmdbId ? await getTmdbSeasons(tmdbId, tmdbKey).catch(() => []) : [];
+    const nextId = nextEpisodePrefetch.getNextEpisodeId(id, seasons);
+    if (!nextId) {
+        console.log(`⏭️ [Prefetch] ${decodeURIComponent(id)} is the last episode, nothing to prefetch`);
+        return;
+    }
+
+    const prefetchConfig = { ...config, prefetch_next: false, hybrid_mode: false, db_only: false, usenet_enabled: false };
+    const result = await handleStream('series', nextId, prefetchConfig, workerOrigin);
+    const streams = result.streams || [];
+
+    const match = streams.find(s => s.behaviorHints?.bingeGroup === bingeGroup);
+    if (!match) {
+        console.log(`⏭️ [Prefetch] ${nextId}: ${streams.length} streams, none in bingeGroup ${bingeGroup}`);
+        return;
+    }
+
+    // Kitsu IDs carry an absolute episode number: their packs are left to handleStream
+    const [imdbId, seasonStr, episodeStr] = nextId.split(':');
+    if (match.folderName && match._meta?.infoHash && /^tt\d+$/.test(imdbId)) {
+        await packFilesHandler.resolveSeriesPackFile(
+            match._meta.infoHash.toLowerCase(),
+            prefetchConfig,
+            imdbId,
+            parseInt(seasonStr, 10),
+            parseInt(episodeStr, 10),
+            dbHelper
+        );
+    }
+
+    if (config.prefetch_add_debrid === true) {
+        await addPrefetchToDebrid(match, prefetchConfig);
+    }
+
+    console.log(`✅ [Prefetch] ${nextId} ready (${match._meta?.cached ? 'cached' : 'not cached'}, ${bingeGroup})`);
+}
+
+/**
+ * Queue the next-episode prefetch after a series stream response
+ * @param {string} id - Requested Stremio ID
+ * @param {Object[]} streams - Streams returned to the user (already sorted)
+ * @param {Object} config - User config
+ * @param {string} workerOrigin - Addon origin (playback URLs)
+ * @param {number|null} tmdbId - TMDB show ID (episode counts for the season boundary)
+ * @returns {boolean} True if queued
+ */
+function queueNextEpisodePrefetch(id, streams, config, workerOrigin, tmdbId = null) {
+    const top = (streams || []).find(s => s._meta?.cached && s._meta?.infoHash) || streams?.[0];
+    const bingeGroup = top?.behaviorHints?.bingeGroup;
+    if (!nextEpisodePrefetch.getNextEpisodeId(id) || !bingeGroup) return false;
+
+    const key = `${decodeURIComponent(id)}|${bingeGroup}|${config.rd_key || config.torbox_key || ''}`;
+    const queued = nextEpisodePrefetch.queuePrefetch(key, { id, tmdbId, bingeGroup, config, workerOrigin }, runNextEpisodePrefetch);
+    if (queued) console.log(`⏭️ [Prefetch] Queued next of ${decodeURIComponent(id)} (${bingeGroup})`);
+    return queued;
+}
+
+// 📥 SEASON PACK ACTION (opt-in: config.season_pack_action)
+// An extra stream entry on the best cached RD season pack goes through /rd-season/:
+// the pack is added with every video file selected and the RD link of each episode
+// is saved (rd_link_index, packFilesHandler.prepopulateSeasonPackLinks), so /rd-stream/
+// hits STEP 0 for the rest of the season.
+
+/**
+ * Extra "add full season" entry for the first cached RD season pack
+ * @param {Object[]} streams - Sorted streams
+ * @returns {Object|null} Stream entry, or null when there is no cached RD pack
+ */
+function buildSeasonPackActionStream(streams) {
+    const pack = streams.find(s => s._meta?.service === 'realdebrid' && s._meta.cached && s.folderName && s.url?.includes('/rd-stream/'));
+    if (!pack) return null;
+
+    return {
+        name: 'IL 🏴‍☠️ 🔮 [👑]\n📥 Stagione',
+        title: [`📥 Aggiungi stagione completa a RD`, `🗳️ ${pack.folderName}`, `💾 ${formatBytes(pack.folderSize || 0)}`].join('\n'),
+        url: pack.url.replace('/rd-stream/', '/rd-season/'),
+        behaviorHints: {
+            bingeGroup: `${pack.behaviorHints?.bingeGroup || 'rd'}-season`,
+            notWebReady: false
+        },
+        _meta: {
+            infoHash: pack._meta.infoHash,
+            cached: true,
+            service: 'realdebrid',
+            seasonAction: true
+        }
+    };
+}
+
+// ✅ Enhanced stream handler with better error handling and logging
+async function handleStream(type, id, config, workerOrigin) {
+    maybeCleanupCache();
+
+    // The ID from Stremio might be URL-encoded, especially on Android.
+    const decodedId = decodeURIComponent(id);
+
+    console.log(`\n🎯 Processing ${type} with ID: ${decodedId}`);
 
     const startTime = Date.now();
 
+    // 📰 Usenet releases: searched in parallel, they join the results before the post-cache filters
+    const usenetSearch = searchUsenetReleases(type, decodedId, config, workerOrigin).catch(error => {
+        console.error(`❌ [Usenet] ${error.message}`);
+        return [];
+    });
+
     // ✅ Check if user wants to use global cache (default: true)
     const useGlobalCache = config.use_global_cache !== false;
 
@@ -6196,6 +6543,8 @@ async function handleStream(type, id, config, workerOrigin) {
     const globalCacheKey = `torrent:${type}:${decodedId}`;
     let fromGlobalCache = false;
     let cachedData = null;
+    // 📈 Serving tier for /metrics: 'global_cache', 'db' (live search skipped) or 'live'
+    let responseTier = 'live';
 
     // ✅ Check global cache FIRST (before any API calls)
     // Only if user has use_global_cache enabled (default: true)
@@ -6261,6 +6610,8 @@ async function handleStream(type, id, config, workerOrigin) {
         if (config.rd_key) parts.push(`rd:${config.rd_key.substring(0, 8)}`);
         if (config.torbox_key) parts.push(`tb:${config.torbox_key.substring(0, 8)}`);
         if (config.ad_key) parts.push(`ad:${config.ad_key.substring(0, 8)}`);
+        if (config.premiumize_key) parts.push(`pm:${config.premiumize_key.substring(0, 8)}`);
+        if (config.offcloud_key) parts.push(`oc:${config.offcloud_key.substring(0, 8)}`);
         if (config.mediaflow_url) parts.push(`mf:${config.mediaflow_url.replace(/https?:\/\//, '').substring(0, 15)}`);
         return parts.join('|') || 'p2p';
     })();
@@ -6274,14 +6625,18 @@ async function handleStream(type, id, config, workerOrigin) {
             return { streams: [] };
         }
 
-        // ✅ Use debrid services factory (supports RD, Torbox, and AllDebrid)
+        // ✅ Use debrid services factory (supports RD, Torbox, AllDebrid, Premiumize and Offcloud)
         const debridServices = createDebridServices(config);
         const useRealDebrid = debridServices.useRealDebrid;
         const useTorbox = debridServices.useTorbox;
         const useAllDebrid = debridServices.useAllDebrid;
+        const usePremiumize = debridServices.usePremiumize;
+        const useOffcloud = debridServices.useOffcloud;
         const rdService = debridServices.realdebrid;
         const torboxService = debridServices.torbox;
         const adService = debridServices.alldebrid;
+        const pmService = debridServices.premiumize;
+        const ocService = debridServices.offcloud;
 
         // ✅ Variables that will be populated from cache OR search
         let imdbId = null;
@@ -6362,7 +6717,7 @@ async function handleStream(type, id, config, workerOrigin) {
                         // ✅ SOLUZIONE KITSU 5: Convert absolute episode to season/episode if we have TMDb ID
                         if (mediaDetails.tmdbId) {
                             console.log(`🔄 [Kitsu] Converting absolute episode ${absoluteEpisode} to season/episode using TMDb ${mediaDetails.tmdbId}...`);
-                            const converted = await convertAbsoluteEpisode(mediaDetails.tmdbId, parseInt(absoluteEpisode), tmdbKey);
+                            const converted = await convertAbsoluteEpisode(mediaDetails.tmdbId, parseInt(absoluteEpisode), tmdbKey, mediaDetails.animeMapping);
 
                             if (converted) {
                                 season = converted.season;
@@ -7056,6 +7411,7 @@ async function handleStream(type, id, config, workerOrigin) {
             }
 
             if (skipLiveSearch) {
+                responseTier = 'db';
                 if (DEBUG_MODE) console.log(`✅ [3-Tier] Found ${dbResults.length} results from DB/FTS. Skipping Corsaro live search.`);
             } else {
                 if (DEBUG_MODE) console.log(`🔍 [3-Tier] No results from DB/FTS. Proceeding to Corsaro live search.`);
@@ -7210,143 +7566,71 @@ async function handleStream(type, id, config, workerOrigin) {
 
             // --- NUOVA LOGICA DI AGGREGAZIONE E DEDUPLICAZIONE ---
             // Separazione dei risultati per provider per applicare filtri specifici
-            const rawResultsByProvider = {
-                UIndex: [],
-                Knaben: [],
-                TorrentGalaxy: [],
-                CorsaroNero: [],
-                Jackettio: [],
-                ExternalAddons: [], // ✅ Torrentio, MediaFusion, Comet
-                RARBG: []
-            };
+            const rawResultsByProvider = Object.fromEntries(PROVIDER_REGISTRY.map(provider => [provider.id, []]));
 
             const searchType = kitsuId ? 'anime' : type;
             const TOTAL_RESULTS_TARGET = 50;
             let totalQueries = 0;
 
-            // Check which sites are enabled (default to all if not specified)
-            const useUIndex = config.use_uindex !== false;
-            const useCorsaroNero = config.use_corsaronero !== false;
-            const useKnaben = config.use_knaben !== false;
-            const useTorrentGalaxy = config.use_torrentgalaxy === true; // Default OFF (false) for new feature
-            const globalExternalEnabled = config.use_external_addons !== false;
-            const enabledExternalAddons = [];
-            if (globalExternalEnabled) {
-                if (config.use_torrentio !== false) enabledExternalAddons.push('torrentio');
-                if (config.use_mediafusion !== false) enabledExternalAddons.push('mediafusion');
-                if (config.use_comet !== false) enabledExternalAddons.push('comet');
-            }
+            // 🧩 Providers enabled by the user config (see PROVIDER_REGISTRY)
+            const enabledProviders = getEnabledProviders(config, searchType);
+            const providerCtx = {
+                type, searchType, season, episode, decodedId, config,
+                mediaDetails, italianTitle, originalTitle,
+                cleanTitle: cleanTitleForSearch
+            };
             if (DEBUG_MODE) {
                 console.log(`🐞 [DEBUG-EXT] Config:`, JSON.stringify(config));
-                console.log(`🐞 [DEBUG-EXT] Global: ${globalExternalEnabled}, Enabled: ${JSON.stringify(enabledExternalAddons)}`);
+                console.log(`🧩 [Providers] Enabled: ${enabledProviders.map(p => p.id).join(', ') || 'none'}`);
             }
 
             // ✅ LIVE SEARCH (Tier 3 + Parallel Flows)
             if (DEBUG_MODE) console.log(`🔍 Starting parallel live search...`);
 
-            // ✅ Initialize Jackettio if ENV vars are set
-            let jackettioInstance = null;
-            if (config.jackett_url && config.jackett_api_key) {
-                jackettioInstance = new Jackettio(
-                    config.jackett_url,
-                    config.jackett_api_key,
-                    config.jackett_password
-                );
-                console.log('🔍 [Jackettio] Instance initialized (ITALIAN ONLY mode)');
-            }
+            // db_only / hybrid skip every live provider; skipLiveSearch (DB hit) only those flagged skipOnDbHit
+            const liveProviders = config.db_only || useHybridMode
+                ? []
+                : enabledProviders.filter(provider => !(provider.skipOnDbHit && skipLiveSearch));
+            const perQueryProviders = liveProviders.filter(provider => provider.mode === 'perQuery');
+            const ownQueryProviders = liveProviders.filter(provider => provider.mode === 'own');
 
             const parallelSearchTasks = [];
 
-            // 1️⃣ TASK: UIndex (skip in db_only or hybrid mode)
-            if (useUIndex && !config.db_only && !useHybridMode) {
+            // 1️⃣ TASKS: Providers with their own queries (UIndex, External Addons, RARBG...)
+            for (const provider of ownQueryProviders) {
                 parallelSearchTasks.push(async () => {
-                    const uindexQueries = [];
-                    const isMovie = type === 'movie';
-                    const seasonStr = season ? String(season).padStart(2, '0') : null;
-
-                    // ✅ Costruisci validationMetadata per UIndex (come Knaben)
-                    const uindexValidationMetadata = {
-                        titles: mediaDetails.titles || [mediaDetails.title, italianTitle, originalTitle].filter(Boolean),
-                        year: mediaDetails.year,
-                        season: season ? parseInt(season, 10) : undefined,
-                        episode: episode ? parseInt(episode, 10) : undefined,
-                    };
-                    if (DEBUG_MODE) console.log(`🔍 [UIndex] Validation metadata: titles=${uindexValidationMetadata.titles.join(', ')}, year=${uindexValidationMetadata.year}, S${uindexValidationMetadata.season}E${uindexValidationMetadata.episode}`);
-
-                    // 🎬 FILM: Solo 2 query semplici
-                    if (isMovie) {
-                        // Query 1: Titolo italiano + ita
-                        if (italianTitle) {
-                            const cleanedItalian = cleanTitleForSearch(italianTitle);
-                            uindexQueries.push(`${cleanedItalian} ita`);
-                        }
-                        // Query 2: Titolo inglese + ita (se diverso)
-                        const cleanedEnglish = cleanTitleForSearch(mediaDetails.title);
-                        const cleanedItalian = italianTitle ? cleanTitleForSearch(italianTitle) : '';
-                        if (cleanedEnglish !== cleanedItalian) {
-                            uindexQueries.push(`${cleanedEnglish} ita`);
-                        }
-                    } else {
-                        // 📺 SERIE TV: Solo 2 query (come film)
-                        // Query 1: Titolo italiano + stagione + ita
-                        if (italianTitle) {
-                            const cleanedItalian = cleanTitleForSearch(italianTitle);
-                            if (seasonStr) {
-                                uindexQueries.push(`${cleanedItalian} S${seasonStr} ita`);
-                            } else {
-                                uindexQueries.push(`${cleanedItalian} ita`);
-                            }
-                        }
-                        // Query 2: Titolo inglese + stagione + ita (se diverso)
-                        const cleanedEnglish = cleanTitleForSearch(mediaDetails.title);
-                        const cleanedItalian = italianTitle ? cleanTitleForSearch(italianTitle) : '';
-                        if (cleanedEnglish !== cleanedItalian) {
-                            if (seasonStr) {
-                                uindexQueries.push(`${cleanedEnglish} S${seasonStr} ita`);
-                            } else {
-                                uindexQueries.push(`${cleanedEnglish} ita`);
-                            }
-                        }
-                    }
-
-                    const uniqueUindexQueries = [...new Set(uindexQueries)];
-                    if (DEBUG_MODE) console.log(`📊 [UIndex] Running ${isMovie ? 'MOVIE' : 'SERIES'} queries:`, uniqueUindexQueries);
-
-                    // Track if we found results with Italian title (to enable early-exit)
-                    let foundWithItalianTitle = false;
-                    // Now we always have max 1 Italian query + 1 English query (if different)
-                    const italianQueryCount = italianTitle ? 1 : 0;
+                    const queries = provider.buildQueries(providerCtx);
+                    if (DEBUG_MODE) console.log(`📊 [${provider.id}] Running queries:`, queries);
 
-                    for (let i = 0; i < uniqueUindexQueries.length; i++) {
-                        const q = uniqueUindexQueries[i];
-
-                        // 🛑 EARLY EXIT: If we found good results with Italian title, skip English fallback queries
-                        if (foundWithItalianTitle && i >= italianQueryCount) {
-                            if (DEBUG_MODE) console.log(`✅ [UIndex] Found ${rawResultsByProvider.UIndex.length} results with Italian title. Skipping English fallback queries.`);
+                    for (let index = 0; index < queries.length; index++) {
+                        const results = rawResultsByProvider[provider.id];
+                        if (provider.shouldStop && provider.shouldStop({ index, results, queries }, providerCtx)) {
+                            if (DEBUG_MODE) console.log(`✅ [${provider.id}] Found ${results.length} results. Skipping remaining queries.`);
                             break;
                         }
+                        if (index > 0 && provider.queryDelayMs) {
+                            await new Promise(resolve => setTimeout(resolve, provider.queryDelayMs));
+                        }
 
                         try {
-                            const res = await fetchUIndexData(q, searchType, italianTitle, uindexValidationMetadata);
-                            if (res && res.length > 0) {
-                                if (DEBUG_MODE) console.log(`📊 [UIndex] Found ${res.length} results for "${q}"`);
-                                rawResultsByProvider.UIndex.push(...res);
-
-                                // Mark that we found results with Italian title queries
-                                if (i < italianQueryCount && rawResultsByProvider.UIndex.length >= 5) {
-                                    foundWithItalianTitle = true;
-                                }
+                            const res = await runProviderSearch(provider, queries[index], providerCtx);
+                            if (res.length > 0) {
+                                if (DEBUG_MODE) console.log(`✅ [${provider.id}] Found ${res.length} results for "${queries[index]}"`);
+                                results.push(...res);
+                            } else if (DEBUG_MODE) {
+                                console.log(`⚠️ [${provider.id}] No results for "${queries[index]}"`);
                             }
                         } catch (e) {
-                            console.error(`❌ [UIndex] Error searching "${q}":`, e.message);
+                            console.error(`❌ [${provider.id}] Error searching "${queries[index]}":`, e.message);
                         }
-                        await new Promise(resolve => setTimeout(resolve, 500)); // Rate limit protection
                     }
                 });
             }
 
-            // 2️⃣ TASK: Main Loop (Corsaro, Knaben, Galaxy, Jackettio)
+            // 2️⃣ TASK: Main Loop (Corsaro, Knaben, Galaxy, Jackettio...)
             parallelSearchTasks.push(async () => {
+                if (perQueryProviders.length === 0) return;
+
                 // 🛑 EARLY EXIT LOGIC: Track results from Italian title queries vs English fallback
                 let foundWithItalianTitleQueries = 0; // Count results from Italian title queries
                 const cleanedItalianTitle = italianTitle ? cleanTitleForSearch(italianTitle) : '';
@@ -7372,85 +7656,13 @@ async function handleStream(type, id, config, workerOrigin) {
                         break;
                     }
 
-                    const searchPromises = [];
-
-                    // CorsaroNero
-                    if (useCorsaroNero) {
-                        if (!skipLiveSearch) {
-                            searchPromises.push({
-                                name: 'CorsaroNero',
-                                promise: fetchCorsaroNeroData(query, searchType)
-                            });
-                        }
-                    }
-
-                    // Knaben (skip in db_only or hybrid mode)
-                    if (useKnaben && !skipLiveSearch) {
-                        // 🔥 MODIFIED: Use AIOStreams-style API with metadata when available
-                        // Build metadata object for Knaben API
-                        const knabenMetadata = {
-                            primaryTitle: mediaDetails.title,
-                            title: mediaDetails.title,
-                            titles: mediaDetails.titles || [mediaDetails.title],
-                            year: mediaDetails.year,
-                            imdbId: mediaDetails.imdbId,
-                            tmdbId: mediaDetails.tmdbId,
-                            absoluteEpisode: mediaDetails.absoluteEpisode,
-                        };
-
-                        // Build parsedId for Knaben
-                        const knabenParsedId = {
-                            mediaType: searchType,
-                            season: season,
-                            episode: episode,
-                        };
-
-                        searchPromises.push({
-                            name: 'Knaben',
-                            promise: fetchKnabenData(query, searchType, knabenMetadata, knabenParsedId)
-                        });
-                    }
-
-                    // TorrentGalaxy (skip in db_only or hybrid mode)
-                    if (useTorrentGalaxy && !skipLiveSearch) {
-                        const tgxMetadata = {
-                            primaryTitle: cleanedItalianTitle || originalTitle || mediaDetails.title,
-                            title: originalTitle || mediaDetails.title,
-                            year: mediaDetails.year,
-                            titles: [cleanedItalianTitle, originalTitle, mediaDetails.title].filter(Boolean),
-                        };
-                        const tgxParsedId = {
-                            season: season ? parseInt(season, 10) : undefined,
-                            episode: episode ? parseInt(episode, 10) : undefined,
-                        };
-
-                        searchPromises.push({
-                            name: 'TorrentGalaxy',
-                            promise: fetchTorrentGalaxyData(query, searchType, tgxMetadata, tgxParsedId)
-                        });
-                    }
-
-                    // Jackettio (skip in db_only or hybrid mode)
-                    if (jackettioInstance && !skipLiveSearch) {
-                        searchPromises.push({
-                            name: 'Jackettio',
-                            promise: fetchJackettioData(query, searchType, jackettioInstance)
-                        });
-                    }
-
-                    if (searchPromises.length === 0) {
-                        continue;
-                    }
-
-                    const results = await Promise.allSettled(searchPromises.map(sp => sp.promise));
+                    const results = await Promise.allSettled(perQueryProviders.map(provider => runProviderSearch(provider, query, providerCtx)));
 
                     results.forEach((result, index) => {
-                        const sourceName = searchPromises[index].name;
-                        if (result.status === 'fulfilled' && result.value) {
+                        const sourceName = perQueryProviders[index].id;
+                        if (result.status === 'fulfilled') {
                             if (DEBUG_MODE) console.log(`✅ ${sourceName} returned ${result.value.length} results for query.`);
-                            if (rawResultsByProvider[sourceName]) {
-                                rawResultsByProvider[sourceName].push(...result.value);
-                            }
+                            rawResultsByProvider[sourceName].push(...result.value);
 
                             // 🛑 Track results from Italian title queries for early exit
                             const isItalianTitleQuery = cleanedItalianTitle &&
@@ -7459,7 +7671,7 @@ async function handleStream(type, id, config, workerOrigin) {
                                 foundWithItalianTitleQueries += result.value.length;
                                 if (DEBUG_MODE) console.log(`📊 [ITA TRACKING] Query "${query}" added ${result.value.length} results. Total ITA results: ${foundWithItalianTitleQueries}`);
                             }
-                        } else if (result.status === 'rejected') {
+                        } else {
                             console.error(`❌ ${sourceName} search failed:`, result.reason);
                         }
                     });
@@ -7471,81 +7683,13 @@ async function handleStream(type, id, config, workerOrigin) {
                 }
             });
 
-            // 3️⃣ TASK: External Addons (skip in db_only or hybrid mode)
-            if (DEBUG_MODE) console.log(`🔍 [External Addons Check] enabled=${enabledExternalAddons.length}, db_only=${config.db_only}, useHybridMode=${useHybridMode}`);
-            if (enabledExternalAddons.length > 0 && !config.db_only && !useHybridMode) {
-                parallelSearchTasks.push(async () => {
-                    console.log(`\n🔗 [External Addons] Fetching from ${enabledExternalAddons.join(', ')}...`);
-
-                    // Build Stremio-format ID for addon APIs
-                    let stremioId = mediaDetails.imdbId || decodedId.split(':')[0];
-                    if (type === 'series' && season && episode) {
-                        stremioId = `${stremioId}:${season}:${episode}`;
-                    }
-
-                    try {
-                        const externalResults = await fetchExternalAddonsFlat(type, stremioId, { enabledAddons: enabledExternalAddons });
-
-                        if (externalResults.length > 0) {
-                            if (DEBUG_MODE) console.log(`✅ [External Addons] Received ${externalResults.length} total results`);
-                            rawResultsByProvider.ExternalAddons.push(...externalResults);
-                        } else {
-                            if (DEBUG_MODE) console.log(`⚠️ [External Addons] No results received`);
-                        }
-                    } catch (externalError) {
-                        console.error(`❌ [External Addons] Error:`, externalError.message);
-                    }
-                });
-            }
-
-            // 4️⃣ TASK: RARBG (skip in db_only or hybrid mode)
-            if (config.use_rarbg !== false && !config.db_only && !useHybridMode) {
-                parallelSearchTasks.push(async () => {
-                    // 🇮🇹 PRIORITY: Use Italian title if available, otherwise original name, then English title
-                    const rarbgQuery = italianTitle || mediaDetails.originalName || mediaDetails.title;
-                    if (DEBUG_MODE) console.log(`\n🏴 [RARBG] Searching for: ${rarbgQuery}...`);
-                    try {
-                        // Timeout 4500ms come richiesto
-                        // Build Stremio-format ID
-                        let stremioId = mediaDetails.imdbId || decodedId.split(':')[0];
-                        if (type === 'series' && season && episode) {
-                            stremioId = `${stremioId}:${season}:${episode}`;
-                        }
-
-                        const rarbgRes = await searchRARBG(rarbgQuery, mediaDetails.year, type, stremioId, { timeout: 4500, allowEng: true });
-                        if (rarbgRes && rarbgRes.length > 0) {
-                            if (DEBUG_MODE) console.log(`✅ [RARBG] Found ${rarbgRes.length} results`);
-                            rawResultsByProvider.RARBG = rarbgRes.map(r => ({
-                                title: r.title,
-                                link: r.magnet,
-                                size: r.size,
-                                seeders: r.seeders,
-                                quality: r.quality,  // ✅ Add quality from RARBG
-                                source: "RARBG",
-                                infoHash: r.magnet.match(/btih:([a-zA-Z0-9]{40})/i)?.[1]?.toLowerCase()
-                            }));
-                        }
-                    } catch (e) {
-                        console.log(`❌ [RARBG] Error: ${e.message}`);
-                    }
-                });
-            }
-
             // 🚀 EXECUTE ALL TASKS PARALLELY
             if (DEBUG_MODE) console.log(`🚀 Executing ${parallelSearchTasks.length} search tasks in parallel...`);
             await Promise.allSettled(parallelSearchTasks.map(task => task()));
             if (DEBUG_MODE) console.log(`🏁 All parallel search tasks completed.`);
 
-            // Merge finale
-            const allRawResults = [
-                ...rawResultsByProvider.CorsaroNero,
-                ...rawResultsByProvider.Knaben,
-                ...rawResultsByProvider.TorrentGalaxy,
-                ...rawResultsByProvider.ExternalAddons,
-                ...rawResultsByProvider.RARBG,
-                ...rawResultsByProvider.UIndex,
-                ...rawResultsByProvider.Jackettio
-            ];
+            // Merge finale (registry order)
+            const allRawResults = PROVIDER_REGISTRY.flatMap(provider => rawResultsByProvider[provider.id]);
 
             if (DEBUG_MODE) console.log(`🔎 Found a total of ${allRawResults.length} raw results from all sources. Performing smart deduplication...`);
 
@@ -8300,11 +8444,11 @@ async function handleStream(type, id, config, workerOrigin) {
                             const isItalian = langInfo.isItalian;
 
                             // ✅ Trusted Italian providers (save even if "ITA" tag is missing)
-                            // Matches 'CorsaroNero', 'corsaro', '💾 corsaro', etc.
+                            // Registry providers flagged trustedItalian (e.g. 'CorsaroNero', '💾 corsaro')
                             // For Torrentio: only DIRECT addon, not sub-providers like 'comet (torrentio)'
                             const mainAddon = (r.externalAddon || '').split('(')[0].trim().toLowerCase();
                             const isManual = (r.source && /manual_add/i.test(r.source)) || (r.provider && /manual_add/i.test(r.provider));
-                            const isTrustedProvider = (r.source && /corsaro/i.test(r.source)) ||
+                            const isTrustedProvider = isTrustedItalianResult(r) ||
                                 (mainAddon && /^torrentio$/i.test(mainAddon)) ||
                                 isManual; // ✅ Exempt Manual
 
@@ -8410,7 +8554,8 @@ async function handleStream(type, id, config, workerOrigin) {
 
             if (!results || results.length === 0) {
                 if (DEBUG_MODE) console.log('❌ No results found from any source after all fallbacks');
-                return { streams: [] };
+                if ((await usenetSearch).length === 0) return { streams: [] };
+                results = [];
             }
 
             if (DEBUG_MODE) console.log(`📡 Found ${results.length} total torrents from all sources after fallbacks`);
@@ -9255,6 +9400,12 @@ async function handleStream(type, id, config, workerOrigin) {
         // ✅ POST-CACHE FILTERS: Applied to BOTH cache hit AND cache miss results
         // ═══════════════════════════════════════════════════════════════════════════════
 
+        // 📰 Usenet releases go through the same filters as the torrents (never cached with them)
+        const usenetReleases = await usenetSearch;
+        if (usenetReleases.length > 0) {
+            filteredResults = [...filteredResults, ...usenetReleases];
+        }
+
         // 🛡️ ADVANCED FILTERS (User Preferences: Quality & Size)
         const hasAdvancedFilters = config.exclude_4k || config.exclude_1080p || config.exclude_720p || config.exclude_sd || config.exclude_remux || config.exclude_unknown || config.exclude_dv || config.max_size;
 
@@ -9331,6 +9482,11 @@ async function handleStream(type, id, config, workerOrigin) {
             }
         }
 
+        // 🎧 PROBED TRACKS: audio/subtitle languages of files already played through RD/Torbox
+        if (filteredResults.length > 0) {
+            filteredResults = await attachFileTracks(filteredResults, type === 'series' ? season : null, type === 'series' ? episode : null);
+        }
+
         // ✅ FULL ITA MODE: Only show results with "ITA" in title (except CorsaroNero and Torrentio DIRECT addon)
         if (config.full_ita) {
             const exemptProviders = ['corsaro', 'ilcorsaronero', 'corsaronero', 'torrentio'];
@@ -9343,6 +9499,15 @@ async function handleStream(type, id, config, workerOrigin) {
                 const isManual = provider.includes('manual_add');
                 if (isManual) return true;
 
+                // 🎧 Probed audio tracks win over the release name (multi-audio files often omit "ITA")
+                if (result.audioLanguages?.length > 0) {
+                    const hasItaAudio = result.audioLanguages.includes('ita');
+                    if (!hasItaAudio) {
+                        console.log(`🇮🇹 [FULL ITA] Filtered out: "${(result.title || '').substring(0, 50)}..." (no ITA audio track)`);
+                    }
+                    return hasItaAudio;
+                }
+
                 // 🔧 FIX: ALL packs (movie AND series) must have ITA in title or file_title
                 const isPackLink = (result.fileIndex !== undefined && result.fileIndex !== null);
                 if (isPackLink) {
@@ -9377,9 +9542,47 @@ async function handleStream(type, id, config, workerOrigin) {
             console.log(`🇮🇹 [FULL ITA] Filtered ${beforeCount} → ${filteredResults.length} results (strict ITA mode)`);
         }
 
+        // 🎚️ REGEX RULES: user required/excluded/preferred patterns on title and filename
+        // Preferred matches are moved first here so they survive the maxResults cut below
+        const userRegexRules = regexRules.compileRules(config.regex_rules);
+        if (userRegexRules && filteredResults.length > 0) {
+            const beforeCount = filteredResults.length;
+            filteredResults = regexRules.applyRegexRules(filteredResults, userRegexRules);
+            console.log(`🎚️ [Regex] ${beforeCount} → ${filteredResults.length} results (${filteredResults.filter(r => Number.isFinite(r.regexRank)).length} preferred)`);
+        }
+
+        // 🌱 Dead torrents (no peers in consecutive checks): hidden in P2P mode, moved last with debrid
+        if (dbEnabled && filteredResults.length > 0) {
+            const deadHashes = await dbHelper.getDeadTorrentHashes(
+                filteredResults.map(r => r.infoHash).filter(Boolean),
+                seederTracker.DEAD_AFTER_CHECKS
+            );
+            if (deadHashes.size > 0) {
+                filteredResults.forEach(r => {
+                    if (deadHashes.has(String(r.infoHash || '').toLowerCase())) r.isDead = true;
+                });
+                const p2pOnly = !useRealDebrid && !useTorbox && !useAllDebrid && !usePremiumize && !useOffcloud;
+                filteredResults = seederTracker.rankDeadTorrents(filteredResults, deadHashes, p2pOnly);
+                console.log(`🌱 [Seeders] ${deadHashes.size} dead torrents ${p2pOnly ? 'hidden' : 'moved last'}`);
+            }
+        }
+
+        // ⚠️ Releases flagged by user reports (also covers results that did not come from the DB)
+        if (dbEnabled && reports.isEnabled() && filteredResults.length > 0) {
+            const suppressedHashes = await dbHelper.getSuppressedTorrentHashes(filteredResults.map(r => r.infoHash).filter(Boolean));
+            if (suppressedHashes.size > 0) {
+                filteredResults = filteredResults.filter(r => !r.infoHash || !suppressedHashes.has(r.infoHash.toLowerCase()));
+                console.log(`⚠️ [Reports] ${suppressedHashes.size} reported torrents hidden`);
+            }
+        }
+
         // Limit results for performance (after all filters)
         const maxResults = 30;
 
+        // 📰 Usenet results leave the torrent pipeline here (same limit, streams built below)
+        const usenetResults = filteredResults.filter(r => r.isUsenet).slice(0, maxResults);
+        filteredResults = filteredResults.filter(r => !r.isUsenet);
+
         // 🚀 TRIGGER SEEDER UPDATE (Fire and forget)
         // Update seeders for the top results that the user will actually see
         triggerSeederUpdate(filteredResults.slice(0, 100)); // Send up to 100 candidates to queue
@@ -9389,7 +9592,7 @@ async function handleStream(type, id, config, workerOrigin) {
         console.log(`🔄 Checking debrid services for ${filteredResults.length} results... (User: ${configHashForLog})`);
         const hashes = filteredResults.map(t => t.infoHash.toLowerCase()).filter(h => h && h.length >= 32);
 
-        if (hashes.length === 0) {
+        if (hashes.length === 0 && usenetResults.length === 0) {
             console.log('❌ No valid info hashes found');
             return { streams: [] };
         }
@@ -9400,10 +9603,12 @@ async function handleStream(type, id, config, workerOrigin) {
         let torboxCacheResults = {};
         let torboxUserTorrents = [];
         let adCacheResults = {};
+        let pmCacheResults = {};
+        let ocCacheResults = {};
 
         const cacheChecks = [];
 
-        if (useRealDebrid) {
+        if (useRealDebrid && hashes.length > 0) {
             console.log('👑 Checking Real-Debrid cache...');
             cacheChecks.push(
                 (async () => {
@@ -9420,8 +9625,8 @@ async function handleStream(type, id, config, workerOrigin) {
                     // STEP 2: Set DB cached results as base
                     rdCacheResults = { ...dbCachedResults };
 
-                    // STEP 3: Get user torrents (personal cache - already added to RD account)
-                    rdUserTorrents = await rdService.getTorrents().catch(e => {
+                    // STEP 3: Get user torrents (personal cache - already added to RD account, mirrored in debrid_library)
+                    rdUserTorrents = await getUserDebridTorrents('rd', config.rd_key).catch(e => {
                         console.error("⚠️ Failed to fetch RD user torrents.", e.message);
                         return [];
                     });
@@ -9604,7 +9809,7 @@ async function handleStream(type, id, config, workerOrigin) {
             );
         }
 
-        if (useTorbox) {
+        if (useTorbox && hashes.length > 0) {
             console.log('📦 Checking Torbox cache...');
             cacheChecks.push(
                 (async () => {
@@ -9619,7 +9824,7 @@ async function handleStream(type, id, config, workerOrigin) {
                     torboxCacheResults = { ...dbCachedResults };
 
                     // STEP 3: Get user torrents (personal cache)
-                    torboxUserTorrents = await torboxService.getTorrents().catch(e => {
+                    torboxUserTorrents = await getUserDebridTorrents('tb', config.torbox_key).catch(e => {
                         console.error("⚠️ Failed to fetch Torbox user torrents.", e.message);
                         return [];
                     });
@@ -9757,7 +9962,7 @@ async function handleStream(type, id, config, workerOrigin) {
             );
         }
 
-        if (useAllDebrid) {
+        if (useAllDebrid && hashes.length > 0) {
             console.log('🅰️ Checking AllDebrid cache...');
             cacheChecks.push(
                 adService.checkCache(hashes).then(cache => {
@@ -9768,9 +9973,39 @@ async function handleStream(type, id, config, workerOrigin) {
             );
         }
 
+        if (usePremiumize && hashes.length > 0) {
+            console.log('💎 Checking Premiumize cache...');
+            cacheChecks.push(
+                pmService.checkCache(hashes).then(cache => {
+                    pmCacheResults = cache;
+                }).catch(e => {
+                    console.error("⚠️ Failed to fetch Premiumize cache.", e.message);
+                })
+            );
+        }
+
+        if (useOffcloud && hashes.length > 0) {
+            console.log('☁️ Checking Offcloud cache...');
+            cacheChecks.push(
+                ocService.checkCache(hashes).then(cache => {
+                    ocCacheResults = cache;
+                }).catch(e => {
+                    console.error("⚠️ Failed to fetch Offcloud cache.", e.message);
+                })
+            );
+        }
+
         await Promise.all(cacheChecks);
 
-        console.log(`✅ Cache check complete. RD: ${rdUserTorrents.length} torrents, Torbox: ${torboxUserTorrents.length} torrents, AllDebrid: ${Object.keys(adCacheResults).length} hashes`);
+        // 📈 Cache-check hit ratios for /metrics
+        if (useRealDebrid) {
+            metrics.recordCacheCheck('rd', hashes.length, hashes.filter(h => rdCacheResults[h]?.cached === true).length);
+        }
+        if (useTorbox) {
+            metrics.recordCacheCheck('tb', hashes.length, hashes.filter(h => torboxCacheResults[h]?.cached === true).length);
+        }
+
+        console.log(`✅ Cache check complete. RD: ${rdUserTorrents.length} torrents, Torbox: ${torboxUserTorrents.length} torrents, AllDebrid: ${Object.keys(adCacheResults).length} hashes, Premiumize: ${Object.keys(pmCacheResults).length} hashes, Offcloud: ${Object.keys(ocCacheResults).length} hashes`);
 
         // ✅ PACK FILE MATCHING: For movies with pack torrents, determine best file
         if (type === 'movie' && mediaDetails) {
@@ -9801,9 +10036,12 @@ async function handleStream(type, id, config, workerOrigin) {
         // ✅ Build streams with enhanced error handling - supports multiple debrid services
         let streams = [];
 
+        // 🎯 Quality profile: weighted score per stream instead of the fixed sort (null = fixed sort)
+        const scoreProfile = qualityProfile.normalizeProfile(config.quality_profile);
+
         // ⏩ INTROSKIP: Lookup intro data for series episodes (only for debrid)
         let introData = null;
-        const useAnyDebrid = useRealDebrid || useTorbox;
+        const useAnyDebrid = useRealDebrid || useTorbox || usePremiumize || useOffcloud;
         if (config.introskip_enabled && type === 'series' && season && episode && useAnyDebrid) {
             const seriesImdbId = mediaDetails?.imdbId || imdbId;
             if (seriesImdbId && seriesImdbId.startsWith('tt')) {
@@ -9829,7 +10067,7 @@ async function handleStream(type, id, config, workerOrigin) {
                 const qualitySymbol = getQualitySymbol(qualityDisplay);
                 const { icon: languageIcon } = getLanguageInfo(result.title, italianTitle);
                 const packIcon = isSeasonPack(result.title) ? '📦 ' : ''; // Season pack indicator
-                const encodedConfig = btoa(JSON.stringify(config));
+                const encodedConfig = config.config_token || btoa(JSON.stringify(config));
                 const infoHashLower = result.infoHash.toLowerCase();
 
                 // ✅ REAL-DEBRID STREAM (if enabled)
@@ -10061,6 +10299,7 @@ async function handleStream(type, id, config, workerOrigin) {
                     }
 
                     // ✅ Apply custom formatter if configured
+                    applyStreamRanking(rdStream, result, scoreProfile, isCached);
                     applyCustomFormatter(rdStream, result, config, 'RD', isCached);
 
                     // ⚡ ONLY CACHED FILTER
@@ -10296,6 +10535,7 @@ async function handleStream(type, id, config, workerOrigin) {
                     }
 
                     // ✅ Apply custom formatter if configured
+                    applyStreamRanking(torboxStream, result, scoreProfile, isCached);
                     applyCustomFormatter(torboxStream, result, config, 'TB', isCached);
 
                     // ⚡ ONLY CACHED FILTER
@@ -10482,24 +10722,50 @@ async function handleStream(type, id, config, workerOrigin) {
                         adStream.fileIdx = result.fileIndex;
                     }
 
+                    applyStreamRanking(adStream, result, scoreProfile, isCached);
+
                     // ⚡ ONLY CACHED FILTER
                     if (!config.only_debrid_cache || isCached) {
                         streams.push(adStream);
                     }
                 }
 
-                // ✅ P2P STREAM (if no debrid service enabled)
-                if (!useRealDebrid && !useTorbox && !useAllDebrid) {
+                // ✅ PREMIUMIZE / OFFCLOUD STREAMS (if enabled)
+                // Both expose only a global cache check + flat file list, so they share one builder
+                const flatDebridServices = [
+                    { enabled: usePremiumize, cacheResults: pmCacheResults, route: 'pm-stream', icon: '💎', label: 'Premiumize', service: 'premiumize', binge: 'pm', formatterName: 'PM' },
+                    { enabled: useOffcloud, cacheResults: ocCacheResults, route: 'oc-stream', icon: '☁️', label: 'Offcloud', service: 'offcloud', binge: 'oc', formatterName: 'OC' }
+                ];
 
-                    // 🔧 FIX: Fallback for "Unknown" quality using title keywords
-                    // Requested by user for old releases (DVD, DivX, etc.)
-                    if (!result.quality || result.quality === 'Unknown') {
-                        const checkText = (result.title + ' ' + (result.file_title || '')).toLowerCase();
-                        if (checkText.match(/\b(dvd|dvdrip|divx|xvid|sd)\b/)) {
-                            result.quality = 'DVD';
-                        }
+                for (const svc of flatDebridServices) {
+                    if (!svc.enabled) continue;
+
+                    const svcCacheData = svc.cacheResults[infoHashLower];
+
+                    // ✅ Premiumize returns main filename for cached single-file torrents
+                    if (!result.file_title && svcCacheData?.file_title && type === 'movie') {
+                        result.file_title = svcCacheData.file_title;
                     }
 
+                    // ✅ Same URL variants as /torbox-stream/ (file IDs differ between services, so match by name)
+                    const magnetPart = encodeURIComponent(result.magnetLink);
+                    let streamUrl;
+                    if (type === 'series' && season && episode) {
+                        streamUrl = `${workerOrigin}/${svc.route}/${encodedConfig}/${magnetPart}/${season}/${episode}`;
+                    } else if (type === 'movie' && result.fileIndex !== undefined && result.fileIndex !== null) {
+                        const packFileName = result.file_title || result.file_path || '';
+                        streamUrl = `${workerOrigin}/${svc.route}/${encodedConfig}/${magnetPart}/packfile/${encodeURIComponent(packFileName.split('/').pop())}`;
+                    } else if (type === 'movie' && result.packSize && result.packSize > 5 * 1024 * 1024 * 1024) {
+                        streamUrl = `${workerOrigin}/${svc.route}/${encodedConfig}/${magnetPart}/movie/${encodeURIComponent(mediaDetails.title || '')}/${mediaDetails.year || ''}`;
+                    } else {
+                        streamUrl = `${workerOrigin}/${svc.route}/${encodedConfig}/${magnetPart}`;
+                    }
+
+                    const isCached = svcCacheData?.cached === true;
+                    const cacheType = isCached ? 'global' : 'none';
+                    const cacheStatusIcon = isCached ? '⚡' : '⏬';
+                    if (isCached && DEBUG_MODE) console.log(`${svc.icon} ⚡ ${svc.label} GLOBAL cache available: ${result.title}`);
+
                     // Badge uses addon name for external addons
                     let badgePrefix = 'IL 🏴‍☠️ 🔮';
                     if (result.externalAddon) {
@@ -10509,42 +10775,177 @@ async function handleStream(type, id, config, workerOrigin) {
 
                     // AIOStreams-compatible format or standard format
                     let streamName;
+                    const introIcon = introData ? '⏩ ' : '';
                     if (config.aiostreams_mode) {
                         streamName = aioFormatter.formatStreamName({
                             addonName: 'IlCorsaroViola',
-                            service: 'p2p',
-                            cached: false, // P2P is never cached
+                            service: svc.service,
+                            cached: isCached,
                             quality: result.quality || 'Unknown',
                             hasError: false
                         });
+                        if (introData) streamName = `${introIcon}${streamName}`;
                     } else {
-                        streamName = `${badgePrefix} [🧲] [⏬]\n${result.quality || 'Unknown'}`;
+                        streamName = `${introIcon}${badgePrefix} [${svc.icon}] [${cacheStatusIcon}]\n${result.quality || 'Unknown'}`;
                     }
 
-                    // New Title Format
-                    let titleLine1 = '';
-                    let titleLine2 = '';
-
-                    // ✅ Define isPack at top level for size calculation
-                    // For movies: isPack if we have fileIndex (pack with specific file selected)
-                    // For series: isPack if title matches season pack pattern
                     const isPack = type === 'movie'
                         ? (result.fileIndex !== undefined && result.fileIndex !== null)
                         : packFilesHandler.isSeasonPack(result.title);
 
-                    // ✅ MOVIE/SERIES TITLE DISPLAY
-                    // Logic: Single file = only filename, Pack = pack name + file name
+                    // ✅ MOVIE/SERIES TITLE DISPLAY (pack first, then file - same as Torbox)
                     const cleanFileTitle = result.file_title ? result.file_title.split('/').pop() : '';
                     const cleanMainFilename = (result.file_title || result.filename || result.title || '').split('/').pop();
 
-                    if (type === 'movie') {
-                        if (isPack) {
-                            // Movie collection: show BOTH pack and file
-                            titleLine1 = `🗳️ ${result.title}`;
-                            // ✅ FIX: Show file_title if available, otherwise indicate pack fileIndex
-                            titleLine2 = cleanFileTitle ? `📂 ${cleanFileTitle}` : `📂 File #${result.fileIndex}`;
-                        } else {
-                            // Single movie: show ONLY the filename (not the torrent name)
+                    let titleLine1 = '';
+                    let titleLine2 = '';
+                    if (isPack) {
+                        titleLine1 = `🗳️ ${result.title}`;
+                        if (cleanFileTitle) {
+                            titleLine2 = `📂 ${cleanFileTitle}`;
+                        } else if (type === 'movie') {
+                            titleLine2 = `📂 ${result.fileIndex !== undefined ? `File #${result.fileIndex}` : 'Pack File'}`;
+                        } else if (season && episode && mediaDetails) {
+                            titleLine2 = `📂 ${mediaDetails.title} S${String(season).padStart(2, '0')}E${String(episode).padStart(2, '0')}`;
+                        } else {
+                            titleLine2 = `📂 ${cleanMainFilename}`;
+                        }
+                    } else {
+                        titleLine1 = `🎬 ${cleanMainFilename}`;
+                    }
+
+                    // Size display with pack/episode format
+                    let sizeLine;
+                    const packSize = result.packSize || 0;
+                    const episodeSize = result.file_size || 0;
+                    if (isPack && episodeSize > 0 && packSize > 0 && episodeSize < packSize) {
+                        sizeLine = config.aiostreams_mode
+                            ? `💾 ${formatBytes(episodeSize)} / 📂 ${formatBytes(packSize)}`
+                            : `💾 ${formatBytes(packSize)} / ${formatBytes(episodeSize)}`;
+                    } else {
+                        sizeLine = `💾 ${result.size || 'Unknown'}`;
+                    }
+
+                    const langInfo = getLanguageInfo(result.title, italianTitle, result.source);
+                    const languageLine = `🗣️ ${langInfo.displayLabel}`;
+
+                    // Normalize provider name
+                    let providerName = result.source;
+                    if (result.externalAddon && result.externalProvider) {
+                        providerName = `(${result.externalProvider})`;
+                    }
+                    if (providerName.toLowerCase().includes('corsaro') && !result.externalAddon) {
+                        providerName = 'IlCorsaroNero';
+                    }
+                    const providerLine = `🔗 ${providerName} 👥 ${result.seeders || 0}`;
+
+                    const streamTitle = [
+                        titleLine1,
+                        titleLine2,
+                        sizeLine,
+                        languageLine,
+                        providerLine
+                    ].filter(Boolean).join('\n');
+
+                    const svcStream = {
+                        name: streamName,
+                        title: streamTitle,
+                        infoHash: result.infoHash,
+                        url: streamUrl,
+                        // AIOStreams (Ensure NUMBER)
+                        size: isPack ? Number(result.file_size || result.sizeInBytes || 0) : Number(result.sizeInBytes || 0),
+                        folderSize: Number(result.packSize || result.sizeInBytes || 0),
+                        ...(isPack && result.title ? { folderName: result.title } : {}),
+                        ...(cleanMainFilename ? { filename: cleanMainFilename } : {}),
+                        behaviorHints: {
+                            bingeGroup: generateBingeGroup(result.file_title || result.title, svc.binge),
+                            notWebReady: false,
+                            ...(result.size ? { videoSize: isPack ? Number(result.file_size || result.sizeInBytes || 0) : Number(result.sizeInBytes || 0) } : {}),
+                            ...(cleanMainFilename ? { filename: cleanMainFilename } : {}),
+                            ...(isPack && result.title ? { folderName: result.title } : {})
+                        },
+                        _meta: {
+                            infoHash: result.infoHash,
+                            cached: isCached,
+                            cacheSource: cacheType,
+                            service: svc.service,
+                            originalSize: result.size,
+                            quality: result.quality,
+                            seeders: result.seeders
+                        }
+                    };
+
+                    if (result.fileIndex !== null && result.fileIndex !== undefined) {
+                        svcStream.fileIdx = result.fileIndex;
+                    }
+
+                    // ✅ Apply custom formatter if configured
+                    applyStreamRanking(svcStream, result, scoreProfile, isCached);
+                    applyCustomFormatter(svcStream, result, config, svc.formatterName, isCached);
+
+                    // ⚡ ONLY CACHED FILTER
+                    if (!config.only_debrid_cache || isCached) {
+                        streams.push(svcStream);
+                    }
+                }
+
+                // ✅ P2P STREAM (if no debrid service enabled)
+                if (!useRealDebrid && !useTorbox && !useAllDebrid && !usePremiumize && !useOffcloud) {
+
+                    // 🔧 FIX: Fallback for "Unknown" quality using title keywords
+                    // Requested by user for old releases (DVD, DivX, etc.)
+                    if (!result.quality || result.quality === 'Unknown') {
+                        const checkText = (result.title + ' ' + (result.file_title || '')).toLowerCase();
+                        if (checkText.match(/\b(dvd|dvdrip|divx|xvid|sd)\b/)) {
+                            result.quality = 'DVD';
+                        }
+                    }
+
+                    // Badge uses addon name for external addons
+                    let badgePrefix = 'IL 🏴‍☠️ 🔮';
+                    if (result.externalAddon) {
+                        const addonName = EXTERNAL_ADDONS[result.externalAddon] ? EXTERNAL_ADDONS[result.externalAddon].name : result.externalAddon;
+                        badgePrefix = `${result.sourceEmoji || '🔗'} ${addonName}`;
+                    }
+
+                    // AIOStreams-compatible format or standard format
+                    let streamName;
+                    if (config.aiostreams_mode) {
+                        streamName = aioFormatter.formatStreamName({
+                            addonName: 'IlCorsaroViola',
+                            service: 'p2p',
+                            cached: false, // P2P is never cached
+                            quality: result.quality || 'Unknown',
+                            hasError: false
+                        });
+                    } else {
+                        streamName = `${badgePrefix} [🧲] [⏬]\n${result.quality || 'Unknown'}`;
+                    }
+
+                    // New Title Format
+                    let titleLine1 = '';
+                    let titleLine2 = '';
+
+                    // ✅ Define isPack at top level for size calculation
+                    // For movies: isPack if we have fileIndex (pack with specific file selected)
+                    // For series: isPack if title matches season pack pattern
+                    const isPack = type === 'movie'
+                        ? (result.fileIndex !== undefined && result.fileIndex !== null)
+                        : packFilesHandler.isSeasonPack(result.title);
+
+                    // ✅ MOVIE/SERIES TITLE DISPLAY
+                    // Logic: Single file = only filename, Pack = pack name + file name
+                    const cleanFileTitle = result.file_title ? result.file_title.split('/').pop() : '';
+                    const cleanMainFilename = (result.file_title || result.filename || result.title || '').split('/').pop();
+
+                    if (type === 'movie') {
+                        if (isPack) {
+                            // Movie collection: show BOTH pack and file
+                            titleLine1 = `🗳️ ${result.title}`;
+                            // ✅ FIX: Show file_title if available, otherwise indicate pack fileIndex
+                            titleLine2 = cleanFileTitle ? `📂 ${cleanFileTitle}` : `📂 File #${result.fileIndex}`;
+                        } else {
+                            // Single movie: show ONLY the filename (not the torrent name)
                             titleLine1 = `🎬 ${cleanMainFilename}`;
                         }
                     } else {
@@ -10647,6 +11048,7 @@ async function handleStream(type, id, config, workerOrigin) {
                     streams.push(p2pStream);
 
                     // ✅ Apply custom formatter if configured (same as RD/TB)
+                    applyStreamRanking(p2pStream, result, scoreProfile, false);
                     applyCustomFormatter(p2pStream, result, config, 'P2P', false);
                 }
 
@@ -10666,6 +11068,17 @@ async function handleStream(type, id, config, workerOrigin) {
             }
         }
 
+        // 📰 Usenet streams (TorBox): sorted, ranked and limited together with the torrent streams below
+        if (usenetResults.length > 0) {
+            streams.push(...await buildUsenetStreams(usenetResults, config, {
+                type,
+                season: type === 'series' ? parseInt(season, 10) || null : null,
+                episode: type === 'series' ? parseInt(episode, 10) || null : null,
+                workerOrigin,
+                scoreProfile
+            }));
+        }
+
         // Helper function for resolution score
         const getResolutionScore = (stream) => {
             const quality = (stream._meta?.quality || '').toLowerCase();
@@ -10710,9 +11123,13 @@ async function handleStream(type, id, config, workerOrigin) {
 
         // ✅ P2P MODE SORTING: Quality > Seeders > Size (no cache priority)
         // ✅ DEBRID MODE SORTING: Cache > Resolution > Size > Seeders
-        const isP2PMode = !useRealDebrid && !useTorbox && !useAllDebrid;
+        const isP2PMode = !useRealDebrid && !useTorbox && !useAllDebrid && !usePremiumize && !useOffcloud;
 
-        if (isP2PMode) {
+        if (scoreProfile) {
+            // 🎯 QUALITY PROFILE SORTING: Score > Cache > Seeders
+            console.log(`🎯 [Profile Sorting] Sorting ${streams.length} streams by quality profile score`);
+            streams.sort(qualityProfile.compareByScore);
+        } else if (isP2PMode) {
             console.log(`🔄 [P2P Sorting] Applying P2P sort order: Quality > Seeders > Size`);
             streams.sort((a, b) => {
                 // 1. Resolution (High to Low)
@@ -10770,6 +11187,14 @@ async function handleStream(type, id, config, workerOrigin) {
             });
         }
 
+        // 🎚️ Preferred regex matches stay on top, in rule order (stable sort keeps the order above)
+        if (userRegexRules?.preferred.length > 0) {
+            streams.sort(regexRules.compareByRegexRank);
+        }
+
+        // 🌱 Dead torrents stay last whatever the sorting above (stable sort keeps the order within each group)
+        streams.sort((a, b) => (a._meta?.dead ? 1 : 0) - (b._meta?.dead ? 1 : 0));
+
         // ✅ Apply Max Resolution Limit (if configured)
         if (config.max_res_limit) {
             const limit = parseInt(config.max_res_limit);
@@ -10779,6 +11204,12 @@ async function handleStream(type, id, config, workerOrigin) {
             }
         }
 
+        // 📥 Season pack action goes last: it must not win bingeGroup/top-stream picks
+        if (config.season_pack_action === true && useRealDebrid && type === 'series' && season && episode) {
+            const seasonActionStream = buildSeasonPackActionStream(streams);
+            if (seasonActionStream) streams.push(seasonActionStream);
+        }
+
         const cachedCount = streams.filter(s => s.name.includes('⚡')).length;
         const totalTime = Date.now() - startTime;
 
@@ -10880,6 +11311,7 @@ async function handleStream(type, id, config, workerOrigin) {
                 processingTimeMs: totalTime,
                 tmdbData: mediaDetails,
                 fromCache: fromGlobalCache,
+                tier: fromGlobalCache ? 'global_cache' : responseTier,
                 globalCacheKey: globalCacheKey,
                 userConfig: configHashForLog
             }
@@ -10963,6 +11395,301 @@ async function getTVShowDetails(tmdbId, seasonNum, episodeNum, tmdbApiKey) {
     }
 }
 
+// 📚 CATALOGS: Italian releases browsable from Stremio, built from the torrents DB
+const CATALOG_PAGE_SIZE = 50;
+const CATALOG_META_TTL = 24 * 60 * 60 * 1000; // 24h - posters/genres rarely change
+const CATALOG_META_CACHE_MAX = 5000; // least recently used entries are evicted beyond this
+const CATALOG_GENRE_MAX_LOOKUPS = 40; // uncached TMDB lookups per genre page request
+const CATALOG_GENRE_MAX_ROWS = 500;
+const CATALOG_PARTIAL_CACHE_MAX_AGE = 60; // genre page cut short by the lookup budget: ask again soon
+
+// TMDB genre IDs (movie + tv) → Italian names shown in the Stremio genre filter
+const TMDB_GENRES_IT = {
+    28: 'Azione', 12: 'Avventura', 16: 'Animazione', 35: 'Commedia', 80: 'Crime',
+    99: 'Documentario', 18: 'Dramma', 10751: 'Famiglia', 14: 'Fantasy', 36: 'Storia',
+    27: 'Horror', 10402: 'Musica', 9648: 'Mistero', 10749: 'Romance', 878: 'Fantascienza',
+    53: 'Thriller', 10752: 'Guerra', 37: 'Western', 10759: 'Azione', 10765: 'Fantascienza',
+    10768: 'Guerra', 10762: 'Kids', 10763: 'News', 10764: 'Reality', 10766: 'Soap', 10767: 'Talk'
+};
+const CATALOG_GENRES = [...new Set(Object.values(TMDB_GENRES_IT))].sort();
+
+const CATALOG_DEFINITIONS = [
+    { id: 'icv_latest_ita', type: 'movie', name: '🇮🇹 Ultimi Film ITA', dbCatalog: 'latest' },
+    { id: 'icv_latest_ita', type: 'series', name: '🇮🇹 Ultimi Episodi ITA', dbCatalog: 'latest' },
+    { id: 'icv_4k_ita', type: 'movie', name: '🇮🇹 4K ITA', dbCatalog: '4k' },
+    { id: 'icv_4k_ita', type: 'series', name: '🇮🇹 4K ITA', dbCatalog: '4k' },
+    { id: 'icv_rd_cached', type: 'movie', name: '👑 In cache su RD', dbCatalog: 'rd_cached' },
+    { id: 'icv_rd_cached', type: 'series', name: '👑 In cache su RD', dbCatalog: 'rd_cached' },
+    { id: 'icv_my_cloud', type: 'movie', name: '☁️ Il Mio Cloud', dbCatalog: 'my_cloud', personal: true },
+    { id: 'icv_my_cloud', type: 'series', name: '☁️ Il Mio Cloud', dbCatalog: 'my_cloud', personal: true }
+];
+
+// imdbId -> { meta, genres, timestamp } (Map order = least recently used first)
+const catalogMetaCache = new Map();
+
+/**
+ * Fresh cached catalog meta, marked as most recently used
+ * @param {string} imdbId
+ * @returns {Object|null} { meta, genres, timestamp }
+ */
+function getCachedCatalogMeta(imdbId) {
+    const cached = catalogMetaCache.get(imdbId);
+    if (!cached) return null;
+    catalogMetaCache.delete(imdbId);
+    if (Date.now() - cached.timestamp >= CATALOG_META_TTL) return null;
+    catalogMetaCache.set(imdbId, cached);
+    return cached;
+}
+
+async function getCatalogMetaPreview(row, type, tmdbApiKey) {
+    const cached = getCachedCatalogMeta(row.imdb_id);
+    if (cached) return cached;
+
+    // Fallback meta: Cinemeta poster + cleaned torrent title (works even if TMDB is down)
+    const fallbackName = parseTorrentTitle(row.title || '').title || row.title || row.imdb_id;
+    let entry = {
+        meta: {
+            id: row.imdb_id,
+            type,
+            name: fallbackName,
+            poster: `https://images.metahub.space/poster/medium/${row.imdb_id}/img`
+        },
+        genres: [],
+        timestamp: Date.now()
+    };
+    let tmdbAnswered = false;
+
+    try {
+        const response = await fetch(`${TMDB_BASE_URL}/find/${row.imdb_id}?api_key=${tmdbApiKey}&external_source=imdb_id&language=it-IT`, {
+            signal: AbortSignal.timeout(8000)
+        });
+        if (response.ok) {
+            const data = await response.json();
+            tmdbAnswered = true;
+            const item = type === 'series' ? data.tv_results?.[0] : data.movie_results?.[0];
+            if (item) {
+                const genres = [...new Set((item.genre_ids || []).map(id => TMDB_GENRES_IT[id]).filter(Boolean))];
+                const releaseDate = item.release_date || item.first_air_date || '';
+                entry = {
+                    meta: {
+                        id: row.imdb_id,
+                        type,
+                        name: item.title || item.name || fallbackName,
+                        poster: item.poster_path ? `https://image.tmdb.org/t/p/w500${item.poster_path}` : entry.meta.poster,
+                        ...(item.backdrop_path ? { background: `https://image.tmdb.org/t/p/original${item.backdrop_path}` } : {}),
+                        ...(item.overview ? { description: item.overview } : {}),
+                        ...(releaseDate ? { releaseInfo: releaseDate.substring(0, 4) } : {}),
+                        genres
+                    },
+                    genres,
+                    timestamp: Date.now()
+                };
+            }
+        }
+    } catch (error) {
+        console.warn(`⚠️ [Catalog] TMDB lookup failed for ${row.imdb_id}: ${error.message}`);
+    }
+
+    // Only cache what TMDB answered: a failed lookup is retried on the next request
+    if (!tmdbAnswered) return entry;
+    catalogMetaCache.set(row.imdb_id, entry);
+    while (catalogMetaCache.size > CATALOG_META_CACHE_MAX) {
+        catalogMetaCache.delete(catalogMetaCache.keys().next().value);
+    }
+    return entry;
+}
+
+async function handleCatalog(type, catalogId, extra, config) {
+    const definition = CATALOG_DEFINITIONS.find(c => c.id === catalogId && c.type === type);
+    if (!definition) return { metas: [] };
+
+    if (!process.env.DATABASE_URL) {
+        console.warn('⚠️ [Catalog] DATABASE_URL not configured, returning empty catalog');
+        return { metas: [] };
+    }
+
+    const tmdbKey = config.tmdb_key || process.env.TMDB_KEY || process.env.TMDB_API_KEY || '5462f78469f3d80bf5201645294c16e4';
+    const skip = Math.max(0, parseInt(extra.skip) || 0);
+    const genre = extra.genre || null;
+
+    console.log(`📚 [Catalog] ${definition.dbCatalog}/${type} skip=${skip}${genre ? ` genre=${genre}` : ''}`);
+
+    let fetchRows = (offset, limit) => dbHelper.getItalianCatalog(definition.dbCatalog, type, offset, limit);
+    let cacheMaxAge = 3600;
+
+    // ☁️ My cloud: the user's own debrid libraries (synced first when the mirror is stale)
+    if (definition.personal) {
+        const accounts = [['rd', config.rd_key], ['tb', config.torbox_key]].filter(([, key]) => key && key.length > 5);
+        if (accounts.length === 0) return { metas: [] };
+
+        await Promise.all(accounts.map(async ([service, key]) => {
+            const library = await dbHelper.getDebridLibrary(debridLibrary.accountHash(key), service);
+            if (debridLibrary.needsSync(library.syncedAt)) {
+                await syncDebridLibrary(service, key).catch(error => console.warn(`☁️ [Library] ${service} sync failed: ${error.message}`));
+            }
+        }));
+
+        const accountHashes = accounts.map(([, key]) => debridLibrary.accountHash(key));
+        fetchRows = (offset, limit) => dbHelper.getDebridLibraryCatalog(accountHashes, type, offset, limit);
+        cacheMaxAge = 300;
+    }
+
+    if (!genre) {
+        const rows = await fetchRows(skip, CATALOG_PAGE_SIZE);
+        const entries = await Promise.all(rows.map(row => getCatalogMetaPreview(row, type, tmdbKey)));
+        return { metas: entries.map(entry => entry.meta), cacheMaxAge };
+    }
+
+    // Genre is only known after TMDB lookup, so Stremio's skip counts FILTERED items:
+    // scan the DB from the top until skip + one page of matches is collected. Cached metas
+    // are free; at most CATALOG_GENRE_MAX_LOOKUPS rows go to TMDB per request, so a deep
+    // page fills up over a few requests instead of firing hundreds of lookups at once.
+    const matches = [];
+    let lookupsLeft = CATALOG_GENRE_MAX_LOOKUPS;
+    for (let offset = 0; offset < CATALOG_GENRE_MAX_ROWS && matches.length < skip + CATALOG_PAGE_SIZE; offset += CATALOG_PAGE_SIZE) {
+        const rows = await fetchRows(offset, CATALOG_PAGE_SIZE);
+        if (rows.length === 0) break;
+
+        const scanned = [];
+        for (const row of rows) {
+            if (!getCachedCatalogMeta(row.imdb_id)) {
+                if (lookupsLeft === 0) break;
+                lookupsLeft--;
+            }
+            scanned.push(row);
+        }
+
+        const entries = await Promise.all(scanned.map(row => getCatalogMetaPreview(row, type, tmdbKey)));
+        matches.push(...entries.filter(entry => entry.genres.includes(genre)));
+        if (scanned.length < rows.length) {
+            console.log(`📚 [Catalog] genre=${genre}: TMDB lookup budget used, ${matches.length} matches so far`);
+            cacheMaxAge = CATALOG_PARTIAL_CACHE_MAX_AGE;
+            break;
+        }
+        if (rows.length < CATALOG_PAGE_SIZE) break;
+    }
+
+    return { metas: matches.slice(skip, skip + CATALOG_PAGE_SIZE).map(entry => entry.meta), cacheMaxAge };
+}
+
+// 🌸 ANIME META: Kitsu entries with episodes placed in their TMDB season
+const MAX_ANIME_META_VIDEOS = 2000;
+
+/**
+ * Meta for a Kitsu ID (the episode ids stay kitsu:{id}:{n}, season/episode are the TMDB ones)
+ * @param {string} type - 'movie', 'series' or 'anime'
+ * @param {string} id - "kitsu:1376"
+ * @param {Object} config - User configuration
+ * @returns {Promise<{meta: Object|null}>}
+ */
+async function handleAnimeMeta(type, id, config) {
+    const kitsuId = id.startsWith('kitsu:') ? parseInt(id.split(':')[1]) : null;
+    if (!kitsuId) return { meta: null };
+
+    const details = await getKitsuDetails(kitsuId);
+    if (!details) return { meta: null };
+
+    const meta = {
+        id: `kitsu:${kitsuId}`,
+        type,
+        name: details.title,
+        poster: details.poster,
+        description: details.description,
+        releaseInfo: details.year ? String(details.year) : undefined,
+        imdb_id: details.imdbId || undefined
+    };
+
+    if (type !== 'movie') {
+        const tmdbKey = config.tmdb_key || process.env.TMDB_KEY || process.env.TMDB_API_KEY || '5462f78469f3d80bf5201645294c16e4';
+        const mapping = details.animeMapping || null;
+        const seasons = details.tmdbId ? await getTmdbSeasons(details.tmdbId, tmdbKey).catch(() => []) : [];
+
+        // Ongoing anime have no episode count on Kitsu: use the TMDB season it maps to
+        const episodeCount = details.episodeCount
+            || seasons.find(s => s.season_number === mapping?.tmdbSeason)?.episode_count
+            || 0;
+        const released = details.startDate ? new Date(details.startDate).toISOString() : new Date(0).toISOString();
+
+        meta.videos = [];
+        for (let n = 1; n <= Math.min(episodeCount, MAX_ANIME_META_VIDEOS); n++) {
+            const mapped = animeMapping.resolveEpisode(mapping, n, seasons);
+            meta.videos.push({
+                id: `kitsu:${kitsuId}:${n}`,
+                title: `Episodio ${n}`,
+                season: mapped?.season ?? 1,
+                episode: mapped?.episode ?? n,
+                released
+            });
+        }
+    }
+
+    return { meta, cacheMaxAge: 86400 };
+}
+
+// 💬 SUBTITLES: Italian subtitles ranked against the file Stremio is playing
+const SUBTITLE_MATCHES_TTL_HOURS = 72;
+
+/**
+ * Subtitles for a Stremio request
+ * @param {string} type - 'movie' or 'series'
+ * @param {string} id - Stremio id ("tt0111161" or "tt0903747:1:2")
+ * @param {Object} extra - videoHash, videoSize, filename (sent by Stremio when known)
+ * @param {Object} config - User configuration
+ * @param {string} workerOrigin - Public origin for the /subtitles-file/ URLs
+ * @returns {Promise<{subtitles: Object[]}>}
+ */
+async function handleSubtitles(type, id, extra, config, workerOrigin) {
+    if (config.subtitles_enabled === false) return { subtitles: [] };
+
+    const [imdbId, seasonStr, episodeStr] = decodeURIComponent(id).split(':');
+    if (!imdbId?.startsWith('tt')) return { subtitles: [] };
+    const season = type === 'series' ? parseInt(seasonStr) || null : null;
+    const episode = type === 'series' ? parseInt(episodeStr) || null : null;
+    if (type === 'series' && (!season || !episode)) return { subtitles: [] };
+
+    const videoHash = /^[0-9a-f]{16}$/i.test(extra.videoHash || '') ? extra.videoHash.toLowerCase() : null;
+    const videoSize = parseInt(extra.videoSize) || null;
+    let filename = extra.filename || null;
+
+    const dbEnabled = !!process.env.DATABASE_URL;
+    if (dbEnabled) {
+        try { dbHelper.initDatabase(); } catch (error) { console.warn(`⚠️ [Subtitles] DB unavailable: ${error.message}`); }
+    }
+
+    // Files already indexed from packs/episodes have their exact size: recover the name if Stremio didn't send it
+    if (!filename && videoSize && dbEnabled) {
+        filename = await dbHelper.findFileNameBySize(imdbId, videoSize, season, episode);
+        if (filename && DEBUG_MODE) console.log(`💬 [Subtitles] File resolved from DB by size: ${filename}`);
+    }
+
+    const cacheKey = `${imdbId}:${season || 0}:${episode || 0}:${videoHash || filename || videoSize || 'any'}`;
+    let matches = dbEnabled ? await dbHelper.getSubtitleMatches(cacheKey, SUBTITLE_MATCHES_TTL_HOURS) : null;
+
+    if (matches) {
+        console.log(`💬 [Subtitles] Cache hit for ${cacheKey} (${matches.length})`);
+    } else {
+        matches = await subtitles.findSubtitles(
+            { imdbId, season, episode, videoHash, videoSize, filename },
+            { similarity: calculateSimilarity, track: trackProviderCall }
+        );
+        console.log(`💬 [Subtitles] ${matches.length} Italian subtitles for ${imdbId}${season ? ` S${season}E${episode}` : ''}${filename ? ` (${filename})` : ''}`);
+        // Empty results are not cached: subtitles often show up days after the release
+        if (dbEnabled && matches.length > 0) {
+            dbHelper.saveSubtitleMatches(cacheKey, { imdbId, season, episode, filename, matches })
+                .catch(error => console.warn(`⚠️ [Subtitles] Failed to cache matches: ${error.message}`));
+        }
+    }
+
+    return {
+        subtitles: matches.map(match => ({
+            id: `${match.source}-${match.id}`,
+            url: `${workerOrigin}/subtitles-file/${match.source}/${Buffer.from(match.ref).toString('base64url')}.srt`,
+            lang: 'ita'
+        })),
+        cacheMaxAge: 3600
+    };
+}
+
 // ✅ Enhanced search endpoint for testing
 async function handleSearch({ query, type }, config) {
     if (!query) throw new Error('Missing required parameter: query');
@@ -11073,6 +11800,216 @@ async function handleSearch({ query, type }, config) {
     }
 }
 
+/**
+ * Drop cached search results of a title (memory, DB and intro cache)
+ * Global cache keys: torrent:{type}:{imdbId}[:{season}:{episode}]
+ * @param {string} imdbId
+ * @param {number|null} season - Only this season (null = all)
+ * @param {number|null} episode - Only this episode (null = all)
+ * @returns {Promise<{memoryRemoved: number, dbRemoved: number, introRemoved: number}>}
+ */
+async function purgeContentCaches(imdbId, season = null, episode = null) {
+    let memoryRemoved = 0;
+    for (const key of Array.from(globalTorrentCache.keys())) {
+        const id = key.split(':').slice(2);
+        if (id[0] !== imdbId) continue;
+        if (season && parseInt(id[1]) !== season) continue;
+        if (episode && parseInt(id[2]) !== episode) continue;
+        globalTorrentCache.delete(key);
+        memoryRemoved++;
+    }
+
+    const dbRemoved = process.env.DATABASE_URL ? await dbHelper.purgeTorrentSearchCache(imdbId, season, episode) : 0;
+    const introRemoved = introSkip.purgeCache(imdbId, season, episode);
+    return { memoryRemoved, dbRemoved, introRemoved };
+}
+
+/**
+ * Escape text for server-rendered HTML
+ * @param {*} text
+ * @returns {string}
+ */
+function escapeHtmlText(text) {
+    return String(text ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+/**
+ * Report page for a title: the known releases with a reason picker
+ * @param {string} type - 'movie' or 'series'
+ * @param {string} imdbId
+ * @param {number|null} season
+ * @param {number|null} episode
+ * @param {Array<{infoHash: string, fileIndex: number|null, title: string, size: number}>} candidates
+ * @returns {string} HTML
+ */
+function buildReportPage(type, imdbId, season, episode, candidates) {
+    const label = season ? `${imdbId} S${String(season).padStart(2, '0')}E${String(episode).padStart(2, '0')}` : imdbId;
+    const reasons = Object.entries(reports.REASONS)
+        .map(([value, text]) => `<option value="${value}">${escapeHtmlText(text)}</option>`).join('');
+    const rows = candidates.map((c, i) => `<label class="row"><input type="radio" name="release" value="${i}"> <span>${escapeHtmlText(c.title)}<br><small>${formatBytes(c.size || 0)} · ${c.infoHash.substring(0, 8)}</small></span></label>`).join('');
+    const data = JSON.stringify(candidates.map(c => ({ infoHash: c.infoHash, fileIndex: c.fileIndex }))).replace(/</g, '\\u003c');
+
+    return `<!DOCTYPE html>
+<html lang="it"><head><meta charset="UTF-8"><meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>IlCorsaroViola - Segnala</title>
+<style>
+body{font-family:sans-serif;background-color:#1E1E1E;color:#E0E0E0;margin:0;padding:1.5em;}
+.container{max-width:720px;margin:0 auto;padding:1.5em;background-color:#2A2A2A;border-radius:8px;box-shadow:0 4px 8px rgba(0,0,0,0.3);}
+h1{color:#9333EA;margin-top:0;font-size:1.4em;} small{color:#9ca3af;}
+.row{display:flex;gap:10px;align-items:flex-start;padding:10px 0;border-bottom:1px solid #3A3A3A;cursor:pointer;word-break:break-word;}
+select,button{padding:10px;border-radius:6px;border:1px solid #3A3A3A;background:#1E1E1E;color:#E0E0E0;margin-top:1em;width:100%;}
+button{background:#9333EA;border:none;cursor:pointer;font-weight:bold;} #result{margin-top:1em;}
+</style></head><body><div class="container">
+<h1>⚠️ Segnala un torrent</h1>
+<p>${escapeHtmlText(type === 'series' ? 'Episodio' : 'Film')}: <b>${escapeHtmlText(label)}</b></p>
+${candidates.length > 0
+        ? `<form id="report">${rows}<select id="reason">${reasons}</select><button type="submit">Invia segnalazione</button></form>`
+        : '<p>Nessun torrent da segnalare per questo titolo.</p>'}
+<div id="result"></div>
+</div>
+<script>
+const releases = ${data};
+const form = document.getElementById('report');
+if (form) form.addEventListener('submit', async function (event) {
+    event.preventDefault();
+    const result = document.getElementById('result');
+    const checked = form.querySelector('input[name=release]:checked');
+    if (!checked) { result.textContent = '❌ Scegli un torrent'; return; }
+    const release = releases[checked.value];
+    const response = await fetch('/report/api', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            infoHash: release.infoHash,
+            fileIndex: release.fileIndex,
+            imdbId: ${JSON.stringify(imdbId)},
+            season: ${season === null ? 'null' : season},
+            episode: ${episode === null ? 'null' : episode},
+            reason: document.getElementById('reason').value
+        })
+    });
+    const data = await response.json();
+    result.textContent = data.error ? '❌ ' + data.error : '✅ Grazie, segnalazione registrata';
+});
+</script>
+</body></html>`;
+}
+
+// 🛠️ Admin dashboard page (data is loaded from /admin/api/stats, same Basic auth)
+const ADMIN_DASHBOARD_HTML = `<!DOCTYPE html>
+<html lang="it"><head><meta charset="UTF-8"><meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>IlCorsaroViola - Admin</title>
+<style>
+body{font-family:sans-serif;background-color:#1E1E1E;color:#E0E0E0;margin:0;padding:2em;}
+h1{color:#9333EA;margin-top:0;} h2{color:#4EC9B0;font-size:1.1em;}
+.grid{display:grid;grid-template-columns:repeat(auto-fit,minmax(220px,1fr));gap:1em;}
+.card{background-color:#2A2A2A;border-radius:8px;padding:1em;box-shadow:0 4px 8px rgba(0,0,0,0.3);}
+.value{font-size:1.6em;font-weight:bold;} small{color:#9ca3af;}
+table{width:100%;border-collapse:collapse;background-color:#2A2A2A;border-radius:8px;}
+th,td{padding:8px;text-align:left;border-bottom:1px solid #3A3A3A;} th{color:#4EC9B0;}
+input,button{padding:8px;border-radius:6px;border:1px solid #3A3A3A;background:#1E1E1E;color:#E0E0E0;}
+button{background:#9333EA;border:none;cursor:pointer;} #purge_result{margin-top:8px;}
+</style></head><body>
+<h1>🛠️ IlCorsaroViola Admin</h1>
+<small id="updated">Caricamento...</small>
+<h2>📦 Cache e code</h2>
+<div class="grid" id="caches"></div>
+<h2>🔍 Provider</h2>
+<table><thead><tr><th>Provider</th><th>Chiamate</th><th>Successo</th><th>Errori</th><th>Timeout</th><th>Latenza media</th><th>Ultima</th><th>Ultimo errore</th></tr></thead><tbody id="providers"></tbody></table>
+<h2>🧹 Svuota cache</h2>
+<div class="card">
+<input id="imdb_id" placeholder="tt0903747"> <input id="season" placeholder="Stagione" size="8"> <input id="episode" placeholder="Episodio" size="8">
+<button id="purge_button">Svuota</button>
+<div id="purge_result"></div>
+</div>
+<h2>⚠️ Segnalazioni</h2>
+<table><thead><tr><th>Stato</th><th>Titolo</th><th>Contenuto</th><th>Utenti</th><th>Motivi</th><th></th></tr></thead><tbody id="reports"></tbody></table>
+<script>
+function card(title, value, note) {
+    return '<div class="card"><small>' + title + '</small><div class="value">' + value + '</div><small>' + (note || '') + '</small></div>';
+}
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"]/g, function (c) { return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]; });
+}
+async function refresh() {
+    try {
+        const response = await fetch('/admin/api/stats', { credentials: 'same-origin' });
+        const s = await response.json();
+        const c = s.caches;
+        document.getElementById('caches').innerHTML =
+            card('Cache ricerche (memoria)', c.searchCache.entries, 'max ' + c.searchCache.maxEntries) +
+            card('Cache globale (memoria)', c.globalTorrentCache.entries, 'max ' + c.globalTorrentCache.maxEntries) +
+            card('Cache globale (DB)', c.torrentSearchCacheDb ? c.torrentSearchCacheDb.total : 'n/d', c.torrentSearchCacheDb ? c.torrentSearchCacheDb.expired + ' scadute' : 'DB non configurato') +
+            card('IntroSkip cache', c.introCache.size, 'max ' + c.introCache.maxSize) +
+            card('HLS offset cache', c.hlsOffsetCache.size, '') +
+            card('Job in background', s.backgroundJobs.active + '/' + s.backgroundJobs.maxConcurrent, s.backgroundJobs.queued + ' in coda') +
+            card('Memoria', s.memoryMb + ' MB', 'uptime ' + Math.round(s.uptimeSec / 60) + ' min');
+        const rows = Object.keys(s.providers).sort().map(function (name) {
+            const p = s.providers[name];
+            return '<tr><td>' + escapeHtml(name) + '</td><td>' + p.calls + '</td><td>' + (p.successRate === null ? '-' : p.successRate + '%') +
+                '</td><td>' + p.errors + '</td><td>' + p.timeouts + '</td><td>' + (p.avgMs === null ? '-' : p.avgMs + ' ms') +
+                '</td><td>' + p.lastMs + ' ms</td><td>' + escapeHtml(p.lastError || '') + '</td></tr>';
+        });
+        document.getElementById('providers').innerHTML = rows.join('') || '<tr><td colspan="8">Nessuna ricerca dall\\'avvio</td></tr>';
+        document.getElementById('updated').textContent = 'Aggiornato: ' + new Date().toLocaleTimeString() + ' - v' + s.version;
+    } catch (e) {
+        document.getElementById('updated').textContent = 'Errore: ' + e.message;
+    }
+}
+document.getElementById('purge_button').addEventListener('click', async function () {
+    const result = document.getElementById('purge_result');
+    const response = await fetch('/admin/api/purge', {
+        method: 'POST',
+        credentials: 'same-origin',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            imdbId: document.getElementById('imdb_id').value.trim(),
+            season: document.getElementById('season').value.trim() || null,
+            episode: document.getElementById('episode').value.trim() || null
+        })
+    });
+    const data = await response.json();
+    result.textContent = data.error
+        ? '❌ ' + data.error
+        : '✅ Rimosse: memoria ' + data.memoryRemoved + ', DB ' + data.dbRemoved + ', intro ' + data.introRemoved;
+    refresh();
+});
+async function loadReports() {
+    try {
+        const response = await fetch('/admin/api/reports', { credentials: 'same-origin' });
+        const data = await response.json();
+        const rows = (data.reports || []).map(function (r) {
+            const target = r.imdb_id ? r.imdb_id + (r.season ? ' S' + r.season + (r.episode ? 'E' + r.episode : '') : '') : '-';
+            const reasons = Object.keys(r.reasons || {}).map(function (k) { return k + ' ' + r.reasons[k]; }).join(', ');
+            const title = (r.title || r.info_hash) + (r.file_index >= 0 ? ' → ' + (r.file_title || 'file ' + r.file_index) : '');
+            const actions = ['confirm', 'dismiss'].map(function (action) {
+                return '<button data-hash="' + r.info_hash + '" data-file="' + r.file_index + '" data-action="' + action + '">' + (action === 'confirm' ? 'Conferma' : 'Ignora') + '</button>';
+            }).join(' ');
+            return '<tr><td>' + r.status + '</td><td>' + escapeHtml(title) + '</td><td>' + escapeHtml(target) + '</td><td>' + r.reporters +
+                '</td><td>' + escapeHtml(reasons) + '</td><td>' + actions + '</td></tr>';
+        });
+        document.getElementById('reports').innerHTML = rows.join('') || '<tr><td colspan="6">' + escapeHtml(data.error || 'Nessuna segnalazione') + '</td></tr>';
+    } catch (e) {
+        document.getElementById('reports').innerHTML = '<tr><td colspan="6">Errore: ' + escapeHtml(e.message) + '</td></tr>';
+    }
+}
+document.getElementById('reports').addEventListener('click', async function (event) {
+    const button = event.target.closest('button');
+    if (!button) return;
+    await fetch('/admin/api/reports', {
+        method: 'POST',
+        credentials: 'same-origin',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ infoHash: button.dataset.hash, fileIndex: parseInt(button.dataset.file), action: button.dataset.action })
+    });
+    loadReports();
+});
+refresh();
+loadReports();
+setInterval(refresh, 5000);
+</script>
+</body></html>`;
+
 // ✅ Main Vercel Serverless Function handler
 export default async function handler(req, res) {
     const startTime = Date.now();
@@ -11097,8 +12034,9 @@ export default async function handler(req, res) {
 
     // ✅ Log decoded config if available
     try {
+        // 🔒 Token users never get their config logged (the regex below never matches 'icv-' tokens anyway)
         const configMatch = url.pathname.match(/^\/([a-zA-Z0-9+\/=]+)(\/|$)/);
-        if (configMatch && configMatch[1] && configMatch[1].length > 20) {
+        if (configMatch && configMatch[1] && configMatch[1].length > 20 && !configStore.isConfigToken(url.pathname.split('/')[1])) {
             const configStr = atob(configMatch[1]);
             const config = JSON.parse(configStr);
 
@@ -11143,7 +12081,7 @@ export default async function handler(req, res) {
             const pathParts = url.pathname.split('/');
             if (pathParts.length >= 2 && pathParts[1] && pathParts[1] !== 'configure') {
                 try {
-                    existingConfig = JSON.parse(atob(pathParts[1]));
+                    existingConfig = await parseConfigSegment(pathParts[1]);
                     console.log('📝 [Configure] Loaded existing config from URL path');
                 } catch (e) {
                     console.warn('⚠️ [Configure] Failed to parse config from path:', e.message);
@@ -11154,13 +12092,23 @@ export default async function handler(req, res) {
             if (!existingConfig && url.searchParams.has('config')) {
                 try {
                     const configParam = url.searchParams.get('config');
-                    existingConfig = JSON.parse(atob(configParam));
+                    existingConfig = await parseConfigSegment(configParam);
                     console.log('📝 [Configure] Loaded existing config from query parameter');
                 } catch (e) {
                     console.warn('⚠️ [Configure] Failed to parse config from query:', e.message);
                 }
             }
 
+            // 🔒 Token configs: never send API keys/passwords back to the page (anyone with the token could read them)
+            if (existingConfig && existingConfig.config_token) {
+                const envProxyUrl = process.env.MEDIAFLOW_URL;
+                existingConfig = Object.fromEntries(Object.entries(existingConfig).filter(([key, value]) =>
+                    !key.endsWith('_key') && !key.endsWith('_password') && key !== 'config_token' &&
+                    !(key === 'mediaflow_url' && value === envProxyUrl)
+                ));
+                existingConfig.secure_config = true;
+            }
+
             if (existingConfig) {
                 console.log('✅ [Configure] Config loaded:', Object.keys(existingConfig));
             } else {
@@ -11231,6 +12179,8 @@ export default async function handler(req, res) {
             // Extract config from URL path to determine addon name
             const pathParts = url.pathname.split('/');
             let addonName = 'IlCorsaroViola';
+            // ☁️ "My cloud" catalogs only make sense with a debrid account
+            let hasDebridLibrary = false;
 
             // Check if there's a config segment (e.g., /{config}/manifest.json)
             if (pathParts.length >= 3 && pathParts[1] && pathParts[1] !== 'manifest.json') {
@@ -11240,7 +12190,7 @@ export default async function handler(req, res) {
 
                     // Try multiple decode strategies for complex configs with emoji/special chars
                     try {
-                        config = JSON.parse(atob(encodedConfigStr));
+                        config = await parseConfigSegment(encodedConfigStr);
                     } catch (e1) {
                         // Fallback 1: URI decode for double-encoded or legacy formats
                         try {
@@ -11268,7 +12218,10 @@ export default async function handler(req, res) {
                     // Determine which debrid services are configured
                     const hasRD = config.rd_key && config.rd_key.length > 0;
                     const hasTB = config.torbox_key && config.torbox_key.length > 0;
+                    hasDebridLibrary = !!(hasRD || hasTB);
                     const hasAD = config.ad_key && config.ad_key.length > 0;
+                    const hasPM = config.use_premiumize && config.premiumize_key && config.premiumize_key.length > 0;
+                    const hasOC = config.use_offcloud && config.offcloud_key && config.offcloud_key.length > 0;
 
                     // Check if MediaFlow proxy is configured (only applies to RD)
                     const hasProxy = config.mediaflow_url && config.mediaflow_url.length > 0;
@@ -11278,6 +12231,8 @@ export default async function handler(req, res) {
                     if (hasRD) services.push('👑');  // Crown for Real-Debrid
                     if (hasTB) services.push('📦');  // Box for Torbox
                     if (hasAD) services.push('🅰️');   // Red A for AllDebrid
+                    if (hasPM) services.push('💎');  // Gem for Premiumize
+                    if (hasOC) services.push('☁️');   // Cloud for Offcloud
 
                     // Feature flags
                     const hasFullIta = config.full_ita === true;
@@ -11309,12 +12264,20 @@ export default async function handler(req, res) {
                 id: 'community.ilcorsaroviola.ita',
                 version: '7.2.3',
                 name: addonName,
-                description: 'Streaming da UIndex, CorsaroNero DB local, Knaben e Jackettio con o senza Real-Debrid, Torbox e Alldebrid.',
+                description: 'Streaming da UIndex, CorsaroNero DB local, Knaben e Jackettio con o senza Real-Debrid, Torbox, Alldebrid, Premiumize e Offcloud.',
                 logo: 'https://i.imgur.com/kZK4KKS.png',
-                resources: ['stream'],
+                resources: ['stream', 'catalog', 'subtitles', { name: 'meta', types: ['series', 'movie', 'anime'], idPrefixes: ['kitsu'] }],
                 types: ['movie', 'series', 'anime'],
                 idPrefixes: ['tt', 'kitsu'],
-                catalogs: [],
+                catalogs: CATALOG_DEFINITIONS.filter(c => !c.personal || hasDebridLibrary).map(c => ({
+                    type: c.type,
+                    id: c.id,
+                    name: c.name,
+                    extra: [
+                        { name: 'skip', isRequired: false },
+                        { name: 'genre', isRequired: false, options: CATALOG_GENRES }
+                    ]
+                })),
                 behaviorHints: {
                     adult: false,
                     p2p: true, // Indica che può restituire link magnet
@@ -11331,17 +12294,126 @@ export default async function handler(req, res) {
             return res.status(200).send(JSON.stringify(manifest, null, 2));
         }
 
-        // Stream endpoint (main functionality)
-        // Gestisce il formato /{config}/stream/{type}/{id} inviato da Stremio
-        if (url.pathname.includes('/stream/')) {
-            const pathParts = url.pathname.split('/'); // e.g., ['', '{config}', 'stream', '{type}', '{id}.json']
+        // 📚 Catalog endpoint
+        // Gestisce il formato /{config}/catalog/{type}/{id}/{extra}.json inviato da Stremio
+        if (url.pathname.includes('/catalog/')) {
+            const pathParts = url.pathname.split('/');
+            const catalogIdx = pathParts.indexOf('catalog');
+
+            let config = {};
+            if (catalogIdx > 1) {
+                try {
+                    config = await parseConfigSegment(pathParts[catalogIdx - 1]);
+                } catch (e) {
+                    console.error("Errore nel parsing della configurazione per il catalogo:", e.message);
+                }
+            }
+
+            const type = pathParts[catalogIdx + 1];
+            const catalogId = (pathParts[catalogIdx + 2] || '').replace(/\.json$/, '');
+            // Extra args: skip=50&genre=Azione (URL-encoded, last path segment)
+            const extraStr = (pathParts[catalogIdx + 3] || '').replace(/\.json$/, '');
+            const extra = Object.fromEntries(new URLSearchParams(decodeURIComponent(extraStr)));
+
+            const result = await handleCatalog(type, catalogId, extra, config);
+
+            res.setHeader('Content-Type', 'application/json');
+            res.setHeader('X-Response-Time', `${Date.now() - startTime}ms`);
+            return res.status(200).send(JSON.stringify(result));
+        }
+
+        // 🌸 Meta endpoint (Kitsu anime)
+        // Format: /{config}/meta/{type}/{id}.json
+        if (url.pathname.includes('/meta/')) {
+            const pathParts = url.pathname.split('/');
+            const metaIdx = pathParts.indexOf('meta');
+
+            let config = {};
+            if (metaIdx > 1) {
+                try {
+                    config = await parseConfigSegment(pathParts[metaIdx - 1]);
+                } catch (e) {
+                    console.error("Errore nel parsing della configurazione per i meta:", e.message);
+                }
+            }
+
+            const type = pathParts[metaIdx + 1];
+            const id = decodeURIComponent((pathParts[metaIdx + 2] || '').replace(/\.json$/, ''));
+
+            let result = { meta: null };
+            try {
+                result = await handleAnimeMeta(type, id, config);
+            } catch (error) {
+                console.error(`❌ [Meta] ${error.message}`);
+            }
+
+            res.setHeader('Content-Type', 'application/json');
+            res.setHeader('X-Response-Time', `${Date.now() - startTime}ms`);
+            return res.status(result.meta ? 200 : 404).send(JSON.stringify(result));
+        }
+
+        // 💬 Subtitles endpoint
+        // Gestisce il formato /{config}/subtitles/{type}/{id}/{extra}.json inviato da Stremio
+        if (url.pathname.includes('/subtitles/')) {
+            const pathParts = url.pathname.split('/');
+            const subtitlesIdx = pathParts.indexOf('subtitles');
+
+            let config = {};
+            if (subtitlesIdx > 1) {
+                try {
+                    config = await parseConfigSegment(pathParts[subtitlesIdx - 1]);
+                } catch (e) {
+                    console.error("Errore nel parsing della configurazione per i sottotitoli:", e.message);
+                }
+            }
+
+            const type = pathParts[subtitlesIdx + 1];
+            const id = (pathParts[subtitlesIdx + 2] || '').replace(/\.json$/, '');
+            // Extra args: videoHash=...&videoSize=...&filename=... (URL-encoded, last path segment)
+            const extraStr = (pathParts[subtitlesIdx + 3] || '').replace(/\.json$/, '');
+            const extra = Object.fromEntries(new URLSearchParams(decodeURIComponent(extraStr)));
+
+            let result = { subtitles: [] };
+            try {
+                result = await handleSubtitles(type, id, extra, config, url.origin);
+            } catch (error) {
+                console.error(`❌ [Subtitles] ${error.message}`);
+            }
+
+            res.setHeader('Content-Type', 'application/json');
+            res.setHeader('X-Response-Time', `${Date.now() - startTime}ms`);
+            return res.status(200).send(JSON.stringify(result));
+        }
+
+        // 💬 Subtitle file: /subtitles-file/{source}/{ref}.srt (downloaded on demand, served as UTF-8)
+        if (url.pathname.startsWith('/subtitles-file/')) {
+            const pathParts = url.pathname.split('/');
+            const sourceKey = pathParts[2];
+            const ref = Buffer.from((pathParts[3] || '').replace(/\.srt$/, ''), 'base64url').toString();
+
+            try {
+                const text = await subtitles.downloadSubtitle(sourceKey, ref);
+                res.setHeader('Content-Type', 'application/x-subrip; charset=utf-8');
+                res.setHeader('Cache-Control', 'public, max-age=86400');
+                return res.status(200).send(text);
+            } catch (error) {
+                console.error(`❌ [Subtitles] Download failed (${sourceKey}): ${error.message}`);
+                res.setHeader('Content-Type', 'text/plain');
+                return res.status(404).send('Sottotitolo non disponibile');
+            }
+        }
+
+        // Stream endpoint (main functionality)
+        // Gestisce il formato /{config}/stream/{type}/{id} inviato da Stremio
+        if (url.pathname.includes('/stream/')) {
+            const pathParts = url.pathname.split('/'); // e.g., ['', '{config}', 'stream', '{type}', '{id}.json']
 
             // Estrae la configurazione dal primo segmento del path
             const encodedConfigStr = pathParts[1];
             let config = {};
             if (encodedConfigStr && encodedConfigStr !== 'stream') {
                 try {
-                    config = JSON.parse(atob(encodedConfigStr));
+                    config = await parseConfigSegment(encodedConfigStr);
                 } catch (e) {
                     console.error("Errore nel parsing della configurazione (segmento 1) dall'URL:", e);
                 }
@@ -11376,7 +12448,17 @@ export default async function handler(req, res) {
             // Usa solo la configurazione dall'URL, senza fallback.
             const result = await handleStream(type, id, config, url.origin);
 
+            // ⚠️ REPORT ENTRY: opens the report page in the browser (opt-in)
+            if (config.report_entry === true && reports.isEnabled() && id.startsWith('tt') && (result.streams || []).length > 0) {
+                result.streams.push({
+                    name: 'IL 🏴‍☠️ 🔮\n⚠️ Segnala',
+                    title: '⚠️ Segnala un torrent fake, morto o non in italiano',
+                    externalUrl: `${url.origin}/report/${type}/${encodeURIComponent(id)}`
+                });
+            }
+
             const responseTime = Date.now() - startTime;
+            metrics.observeStreamRequest(result._debug?.tier || (result._debug?.error ? 'error' : 'live'), responseTime / 1000);
 
             console.log(`✅ Stream request completed in ${responseTime}ms`);
 
@@ -11385,6 +12467,11 @@ export default async function handler(req, res) {
             res.setHeader('X-Results-Count', result.streams?.length || 0);
             res.status(200).send(JSON.stringify(result));
 
+            // ⏭️ NEXT-EPISODE PREFETCH: warm up Eyy+1 in background (opt-in)
+            if (config.prefetch_next === true && type === 'series') {
+                queueNextEpisodePrefetch(id, result.streams, config, url.origin, result._debug?.tmdbData?.tmdbId || null);
+            }
+
             // 🚀 HYBRID MODE: After response sent, trigger background scraping
             console.log(`🐞 [Hybrid Debug] config.hybrid_mode = ${config.hybrid_mode} (type: ${typeof config.hybrid_mode})`);
             if (config.hybrid_mode === true) {
@@ -11394,7 +12481,7 @@ export default async function handler(req, res) {
 
                     // Create a modified config that forces live search (disable hybrid for background run)
                     // force_refresh: true bypasses the cache to get fresh results from external addons
-                    const backgroundConfig = { ...config, hybrid_mode: false, db_only: false, force_refresh: true };
+                    const backgroundConfig = { ...config, hybrid_mode: false, db_only: false, force_refresh: true, usenet_enabled: false };
 
                     // Run full scrape in background (results will be saved to DB for next request)
                     handleStream(type, id, backgroundConfig, url.origin)
@@ -11476,7 +12563,7 @@ export default async function handler(req, res) {
             res.setHeader('Content-Type', 'text/html');
             try {
                 if (!encodedConfigStr) throw new Error("Configurazione mancante nell'URL.");
-                userConfig = JSON.parse(atob(encodedConfigStr));
+                userConfig = await parseConfigSegment(encodedConfigStr);
             } catch (e) {
                 return res.status(400).send(htmlResponse('Errore di Configurazione', `Impossibile leggere la configurazione dall'URL: ${e.message}`, true));
             }
@@ -11489,11 +12576,59 @@ export default async function handler(req, res) {
                 return res.status(400).send(htmlResponse('Errore', 'Link magnet non valido.', true));
             }
 
+            // Direct link -> MediaFlow proxy / IntroSkip wrapping -> redirect (fresh or cached link)
+            const redirectToRdStream = async (infoHash, directUrl) => {
+                let finalUrl = directUrl;
+
+                // IMPORTANT: Apply MediaFlow proxy for ALL RealDebrid streams if configured
+                if (userConfig.mediaflow_url) {
+                    try {
+                        finalUrl = await proxyThroughMediaFlow(
+                            directUrl,
+                            { url: userConfig.mediaflow_url, password: userConfig.mediaflow_password || '' },
+                            null // filename will be extracted from URL
+                        );
+                        console.log(`[RealDebrid] MediaFlow proxy applied to all streams`);
+                    } catch (mfError) {
+                        console.error(`❌ [RealDebrid] MediaFlow proxy failed: ${mfError.message}`);
+                        // 🛑 STOP! Do not fallback to direct link to avoid bans.
+                        return res.redirect(302, `${TORRENTIO_VIDEO_BASE}/videos/download_failed_v2.mp4`);
+                    }
+                }
+
+                // ⏩ INTROSKIP: Wrap in HLS proxy if enabled for series
+                if (userConfig.introskip_enabled && type === 'series' && season && episode) {
+                    try {
+                        // Get imdbId for this torrent to lookup intro
+                        const episodeImdbId = dbEnabled ? await dbHelper.getImdbIdByHash(infoHash) : null;
+                        if (episodeImdbId && episodeImdbId.startsWith('tt')) {
+                            const introDataRD = await introSkip.lookupIntro(episodeImdbId, parseInt(season), parseInt(episode));
+                            if (introDataRD && introDataRD.end_sec > 0) {
+                                // Wrap in HLS proxy for real intro skipping
+                                const encodedStream = encodeURIComponent(finalUrl);
+                                finalUrl = `${workerOrigin}/introskip/hls.m3u8?stream=${encodedStream}&start=${introDataRD.start_sec}&end=${introDataRD.end_sec}`;
+                                console.log(`⏩ [IntroSkip] Wrapped in HLS proxy: ${introDataRD.start_sec}s - ${introDataRD.end_sec}s`);
+                            }
+                        }
+                    } catch (introErr) {
+                        console.warn(`⏩ [IntroSkip] Error applying HLS proxy: ${introErr.message}`);
+                    }
+                }
+
+                console.log(`[RealDebrid] Redirecting to stream`);
+                return res.redirect(302, finalUrl);
+            };
+
             try {
                 const magnetLink = decodeURIComponent(encodedMagnet);
                 const infoHash = extractInfoHash(magnetLink);
                 if (!infoHash) throw new Error('Magnet link non valido o senza info hash.');
 
+                // ▶️ Link resolved shortly before for this account/file: skip the RD round-trips
+                const playbackKey = getPlaybackLinkKey('rd', userConfig.rd_key, infoHash, pathParts.slice(4));
+                const cachedLink = await getCachedPlaybackLink(playbackKey);
+                if (cachedLink) return redirectToRdStream(infoHash, cachedLink);
+
                 const realdebrid = new RealDebrid(userConfig.rd_key);
 
                 console.log(`[RealDebrid] Resolving ${infoHash}`);
@@ -11505,12 +12640,14 @@ export default async function handler(req, res) {
                 if (existingTorrent && existingTorrent.status !== 'error') {
                     torrentId = existingTorrent.id;
                     console.log(`♻️ [RD] Reusing existing torrent: ${torrentId} (status: ${existingTorrent.status})`);
+                    touchAddedTorrent('rd', userConfig.rd_key, infoHash);
                 } else {
                     // STEP 1: Add magnet (RD will use cache if available)
                     console.log(`[RealDebrid] Adding new magnet...`);
                     try {
                         const addResponse = await realdebrid.addMagnet(magnetLink);
                         torrentId = addResponse.id;
+                        trackAddedTorrent('rd', userConfig.rd_key, torrentId, infoHash, userConfig);
                     } catch (addError) {
                         // 🔥 Handle error 19: torrent already exists
                         if (addError.error_code === 19) {
@@ -12449,45 +13586,13 @@ export default async function handler(req, res) {
                         return res.redirect(302, `${TORRENTIO_VIDEO_BASE}/videos/failed_rar_v2.mp4`);
                     }
 
-                    let finalUrl = unrestricted.download;
-
-                    // IMPORTANT: Apply MediaFlow proxy for ALL RealDebrid streams if configured
-                    if (userConfig.mediaflow_url) {
-                        try {
-                            finalUrl = await proxyThroughMediaFlow(
-                                unrestricted.download,
-                                { url: userConfig.mediaflow_url, password: userConfig.mediaflow_password || '' },
-                                null // filename will be extracted from URL
-                            );
-                            console.log(`[RealDebrid] MediaFlow proxy applied to all streams`);
-                        } catch (mfError) {
-                            console.error(`❌ [RealDebrid] MediaFlow proxy failed: ${mfError.message}`);
-                            // 🛑 STOP! Do not fallback to direct link to avoid bans.
-                            return res.redirect(302, `${TORRENTIO_VIDEO_BASE}/videos/download_failed_v2.mp4`);
-                        }
-                    }
-
-                    // ⏩ INTROSKIP: Wrap in HLS proxy if enabled for series
-                    if (userConfig.introskip_enabled && type === 'series' && season && episode) {
-                        try {
-                            // Get imdbId for this torrent to lookup intro
-                            const episodeImdbId = dbEnabled ? await dbHelper.getImdbIdByHash(infoHash) : null;
-                            if (episodeImdbId && episodeImdbId.startsWith('tt')) {
-                                const introDataRD = await introSkip.lookupIntro(episodeImdbId, parseInt(season), parseInt(episode));
-                                if (introDataRD && introDataRD.end_sec > 0) {
-                                    // Wrap in HLS proxy for real intro skipping
-                                    const encodedStream = encodeURIComponent(finalUrl);
-                                    finalUrl = `${workerOrigin}/introskip/hls.m3u8?stream=${encodedStream}&start=${introDataRD.start_sec}&end=${introDataRD.end_sec}`;
-                                    console.log(`⏩ [IntroSkip] Wrapped in HLS proxy: ${introDataRD.start_sec}s - ${introDataRD.end_sec}s`);
-                                }
-                            }
-                        } catch (introErr) {
-                            console.warn(`⏩ [IntroSkip] Error applying HLS proxy: ${introErr.message}`);
-                        }
+                    // 🎧 Read audio/subtitle track languages from the container (background)
+                    if (dbEnabled) {
+                        probeFileTracksInBackground({ infoHash, season, episode, fileName: unrestricted.filename || targetFile?.path, url: unrestricted.download });
                     }
 
-                    console.log(`[RealDebrid] Redirecting to stream`);
-                    return res.redirect(302, finalUrl);
+                    cachePlaybackLink(playbackKey, unrestricted.download, unrestricted.filename || targetFile?.path || null);
+                    return redirectToRdStream(infoHash, unrestricted.download);
 
                 } else if (statusDownloading || statusOpening || statusWaitingSelection) {
                     // ⏳ DOWNLOADING: Show placeholder video
@@ -12573,6 +13678,88 @@ export default async function handler(req, res) {
             }
         }
 
+        // 📥 Season pack action: /rd-season/config/magnet/season/episode
+        // Adds the whole pack (all video files), maps every episode link, then plays the episode via /rd-stream/
+        if (url.pathname.startsWith('/rd-season/')) {
+            const pathParts = url.pathname.split('/');
+            const encodedConfigStr = pathParts[2];
+            const encodedMagnet = pathParts[3];
+            const season = parseInt(pathParts[4]);
+            const episode = parseInt(pathParts[5]);
+
+            let userConfig = {};
+            try {
+                if (!encodedConfigStr) throw new Error("Configurazione mancante nell'URL.");
+                userConfig = await parseConfigSegment(encodedConfigStr);
+            } catch (e) {
+                return res.status(400).send(`Configurazione non valida: ${e.message}`);
+            }
+
+            if (!userConfig.rd_key || !encodedMagnet || !season || !episode) {
+                return res.status(400).send('Richiesta non valida: servono chiave Real-Debrid, magnet, stagione ed episodio.');
+            }
+
+            const episodeStreamUrl = `${url.origin}/rd-stream/${pathParts.slice(2, 6).join('/')}`;
+
+            try {
+                const magnetLink = decodeURIComponent(encodedMagnet);
+                const infoHash = extractInfoHash(magnetLink);
+                if (!infoHash) throw new Error('Magnet link non valido o senza info hash.');
+
+                const realdebrid = new RealDebrid(userConfig.rd_key);
+                let torrentId;
+                const existingTorrent = await realdebrid._findExistingTorrent(infoHash);
+
+                if (existingTorrent && existingTorrent.status !== 'error') {
+                    torrentId = existingTorrent.id;
+                    touchAddedTorrent('rd', userConfig.rd_key, infoHash);
+                } else {
+                    try {
+                        const addResponse = await realdebrid.addMagnet(magnetLink);
+                        torrentId = addResponse.id;
+                        trackAddedTorrent('rd', userConfig.rd_key, torrentId, infoHash, userConfig);
+                    } catch (addError) {
+                        if (addError.error_code !== 19) throw addError;
+                        const retryTorrent = await realdebrid._findExistingTorrent(infoHash);
+                        if (retryTorrent) torrentId = retryTorrent.id;
+                    }
+                }
+                if (!torrentId) throw new Error('Failed to get torrent ID');
+
+                let torrent = await realdebrid.getTorrentInfo(torrentId);
+                for (let poll = 0; poll < 10 && torrent.status === 'magnet_conversion'; poll++) {
+                    await new Promise(resolve => setTimeout(resolve, 2000));
+                    torrent = await realdebrid.getTorrentInfo(torrentId);
+                }
+
+                // Every video file of the pack, not just the requested episode
+                const videoFiles = (torrent.files || []).filter(f => packFilesHandler.isVideoFile(f.path));
+                const selectedVideos = videoFiles.filter(f => f.selected === 1);
+                if (videoFiles.length > 0 && (torrent.status === 'waiting_files_selection' || selectedVideos.length < videoFiles.length)) {
+                    console.log(`📥 [Season] Selecting all ${videoFiles.length} video files of ${infoHash.substring(0, 8)}`);
+                    await realdebrid.selectFiles(torrentId, videoFiles.map(f => f.id).join(','))
+                        .catch(selectError => console.warn(`⚠️ [Season] File selection: ${selectError.message}`));
+                    torrent = await realdebrid.getTorrentInfo(torrentId);
+                }
+
+                if (torrent.status === 'downloaded') {
+                    try {
+                        dbHelper.initDatabase();
+                        await packFilesHandler.prepopulateSeasonPackLinks(torrent, infoHash, season, dbHelper);
+                    } catch (dbError) {
+                        console.warn(`⚠️ [Season] Link mapping failed: ${dbError.message}`);
+                    }
+                } else {
+                    console.log(`📥 [Season] ${infoHash.substring(0, 8)} is ${torrent.status}, links will be mapped on playback`);
+                }
+            } catch (error) {
+                // /rd-stream/ shows the right placeholder video for RD errors
+                console.warn(`⚠️ [Season] ${error.message}`);
+            }
+
+            return res.redirect(302, episodeStreamUrl);
+        }
+
         // Endpoint to handle adding magnets to Real-Debrid for Android/Web compatibility
         if (url.pathname.startsWith('/rd-add/')) {
             const pathParts = url.pathname.split('/'); // e.g., ['', 'rd-add', 'config_string', 'magnet_link']
@@ -12589,7 +13776,7 @@ export default async function handler(req, res) {
             res.setHeader('Content-Type', 'text/html');
             try {
                 if (!encodedConfigStr) throw new Error("Configurazione mancante nell'URL.");
-                userConfig = JSON.parse(atob(encodedConfigStr));
+                userConfig = await parseConfigSegment(encodedConfigStr);
             } catch (e) {
                 return res.status(400).send(htmlResponse('Errore di Configurazione', `Impossibile leggere la configurazione dall'URL: ${e.message}`, true));
             }
@@ -12638,8 +13825,10 @@ export default async function handler(req, res) {
                     const addResponse = await realdebrid.addMagnet(magnetLink);
                     torrentId = addResponse.id;
                     if (!torrentId) throw new Error('Impossibile ottenere l\'ID del torrent da Real-Debrid.');
+                    trackAddedTorrent('rd', userConfig.rd_key, torrentId, infoHash, userConfig);
                 } else {
                     torrentId = torrent.id;
+                    touchAddedTorrent('rd', userConfig.rd_key, infoHash);
                     console.log(`ℹ️ Using existing torrent. ID: ${torrentId}`);
                 }
 
@@ -12843,7 +14032,7 @@ export default async function handler(req, res) {
             let userConfig = {};
             try {
                 if (!encodedConfigStr) throw new Error("Configurazione mancante nell'URL.");
-                userConfig = JSON.parse(atob(encodedConfigStr));
+                userConfig = await parseConfigSegment(encodedConfigStr);
             } catch (e) {
                 return res.status(400).send(htmlResponse('Errore di Configurazione', `Impossibile leggere la configurazione dall'URL: ${e.message}`, true));
             }
@@ -12936,7 +14125,7 @@ export default async function handler(req, res) {
             let userConfig = {};
             try {
                 if (!encodedConfigStr) throw new Error("Configurazione mancante nell'URL.");
-                userConfig = JSON.parse(atob(encodedConfigStr));
+                userConfig = await parseConfigSegment(encodedConfigStr);
             } catch (e) {
                 return res.status(400).send(JSON.stringify({ status: 'error', message: `Configurazione non valida: ${e.message}` }));
             }
@@ -13031,7 +14220,7 @@ export default async function handler(req, res) {
             res.setHeader('Content-Type', 'text/html');
             try {
                 if (!encodedConfigStr) throw new Error("Configurazione mancante nell'URL.");
-                userConfig = JSON.parse(atob(encodedConfigStr));
+                userConfig = await parseConfigSegment(encodedConfigStr);
             } catch (e) {
                 return res.status(400).send(htmlResponse('Errore di Configurazione', `Impossibile leggere la configurazione dall'URL: ${e.message}`, true));
             }
@@ -13149,7 +14338,7 @@ export default async function handler(req, res) {
             let userConfig = {};
             res.setHeader('Content-Type', 'text/html');
             try {
-                userConfig = JSON.parse(atob(encodedConfigStr));
+                userConfig = await parseConfigSegment(encodedConfigStr);
             } catch (e) {
                 return res.status(400).send(htmlResponse('Errore Config', e.message, true));
             }
@@ -13162,6 +14351,33 @@ export default async function handler(req, res) {
                 return res.status(400).send(htmlResponse('Errore', 'Link magnet mancante.', true));
             }
 
+            // IntroSkip wrapping -> redirect (fresh or cached link)
+            const redirectToTbStream = async (infoHash, directUrl) => {
+                let finalUrl = directUrl;
+
+                // ⏩ INTROSKIP: Wrap in HLS proxy if enabled for series
+                if (userConfig.introskip_enabled && seasonParam && episodeParam) {
+                    try {
+                        // Get imdbId for this torrent to lookup intro
+                        const episodeImdbId = dbEnabled ? await dbHelper.getImdbIdByHash(infoHash) : null;
+                        if (episodeImdbId && episodeImdbId.startsWith('tt')) {
+                            const introDataTB = await introSkip.lookupIntro(episodeImdbId, parseInt(seasonParam), parseInt(episodeParam));
+                            if (introDataTB && introDataTB.end_sec > 0) {
+                                // Wrap in HLS proxy for real intro skipping
+                                const encodedStream = encodeURIComponent(finalUrl);
+                                finalUrl = `${workerOrigin}/introskip/hls.m3u8?stream=${encodedStream}&start=${introDataTB.start_sec}&end=${introDataTB.end_sec}`;
+                                console.log(`⏩ [IntroSkip] Wrapped in HLS proxy: ${introDataTB.start_sec}s - ${introDataTB.end_sec}s`);
+                            }
+                        }
+                    } catch (introErr) {
+                        console.warn(`⏩ [IntroSkip] Error applying HLS proxy: ${introErr.message}`);
+                    }
+                }
+
+                console.log(`[Torbox] Streaming: ${finalUrl}`);
+                return res.redirect(302, finalUrl);
+            };
+
             try {
                 const magnetLink = decodeURIComponent(encodedMagnet);
                 const infoHash = extractInfoHash(magnetLink)?.toLowerCase();
@@ -13173,6 +14389,11 @@ export default async function handler(req, res) {
                         .catch(err => console.error(`⚠️ [TB Refresh] Failed to refresh cache timestamp: ${err.message}`));
                 }
 
+                // ▶️ Link resolved shortly before for this account/file: skip the TorBox round-trips
+                const playbackKey = getPlaybackLinkKey('tb', userConfig.torbox_key, infoHash, pathParts.slice(4));
+                const cachedLink = await getCachedPlaybackLink(playbackKey);
+                if (cachedLink) return redirectToTbStream(infoHash, cachedLink);
+
                 const torbox = new Torbox(userConfig.torbox_key);
 
                 console.log(`📦 [Torbox] API Key: ${userConfig.torbox_key}`);
@@ -13199,6 +14420,7 @@ export default async function handler(req, res) {
                 const _createTorrent = async () => {
                     const data = await torbox.addTorrent(magnetLink);
                     if (data.torrent_id) {
+                        trackAddedTorrent('tb', userConfig.torbox_key, data.torrent_id, infoHash, userConfig);
                         // Like Torrentio: getTorrentList(apiKey, data.torrent_id)
                         return await torbox.getTorrentInfo(data.torrent_id);
                     }
@@ -13211,7 +14433,9 @@ export default async function handler(req, res) {
                 // _createOrFindTorrent (EXACT Torrentio logic)
                 const _createOrFindTorrent = async () => {
                     try {
-                        return await _findTorrent();
+                        const found = await _findTorrent();
+                        touchAddedTorrent('tb', userConfig.torbox_key, infoHash);
+                        return found;
                     } catch {
                         return await _createTorrent();
                     }
@@ -13389,7 +14613,14 @@ export default async function handler(req, res) {
                     }
 
                     console.log(`[Torbox] Selected file: ${targetVideo.short_name || targetVideo.name} (id=${targetVideo.id})`);
-                    return await torbox.createDownload(torrent.id, targetVideo.id);
+                    const downloadLink = await torbox.createDownload(torrent.id, targetVideo.id);
+                    cachePlaybackLink(playbackKey, downloadLink, targetVideo.short_name || targetVideo.name);
+
+                    // 🎧 Read audio/subtitle track languages from the container (background)
+                    if (dbEnabled) {
+                        probeFileTracksInBackground({ infoHash, season: seasonParam, episode: episodeParam, fileName: targetVideo.short_name || targetVideo.name, url: downloadLink });
+                    }
+                    return downloadLink;
                 };
 
                 // _retryCreateTorrent (EXACT Torrentio logic)
@@ -13407,33 +14638,13 @@ export default async function handler(req, res) {
                 console.log(`[Torbox] Torrent state: download_present=${torrent?.download_present}, active=${torrent?.active}, download_finished=${torrent?.download_finished}, download_state=${torrent?.download_state}`);
 
                 if (torrent && statusReady(torrent)) {
-                    let result = await _unrestrictLink(torrent);
+                    const result = await _unrestrictLink(torrent);
                     if (result === 'FAILED_RAR') {
                         console.log(`[Torbox] Failed: RAR archive`);
                         return res.redirect(302, `${TORRENTIO_VIDEO_BASE}/videos/failed_rar_v2.mp4`);
                     }
 
-                    // ⏩ INTROSKIP: Wrap in HLS proxy if enabled for series
-                    if (userConfig.introskip_enabled && seasonParam && episodeParam) {
-                        try {
-                            // Get imdbId for this torrent to lookup intro
-                            const episodeImdbId = dbEnabled ? await dbHelper.getImdbIdByHash(infoHash) : null;
-                            if (episodeImdbId && episodeImdbId.startsWith('tt')) {
-                                const introDataTB = await introSkip.lookupIntro(episodeImdbId, parseInt(seasonParam), parseInt(episodeParam));
-                                if (introDataTB && introDataTB.end_sec > 0) {
-                                    // Wrap in HLS proxy for real intro skipping
-                                    const encodedStream = encodeURIComponent(result);
-                                    result = `${workerOrigin}/introskip/hls.m3u8?stream=${encodedStream}&start=${introDataTB.start_sec}&end=${introDataTB.end_sec}`;
-                                    console.log(`⏩ [IntroSkip] Wrapped in HLS proxy: ${introDataTB.start_sec}s - ${introDataTB.end_sec}s`);
-                                }
-                            }
-                        } catch (introErr) {
-                            console.warn(`⏩ [IntroSkip] Error applying HLS proxy: ${introErr.message}`);
-                        }
-                    }
-
-                    console.log(`[Torbox] Streaming: ${result}`);
-                    return res.redirect(302, result);
+                    return redirectToTbStream(infoHash, result);
 
                 } else if (torrent && statusDownloading(torrent)) {
                     console.log(`[Torbox] Downloading to TorBox ${infoHash}...`);
@@ -13449,7 +14660,7 @@ export default async function handler(req, res) {
                     if (retryResult === 'FAILED_RAR') {
                         return res.redirect(302, `${TORRENTIO_VIDEO_BASE}/videos/failed_rar_v2.mp4`);
                     }
-                    return res.redirect(302, retryResult);
+                    return redirectToTbStream(infoHash, retryResult);
                 }
 
                 throw new Error(`Failed TorBox adding torrent ${JSON.stringify(torrent)}`);
@@ -13478,6 +14689,115 @@ export default async function handler(req, res) {
             }
         }
 
+        // 📰 NZB proxy for TorBox: /nzb/{signature}/{nzbUrl}
+        // The indexer API key is added here and never appears in the link given to TorBox
+        if (url.pathname.startsWith('/nzb/')) {
+            const [, , signature, encodedNzbUrl] = url.pathname.split('/');
+            const nzbUrl = decodeURIComponent(encodedNzbUrl || '');
+            const indexers = newznab.getNewznabIndexers();
+            res.setHeader('Content-Type', 'text/plain');
+            if (!newznab.verifyNzbSignature(signature, nzbUrl, indexers)) {
+                return res.status(403).send('Firma NZB non valida');
+            }
+
+            try {
+                const response = await fetch(newznab.withApiKey(nzbUrl, indexers), {
+                    headers: { 'User-Agent': 'ilcorsaroviola/2.0' },
+                    signal: AbortSignal.timeout(USENET_SEARCH_TIMEOUT)
+                });
+                const body = Buffer.from(await response.arrayBuffer());
+                // Only NZB files go out (not indexer error pages, which may echo the key)
+                if (!response.ok || !body.subarray(0, 2048).toString('utf8').includes('<nzb')) {
+                    console.warn(`📰 [Usenet] NZB download failed (HTTP ${response.status}) for ${nzbUrl.substring(0, 60)}`);
+                    return res.status(502).send('NZB non disponibile');
+                }
+                res.setHeader('Content-Type', 'application/x-nzb');
+                return res.status(200).send(body);
+            } catch (error) {
+                console.error(`📰 ❌ [Usenet] NZB proxy error: ${error.message}`);
+                return res.status(502).send('NZB non disponibile');
+            }
+        }
+
+        // 📰 TorBox Usenet Stream Endpoint: /torbox-usenet/{config}/{nzbUrl}[/{season}/{episode}]
+        // The NZB URL carries no API key: TorBox downloads it through the signed /nzb/ proxy above
+        if (url.pathname.startsWith('/torbox-usenet/')) {
+            const pathParts = url.pathname.split('/');
+            const encodedConfigStr = pathParts[2];
+            const encodedNzbUrl = pathParts[3];
+            const seasonParam = pathParts[4] ? parseInt(pathParts[4], 10) : null;
+            const episodeParam = pathParts[5] ? parseInt(pathParts[5], 10) : null;
+
+            let userConfig = {};
+            try {
+                userConfig = await parseConfigSegment(encodedConfigStr);
+            } catch (e) {
+                res.setHeader('Content-Type', 'text/plain');
+                return res.status(400).send(`Errore Config: ${e.message}`);
+            }
+
+            if (!userConfig.torbox_key || !encodedNzbUrl) {
+                res.setHeader('Content-Type', 'text/plain');
+                return res.status(400).send('Torbox API key o NZB mancante.');
+            }
+
+            const nzbLink = newznab.getProxyNzbUrl(decodeURIComponent(encodedNzbUrl), url.origin);
+            if (!nzbLink) {
+                console.warn(`📰 [Usenet] No configured indexer for ${decodeURIComponent(encodedNzbUrl).substring(0, 60)}`);
+                return res.redirect(302, `${TORRENTIO_VIDEO_BASE}/videos/download_failed_v2.mp4`);
+            }
+
+            try {
+                const torbox = new Torbox(userConfig.torbox_key);
+                const nzbHash = Torbox.usenetHash(nzbLink);
+
+                // Reuse an existing download of the same NZB, otherwise add it
+                const existing = (await torbox.getUsenetDownloads())
+                    .find(d => d.hash?.toLowerCase() === nzbHash || d.original_url === nzbLink);
+                let download = existing;
+                if (!download) {
+                    const created = await torbox.addUsenet(nzbLink);
+                    console.log(`📰 [Usenet] Added to TorBox: id=${created.usenetdownload_id}`);
+                    [download] = await torbox.getUsenetDownloads(created.usenetdownload_id);
+                }
+
+                if (!download || download.download_state === 'failed' || (!download.active && !download.download_finished && !download.download_present)) {
+                    console.log(`📰 [Usenet] Download failed: ${JSON.stringify(download)?.substring(0, 200)}`);
+                    return res.redirect(302, `${TORRENTIO_VIDEO_BASE}/videos/download_failed_v2.mp4`);
+                }
+                if (!download.download_present) {
+                    console.log(`📰 [Usenet] Downloading on TorBox (${download.download_state}, ${Math.round((download.progress || 0) * 100)}%)`);
+                    return res.redirect(302, `${TORRENTIO_VIDEO_BASE}/videos/downloading_v2.mp4`);
+                }
+
+                const videoExtensions = /\.(mkv|mp4|avi|mov|wmv|flv|webm|m4v|ts|m2ts|mpg|mpeg)$/i;
+                const videos = (download.files || [])
+                    .filter(file => videoExtensions.test(file.short_name || file.name || ''))
+                    .sort((a, b) => (b.size || 0) - (a.size || 0));
+
+                // Season packs: pick the requested episode, otherwise the largest video
+                let targetVideo = null;
+                if (seasonParam && episodeParam) {
+                    targetVideo = videos.find(file => {
+                        const parsed = parseTorrentTitle((file.short_name || file.name || '').split('/').pop());
+                        return parsed.seasons.includes(seasonParam) && parsed.episodes.includes(episodeParam);
+                    });
+                }
+                targetVideo = targetVideo || videos[0];
+
+                if (!targetVideo) {
+                    return res.redirect(302, `${TORRENTIO_VIDEO_BASE}/videos/failed_rar_v2.mp4`);
+                }
+
+                const streamLink = await torbox.createUsenetDownloadLink(download.id, targetVideo.id);
+                console.log(`📰 [Usenet] Streaming ${targetVideo.short_name || targetVideo.name}`);
+                return res.redirect(302, streamLink);
+            } catch (error) {
+                console.error(`📰 ❌ [Usenet] TorBox error: ${error.message}`);
+                return res.redirect(302, `${TORRENTIO_VIDEO_BASE}/videos/download_failed_v2.mp4`);
+            }
+        }
+
         // ✅ UNIFIED AllDebrid Stream Endpoint
         if (url.pathname.startsWith('/ad-stream/')) {
             const pathParts = url.pathname.split('/');
@@ -13487,7 +14807,7 @@ export default async function handler(req, res) {
             let userConfig = {};
             try {
                 if (!encodedConfigStr) throw new Error("Configurazione mancante nell'URL.");
-                userConfig = JSON.parse(atob(encodedConfigStr));
+                userConfig = await parseConfigSegment(encodedConfigStr);
             } catch (e) {
                 console.error(`[AllDebrid] Config error: ${e.message}`);
                 return res.redirect(302, `${TORRENTIO_VIDEO_BASE}/videos/download_failed_v2.mp4`);
@@ -13611,6 +14931,192 @@ export default async function handler(req, res) {
             }
         }
 
+        // ✅ UNIFIED Premiumize Stream Endpoint
+        if (url.pathname.startsWith('/pm-stream/')) {
+            const params = parseDebridStreamPath(url.pathname);
+            const workerOrigin = url.origin;
+
+            let userConfig = {};
+            try {
+                if (!params.encodedConfigStr) throw new Error("Configurazione mancante nell'URL.");
+                userConfig = await parseConfigSegment(params.encodedConfigStr);
+            } catch (e) {
+                console.error(`[Premiumize] Config error: ${e.message}`);
+                return res.redirect(302, `${TORRENTIO_VIDEO_BASE}/videos/download_failed_v2.mp4`);
+            }
+
+            if (!userConfig.premiumize_key) {
+                console.error(`[Premiumize] API key not configured`);
+                return res.redirect(302, `${TORRENTIO_VIDEO_BASE}/videos/failed_access_v2.mp4`);
+            }
+
+            if (!params.encodedMagnet) {
+                console.error(`[Premiumize] Invalid magnet link`);
+                return res.redirect(302, `${TORRENTIO_VIDEO_BASE}/videos/download_failed_v2.mp4`);
+            }
+
+            try {
+                const magnetLink = decodeURIComponent(params.encodedMagnet);
+                const infoHash = extractInfoHash(magnetLink)?.toLowerCase();
+                if (!infoHash) throw new Error('Invalid magnet link or missing info hash.');
+
+                const premiumize = new Premiumize(userConfig.premiumize_key);
+                console.log(`[Premiumize] Resolving ${infoHash}`);
+
+                // STEP 1: Cached? directdl returns the full file list with direct links
+                const cache = await premiumize.checkCache([infoHash]);
+
+                if (cache[infoHash]?.cached) {
+                    const content = await premiumize.directDownload(magnetLink);
+                    const files = content.map(f => ({ name: f.path || '', size: Number(f.size) || 0, link: f.stream_link || f.link }));
+                    const targetFile = selectDebridVideoFile(files, params);
+
+                    if (!targetFile) {
+                        if (files.some(f => f.name.endsWith('.rar') || f.name.endsWith('.zip'))) {
+                            console.log(`[Premiumize] Failed: RAR archive`);
+                            return res.redirect(302, `${TORRENTIO_VIDEO_BASE}/videos/failed_rar_v2.mp4`);
+                        }
+                        console.log(`[Premiumize] No video file found`);
+                        return res.redirect(302, `${TORRENTIO_VIDEO_BASE}/videos/download_failed_v2.mp4`);
+                    }
+
+                    console.log(`[Premiumize] Selected file: ${targetFile.name}`);
+                    let finalUrl = targetFile.link;
+                    if (userConfig.introskip_enabled) {
+                        finalUrl = await wrapWithIntroSkip(finalUrl, infoHash, params.season, params.episode, workerOrigin);
+                    }
+                    return res.redirect(302, finalUrl);
+                }
+
+                // STEP 2: Not cached - reuse existing transfer or create a new one
+                const transfers = await premiumize.getTransfers();
+                const existing = transfers.find(t => (t.src || '').toLowerCase().includes(infoHash));
+
+                if (existing && existing.status === 'error') {
+                    console.log(`[Premiumize] Retry failed transfer ${existing.id}`);
+                    await premiumize.deleteTransfer(existing.id);
+                } else if (existing) {
+                    console.log(`[Premiumize] Transfer already in progress (status: ${existing.status})`);
+                    return res.redirect(302, `${TORRENTIO_VIDEO_BASE}/videos/downloading_v2.mp4`);
+                }
+
+                await premiumize.createTransfer(magnetLink);
+                console.log(`[Premiumize] Transfer created, downloading...`);
+                return res.redirect(302, `${TORRENTIO_VIDEO_BASE}/videos/downloading_v2.mp4`);
+
+            } catch (error) {
+                console.error('💎 ❌ Premiumize stream error:', error);
+
+                const errorMsg = error.message?.toLowerCase() || '';
+
+                if (errorMsg.includes('401') || errorMsg.includes('403') || errorMsg.includes('customer_id') || errorMsg.includes('api key')) {
+                    return res.redirect(302, `${TORRENTIO_VIDEO_BASE}/videos/failed_access_v2.mp4`);
+                }
+
+                if (errorMsg.includes('rar') || errorMsg.includes('zip')) {
+                    return res.redirect(302, `${TORRENTIO_VIDEO_BASE}/videos/failed_rar_v2.mp4`);
+                }
+
+                return res.redirect(302, `${TORRENTIO_VIDEO_BASE}/videos/download_failed_v2.mp4`);
+            }
+        }
+
+        // ✅ UNIFIED Offcloud Stream Endpoint
+        if (url.pathname.startsWith('/oc-stream/')) {
+            const params = parseDebridStreamPath(url.pathname);
+            const workerOrigin = url.origin;
+
+            let userConfig = {};
+            try {
+                if (!params.encodedConfigStr) throw new Error("Configurazione mancante nell'URL.");
+                userConfig = await parseConfigSegment(params.encodedConfigStr);
+            } catch (e) {
+                console.error(`[Offcloud] Config error: ${e.message}`);
+                return res.redirect(302, `${TORRENTIO_VIDEO_BASE}/videos/download_failed_v2.mp4`);
+            }
+
+            if (!userConfig.offcloud_key) {
+                console.error(`[Offcloud] API key not configured`);
+                return res.redirect(302, `${TORRENTIO_VIDEO_BASE}/videos/failed_access_v2.mp4`);
+            }
+
+            if (!params.encodedMagnet) {
+                console.error(`[Offcloud] Invalid magnet link`);
+                return res.redirect(302, `${TORRENTIO_VIDEO_BASE}/videos/download_failed_v2.mp4`);
+            }
+
+            try {
+                const magnetLink = decodeURIComponent(params.encodedMagnet);
+                const infoHash = extractInfoHash(magnetLink)?.toLowerCase();
+                if (!infoHash) throw new Error('Invalid magnet link or missing info hash.');
+
+                const offcloud = new Offcloud(userConfig.offcloud_key);
+                console.log(`[Offcloud] Resolving ${infoHash}`);
+
+                // STEP 1: Find existing cloud request or add the magnet (instant if cached)
+                const history = await offcloud.getCloudHistory();
+                let request = history.find(h => (h.originalLink || '').toLowerCase().includes(infoHash));
+
+                if (request && request.status === 'error') {
+                    console.log(`[Offcloud] Retry failed request ${request.requestId}`);
+                    await offcloud.removeCloud(request.requestId);
+                    request = null;
+                }
+
+                if (!request) {
+                    request = await offcloud.addCloud(magnetLink);
+                }
+
+                if (request.status !== 'downloaded') {
+                    console.log(`[Offcloud] Request ${request.requestId} is ${request.status}...`);
+                    return res.redirect(302, `${TORRENTIO_VIDEO_BASE}/videos/downloading_v2.mp4`);
+                }
+
+                // STEP 2: Multi-file requests expose their file URLs via explore, single-file ones are direct
+                const explored = await offcloud.exploreCloud(request.requestId);
+                let finalUrl;
+
+                if (explored.length > 0) {
+                    const files = explored.map(link => ({ name: decodeURIComponent(link.split('/').pop() || ''), size: 0, link }));
+                    const targetFile = selectDebridVideoFile(files, params);
+
+                    if (!targetFile) {
+                        if (files.some(f => f.name.endsWith('.rar') || f.name.endsWith('.zip'))) {
+                            console.log(`[Offcloud] Failed: RAR archive`);
+                            return res.redirect(302, `${TORRENTIO_VIDEO_BASE}/videos/failed_rar_v2.mp4`);
+                        }
+                        console.log(`[Offcloud] No video file found`);
+                        return res.redirect(302, `${TORRENTIO_VIDEO_BASE}/videos/download_failed_v2.mp4`);
+                    }
+
+                    console.log(`[Offcloud] Selected file: ${targetFile.name}`);
+                    finalUrl = targetFile.link;
+                } else {
+                    finalUrl = request.url || `https://${request.server}.offcloud.com/cloud/download/${request.requestId}/${encodeURIComponent(request.fileName)}`;
+                }
+
+                if (userConfig.introskip_enabled) {
+                    finalUrl = await wrapWithIntroSkip(finalUrl, infoHash, params.season, params.episode, workerOrigin);
+                }
+                return res.redirect(302, finalUrl);
+
+            } catch (error) {
+                console.error('☁️ ❌ Offcloud stream error:', error);
+
+                const errorMsg = error.message?.toLowerCase() || '';
+
+                if (errorMsg.includes('401') || errorMsg.includes('403') || errorMsg.includes('not authenticated')) {
+                    return res.redirect(302, `${TORRENTIO_VIDEO_BASE}/videos/failed_access_v2.mp4`);
+                }
+
+                if (errorMsg.includes('rar') || errorMsg.includes('zip')) {
+                    return res.redirect(302, `${TORRENTIO_VIDEO_BASE}/videos/failed_rar_v2.mp4`);
+                }
+
+                return res.redirect(302, `${TORRENTIO_VIDEO_BASE}/videos/download_failed_v2.mp4`);
+            }
+        }
+
         if (url.pathname.startsWith('/torbox-stream-personal/')) {
             const pathParts = url.pathname.split('/');
             const encodedConfigStr = pathParts[2];
@@ -13619,7 +15125,7 @@ export default async function handler(req, res) {
             let userConfig = {};
             res.setHeader('Content-Type', 'text/html');
             try {
-                userConfig = JSON.parse(atob(encodedConfigStr));
+                userConfig = await parseConfigSegment(encodedConfigStr);
             } catch (e) {
                 return res.status(400).send(`<h1>Errore Config</h1><p>${e.message}</p>`);
             }
@@ -13668,6 +15174,373 @@ export default async function handler(req, res) {
             return res.status(200).send(JSON.stringify(data, null, 2));
         }
 
+        // ⚠️ REPORTS: /report/{type}/{id} (HTML page) and POST /report/api
+        if (url.pathname === '/report/api' || url.pathname.startsWith('/report/')) {
+            if (!reports.isEnabled()) {
+                return res.status(404).send('Not found');
+            }
+            try {
+                dbHelper.initDatabase();
+            } catch (error) {
+                console.error(`❌ [Reports] DB unavailable: ${error.message}`);
+                return res.status(503).send('Database non disponibile');
+            }
+
+            if (url.pathname === '/report/api') {
+                res.setHeader('Content-Type', 'application/json');
+                if (req.method !== 'POST') {
+                    return res.status(405).send(JSON.stringify({ error: 'Method not allowed' }));
+                }
+
+                let report;
+                try {
+                    report = reports.validateReport(req.body);
+                } catch (error) {
+                    return res.status(400).send(JSON.stringify({ error: error.message }));
+                }
+
+                // req.ip honours TRUST_PROXY (server.js): a client-sent X-Forwarded-For is not trusted by default
+                const ip = req.ip || req.socket?.remoteAddress;
+                const reporter = reports.reporterHash(ip, process.env.REPORT_SALT || process.env.DATABASE_URL);
+                if (!reports.allowReport(reporter)) {
+                    return res.status(429).send(JSON.stringify({ error: 'Troppe segnalazioni, riprova più tardi' }));
+                }
+
+                const saved = await dbHelper.saveTorrentReport(report, reporter);
+                if (!saved) {
+                    return res.status(500).send(JSON.stringify({ error: 'Impossibile salvare la segnalazione' }));
+                }
+
+                const status = reports.nextStatus(saved.status, saved.reporters, reports.reportThreshold());
+                if (status !== saved.status) {
+                    await dbHelper.setTorrentReportStatus(report.infoHash, report.fileIndex, status);
+                    if (status === 'flagged') {
+                        // Cached stream lists would keep serving the release until they expire
+                        await purgeContentCaches(report.imdbId, report.season, report.episode);
+                        console.log(`⚠️ [Reports] ${report.infoHash.substring(0, 8)}#${report.fileIndex} flagged after ${saved.reporters} reports`);
+                    }
+                }
+
+                return res.status(200).send(JSON.stringify({ ok: true, status }));
+            }
+
+            // /report/{type}/{id}
+            const [, , type, rawId] = url.pathname.split('/');
+            const [imdbId, seasonPart, episodePart] = decodeURIComponent(rawId || '').split(':');
+            const season = seasonPart ? parseInt(seasonPart) : null;
+            const episode = episodePart ? parseInt(episodePart) : null;
+            if (!['movie', 'series'].includes(type) || !/^tt\d+$/.test(imdbId) || (type === 'series' && (!season || !episode))) {
+                return res.status(400).send('Contenuto non valido');
+            }
+
+            let candidates = [];
+            try {
+                if (type === 'series') {
+                    const files = await dbHelper.searchEpisodeFiles(imdbId, season, episode);
+                    candidates = files.map(f => ({ infoHash: f.info_hash, fileIndex: f.file_index, title: f.file_title || f.torrent_title, size: f.file_size || f.torrent_size }));
+                } else {
+                    const torrents = await dbHelper.searchByImdbId(imdbId, 'movie');
+                    candidates = torrents.map(t => ({ infoHash: t.info_hash, fileIndex: null, title: t.title, size: t.size }));
+                }
+            } catch (error) {
+                console.error(`❌ [Reports] Error loading releases for ${imdbId}: ${error.message}`);
+            }
+
+            res.setHeader('Content-Type', 'text/html;charset=UTF-8');
+            return res.status(200).send(buildReportPage(type, imdbId, season, episode, candidates));
+        }
+
+        // 🛠️ ADMIN DASHBOARD: /admin (HTML), /admin/api/stats, /admin/api/purge, /admin/api/reports
+        // HTTP Basic auth, any username, password = ADMIN_PASSWORD (disabled if not set)
+        if (url.pathname === '/admin' || url.pathname.startsWith('/admin/')) {
+            if (!isAdminEnabled()) {
+                return res.status(404).send('Not found');
+            }
+
+            if (!isAdminRequest(req)) {
+                res.setHeader('WWW-Authenticate', 'Basic realm="IlCorsaroViola Admin"');
+                return res.status(401).send('Autenticazione richiesta');
+            }
+
+            if (url.pathname === '/admin/api/stats') {
+                const providers = {};
+                providerStats.forEach((stats, name) => {
+                    providers[name] = {
+                        ...stats,
+                        successRate: stats.calls > 0 ? Math.round((stats.successes / stats.calls) * 1000) / 10 : null,
+                        avgMs: stats.calls > 0 ? Math.round(stats.totalMs / stats.calls) : null
+                    };
+                });
+
+                const stats = {
+                    version: '7.2.3',
+                    uptimeSec: Math.round(process.uptime()),
+                    memoryMb: Math.round(process.memoryUsage().rss / 1024 / 1024),
+                    caches: {
+                        searchCache: { entries: cache.size, maxEntries: MAX_CACHE_ENTRIES },
+                        globalTorrentCache: { entries: globalTorrentCache.size, maxEntries: MAX_GLOBAL_CACHE_ENTRIES },
+                        introCache: introSkip.getCacheStats(),
+                        hlsOffsetCache: { size: hlsProxy.getCacheStats().size },
+                        torrentSearchCacheDb: process.env.DATABASE_URL ? await dbHelper.getTorrentSearchCacheStats(GLOBAL_CACHE_TTL_MOVIE) : null
+                    },
+                    backgroundJobs: {
+                        active: activeBgJobs,
+                        maxConcurrent: MAX_CONCURRENT_BG_JOBS,
+                        queued: bgJobQueue.length
+                    },
+                    providers
+                };
+
+                res.setHeader('Content-Type', 'application/json');
+                return res.status(200).send(JSON.stringify(stats, null, 2));
+            }
+
+            if (url.pathname === '/admin/api/purge') {
+                res.setHeader('Content-Type', 'application/json');
+                if (req.method !== 'POST') {
+                    return res.status(405).send(JSON.stringify({ error: 'Method not allowed' }));
+                }
+
+                const body = req.body || {};
+                const imdbId = String(body.imdbId || '').trim();
+                const season = body.season ? parseInt(body.season) : null;
+                const episode = body.episode ? parseInt(body.episode) : null;
+
+                if (!/^tt\d+$/.test(imdbId)) {
+                    return res.status(400).send(JSON.stringify({ error: 'IMDb ID non valido (es. tt0903747)' }));
+                }
+                if (episode && !season) {
+                    return res.status(400).send(JSON.stringify({ error: 'Episodio richiede anche la stagione' }));
+                }
+
+                const { memoryRemoved, dbRemoved, introRemoved } = await purgeContentCaches(imdbId, season, episode);
+
+                console.log(`🛠️ [Admin] Purged ${imdbId}${season ? ` S${season}` : ''}${episode ? `E${episode}` : ''}: memory=${memoryRemoved}, db=${dbRemoved}, intro=${introRemoved}`);
+                return res.status(200).send(JSON.stringify({ imdbId, season, episode, memoryRemoved, dbRemoved, introRemoved }));
+            }
+
+            if (url.pathname === '/admin/api/reports') {
+                res.setHeader('Content-Type', 'application/json');
+                if (!reports.isEnabled()) {
+                    return res.status(200).send(JSON.stringify({ reports: [], error: 'Segnalazioni disattivate o DB non configurato' }));
+                }
+                dbHelper.initDatabase();
+
+                if (req.method === 'POST') {
+                    const body = req.body || {};
+                    const status = { confirm: 'confirmed', dismiss: 'dismissed' }[body.action];
+                    const infoHash = String(body.infoHash || '').toLowerCase();
+                    const fileIndex = parseInt(body.fileIndex);
+                    if (!status || !/^[a-f0-9]{40}$/.test(infoHash) || !Number.isInteger(fileIndex)) {
+                        return res.status(400).send(JSON.stringify({ error: 'Richiesta non valida' }));
+                    }
+
+                    const updated = await dbHelper.setTorrentReportStatus(infoHash, fileIndex, status);
+                    if (!updated) {
+                        return res.status(404).send(JSON.stringify({ error: 'Segnalazione non trovata' }));
+                    }
+                    // Hidden or visible again: cached results of the title are stale either way
+                    if (updated.imdb_id) {
+                        await purgeContentCaches(updated.imdb_id, updated.season, updated.episode);
+                    }
+                    console.log(`🛠️ [Admin] Report ${infoHash.substring(0, 8)}#${fileIndex} ${status}`);
+                    return res.status(200).send(JSON.stringify({ infoHash, fileIndex, status }));
+                }
+
+                const status = reports.STATUSES.includes(url.searchParams.get('status')) ? url.searchParams.get('status') : null;
+                const rows = await dbHelper.getTorrentReports(status, 200);
+                return res.status(200).send(JSON.stringify({ reports: rows }));
+            }
+
+            if (url.pathname === '/admin' || url.pathname === '/admin/') {
+                res.setHeader('Content-Type', 'text/html;charset=UTF-8');
+                return res.status(200).send(ADMIN_DASHBOARD_HTML);
+            }
+
+            return res.status(404).send('Not found');
+        }
+
+        // 🔒 Save config server-side and return an opaque token (opt-in from /configure)
+        if (url.pathname === '/api/config') {
+            res.setHeader('Content-Type', 'application/json');
+
+            if (req.method !== 'POST') {
+                return res.status(405).send(JSON.stringify({ error: 'Method not allowed' }));
+            }
+
+            if (!configStore.isAvailable()) {
+                return res.status(503).send(JSON.stringify({ error: 'Config protetta non disponibile su questo server' }));
+            }
+
+            if (!configStore.allowTokenRequest(req.ip || req.socket?.remoteAddress)) {
+                return res.status(429).send(JSON.stringify({ error: 'Troppe richieste, riprova più tardi' }));
+            }
+
+            let configToStore;
+            try {
+                // Known keys only: never nests tokens or the UI-only secure_config flag
+                configToStore = configStore.sanitizeConfig(req.body);
+            } catch (error) {
+                return res.status(400).send(JSON.stringify({ error: error.message }));
+            }
+
+            try {
+                const token = await configStore.createConfigToken(configToStore);
+                console.log(`🔒 [Config] Issued config token ${token.substring(0, 8)}...`);
+                return res.status(200).send(JSON.stringify({ token }));
+            } catch (error) {
+                console.error(`❌ [Config] Failed to issue token: ${error.message}`);
+                return res.status(500).send(JSON.stringify({ error: 'Salvataggio configurazione fallito' }));
+            }
+        }
+
+        // 🔔 Webhooks: POST /api/webhooks (register), DELETE /api/webhooks/{id}, POST /api/webhooks/{id}/test
+        // Registration needs the admin password (Basic) and is rate limited per client IP.
+        // Management calls need the token returned at registration (X-Webhook-Token header or ?token=)
+        if (url.pathname === '/api/webhooks' || url.pathname.startsWith('/api/webhooks/')) {
+            res.setHeader('Content-Type', 'application/json');
+
+            if (!webhooks.isAvailable()) {
+                return res.status(503).send(JSON.stringify({ error: 'Webhook non disponibili su questo server' }));
+            }
+
+            const [, , , webhookId, action] = url.pathname.split('/');
+
+            if (!webhookId) {
+                if (req.method !== 'POST') {
+                    return res.status(405).send(JSON.stringify({ error: 'Method not allowed' }));
+                }
+
+                const rejection = webhooks.checkRegistration(req);
+                if (rejection) {
+                    return res.status(rejection.status).send(JSON.stringify({ error: rejection.error }));
+                }
+
+                try {
+                    const created = await webhooks.createSubscription(req.body);
+                    console.log(`🔔 [Webhooks] Registered ${created.id} (${req.body.kind})`);
+                    return res.status(201).send(JSON.stringify(created));
+                } catch (error) {
+                    return res.status(400).send(JSON.stringify({ error: error.message }));
+                }
+            }
+
+            const token = req.headers['x-webhook-token'] || url.searchParams.get('token') || '';
+
+            if (action === 'test' && req.method === 'POST') {
+                const delivered = await webhooks.sendTest(webhookId, token);
+                if (delivered === null) return res.status(404).send(JSON.stringify({ error: 'Webhook non trovato' }));
+                return res.status(200).send(JSON.stringify({ delivered }));
+            }
+
+            if (!action && req.method === 'DELETE') {
+                const deleted = await webhooks.deleteSubscription(webhookId, token);
+                if (!deleted) return res.status(404).send(JSON.stringify({ error: 'Webhook non trovato' }));
+                console.log(`🔔 [Webhooks] Deleted ${webhookId}`);
+                return res.status(200).send(JSON.stringify({ deleted: true }));
+            }
+
+            return res.status(405).send(JSON.stringify({ error: 'Method not allowed' }));
+        }
+
+        // 🔬 Debug: how the parser sees a release name (and whether it would match)
+        // /api/parse?title=...&showTitle=...&season=1&episode=2  or  &movieTitle=...&year=2000
+        if (url.pathname === '/api/parse') {
+            res.setHeader('Content-Type', 'application/json');
+
+            const title = url.searchParams.get('title');
+            if (!title) {
+                return res.status(400).send(JSON.stringify({ error: 'Missing title parameter' }));
+            }
+
+            const parsed = parseTorrentTitle(title);
+            const langInfo = getLanguageInfo(title, null, null, parsed);
+            const result = {
+                title,
+                parsed,
+                quality: extractQuality(title),
+                language: { languages: langInfo.detectedLanguages, isItalian: langInfo.isItalian, isMulti: langInfo.isMulti, displayLabel: langInfo.displayLabel },
+                isSeasonPack: isSeasonPack(title),
+                packCandidate: packFilesHandler.isSeasonPack(title)
+            };
+
+            const showTitle = url.searchParams.get('showTitle');
+            const season = parseInt(url.searchParams.get('season'));
+            const episode = parseInt(url.searchParams.get('episode'));
+            if (showTitle && !isNaN(season) && !isNaN(episode)) {
+                result.episodeMatch = isExactEpisodeMatch(title, showTitle, season, episode, false, null, false, url.searchParams.get('year'));
+            }
+
+            const movieTitle = url.searchParams.get('movieTitle');
+            if (movieTitle) {
+                result.movieMatch = isExactMovieMatch(title, movieTitle, url.searchParams.get('year'));
+            }
+
+            return res.status(200).send(JSON.stringify(result, null, 2));
+        }
+
+        // 📡 TORZNAB INDEXER over the local DB (for Sonarr/Radarr/Prowlarr)
+        // Disabled unless TORZNAB_API_KEY is set; t=caps is public as per spec
+        if (url.pathname === '/torznab/api' || url.pathname === '/torznab/api/') {
+            const torznabKey = process.env.TORZNAB_API_KEY;
+            if (!torznabKey || !process.env.DATABASE_URL) {
+                return res.status(404).send('Not found');
+            }
+
+            res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+            const t = url.searchParams.get('t');
+
+            if (t === 'caps') {
+                return res.status(200).send(torznab.renderCaps());
+            }
+
+            const expected = crypto.createHash('sha256').update(torznabKey).digest();
+            const provided = crypto.createHash('sha256').update(url.searchParams.get('apikey') || '').digest();
+            if (!crypto.timingSafeEqual(expected, provided)) {
+                return res.status(200).send(torznab.renderError(torznab.ERRORS.BAD_CREDENTIALS, 'Incorrect user credentials'));
+            }
+
+            if (!['search', 'tvsearch', 'movie'].includes(t)) {
+                return res.status(200).send(torznab.renderError(torznab.ERRORS.NO_SUCH_FUNCTION, `No such function (${t || 'missing t'})`));
+            }
+
+            const { request, error } = torznab.parseSearchRequest(url.searchParams);
+            if (error) {
+                return res.status(200).send(torznab.renderError(error.code, error.description));
+            }
+
+            try {
+                dbHelper.initDatabase();
+                const { items, total } = await torznab.searchTorznab(dbHelper, request, {
+                    italianOnly: process.env.TORZNAB_ITALIAN_ONLY === 'true'
+                });
+                console.log(`📡 [Torznab] ${t}${request.imdbId ? ` ${request.imdbId}` : ''}${request.season !== null ? ` S${request.season}` : ''}${request.episode !== null ? `E${request.episode}` : ''}${request.query ? ` "${request.query}"` : ''} -> ${items.length}/${total} results`);
+
+                const selfUrl = `${url.origin}${url.pathname}`;
+                return res.status(200).send(torznab.renderResults(items, { selfUrl, offset: request.offset, total }));
+            } catch (error) {
+                console.error(`❌ [Torznab] Search failed: ${error.message}`);
+                return res.status(200).send(torznab.renderError(torznab.ERRORS.UNKNOWN, 'Search failed'));
+            }
+        }
+
+        // 📈 Prometheus metrics (optional bearer token via METRICS_TOKEN)
+        if (url.pathname === '/metrics') {
+            const metricsToken = process.env.METRICS_TOKEN;
+            if (metricsToken && !safeEqual(req.headers['authorization'] || '', `Bearer ${metricsToken}`)) {
+                return res.status(401).send('Unauthorized');
+            }
+
+            const body = metrics.renderMetrics({
+                providerStats,
+                bgQueue: { active: activeBgJobs, queued: bgJobQueue.length, max: MAX_CONCURRENT_BG_JOBS },
+                dbPool: dbHelper.getPoolStats()
+            });
+
+            res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+            return res.status(200).send(body);
+        }
+
         // Health check
         if (url.pathname === '/health') {
             const health = {
@@ -13729,3 +15602,6 @@ export default async function handler(req, res) {
         }));
     }
 }
+
+// 🧪 Scraper parsers, exported for the offline fixture tests (test/scrapers.test.js)
+export { parseUIndexHTML, fetchUIndexSingle, fetchCorsaroNeroSingle, KnabenAPI, Jackettio };
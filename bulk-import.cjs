@@ -0,0 +1,414 @@
+/**
+ * Bulk Import Module - CSV/JSON lists and watched folder for the manual importer
+ *
+ * POST /scrape/bulk takes a CSV (comma or semicolon separated, with header) or a
+ * JSON array of rows { magnet, imdb_id | tmdb_id, type, season }. Rows are
+ * validated first (dry run = validation report only); the import then runs in
+ * background, one row at a time, with the per-row status at GET /scrape/bulk/{jobId}.
+ *
+ * The optional watcher polls a folder of .torrent files. The IMDb/TMDB ID and the
+ * type are read from the file name, e.g. "Breaking Bad S01 [tt0903747] [series].torrent"
+ * or "Film 2024 [tmdb-12345].torrent" (type inferred from the files when missing).
+ * Processed files are moved to imported/ or failed/.
+ *
+ *   IMPORT_WATCH_DIR              folder to watch (disabled if not set)
+ *   IMPORT_WATCH_INTERVAL_SECONDS scan interval (default 60)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MAX_ROWS = 1000;
+const MAX_JOBS = 20;
+const TYPE_ALIASES = {
+    movie: 'movie', film: 'movie',
+    series: 'series', serie: 'series', tv: 'series',
+    pack: 'pack'
+};
+const COLUMN_ALIASES = {
+    magnet: ['magnet', 'magnetlink', 'magnet_link', 'hash', 'infohash', 'info_hash'],
+    imdbId: ['imdb_id', 'imdbid', 'imdb'],
+    tmdbId: ['tmdb_id', 'tmdbid', 'tmdb'],
+    type: ['type', 'tipo'],
+    season: ['season', 'stagione']
+};
+const EPISODE_PATTERN = /\bS\d{1,2}\s?E\d{1,3}\b|\b\d{1,2}x\d{2,3}\b/i;
+const VIDEO_PATTERN = /\.(mkv|mp4|avi|m4v|ts|wmv|mov)$/i;
+const SETTLE_MS = 5000; // skip files still being written
+
+const jobs = new Map(); // jobId -> job
+
+/**
+ * Split CSV text into rows of fields (quoted fields, "" escapes, , or ; separator)
+ * @param {string} text
+ * @returns {Array<Array<string>>}
+ */
+function parseCsvLines(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const separator = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') { field += '"'; i++; }
+            else if (char === '"') quoted = false;
+            else field += char;
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === separator) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+/**
+ * Parse a bulk list into raw row objects
+ * @param {string} text - CSV with header or JSON (array or { rows: [...] })
+ * @param {string|null} format - 'csv', 'json' or null to detect
+ * @returns {Array<Object>}
+ * @throws {Error} With a user-facing (Italian) message
+ */
+function parseBulkInput(text, format = null) {
+    const content = String(text || '').replace(/^\uFEFF/, '').trim();
+    if (!content) throw new Error('Lista vuota');
+
+    const isJson = format ? format === 'json' : /^[[{]/.test(content);
+    let rows;
+    if (isJson) {
+        let parsed;
+        try {
+            parsed = JSON.parse(content);
+        } catch (error) {
+            throw new Error(`JSON non valido: ${error.message}`);
+        }
+        rows = Array.isArray(parsed) ? parsed : parsed?.rows;
+        if (!Array.isArray(rows)) throw new Error('Il JSON deve essere un array di righe');
+    } else {
+        const [header, ...lines] = parseCsvLines(content);
+        const columns = header.map(name => name.trim().toLowerCase());
+        rows = lines.map(values => Object.fromEntries(columns.map((column, i) => [column, (values[i] || '').trim()])));
+    }
+
+    if (rows.length > MAX_ROWS) throw new Error(`Troppe righe (${rows.length}, max ${MAX_ROWS})`);
+    return rows;
+}
+
+/**
+ * Info hash of a magnet link or bare hash
+ * @param {string} value
+ * @returns {string|null} Lowercase 40-char hex hash
+ */
+function extractInfoHash(value) {
+    const text = String(value || '').trim();
+    const match = text.match(/xt=urn:btih:([a-zA-Z0-9]+)/i);
+    const hash = (match ? match[1] : text).toLowerCase();
+    return /^[a-f0-9]{40}$/.test(hash) ? hash : null;
+}
+
+/**
+ * Read a field through its column aliases
+ * @param {Object} raw - Row object
+ * @param {string} field - Key of COLUMN_ALIASES
+ * @returns {string}
+ */
+function pickField(raw, field) {
+    const keys = Object.keys(raw);
+    for (const alias of COLUMN_ALIASES[field]) {
+        const key = keys.find(k => k.toLowerCase() === alias);
+        if (key !== undefined && raw[key] !== null && raw[key] !== undefined && String(raw[key]).trim() !== '') {
+            return String(raw[key]).trim();
+        }
+    }
+    return '';
+}
+
+/**
+ * Validate rows and build the validation report
+ * @param {Array<Object>} rawRows - parseBulkInput() output
+ * @returns {Array<{row: number, magnetLink: string, infoHash: string|null, imdbId: string|null, tmdbId: string|null, type: string|null, season: number|null, status: string, errors: Array<string>}>}
+ *          status is 'valid' or 'invalid'; row is 1-based, excluding the CSV header
+ */
+function validateRows(rawRows) {
+    const seen = new Set();
+
+    return rawRows.map((raw, index) => {
+        const errors = [];
+        const item = raw && typeof raw === 'object' ? raw : {};
+        const magnetLink = pickField(item, 'magnet');
+        const infoHash = extractInfoHash(magnetLink);
+        const imdbId = pickField(item, 'imdbId') || null;
+        const tmdbId = (pickField(item, 'tmdbId') || '').replace(/^tmdb[:-]?/i, '') || null;
+        const typeValue = pickField(item, 'type').toLowerCase();
+        const type = TYPE_ALIASES[typeValue] || null;
+        const seasonValue = pickField(item, 'season');
+        const season = seasonValue ? parseInt(seasonValue, 10) : null;
+
+        if (!infoHash) errors.push('Magnet o hash non valido');
+        else if (seen.has(infoHash)) errors.push('Duplicato nella lista');
+        else seen.add(infoHash);
+
+        if (!type) errors.push(typeValue ? `Tipo sconosciuto: ${typeValue}` : 'Tipo mancante');
+        if (imdbId && !/^tt\d+$/.test(imdbId)) errors.push('IMDb ID non valido');
+        if (tmdbId && !/^\d+$/.test(tmdbId)) errors.push('TMDB ID non valido');
+        if (!imdbId && !tmdbId && type !== 'pack') errors.push('IMDb o TMDB ID mancante');
+        if (seasonValue && (!Number.isInteger(season) || season < 0 || !/^\d+$/.test(seasonValue))) errors.push('Stagione non valida');
+        else if (season !== null && type !== 'series') errors.push('Stagione ammessa solo per le serie');
+
+        return {
+            row: index + 1,
+            magnetLink,
+            infoHash,
+            imdbId,
+            tmdbId,
+            type,
+            season,
+            status: errors.length > 0 ? 'invalid' : 'valid',
+            errors
+        };
+    });
+}
+
+/**
+ * Import metadata from a watched file name
+ * @param {string} fileName - e.g. "Show S01 [tt0903747] [series].torrent"
+ * @returns {{imdbId: string|null, tmdbId: string|null, type: string|null, season: number|null}}
+ */
+function parseWatchedFileName(fileName) {
+    const name = path.basename(fileName).replace(/\.torrent$/i, '');
+    const imdb = name.match(/\b(tt\d{5,})\b/i);
+    const tmdb = name.match(/\btmdb[-_: ]?(\d+)\b/i);
+    const typeTag = name.match(/\[(movie|film|series|serie|tv|pack)\]/i);
+    const seasonTag = name.match(/\[(?:s|season|stagione)\s?(\d{1,2})\]/i);
+
+    return {
+        imdbId: imdb ? imdb[1].toLowerCase() : null,
+        tmdbId: tmdb ? tmdb[1] : null,
+        type: typeTag ? TYPE_ALIASES[typeTag[1].toLowerCase()] : null,
+        season: seasonTag ? parseInt(seasonTag[1], 10) : null
+    };
+}
+
+/**
+ * Guess the import type from the torrent file list
+ * @param {Array<{path: string}>} files - parseTorrentFile() files
+ * @returns {string} 'series' (episode names), 'pack' (several videos) or 'movie'
+ */
+function inferTypeFromFiles(files) {
+    const videos = (files || []).filter(file => VIDEO_PATTERN.test(file.path || ''));
+    if (videos.some(file => EPISODE_PATTERN.test(file.path.split('/').pop()))) return 'series';
+    return videos.length > 1 ? 'pack' : 'movie';
+}
+
+/**
+ * Create a background import job from validated rows (invalid rows are kept as skipped)
+ * Rows already marked 'duplicate' (in the DB) are kept as such and not imported.
+ * @param {Array<Object>} rows - validateRows() output
+ * @returns {Object} Job {id, status, createdAt, rows}
+ */
+function createJob(rows) {
+    const job = {
+        id: crypto.randomBytes(8).toString('hex'),
+        status: 'running',
+        createdAt: new Date().toISOString(),
+        finishedAt: null,
+        rows: rows.map(row => ({
+            ...row,
+            status: { valid: 'queued', duplicate: 'duplicate' }[row.status] || 'skipped',
+            message: row.errors.join(', ') || null
+        }))
+    };
+
+    jobs.set(job.id, job);
+    // Keep only the most recent jobs in memory
+    while (jobs.size > MAX_JOBS) jobs.delete(jobs.keys().next().value);
+    return job;
+}
+
+/**
+ * @param {string} jobId
+ * @returns {Object|null}
+ */
+function getJob(jobId) {
+    return jobs.get(jobId) || null;
+}
+
+/**
+ * Job summary by row status
+ * @param {Object} job
+ * @returns {Object} Counts per status, e.g. { imported: 3, duplicate: 1 }
+ */
+function summarizeJob(job) {
+    const summary = {};
+    for (const row of job.rows) summary[row.status] = (summary[row.status] || 0) + 1;
+    return summary;
+}
+
+/**
+ * Import the queued rows of a job one at a time
+ * @param {Object} job - createJob() result
+ * @param {Function} importRow - async (row) => { httpStatus, body } (importTorrent-like)
+ * @returns {Promise<Object>} The finished job
+ */
+async function runJob(job, importRow) {
+    for (const row of job.rows) {
+        if (row.status !== 'queued') continue;
+        row.status = 'importing';
+        try {
+            const result = await importRow(row);
+            if (result.httpStatus === 200) {
+                row.status = 'imported';
+                row.message = result.body.message || null;
+            } else {
+                row.status = result.httpStatus === 409 ? 'duplicate' : 'error';
+                row.message = result.body.error || `HTTP ${result.httpStatus}`;
+            }
+        } catch (error) {
+            row.status = 'error';
+            row.message = error.message;
+        }
+    }
+
+    job.status = 'done';
+    job.finishedAt = new Date().toISOString();
+    console.log(`📋 [BULK] Job ${job.id} done: ${JSON.stringify(summarizeJob(job))}`);
+    return job;
+}
+
+/**
+ * Watcher settings
+ * @param {Object} env - Environment (process.env)
+ * @returns {{dir: string|null, intervalSeconds: number}}
+ */
+function getWatchSettings(env = process.env) {
+    const interval = parseInt(env.IMPORT_WATCH_INTERVAL_SECONDS, 10);
+    return {
+        dir: env.IMPORT_WATCH_DIR ? path.resolve(env.IMPORT_WATCH_DIR) : null,
+        intervalSeconds: Number.isFinite(interval) && interval >= 5 ? interval : 60
+    };
+}
+
+/**
+ * Move a processed file into a subfolder of the watched directory
+ * @param {string} dir - Watched directory
+ * @param {string} fileName
+ * @param {string} target - 'imported' or 'failed'
+ * @param {string|null} reason - Written next to failed files
+ */
+async function moveWatchedFile(dir, fileName, target, reason = null) {
+    const targetDir = path.join(dir, target);
+    await fs.promises.mkdir(targetDir, { recursive: true });
+    await fs.promises.rename(path.join(dir, fileName), path.join(targetDir, fileName));
+    if (reason) await fs.promises.writeFile(path.join(targetDir, `${fileName}.txt`), `${reason}\n`);
+}
+
+/**
+ * Import the .torrent files currently in the watched directory
+ * @param {string} dir - Watched directory
+ * @param {Function} importFile - async (buffer, meta, fileName) => { httpStatus, body }; a thrown error is retried on the next scan
+ * @param {number} now - Current time (ms)
+ * @returns {Promise<{imported: number, failed: number}>}
+ */
+async function scanWatchDir(dir, importFile, now = Date.now()) {
+    const stats = { imported: 0, failed: 0 };
+    let entries;
+    try {
+        entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+        console.warn(`⚠️ [WATCH] Cannot read ${dir}: ${error.message}`);
+        return stats;
+    }
+
+    for (const entry of entries) {
+        if (!entry.isFile() || !/\.torrent$/i.test(entry.name)) continue;
+        const filePath = path.join(dir, entry.name);
+
+        try {
+            const fileStat = await fs.promises.stat(filePath);
+            if (now - fileStat.mtimeMs < SETTLE_MS) continue;
+
+            const buffer = await fs.promises.readFile(filePath);
+            const result = await importFile(buffer, parseWatchedFileName(entry.name), entry.name);
+            // Already in the DB counts as done: the file doesn't need another try
+            if (result.httpStatus === 200 || result.httpStatus === 409) {
+                await moveWatchedFile(dir, entry.name, 'imported');
+                stats.imported++;
+                console.log(`📂 [WATCH] ${entry.name}: ${result.httpStatus === 200 ? result.body.message : 'already in DB'}`);
+            } else {
+                await moveWatchedFile(dir, entry.name, 'failed', result.body.error);
+                stats.failed++;
+                console.warn(`⚠️ [WATCH] ${entry.name}: ${result.body.error}`);
+            }
+        } catch (error) {
+            // Unexpected errors (DB down, I/O) leave the file in place for the next scan
+            stats.failed++;
+            console.error(`❌ [WATCH] ${entry.name}: ${error.message}`);
+        }
+    }
+    return stats;
+}
+
+let watchTimer = null;
+
+/**
+ * Start polling IMPORT_WATCH_DIR (no-op if not configured or already started)
+ * @param {Function} importFile - See scanWatchDir()
+ * @param {Object} env - Environment (process.env)
+ * @returns {boolean} True if the watcher is running
+ */
+function startWatcher(importFile, env = process.env) {
+    const settings = getWatchSettings(env);
+    if (!settings.dir || watchTimer) return !!watchTimer;
+
+    let scanning = false;
+    const tick = async () => {
+        if (scanning) return;
+        scanning = true;
+        try {
+            await scanWatchDir(settings.dir, importFile);
+        } finally {
+            scanning = false;
+        }
+    };
+
+    watchTimer = setInterval(tick, settings.intervalSeconds * 1000);
+    watchTimer.unref();
+    setTimeout(tick, 5000).unref();
+    console.log(`📂 [WATCH] Watching ${settings.dir} for .torrent files every ${settings.intervalSeconds}s`);
+    return true;
+}
+
+module.exports = {
+    MAX_ROWS,
+    parseCsvLines,
+    parseBulkInput,
+    extractInfoHash,
+    validateRows,
+    parseWatchedFileName,
+    inferTypeFromFiles,
+    createJob,
+    getJob,
+    summarizeJob,
+    runJob,
+    getWatchSettings,
+    scanWatchDir,
+    startWatcher
+};
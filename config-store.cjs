@@ -0,0 +1,238 @@
+/**
+ * Config Store Module - Opaque tokens instead of base64 configs in URLs
+ *
+ * By default every addon URL carries the full user config as base64 JSON,
+ * debrid API keys included. When the user opts in from /configure, the config
+ * is stored server-side and the URLs only carry a short opaque token:
+ *
+ * - `icv-<id>`   config stored in PostgreSQL (encrypted at rest if CONFIG_SECRET is set)
+ * - `icve-<blob>` stateless AES-256-GCM blob (no DB, requires CONFIG_SECRET)
+ *
+ * Stored tokens are derived from the config itself, so saving the same config
+ * twice returns the same token and row. Only known config keys are kept, the
+ * config size is capped and each client may request MAX_TOKENS_PER_HOUR tokens an hour.
+ */
+
+const crypto = require('crypto');
+const dbHelper = require('./db-helper.cjs');
+
+const STORED_TOKEN_PREFIX = 'icv-';
+const ENCRYPTED_TOKEN_PREFIX = 'icve-';
+const CACHE_TTL = 10 * 60 * 1000; // 10 minutes - playback routes resolve the token on every click
+const CACHE_MAX_SIZE = 1000;
+const MAX_CONFIG_BYTES = 16 * 1024;
+const MAX_TOKENS_PER_HOUR = 30;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Keys written by /configure or read by the addon routes; anything else is dropped
+const CONFIG_KEYS = [
+    'tmdb_key',
+    'use_rd', 'rd_key', 'use_torbox', 'torbox_key', 'use_premiumize', 'premiumize_key',
+    'use_offcloud', 'offcloud_key', 'use_alldebrid', 'alldebrid_key', 'ad_key',
+    'mediaflow_url', 'mediaflow_password', 'jackett_url', 'jackett_api_key', 'jackett_password',
+    'use_corsaronero', 'use_uindex', 'use_knaben', 'use_torrentgalaxy', 'use_torrentio',
+    'use_mediafusion', 'use_comet', 'use_rarbg', 'use_external_addons',
+    'full_ita', 'db_only', 'use_global_cache', 'only_debrid_cache', 'hybrid_mode', 'force_refresh',
+    'max_res_limit', 'max_size',
+    'exclude_4k', 'exclude_1080p', 'exclude_720p', 'exclude_sd', 'exclude_unknown', 'exclude_remux', 'exclude_dv',
+    'formatter_preset', 'formatter_custom_name', 'formatter_custom_desc', 'aiostreams_mode', 'introskip_enabled',
+    'usenet_enabled',
+    'subtitles_enabled',
+    'quality_profile',
+    'regex_rules',
+    'prefetch_next', 'prefetch_add_debrid',
+    'cleanup_keep_last', 'cleanup_keep_days',
+    'season_pack_action',
+    'report_entry'
+];
+
+// token -> { config, timestamp }
+const tokenCache = new Map();
+
+/**
+ * Derive the AES key from CONFIG_SECRET
+ * @returns {Buffer|null} 32-byte key or null if no secret is configured
+ */
+function getSecretKey() {
+    const secret = process.env.CONFIG_SECRET;
+    if (!secret) return null;
+    return crypto.createHash('sha256').update(secret).digest();
+}
+
+/**
+ * Encrypt a string with AES-256-GCM
+ * @param {string} plaintext - Text to encrypt
+ * @param {Buffer} key - 32-byte key
+ * @returns {string} base64url of iv(12) + tag(16) + ciphertext
+ */
+function encrypt(plaintext, key) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+    return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64url');
+}
+
+/**
+ * Decrypt a string produced by encrypt()
+ * @param {string} payload - base64url payload
+ * @param {Buffer} key - 32-byte key
+ * @returns {string} Decrypted text (throws if tampered, truncated or wrong key)
+ */
+function decrypt(payload, key) {
+    const raw = Buffer.from(payload, 'base64url');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, raw.subarray(0, 12), { authTagLength: 16 });
+    decipher.setAuthTag(raw.subarray(12, 28));
+    return Buffer.concat([decipher.update(raw.subarray(28)), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Check whether a URL segment is a config token (instead of base64 JSON)
+ * @param {string} segment - First path segment of an addon URL
+ * @returns {boolean}
+ */
+function isConfigToken(segment) {
+    return typeof segment === 'string' &&
+        (segment.startsWith(STORED_TOKEN_PREFIX) || segment.startsWith(ENCRYPTED_TOKEN_PREFIX));
+}
+
+/**
+ * Keep only the known config keys, in a fixed order
+ * @param {Object} config - Config posted by /configure
+ * @returns {Object} Config ready for createConfigToken()
+ * @throws {Error} With a user-facing (Italian) message
+ */
+function sanitizeConfig(config) {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        throw new Error('Configurazione non valida');
+    }
+
+    const sanitized = {};
+    for (const key of CONFIG_KEYS) {
+        if (config[key] !== undefined) sanitized[key] = config[key];
+    }
+    if (Buffer.byteLength(JSON.stringify(sanitized)) > MAX_CONFIG_BYTES) {
+        throw new Error('Configurazione troppo grande');
+    }
+    return sanitized;
+}
+
+const recentTokenRequests = new Map(); // client IP -> timestamps
+
+/**
+ * Per-client hourly limit on token requests
+ * Clients with no request in the last hour are forgotten on each call.
+ * @param {string} client - Client IP
+ * @param {number} now - Current time (ms)
+ * @returns {boolean} True if the client may request a token
+ */
+function allowTokenRequest(client, now = Date.now()) {
+    const hourAgo = now - HOUR_MS;
+    for (const [key, times] of recentTokenRequests) {
+        if (!times.some(time => time > hourAgo)) recentTokenRequests.delete(key);
+    }
+
+    const key = client || 'unknown';
+    const times = (recentTokenRequests.get(key) || []).filter(time => time > hourAgo);
+    if (times.length >= MAX_TOKENS_PER_HOUR) return false;
+    times.push(now);
+    recentTokenRequests.set(key, times);
+    return true;
+}
+
+/**
+ * Check whether the server can issue tokens at all
+ * @returns {boolean}
+ */
+function isAvailable() {
+    return !!process.env.DATABASE_URL || !!getSecretKey();
+}
+
+/**
+ * Stored token for a config: same config, same token
+ * Keyed with CONFIG_SECRET when set, so tokens cannot be derived without it.
+ * @param {string} json - Serialized config
+ * @param {Buffer|null} key - Key from getSecretKey()
+ * @returns {string} `icv-` token
+ */
+function getStoredToken(json, key) {
+    const digest = key
+        ? crypto.createHmac('sha256', key).update(json).digest()
+        : crypto.createHash('sha256').update(json).digest();
+    return STORED_TOKEN_PREFIX + digest.subarray(0, 18).toString('base64url');
+}
+
+/**
+ * Store a config and return its opaque token
+ * @param {Object} config - User configuration (from sanitizeConfig())
+ * @returns {Promise<string>} Token to use in place of the base64 config
+ */
+async function createConfigToken(config) {
+    const json = JSON.stringify(config);
+    const key = getSecretKey();
+
+    if (process.env.DATABASE_URL) {
+        const token = getStoredToken(json, key);
+        const payload = key ? encrypt(json, key) : json;
+        const saved = await dbHelper.saveUserConfig(token, payload, !!key);
+        if (!saved) throw new Error('Failed to store user config');
+        return token;
+    }
+
+    if (key) {
+        return ENCRYPTED_TOKEN_PREFIX + encrypt(json, key);
+    }
+
+    throw new Error('Config storage not available (set DATABASE_URL or CONFIG_SECRET)');
+}
+
+/**
+ * Resolve a token back to the user config
+ * @param {string} token - Token issued by createConfigToken()
+ * @returns {Promise<Object|null>} Config object or null if unknown/invalid
+ */
+async function resolveConfigToken(token) {
+    const cached = tokenCache.get(token);
+    if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
+        return cached.config;
+    }
+
+    let config = null;
+    try {
+        const key = getSecretKey();
+
+        if (token.startsWith(ENCRYPTED_TOKEN_PREFIX)) {
+            if (!key) return null;
+            config = JSON.parse(decrypt(token.substring(ENCRYPTED_TOKEN_PREFIX.length), key));
+        } else {
+            const row = await dbHelper.getUserConfig(token);
+            if (!row) return null;
+            if (row.encrypted && !key) {
+                console.error('❌ [ConfigStore] Stored config is encrypted but CONFIG_SECRET is missing');
+                return null;
+            }
+            config = JSON.parse(row.encrypted ? decrypt(row.payload, key) : row.payload);
+        }
+    } catch (error) {
+        console.error(`❌ [ConfigStore] Invalid config token: ${error.message}`);
+        return null;
+    }
+
+    if (tokenCache.size >= CACHE_MAX_SIZE) {
+        tokenCache.delete(tokenCache.keys().next().value);
+    }
+    tokenCache.set(token, { config, timestamp: Date.now() });
+
+    return config;
+}
+
+module.exports = {
+    CACHE_MAX_SIZE,
+    MAX_CONFIG_BYTES,
+    MAX_TOKENS_PER_HOUR,
+    isConfigToken,
+    sanitizeConfig,
+    allowTokenRequest,
+    isAvailable,
+    createConfigToken,
+    resolveConfigToken
+};
@@ -1,4 +1,5 @@
 const { Pool } = require('pg');
+const { EventEmitter } = require('events');
 
 // ✅ VERBOSE LOGGING - configurabile via ENV
 const DEBUG_MODE = process.env.DEBUG_MODE === 'true';
@@ -51,6 +52,30 @@ function providerPrioritySQL(columnRef) {
 // Database connection pool
 let pool = null;
 
+// 🔔 Torrent events for webhooks: 'torrent_added' (new row in torrents), 'rd_cached' (became RD-cached)
+const dbEvents = new EventEmitter();
+
+/**
+ * Emit a torrent event (listeners must never break a DB write)
+ * @param {string} name - Event name
+ * @param {Object} row - {info_hash, title, type, size, imdb_id, provider}
+ */
+function emitTorrentEvent(name, row) {
+  if (dbEvents.listenerCount(name) === 0 || !row.title || row.title === 'PLACEHOLDER') return;
+  try {
+    dbEvents.emit(name, {
+      infoHash: row.info_hash,
+      title: row.title,
+      type: row.type || null,
+      size: Number(row.size) || 0,
+      imdbId: row.imdb_id || null,
+      provider: row.provider || null
+    });
+  } catch (error) {
+    console.warn(`⚠️ [DB] Torrent event listener failed: ${error.message}`);
+  }
+}
+
 /**
  * Initialize PostgreSQL connection pool
  * @param {Object} config - Database configuration
@@ -86,6 +111,21 @@ function initDatabase(config = {}) {
   return pool;
 }
 
+/**
+ * Get connection pool usage (for /metrics)
+ * @returns {Object|null} {total, idle, waiting, max} or null if not initialized
+ */
+function getPoolStats() {
+  if (!pool) return null;
+
+  return {
+    total: pool.totalCount,
+    idle: pool.idleCount,
+    waiting: pool.waitingCount,
+    max: pool.options.max
+  };
+}
+
 /**
  * Search torrents by IMDb ID
  * @param {string} imdbId - IMDb ID (e.g., "tt0111161")
@@ -139,6 +179,9 @@ async function searchByImdbId(imdbId, type = null, providers = null) {
       params.push(...providers.map(p => `%${p}%`));
     }
 
+    // ⚠️ Hide releases flagged by user reports
+    query += await reportFilterClause('torrents.info_hash');
+
     query += ' ORDER BY cached_rd DESC NULLS LAST, seeders DESC LIMIT 50';
 
     const result = await pool.query(query, params);
@@ -263,6 +306,9 @@ async function searchEpisodeFiles(imdbId, season, episode, providers = null) {
       params.push(...providers.map(p => `%${p}%`));
     }
 
+    // ⚠️ Hide releases (or single pack files) flagged by user reports
+    query += await reportFilterClause('t.info_hash', 'f.file_index');
+
     query += `
       ORDER BY t.cached_rd DESC NULLS LAST, t.seeders DESC
       LIMIT 50
@@ -361,6 +407,14 @@ async function insertTorrent(torrent) {
 
     await client.query('COMMIT');
     if (DEBUG_MODE) console.log(`✅ [DB] Inserted torrent: ${torrent.title.substring(0, 60)}...`);
+    emitTorrentEvent('torrent_added', {
+      info_hash: torrent.infoHash,
+      title: torrent.title,
+      type: torrent.type,
+      size: torrent.size,
+      imdb_id: torrent.imdbId,
+      provider: torrent.provider || 'ilcorsaronero'
+    });
     return true;
 
   } catch (error) {
@@ -388,13 +442,15 @@ async function updateRdCacheStatus(cacheResults, mediaType = null) {
     // ✅ PRE-FILTER: Skip uncached items not in DB in a single batch query
     const allHashes = cacheResults.filter(r => r.hash).map(r => r.hash.toLowerCase());
     const existsResult = await pool.query(
-      `SELECT info_hash FROM torrents WHERE info_hash = ANY($1)`,
+      `SELECT info_hash, cached_rd FROM torrents WHERE info_hash = ANY($1)`,
       [allHashes]
     );
     const existingHashes = new Set(existsResult.rows.map(r => r.info_hash));
+    const alreadyCached = new Set(existsResult.rows.filter(r => r.cached_rd === true).map(r => r.info_hash));
 
     // ✅ Filter items to process
     const itemsToProcess = [];
+    const newlyCached = new Set();
     for (const result of cacheResults) {
       if (!result.hash) continue;
       const hashLower = result.hash.toLowerCase();
@@ -406,6 +462,7 @@ async function updateRdCacheStatus(cacheResults, mediaType = null) {
         continue;
       }
 
+      if (cachedValue && !alreadyCached.has(hashLower)) newlyCached.add(hashLower);
       itemsToProcess.push(result);
     }
 
@@ -447,10 +504,15 @@ async function updateRdCacheStatus(cacheResults, mediaType = null) {
           size = COALESCE(EXCLUDED.size, torrents.size),
           title = CASE WHEN torrents.provider = 'rd_cache' THEN COALESCE(EXCLUDED.title, torrents.title) ELSE torrents.title END,
           type = CASE WHEN torrents.type = 'unknown' THEN COALESCE(EXCLUDED.type, torrents.type) ELSE torrents.type END
+        RETURNING info_hash, title, type, size, imdb_id, provider
       `;
 
       const res = await pool.query(upsertQuery, params);
       updated = res.rowCount;
+
+      for (const row of res.rows) {
+        if (newlyCached.has(row.info_hash)) emitTorrentEvent('rd_cached', row);
+      }
     }
 
     if (skipped > 0) {
@@ -769,6 +831,7 @@ async function batchInsertTorrents(torrents) {
               THEN GREATEST(EXCLUDED.last_cached_check_tb, COALESCE(torrents.last_cached_check_tb, EXCLUDED.last_cached_check_tb))
               ELSE torrents.last_cached_check_tb
             END
+          RETURNING (xmax = 0) AS inserted
         `;
 
         const values = [
@@ -790,6 +853,7 @@ async function batchInsertTorrents(torrents) {
 
         const res = await pool.query(query, values);
         if (res.rowCount > 0) inserted++;
+        if (res.rows[0]?.inserted) emitTorrentEvent('torrent_added', torrent);
 
       } catch (error) {
         // Log all errors (even duplicates now get updated)
@@ -1067,6 +1131,26 @@ async function getTorrent(infoHash) {
   }
 }
 
+/**
+ * Which of the given hashes are already in the torrents table
+ * @param {Array<string>} infoHashes
+ * @returns {Promise<Set<string>>} Lowercase hashes found
+ */
+async function getExistingTorrentHashes(infoHashes) {
+  if (!pool || !infoHashes || infoHashes.length === 0) return new Set();
+
+  try {
+    const result = await pool.query(
+      'SELECT info_hash FROM torrents WHERE info_hash = ANY($1)',
+      [infoHashes.map(h => h.toLowerCase())]
+    );
+    return new Set(result.rows.map(row => row.info_hash));
+  } catch (error) {
+    console.error(`❌ [DB] Error checking existing torrents:`, error.message);
+    return new Set();
+  }
+}
+
 /**
  * Get is_torrent_pack flag for a torrent
  * @param {string} infoHash - Torrent info hash
@@ -2133,6 +2217,65 @@ async function cleanupTorrentSearchCache(ttlHours = 6) {
   }
 }
 
+/**
+ * Count torrent search cache entries (for the admin dashboard)
+ * @param {number} ttlHours - Entries older than this are reported as expired
+ * @returns {Promise<Object|null>} {total, expired} or null on error
+ */
+async function getTorrentSearchCacheStats(ttlHours = 18) {
+  if (!pool) return null;
+
+  try {
+    const result = await pool.query(`
+      SELECT
+        COUNT(*) AS total,
+        COUNT(*) FILTER (WHERE created_at < NOW() - INTERVAL '${ttlHours} hours') AS expired
+      FROM torrent_search_cache
+    `);
+    return {
+      total: parseInt(result.rows[0].total),
+      expired: parseInt(result.rows[0].expired)
+    };
+  } catch (error) {
+    console.error(`❌ [DB Cache] Error getting cache stats: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Purge torrent search cache entries for a title, season or episode
+ * Cache keys have the form torrent:{type}:{imdbId}[:{season}:{episode}]
+ * @param {string} imdbId - IMDb ID
+ * @param {number} season - Optional season
+ * @param {number} episode - Optional episode (requires season)
+ * @returns {Promise<number>} Number of deleted entries
+ */
+async function purgeTorrentSearchCache(imdbId, season = null, episode = null) {
+  if (!pool) return 0;
+
+  try {
+    let suffix;
+    if (season && episode) suffix = `:${imdbId}:${season}:${episode}`;
+    else if (season) suffix = `:${imdbId}:${season}:%`;
+    else suffix = `:${imdbId}`;
+
+    const params = [`torrent:%${suffix}`];
+    let where = 'cache_key LIKE $1';
+    if (!season) {
+      // Whole title: also match every episode key
+      params.push(`torrent:%:${imdbId}:%`);
+      where += ' OR cache_key LIKE $2';
+    }
+
+    const result = await pool.query(`DELETE FROM torrent_search_cache WHERE ${where}`, params);
+    console.log(`🧹 [DB Cache] Purged ${result.rowCount} entries for ${imdbId}${season ? ` S${season}` : ''}${episode ? `E${episode}` : ''}`);
+    return result.rowCount;
+  } catch (error) {
+    console.error(`❌ [DB Cache] Error purging cache: ${error.message}`);
+    return 0;
+  }
+}
+
 // ✅ ADDED: Update torrent title (for fixing pack names)
 /**
  * Update the title of a torrent in the database
@@ -2159,9 +2302,1667 @@ async function updateTorrentTitle(infoHash, newTitle) {
   }
 }
 
+// 📚 Stremio Catalogs
+const ITALIAN_TITLE_REGEX = '(^|[^a-z])(ita|italian|italiano)([^a-z]|$)';
+const UHD_TITLE_REGEX = '(2160p|4k|uhd)';
+
+/**
+ * Get IMDb IDs for the Italian catalogs, most recent first
+ * One row per title: multiple releases of the same movie/series are grouped together
+ * @param {string} catalog - 'latest', '4k' or 'rd_cached'
+ * @param {string} type - Media type: 'movie' or 'series'
+ * @param {number} skip - Number of items to skip (Stremio pagination)
+ * @param {number} limit - Max items to return
+ * @returns {Promise<Array>} Array of {imdb_id, tmdb_id, title, last_update, releases}
+ */
+async function getItalianCatalog(catalog, type, skip = 0, limit = 50) {
+  if (!pool) throw new Error('Database not initialized');
+
+  try {
+    const conditions = [
+      'imdb_id IS NOT NULL',
+      'type = $1',
+      `title ~* '${ITALIAN_TITLE_REGEX}'`
+    ];
+    // RD-cached catalog sorts by the last time RD confirmed the cache, the others by release date
+    let orderColumn = 'upload_date';
+
+    if (catalog === '4k') {
+      conditions.push(`title ~* '${UHD_TITLE_REGEX}'`);
+    } else if (catalog === 'rd_cached') {
+      conditions.push(`cached_rd = true AND last_cached_check > NOW() - INTERVAL '10 days'`);
+      orderColumn = 'last_cached_check';
+    }
+
+    const query = `
+      SELECT
+        imdb_id,
+        MAX(tmdb_id) AS tmdb_id,
+        (ARRAY_AGG(title ORDER BY ${orderColumn} DESC NULLS LAST))[1] AS title,
+        MAX(${orderColumn}) AS last_update,
+        COUNT(*) AS releases
+      FROM torrents
+      WHERE ${conditions.join(' AND ')}
+      GROUP BY imdb_id
+      ORDER BY last_update DESC NULLS LAST
+      OFFSET $2 LIMIT $3
+    `;
+
+    const result = await pool.query(query, [type, skip, limit]);
+    if (DEBUG_MODE) console.log(`💾 [DB] Catalog ${catalog}/${type}: ${result.rows.length} items (skip ${skip})`);
+
+    return result.rows;
+  } catch (error) {
+    console.error(`❌ [DB] Error loading catalog ${catalog}/${type}:`, error.message);
+    return [];
+  }
+}
+
+/**
+ * WHERE conditions shared by the Torznab search and count queries
+ * LIKE wildcards typed by the client (% and _) are matched literally.
+ * @param {Object} filters - See searchTorznabIndex()
+ * @returns {{where: string, params: Array}}
+ */
+function buildTorznabFilters({ imdbId = null, type = null, query = null, italianOnly = false } = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (imdbId) {
+    params.push(imdbId);
+    conditions.push(`imdb_id = $${params.length}`);
+  }
+  if (type) {
+    params.push(type);
+    conditions.push(`type = $${params.length}`);
+  }
+  if (query) {
+    const words = query.split(/[\s.\-_]+/).filter(w => w.length > 0).slice(0, 10);
+    for (const word of words) {
+      params.push(`%${word.replace(/[\\%_]/g, '\\$&')}%`);
+      conditions.push(`title ILIKE $${params.length}`);
+    }
+  }
+  if (italianOnly) {
+    conditions.push(`title ~* '${ITALIAN_TITLE_REGEX}'`);
+  }
+
+  return { where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '', params };
+}
+
+/**
+ * Search the torrents table for the Torznab indexer endpoint, newest first
+ * Without filters it returns the latest additions (Sonarr/Radarr RSS sync)
+ * @param {Object} filters
+ * @param {string} [filters.imdbId] - IMDb ID (e.g., "tt0111161")
+ * @param {string} [filters.type] - 'movie' or 'series'
+ * @param {string} [filters.query] - Free text, every word must appear in the title
+ * @param {boolean} [filters.italianOnly] - Only titles tagged ITA/Italian
+ * @param {number} [filters.offset]
+ * @param {number} [filters.limit]
+ * @returns {Promise<Array>} Array of torrent rows
+ */
+async function searchTorznabIndex({ offset = 0, limit = 100, ...filters } = {}) {
+  if (!pool) throw new Error('Database not initialized');
+
+  try {
+    const { where, params } = buildTorznabFilters(filters);
+    params.push(offset, limit);
+    const sql = `
+      SELECT info_hash, provider, title, size, type, seeders, imdb_id, tmdb_id, upload_date
+      FROM torrents
+      ${where}
+      ORDER BY upload_date DESC NULLS LAST, seeders DESC
+      OFFSET $${params.length - 1} LIMIT $${params.length}
+    `;
+
+    const result = await pool.query(sql, params);
+    if (DEBUG_MODE) console.log(`💾 [DB] Torznab search: ${result.rows.length} torrents`);
+
+    return result.rows;
+  } catch (error) {
+    console.error(`❌ [DB] Error in Torznab search:`, error.message);
+    return [];
+  }
+}
+
+/**
+ * Number of torrents matching a Torznab search (for <torznab:response total>)
+ * @param {Object} filters - Same filters as searchTorznabIndex(), offset/limit ignored
+ * @returns {Promise<number>}
+ */
+async function countTorznabIndex(filters = {}) {
+  if (!pool) throw new Error('Database not initialized');
+
+  try {
+    const { where, params } = buildTorznabFilters(filters);
+    const result = await pool.query(`SELECT COUNT(*) AS total FROM torrents ${where}`, params);
+    return parseInt(result.rows[0]?.total) || 0;
+  } catch (error) {
+    console.error(`❌ [DB] Error in Torznab count:`, error.message);
+    return 0;
+  }
+}
+
+// 📰 Usenet releases (NZB) - kept apart from torrents: no info hash, no debrid hash cache
+let usenetTableReady = null;
+
+/**
+ * Create the usenet_releases table on first use
+ * @returns {Promise<void>}
+ */
+async function ensureUsenetTable() {
+  if (!usenetTableReady) {
+    usenetTableReady = pool.query(`
+      CREATE TABLE IF NOT EXISTS usenet_releases (
+        release_id TEXT PRIMARY KEY,
+        indexer TEXT NOT NULL,
+        title TEXT NOT NULL,
+        nzb_url TEXT NOT NULL,
+        size BIGINT DEFAULT 0,
+        type TEXT,
+        imdb_id TEXT,
+        imdb_season INTEGER,
+        imdb_episode INTEGER,
+        upload_date TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS idx_usenet_releases_imdb ON usenet_releases (imdb_id, imdb_season, imdb_episode);
+    `).catch(error => {
+      usenetTableReady = null; // retry on next call
+      throw error;
+    });
+  }
+  return usenetTableReady;
+}
+
+/**
+ * Save usenet releases (NZB URLs must already be stripped of API keys)
+ * @param {Array<Object>} releases - {id, indexer, title, nzbUrl, sizeInBytes, type, imdbId, season, episode, pubDate}
+ * @returns {Promise<number>} Number of new releases
+ */
+async function saveUsenetReleases(releases) {
+  if (!pool || !releases || releases.length === 0) return 0;
+
+  try {
+    await ensureUsenetTable();
+    let inserted = 0;
+
+    for (const release of releases) {
+      const pubDate = release.pubDate ? new Date(release.pubDate) : null;
+      const result = await pool.query(
+        `INSERT INTO usenet_releases (release_id, indexer, title, nzb_url, size, type, imdb_id, imdb_season, imdb_episode, upload_date)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+         ON CONFLICT (release_id) DO NOTHING`,
+        [
+          release.id,
+          release.indexer,
+          release.title,
+          release.nzbUrl,
+          release.sizeInBytes || 0,
+          release.type || null,
+          release.imdbId || null,
+          release.season ?? null,
+          release.episode ?? null,
+          pubDate && !isNaN(pubDate) ? pubDate : null
+        ]
+      );
+      inserted += result.rowCount;
+    }
+
+    if (DEBUG_MODE) console.log(`💾 [DB] Saved ${inserted}/${releases.length} usenet releases`);
+    return inserted;
+  } catch (error) {
+    console.error(`❌ [DB] Error saving usenet releases:`, error.message);
+    return 0;
+  }
+}
+
+/**
+ * Search usenet releases by IMDb ID (season packs match any episode of their season)
+ * @param {string} imdbId - IMDb ID of the movie/series
+ * @param {number|null} season
+ * @param {number|null} episode
+ * @returns {Promise<Array>} Array of usenet_releases rows
+ */
+async function searchUsenetReleases(imdbId, season = null, episode = null) {
+  if (!pool) return [];
+
+  try {
+    await ensureUsenetTable();
+    let query = 'SELECT * FROM usenet_releases WHERE imdb_id = $1';
+    const params = [imdbId];
+
+    if (season !== null) {
+      query += ' AND imdb_season = $2 AND (imdb_episode IS NULL OR imdb_episode = $3)';
+      params.push(season, episode);
+    }
+
+    query += ' ORDER BY upload_date DESC NULLS LAST LIMIT 50';
+
+    const result = await pool.query(query, params);
+    if (DEBUG_MODE) console.log(`💾 [DB] Found ${result.rows.length} usenet releases for ${imdbId}`);
+
+    return result.rows;
+  } catch (error) {
+    console.error(`❌ [DB] Error searching usenet releases:`, error.message);
+    return [];
+  }
+}
+
+// 💬 Subtitle matches - ranked subtitles per file, so sources are queried once per release
+let subtitleMatchesTableReady = null;
+
+/**
+ * Create the subtitle_matches table on first use
+ * @returns {Promise<void>}
+ */
+async function ensureSubtitleMatchesTable() {
+  if (!subtitleMatchesTableReady) {
+    subtitleMatchesTableReady = pool.query(`
+      CREATE TABLE IF NOT EXISTS subtitle_matches (
+        cache_key TEXT PRIMARY KEY,
+        imdb_id TEXT NOT NULL,
+        imdb_season INTEGER,
+        imdb_episode INTEGER,
+        filename TEXT,
+        matches JSONB NOT NULL,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS idx_subtitle_matches_imdb ON subtitle_matches (imdb_id, imdb_season, imdb_episode);
+    `).catch(error => {
+      subtitleMatchesTableReady = null; // retry on next call
+      throw error;
+    });
+  }
+  return subtitleMatchesTableReady;
+}
+
+/**
+ * Get cached subtitle matches
+ * @param {string} cacheKey - imdb:season:episode:file key
+ * @param {number} ttlHours - TTL in hours (default 72)
+ * @returns {Promise<Array|null>} Ranked matches or null if not cached/expired
+ */
+async function getSubtitleMatches(cacheKey, ttlHours = 72) {
+  if (!pool) return null;
+
+  try {
+    await ensureSubtitleMatchesTable();
+    const result = await pool.query(`
+      SELECT matches FROM subtitle_matches
+      WHERE cache_key = $1
+        AND created_at > NOW() - INTERVAL '${ttlHours} hours'
+    `, [cacheKey]);
+
+    return result.rows.length > 0 ? result.rows[0].matches : null;
+  } catch (error) {
+    console.error(`❌ [DB] Error getting subtitle matches:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Save ranked subtitle matches
+ * @param {string} cacheKey - imdb:season:episode:file key
+ * @param {Object} data - {imdbId, season, episode, filename, matches}
+ * @returns {Promise<boolean>} Success status
+ */
+async function saveSubtitleMatches(cacheKey, data) {
+  if (!pool) return false;
+
+  try {
+    await ensureSubtitleMatchesTable();
+    await pool.query(`
+      INSERT INTO subtitle_matches (cache_key, imdb_id, imdb_season, imdb_episode, filename, matches, created_at)
+      VALUES ($1, $2, $3, $4, $5, $6, NOW())
+      ON CONFLICT (cache_key) DO UPDATE SET
+        filename = EXCLUDED.filename,
+        matches = EXCLUDED.matches,
+        created_at = NOW()
+    `, [
+      cacheKey,
+      data.imdbId,
+      data.season ?? null,
+      data.episode ?? null,
+      data.filename || null,
+      JSON.stringify(data.matches || [])
+    ]);
+
+    if (DEBUG_MODE) console.log(`💾 [DB] Saved ${data.matches?.length || 0} subtitle matches for ${cacheKey}`);
+    return true;
+  } catch (error) {
+    console.error(`❌ [DB] Error saving subtitle matches:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Find the name of a known file by IMDb ID and exact size (files + pack_files)
+ * Used when the player doesn't send the filename along with the video size
+ * @param {string} imdbId - IMDb ID of the movie/series
+ * @param {number} sizeInBytes - Exact file size
+ * @param {number|null} season
+ * @param {number|null} episode
+ * @returns {Promise<string|null>} File name or null
+ */
+async function findFileNameBySize(imdbId, sizeInBytes, season = null, episode = null) {
+  if (!pool || !imdbId || !sizeInBytes) return null;
+
+  try {
+    const params = [imdbId, sizeInBytes];
+    let filesQuery = 'SELECT title AS name FROM files WHERE imdb_id = $1 AND size = $2';
+    if (season !== null) {
+      filesQuery += ' AND imdb_season = $3 AND imdb_episode = $4';
+      params.push(season, episode);
+    }
+
+    const result = await pool.query(`
+      ${filesQuery}
+      UNION ALL
+      SELECT file_path AS name FROM pack_files WHERE imdb_id = $1 AND file_size = $2
+      LIMIT 1
+    `, params);
+
+    return result.rows.length > 0 ? result.rows[0].name.split('/').pop() : null;
+  } catch (error) {
+    console.error(`❌ [DB] Error finding file by size:`, error.message);
+    return null;
+  }
+}
+
+// 🔒 Server-stored user configs
+let userConfigsTableReady = null;
+
+/**
+ * Create the user_configs table on first use
+ * @returns {Promise<void>}
+ */
+async function ensureUserConfigsTable() {
+  if (!userConfigsTableReady) {
+    userConfigsTableReady = pool.query(`
+      CREATE TABLE IF NOT EXISTS user_configs (
+        token TEXT PRIMARY KEY,
+        payload TEXT NOT NULL,
+        encrypted BOOLEAN NOT NULL DEFAULT false,
+        created_at TIMESTAMP DEFAULT NOW(),
+        last_used_at TIMESTAMP DEFAULT NOW()
+      )
+    `).catch(error => {
+      userConfigsTableReady = null; // retry on next call
+      throw error;
+    });
+  }
+  return userConfigsTableReady;
+}
+
+/**
+ * Save a user config under an opaque token
+ * Tokens are derived from the config, so saving it again only touches last_used_at.
+ * @param {string} token - Opaque token
+ * @param {string} payload - Config JSON (or encrypted blob)
+ * @param {boolean} encrypted - Whether payload is encrypted
+ * @returns {Promise<boolean>} Success status
+ */
+async function saveUserConfig(token, payload, encrypted = false) {
+  if (!pool) return false;
+
+  try {
+    await ensureUserConfigsTable();
+    await pool.query(
+      `INSERT INTO user_configs (token, payload, encrypted) VALUES ($1, $2, $3)
+       ON CONFLICT (token) DO UPDATE SET last_used_at = NOW()`,
+      [token, payload, encrypted]
+    );
+    console.log(`🔒 [DB] Saved user config ${token.substring(0, 8)}...`);
+    return true;
+  } catch (error) {
+    console.error(`❌ [DB] Error saving user config:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Load a user config by token (and touch last_used_at)
+ * @param {string} token - Opaque token
+ * @returns {Promise<Object|null>} {payload, encrypted} or null
+ */
+async function getUserConfig(token) {
+  if (!pool) return null;
+
+  try {
+    await ensureUserConfigsTable();
+    const result = await pool.query(
+      'UPDATE user_configs SET last_used_at = NOW() WHERE token = $1 RETURNING payload, encrypted',
+      [token]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error(`❌ [DB] Error loading user config:`, error.message);
+    return null;
+  }
+}
+
+// 🎧 Probed audio/subtitle tracks
+let fileTracksTableReady = null;
+
+/**
+ * Create the file_tracks table on first use
+ * @returns {Promise<void>}
+ */
+async function ensureFileTracksTable() {
+  if (!fileTracksTableReady) {
+    fileTracksTableReady = pool.query(`
+      CREATE TABLE IF NOT EXISTS file_tracks (
+        info_hash TEXT NOT NULL,
+        season INTEGER NOT NULL DEFAULT 0,
+        episode INTEGER NOT NULL DEFAULT 0,
+        file_name TEXT NOT NULL DEFAULT '',
+        audio_languages TEXT[] NOT NULL DEFAULT '{}',
+        subtitle_languages TEXT[] NOT NULL DEFAULT '{}',
+        tracks JSONB,
+        probed_at TIMESTAMP DEFAULT NOW(),
+        PRIMARY KEY (info_hash, season, episode, file_name)
+      )
+    `).catch(error => {
+      fileTracksTableReady = null; // retry on next call
+      throw error;
+    });
+  }
+  return fileTracksTableReady;
+}
+
+/**
+ * Save the tracks probed from a debrid file
+ * @param {Object} data - {infoHash, season, episode, fileName, audioLanguages, subtitleLanguages, tracks}
+ * @returns {Promise<boolean>} Success status
+ */
+async function saveFileTracks(data) {
+  if (!pool || !data?.infoHash) return false;
+
+  try {
+    await ensureFileTracksTable();
+    await pool.query(`
+      INSERT INTO file_tracks (info_hash, season, episode, file_name, audio_languages, subtitle_languages, tracks, probed_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+      ON CONFLICT (info_hash, season, episode, file_name) DO UPDATE SET
+        audio_languages = EXCLUDED.audio_languages,
+        subtitle_languages = EXCLUDED.subtitle_languages,
+        tracks = EXCLUDED.tracks,
+        probed_at = NOW()
+    `, [
+      data.infoHash.toLowerCase(),
+      data.season || 0,
+      data.episode || 0,
+      (data.fileName || '').toLowerCase(),
+      data.audioLanguages || [],
+      data.subtitleLanguages || [],
+      JSON.stringify(data.tracks || [])
+    ]);
+
+    if (DEBUG_MODE) console.log(`💾 [DB] Saved tracks for ${data.infoHash.substring(0, 8)} (audio: ${(data.audioLanguages || []).join(',') || '-'})`);
+    return true;
+  } catch (error) {
+    console.error(`❌ [DB] Error saving file tracks:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Get probed tracks for a batch of torrents
+ * Movies are stored with season/episode 0
+ * @param {Array<string>} infoHashes
+ * @param {number|null} season
+ * @param {number|null} episode
+ * @returns {Promise<Array>} Rows {info_hash, file_name, audio_languages, subtitle_languages}
+ */
+async function getFileTracks(infoHashes, season = null, episode = null) {
+  if (!pool || !infoHashes || infoHashes.length === 0) return [];
+
+  try {
+    await ensureFileTracksTable();
+    const result = await pool.query(`
+      SELECT info_hash, file_name, audio_languages, subtitle_languages
+      FROM file_tracks
+      WHERE info_hash = ANY($1) AND season = $2 AND episode = $3
+    `, [infoHashes.map(h => h.toLowerCase()), season || 0, episode || 0]);
+
+    return result.rows;
+  } catch (error) {
+    console.error(`❌ [DB] Error getting file tracks:`, error.message);
+    return [];
+  }
+}
+
+// 🌸 Anime ID mappings (kitsu/MAL/AniList/TMDB/IMDb)
+let animeMappingsTableReady = null;
+
+/**
+ * Create the anime_mappings and tmdb_season_episodes tables on first use
+ * @returns {Promise<void>}
+ */
+async function ensureAnimeMappingsTables() {
+  if (!animeMappingsTableReady) {
+    animeMappingsTableReady = pool.query(`
+      CREATE TABLE IF NOT EXISTS anime_mappings (
+        mapping_key TEXT PRIMARY KEY,
+        kitsu_id INTEGER,
+        mal_id INTEGER,
+        anilist_id INTEGER,
+        anidb_id INTEGER,
+        tmdb_id INTEGER,
+        imdb_id TEXT,
+        tvdb_id INTEGER,
+        media_type TEXT,
+        tmdb_season INTEGER,
+        episode_offset INTEGER NOT NULL DEFAULT 0,
+        source TEXT NOT NULL DEFAULT 'dump',
+        updated_at TIMESTAMP DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS idx_anime_mappings_kitsu ON anime_mappings (kitsu_id);
+      CREATE INDEX IF NOT EXISTS idx_anime_mappings_mal ON anime_mappings (mal_id);
+      CREATE INDEX IF NOT EXISTS idx_anime_mappings_anilist ON anime_mappings (anilist_id);
+      CREATE TABLE IF NOT EXISTS tmdb_season_episodes (
+        tmdb_id INTEGER NOT NULL,
+        season_number INTEGER NOT NULL,
+        episode_count INTEGER NOT NULL,
+        updated_at TIMESTAMP DEFAULT NOW(),
+        PRIMARY KEY (tmdb_id, season_number)
+      );
+    `).catch(error => {
+      animeMappingsTableReady = null; // retry on next call
+      throw error;
+    });
+  }
+  return animeMappingsTableReady;
+}
+
+/**
+ * Get the mapping of an anime by one of its IDs
+ * Dump rows win over rows saved from live API lookups
+ * @param {string} site - 'kitsu', 'mal' or 'anilist'
+ * @param {number|string} id
+ * @returns {Promise<Object|null>} Mapping row or null
+ */
+async function getAnimeMapping(site, id) {
+  const column = { kitsu: 'kitsu_id', mal: 'mal_id', anilist: 'anilist_id' }[site];
+  if (!pool || !column || !parseInt(id)) return null;
+
+  try {
+    await ensureAnimeMappingsTables();
+    const result = await pool.query(`
+      SELECT * FROM anime_mappings
+      WHERE ${column} = $1
+      ORDER BY (source = 'dump') DESC, updated_at DESC
+      LIMIT 1
+    `, [parseInt(id)]);
+
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error(`❌ [DB] Error getting anime mapping:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Upsert anime mappings in batches
+ * @param {Array<Object>} mappings - anime-mapping.cjs rows {kitsuId, malId, anilistId, anidbId, tmdbId, imdbId, tvdbId, mediaType, tmdbSeason, episodeOffset}
+ * @param {string} source - 'dump' or 'api'
+ * @returns {Promise<number>} Saved rows
+ */
+async function saveAnimeMappings(mappings, source = 'dump') {
+  if (!pool || !mappings || mappings.length === 0) return 0;
+
+  // One row per key: the dump lists some anime more than once
+  const byKey = new Map();
+  for (const m of mappings) {
+    const key = m.kitsuId ? `kitsu:${m.kitsuId}` : `mal:${m.malId}`;
+    byKey.set(key, m);
+  }
+  const rows = Array.from(byKey.entries());
+
+  let saved = 0;
+  try {
+    await ensureAnimeMappingsTables();
+    const batchSize = 1000;
+    for (let i = 0; i < rows.length; i += batchSize) {
+      const batch = rows.slice(i, i + batchSize);
+      const result = await pool.query(`
+        INSERT INTO anime_mappings (mapping_key, kitsu_id, mal_id, anilist_id, anidb_id, tmdb_id, imdb_id, tvdb_id, media_type, tmdb_season, episode_offset, source, updated_at)
+        SELECT *, $12::text, NOW() FROM UNNEST($1::text[], $2::int[], $3::int[], $4::int[], $5::int[], $6::int[], $7::text[], $8::int[], $9::text[], $10::int[], $11::int[])
+        ON CONFLICT (mapping_key) DO UPDATE SET
+          kitsu_id = EXCLUDED.kitsu_id,
+          mal_id = EXCLUDED.mal_id,
+          anilist_id = EXCLUDED.anilist_id,
+          anidb_id = EXCLUDED.anidb_id,
+          tmdb_id = EXCLUDED.tmdb_id,
+          imdb_id = EXCLUDED.imdb_id,
+          tvdb_id = EXCLUDED.tvdb_id,
+          media_type = EXCLUDED.media_type,
+          tmdb_season = EXCLUDED.tmdb_season,
+          episode_offset = EXCLUDED.episode_offset,
+          source = EXCLUDED.source,
+          updated_at = NOW()
+      `, [
+        batch.map(([key]) => key),
+        batch.map(([, m]) => m.kitsuId || null),
+        batch.map(([, m]) => m.malId || null),
+        batch.map(([, m]) => m.anilistId || null),
+        batch.map(([, m]) => m.anidbId || null),
+        batch.map(([, m]) => m.tmdbId || null),
+        batch.map(([, m]) => m.imdbId || null),
+        batch.map(([, m]) => m.tvdbId || null),
+        batch.map(([, m]) => m.mediaType || null),
+        batch.map(([, m]) => m.tmdbSeason || null),
+        batch.map(([, m]) => m.episodeOffset || 0),
+        source
+      ]);
+      saved += result.rowCount;
+    }
+
+    console.log(`💾 [DB] Saved ${saved} anime mappings (${source})`);
+    return saved;
+  } catch (error) {
+    console.error(`❌ [DB] Error saving anime mappings:`, error.message);
+    return saved;
+  }
+}
+
+/**
+ * Time of the last dump import
+ * @returns {Promise<Date|null>}
+ */
+async function getAnimeMappingsImportedAt() {
+  if (!pool) return null;
+
+  try {
+    await ensureAnimeMappingsTables();
+    const result = await pool.query(`SELECT MAX(updated_at) AS imported_at FROM anime_mappings WHERE source = 'dump'`);
+    return result.rows[0]?.imported_at || null;
+  } catch (error) {
+    console.error(`❌ [DB] Error getting anime mappings import time:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Get the stored episode counts of a TMDB show
+ * @param {number} tmdbId
+ * @param {number} ttlDays - Max age (default 7; ongoing shows keep growing)
+ * @returns {Promise<Array<{season_number: number, episode_count: number}>>} Empty if unknown/expired
+ */
+async function getTmdbSeasonEpisodes(tmdbId, ttlDays = 7) {
+  if (!pool || !parseInt(tmdbId)) return [];
+
+  try {
+    await ensureAnimeMappingsTables();
+    const result = await pool.query(`
+      SELECT season_number, episode_count FROM tmdb_season_episodes
+      WHERE tmdb_id = $1 AND updated_at > NOW() - INTERVAL '${parseInt(ttlDays)} days'
+      ORDER BY season_number
+    `, [parseInt(tmdbId)]);
+
+    return result.rows;
+  } catch (error) {
+    console.error(`❌ [DB] Error getting TMDB season episodes:`, error.message);
+    return [];
+  }
+}
+
+/**
+ * Save the episode counts of a TMDB show
+ * @param {number} tmdbId
+ * @param {Array<{season_number: number, episode_count: number}>} seasons
+ * @returns {Promise<boolean>} Success status
+ */
+async function saveTmdbSeasonEpisodes(tmdbId, seasons) {
+  if (!pool || !parseInt(tmdbId) || !seasons || seasons.length === 0) return false;
+
+  try {
+    await ensureAnimeMappingsTables();
+    await pool.query(`
+      INSERT INTO tmdb_season_episodes (tmdb_id, season_number, episode_count, updated_at)
+      SELECT $1::int, *, NOW() FROM UNNEST($2::int[], $3::int[])
+      ON CONFLICT (tmdb_id, season_number) DO UPDATE SET
+        episode_count = EXCLUDED.episode_count,
+        updated_at = NOW()
+    `, [parseInt(tmdbId), seasons.map(s => s.season_number), seasons.map(s => s.episode_count || 0)]);
+    return true;
+  } catch (error) {
+    console.error(`❌ [DB] Error saving TMDB season episodes:`, error.message);
+    return false;
+  }
+}
+
+// 🔔 Webhook subscriptions
+let webhookSubscriptionsTableReady = null;
+
+/**
+ * Create the webhook_subscriptions table on first use
+ * @returns {Promise<void>}
+ */
+async function ensureWebhookSubscriptionsTable() {
+  if (!webhookSubscriptionsTableReady) {
+    webhookSubscriptionsTableReady = pool.query(`
+      CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+        id TEXT PRIMARY KEY,
+        token_hash TEXT NOT NULL,
+        kind TEXT NOT NULL,
+        url TEXT NOT NULL,
+        chat_id TEXT,
+        secret TEXT,
+        filters JSONB NOT NULL DEFAULT '{}',
+        active BOOLEAN NOT NULL DEFAULT true,
+        failures INTEGER NOT NULL DEFAULT 0,
+        last_sent_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `).catch(error => {
+      webhookSubscriptionsTableReady = null; // retry on next call
+      throw error;
+    });
+  }
+  return webhookSubscriptionsTableReady;
+}
+
+/**
+ * Save a new webhook subscription
+ * @param {Object} sub - {id, tokenHash, kind, url, chatId, secret, filters}
+ * @returns {Promise<boolean>} Success status
+ */
+async function saveWebhookSubscription(sub) {
+  if (!pool) return false;
+
+  try {
+    await ensureWebhookSubscriptionsTable();
+    await pool.query(`
+      INSERT INTO webhook_subscriptions (id, token_hash, kind, url, chat_id, secret, filters, created_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+    `, [sub.id, sub.tokenHash, sub.kind, sub.url, sub.chatId || null, sub.secret || null, JSON.stringify(sub.filters || {})]);
+    return true;
+  } catch (error) {
+    console.error(`❌ [DB] Error saving webhook subscription:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Get a webhook subscription by ID
+ * @param {string} id
+ * @returns {Promise<Object|null>} Row or null
+ */
+async function getWebhookSubscription(id) {
+  if (!pool) return null;
+
+  try {
+    await ensureWebhookSubscriptionsTable();
+    const result = await pool.query('SELECT * FROM webhook_subscriptions WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error(`❌ [DB] Error getting webhook subscription:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Delete a webhook subscription
+ * @param {string} id
+ * @returns {Promise<boolean>} True if a row was deleted
+ */
+async function deleteWebhookSubscription(id) {
+  if (!pool) return false;
+
+  try {
+    await ensureWebhookSubscriptionsTable();
+    const result = await pool.query('DELETE FROM webhook_subscriptions WHERE id = $1', [id]);
+    return result.rowCount > 0;
+  } catch (error) {
+    console.error(`❌ [DB] Error deleting webhook subscription:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Get all active webhook subscriptions
+ * @returns {Promise<Array>} Rows
+ */
+async function getActiveWebhookSubscriptions() {
+  if (!pool) return [];
+
+  try {
+    await ensureWebhookSubscriptionsTable();
+    const result = await pool.query('SELECT * FROM webhook_subscriptions WHERE active = true');
+    return result.rows;
+  } catch (error) {
+    console.error(`❌ [DB] Error getting webhook subscriptions:`, error.message);
+    return [];
+  }
+}
+
+/**
+ * Count webhook subscriptions (active or not)
+ * @returns {Promise<number>}
+ */
+async function countWebhookSubscriptions() {
+  if (!pool) return 0;
+
+  try {
+    await ensureWebhookSubscriptionsTable();
+    const result = await pool.query('SELECT COUNT(*)::int AS count FROM webhook_subscriptions');
+    return result.rows[0].count;
+  } catch (error) {
+    console.error(`❌ [DB] Error counting webhook subscriptions:`, error.message);
+    return 0;
+  }
+}
+
+/**
+ * Record a delivery attempt: success resets the failure count,
+ * too many consecutive failures deactivate the subscription
+ * @param {string} id
+ * @param {boolean} ok - Delivery succeeded
+ * @param {number} maxFailures - Failures before deactivation
+ * @returns {Promise<boolean>} Success status
+ */
+async function recordWebhookDelivery(id, ok, maxFailures = 5) {
+  if (!pool) return false;
+
+  try {
+    await ensureWebhookSubscriptionsTable();
+    if (ok) {
+      await pool.query('UPDATE webhook_subscriptions SET failures = 0, active = true, last_sent_at = NOW() WHERE id = $1', [id]);
+    } else {
+      await pool.query(`
+        UPDATE webhook_subscriptions
+        SET failures = failures + 1, active = (failures + 1) < $2
+        WHERE id = $1
+      `, [id, maxFailures]);
+    }
+    return true;
+  } catch (error) {
+    console.error(`❌ [DB] Error recording webhook delivery:`, error.message);
+    return false;
+  }
+}
+
+// ▶️ Resolved playback links (per debrid account)
+let playbackLinksTableReady = null;
+
+/**
+ * Create the playback_links table on first use
+ * @returns {Promise<void>}
+ */
+async function ensurePlaybackLinksTable() {
+  if (!playbackLinksTableReady) {
+    playbackLinksTableReady = pool.query(`
+      CREATE TABLE IF NOT EXISTS playback_links (
+        account_hash TEXT NOT NULL,
+        service TEXT NOT NULL,
+        info_hash TEXT NOT NULL,
+        file_key TEXT NOT NULL,
+        url TEXT NOT NULL,
+        file_name TEXT,
+        expires_at TIMESTAMP NOT NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        PRIMARY KEY (account_hash, service, info_hash, file_key)
+      );
+      CREATE INDEX IF NOT EXISTS idx_playback_links_expires ON playback_links (expires_at);
+    `).catch(error => {
+      playbackLinksTableReady = null; // retry on next call
+      throw error;
+    });
+  }
+  return playbackLinksTableReady;
+}
+
+/**
+ * Get a still valid playback link
+ * @param {Object} key - {accountHash, service, infoHash, fileKey}
+ * @returns {Promise<Object|null>} {url, file_name, expires_at} or null
+ */
+async function getPlaybackLink(key) {
+  if (!pool || !key?.accountHash || !key?.infoHash) return null;
+
+  try {
+    await ensurePlaybackLinksTable();
+    const result = await pool.query(`
+      SELECT url, file_name, expires_at
+      FROM playback_links
+      WHERE account_hash = $1 AND service = $2 AND info_hash = $3 AND file_key = $4 AND expires_at > NOW()
+    `, [key.accountHash, key.service, key.infoHash.toLowerCase(), key.fileKey]);
+
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error(`❌ [DB] Error getting playback link:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Save a resolved playback link (expired rows are purged on the way)
+ * @param {Object} key - {accountHash, service, infoHash, fileKey}
+ * @param {string} url - Direct (unrestricted) link
+ * @param {number} ttlMinutes - Link lifetime
+ * @param {string|null} fileName
+ * @returns {Promise<boolean>} Success status
+ */
+async function savePlaybackLink(key, url, ttlMinutes, fileName = null) {
+  if (!pool || !key?.accountHash || !key?.infoHash || !url) return false;
+
+  try {
+    await ensurePlaybackLinksTable();
+    await pool.query(`
+      INSERT INTO playback_links (account_hash, service, info_hash, file_key, url, file_name, expires_at, created_at)
+      VALUES ($1, $2, $3, $4, $5, $6, NOW() + make_interval(mins => $7), NOW())
+      ON CONFLICT (account_hash, service, info_hash, file_key) DO UPDATE SET
+        url = EXCLUDED.url,
+        file_name = EXCLUDED.file_name,
+        expires_at = EXCLUDED.expires_at,
+        created_at = NOW()
+    `, [key.accountHash, key.service, key.infoHash.toLowerCase(), key.fileKey, url, fileName, ttlMinutes]);
+    await pool.query('DELETE FROM playback_links WHERE expires_at < NOW()');
+
+    if (DEBUG_MODE) console.log(`💾 [DB] Saved ${key.service} playback link for ${key.infoHash.substring(0, 8)} (${key.fileKey}, ${ttlMinutes}m)`);
+    return true;
+  } catch (error) {
+    console.error(`❌ [DB] Error saving playback link:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Drop a cached playback link (dead link or failed playback)
+ * @param {Object} key - {accountHash, service, infoHash, fileKey}
+ * @returns {Promise<boolean>} True if a row was deleted
+ */
+async function deletePlaybackLink(key) {
+  if (!pool || !key?.accountHash || !key?.infoHash) return false;
+
+  try {
+    await ensurePlaybackLinksTable();
+    const result = await pool.query(
+      'DELETE FROM playback_links WHERE account_hash = $1 AND service = $2 AND info_hash = $3 AND file_key = $4',
+      [key.accountHash, key.service, key.infoHash.toLowerCase(), key.fileKey]
+    );
+    return result.rowCount > 0;
+  } catch (error) {
+    console.error(`❌ [DB] Error deleting playback link:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Drop every cached link of some torrents of an account (e.g. deleted from the debrid cloud)
+ * @param {string} accountHash
+ * @param {string} service - 'rd' or 'tb'
+ * @param {Array<string>} infoHashes
+ * @returns {Promise<number>} Rows deleted
+ */
+async function deletePlaybackLinksForTorrents(accountHash, service, infoHashes) {
+  if (!pool || !accountHash || !infoHashes || infoHashes.length === 0) return 0;
+
+  try {
+    await ensurePlaybackLinksTable();
+    const result = await pool.query(
+      'DELETE FROM playback_links WHERE account_hash = $1 AND service = $2 AND info_hash = ANY($3)',
+      [accountHash, service, infoHashes.map(hash => String(hash).toLowerCase())]
+    );
+    return result.rowCount;
+  } catch (error) {
+    console.error(`❌ [DB] Error deleting playback links:`, error.message);
+    return 0;
+  }
+}
+
+// ☁️ Debrid library mirror (per account)
+let debridLibraryTablesReady = null;
+
+/**
+ * Create the debrid_library tables on first use
+ * @returns {Promise<void>}
+ */
+async function ensureDebridLibraryTables() {
+  if (!debridLibraryTablesReady) {
+    debridLibraryTablesReady = pool.query(`
+      CREATE TABLE IF NOT EXISTS debrid_library (
+        account_hash TEXT NOT NULL,
+        service TEXT NOT NULL,
+        kind TEXT NOT NULL,
+        item_id TEXT NOT NULL,
+        info_hash TEXT,
+        name TEXT NOT NULL,
+        bytes BIGINT DEFAULT 0,
+        status TEXT,
+        ready BOOLEAN DEFAULT false,
+        title TEXT,
+        year INTEGER,
+        media_type TEXT,
+        imdb_id TEXT,
+        imdb_lookup_at TIMESTAMP,
+        added_at TIMESTAMP,
+        synced_at TIMESTAMP DEFAULT NOW(),
+        PRIMARY KEY (account_hash, service, kind, item_id)
+      );
+      CREATE INDEX IF NOT EXISTS idx_debrid_library_imdb ON debrid_library (account_hash, imdb_id);
+      CREATE TABLE IF NOT EXISTS debrid_library_sync (
+        account_hash TEXT NOT NULL,
+        service TEXT NOT NULL,
+        items INTEGER DEFAULT 0,
+        synced_at TIMESTAMP DEFAULT NOW(),
+        PRIMARY KEY (account_hash, service)
+      );
+    `).catch(error => {
+      debridLibraryTablesReady = null; // retry on next call
+      throw error;
+    });
+  }
+  return debridLibraryTablesReady;
+}
+
+/**
+ * Replace the mirror of an account with a fresh listing
+ * IMDb IDs already matched are kept; new items are matched through the torrents table
+ * @param {string} accountHash
+ * @param {string} service - 'rd' or 'tb'
+ * @param {Array<Object>} items - debrid-library.cjs items {kind, itemId, infoHash, name, bytes, status, ready, addedAt, title, year, type}
+ * @returns {Promise<boolean>} Success status
+ */
+async function saveDebridLibrary(accountHash, service, items) {
+  if (!pool || !accountHash) return false;
+
+  const client = await pool.connect();
+  try {
+    await ensureDebridLibraryTables();
+    await client.query('BEGIN');
+
+    const syncStart = (await client.query('SELECT NOW() AS now')).rows[0].now;
+    if (items.length > 0) {
+      await client.query(`
+        INSERT INTO debrid_library (account_hash, service, kind, item_id, info_hash, name, bytes, status, ready, title, year, media_type, added_at, synced_at)
+        SELECT $1::text, $2::text, *, $13::timestamp FROM UNNEST($3::text[], $4::text[], $5::text[], $6::text[], $7::bigint[], $8::text[], $9::boolean[], $10::text[], $11::int[], $12::text[], $14::timestamp[])
+        ON CONFLICT (account_hash, service, kind, item_id) DO UPDATE SET
+          info_hash = EXCLUDED.info_hash,
+          name = EXCLUDED.name,
+          bytes = EXCLUDED.bytes,
+          status = EXCLUDED.status,
+          ready = EXCLUDED.ready,
+          title = EXCLUDED.title,
+          year = EXCLUDED.year,
+          media_type = COALESCE(debrid_library.media_type, EXCLUDED.media_type),
+          added_at = EXCLUDED.added_at,
+          synced_at = EXCLUDED.synced_at
+      `, [
+        accountHash,
+        service,
+        items.map(i => i.kind),
+        items.map(i => i.itemId),
+        items.map(i => i.infoHash || null),
+        items.map(i => i.name),
+        items.map(i => i.bytes || 0),
+        items.map(i => i.status || null),
+        items.map(i => !!i.ready),
+        items.map(i => i.title || null),
+        items.map(i => i.year || null),
+        items.map(i => i.type || null),
+        syncStart,
+        items.map(i => i.addedAt || null)
+      ]);
+    }
+
+    // Items removed from the cloud since the last sync
+    await client.query(
+      'DELETE FROM debrid_library WHERE account_hash = $1 AND service = $2 AND synced_at < $3',
+      [accountHash, service, syncStart]
+    );
+
+    // Known torrents already carry their IMDb ID
+    await client.query(`
+      UPDATE debrid_library l
+      SET imdb_id = t.imdb_id, media_type = COALESCE(t.type, l.media_type), imdb_lookup_at = NOW()
+      FROM torrents t
+      WHERE l.account_hash = $1 AND l.service = $2 AND l.imdb_id IS NULL
+        AND l.info_hash IS NOT NULL AND t.info_hash = l.info_hash AND t.imdb_id IS NOT NULL
+    `, [accountHash, service]);
+
+    await client.query(`
+      INSERT INTO debrid_library_sync (account_hash, service, items, synced_at)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (account_hash, service) DO UPDATE SET items = EXCLUDED.items, synced_at = EXCLUDED.synced_at
+    `, [accountHash, service, items.length, syncStart]);
+
+    await client.query('COMMIT');
+    if (DEBUG_MODE) console.log(`💾 [DB] Synced ${service} library ${accountHash.substring(0, 8)}: ${items.length} items`);
+    return true;
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error(`❌ [DB] Error saving debrid library:`, error.message);
+    return false;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Get the mirror of an account
+ * @param {string} accountHash
+ * @param {string} service - 'rd' or 'tb'
+ * @returns {Promise<{syncedAt: Date|null, rows: Array}>}
+ */
+async function getDebridLibrary(accountHash, service) {
+  if (!pool || !accountHash) return { syncedAt: null, rows: [] };
+
+  try {
+    await ensureDebridLibraryTables();
+    const sync = await pool.query(
+      'SELECT synced_at FROM debrid_library_sync WHERE account_hash = $1 AND service = $2',
+      [accountHash, service]
+    );
+    if (sync.rows.length === 0) return { syncedAt: null, rows: [] };
+
+    const result = await pool.query(`
+      SELECT kind, item_id, info_hash, name, bytes, status, ready, imdb_id, media_type
+      FROM debrid_library
+      WHERE account_hash = $1 AND service = $2
+    `, [accountHash, service]);
+
+    return { syncedAt: sync.rows[0].synced_at, rows: result.rows };
+  } catch (error) {
+    console.error(`❌ [DB] Error getting debrid library:`, error.message);
+    return { syncedAt: null, rows: [] };
+  }
+}
+
+/**
+ * Library items still waiting for an IMDb lookup
+ * @param {string} accountHash
+ * @param {string} service
+ * @param {number} limit
+ * @returns {Promise<Array>} Rows {kind, item_id, name, title, year, media_type}
+ */
+async function getDebridLibraryUnmatched(accountHash, service, limit = 10) {
+  if (!pool || !accountHash) return [];
+
+  try {
+    await ensureDebridLibraryTables();
+    const result = await pool.query(`
+      SELECT kind, item_id, name, title, year, media_type
+      FROM debrid_library
+      WHERE account_hash = $1 AND service = $2 AND imdb_id IS NULL AND imdb_lookup_at IS NULL AND title IS NOT NULL
+      ORDER BY added_at DESC NULLS LAST
+      LIMIT $3
+    `, [accountHash, service, limit]);
+    return result.rows;
+  } catch (error) {
+    console.error(`❌ [DB] Error getting unmatched library items:`, error.message);
+    return [];
+  }
+}
+
+/**
+ * Store the IMDb lookup result of a library item (null = not found, not retried)
+ * @param {string} accountHash
+ * @param {string} service
+ * @param {Object} item - {kind, item_id}
+ * @param {string|null} imdbId
+ * @param {string|null} mediaType - 'movie' or 'series'
+ * @returns {Promise<boolean>} Success status
+ */
+async function setDebridLibraryImdb(accountHash, service, item, imdbId, mediaType = null) {
+  if (!pool || !accountHash) return false;
+
+  try {
+    await ensureDebridLibraryTables();
+    await pool.query(`
+      UPDATE debrid_library
+      SET imdb_id = $5, media_type = COALESCE($6, media_type), imdb_lookup_at = NOW()
+      WHERE account_hash = $1 AND service = $2 AND kind = $3 AND item_id = $4
+    `, [accountHash, service, item.kind, item.item_id, imdbId, mediaType]);
+    return true;
+  } catch (error) {
+    console.error(`❌ [DB] Error saving library IMDb ID:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * "My cloud" catalog: titles in the given accounts' libraries, latest first
+ * @param {Array<string>} accountHashes
+ * @param {string} type - 'movie' or 'series'
+ * @param {number} skip
+ * @param {number} limit
+ * @returns {Promise<Array>} Rows {imdb_id, title, last_update, releases} (same shape as getItalianCatalog)
+ */
+async function getDebridLibraryCatalog(accountHashes, type, skip = 0, limit = 50) {
+  if (!pool || !accountHashes || accountHashes.length === 0) return [];
+
+  try {
+    await ensureDebridLibraryTables();
+    const result = await pool.query(`
+      SELECT
+        imdb_id,
+        (ARRAY_AGG(name ORDER BY added_at DESC NULLS LAST))[1] AS title,
+        MAX(added_at) AS last_update,
+        COUNT(*) AS releases
+      FROM debrid_library
+      WHERE account_hash = ANY($1) AND imdb_id IS NOT NULL AND media_type = $2 AND ready = true
+      GROUP BY imdb_id
+      ORDER BY last_update DESC NULLS LAST
+      OFFSET $3 LIMIT $4
+    `, [accountHashes, type, skip, limit]);
+    return result.rows;
+  } catch (error) {
+    console.error(`❌ [DB] Error loading library catalog:`, error.message);
+    return [];
+  }
+}
+
+// 🧹 Torrents added to debrid accounts by the addon (cleanup policy)
+let addedTorrentsTableReady = null;
+
+/**
+ * Create the debrid_added_torrents table on first use
+ * @returns {Promise<void>}
+ */
+async function ensureAddedTorrentsTable() {
+  if (!addedTorrentsTableReady) {
+    addedTorrentsTableReady = pool.query(`
+      CREATE TABLE IF NOT EXISTS debrid_added_torrents (
+        account_hash TEXT NOT NULL,
+        service TEXT NOT NULL,
+        torrent_id TEXT NOT NULL,
+        info_hash TEXT,
+        added_at TIMESTAMP DEFAULT NOW(),
+        last_used_at TIMESTAMP DEFAULT NOW(),
+        PRIMARY KEY (account_hash, service, torrent_id)
+      );
+      CREATE INDEX IF NOT EXISTS idx_debrid_added_hash ON debrid_added_torrents (account_hash, service, info_hash);
+    `).catch(error => {
+      addedTorrentsTableReady = null; // retry on next call
+      throw error;
+    });
+  }
+  return addedTorrentsTableReady;
+}
+
+/**
+ * Remember a torrent the addon added to a debrid account
+ * @param {Object} torrent - {accountHash, service, torrentId, infoHash}
+ * @returns {Promise<boolean>} Success status
+ */
+async function trackAddedTorrent(torrent) {
+  if (!pool || !torrent?.accountHash || !torrent?.torrentId) return false;
+
+  try {
+    await ensureAddedTorrentsTable();
+    await pool.query(`
+      INSERT INTO debrid_added_torrents (account_hash, service, torrent_id, info_hash, added_at, last_used_at)
+      VALUES ($1, $2, $3, $4, NOW(), NOW())
+      ON CONFLICT (account_hash, service, torrent_id) DO UPDATE SET last_used_at = NOW()
+    `, [torrent.accountHash, torrent.service, String(torrent.torrentId), torrent.infoHash ? torrent.infoHash.toLowerCase() : null]);
+    return true;
+  } catch (error) {
+    console.error(`❌ [DB] Error tracking added torrent:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Mark a tracked torrent as used again (untracked torrents are left alone)
+ * @param {string} accountHash
+ * @param {string} service - 'rd' or 'tb'
+ * @param {string} infoHash
+ * @returns {Promise<boolean>} True if a tracked torrent was updated
+ */
+async function touchAddedTorrent(accountHash, service, infoHash) {
+  if (!pool || !accountHash || !infoHash) return false;
+
+  try {
+    await ensureAddedTorrentsTable();
+    const result = await pool.query(
+      'UPDATE debrid_added_torrents SET last_used_at = NOW() WHERE account_hash = $1 AND service = $2 AND info_hash = $3',
+      [accountHash, service, infoHash.toLowerCase()]
+    );
+    return result.rowCount > 0;
+  } catch (error) {
+    console.error(`❌ [DB] Error touching added torrent:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Torrents the addon added to an account
+ * @param {string} accountHash
+ * @param {string} service - 'rd' or 'tb'
+ * @returns {Promise<Array>} Rows {torrent_id, info_hash, added_at, last_used_at}
+ */
+async function getAddedTorrents(accountHash, service) {
+  if (!pool || !accountHash) return [];
+
+  try {
+    await ensureAddedTorrentsTable();
+    const result = await pool.query(
+      'SELECT torrent_id, info_hash, added_at, last_used_at FROM debrid_added_torrents WHERE account_hash = $1 AND service = $2',
+      [accountHash, service]
+    );
+    return result.rows;
+  } catch (error) {
+    console.error(`❌ [DB] Error getting added torrents:`, error.message);
+    return [];
+  }
+}
+
+/**
+ * Stop tracking torrents (deleted or no longer in the account)
+ * @param {string} accountHash
+ * @param {string} service - 'rd' or 'tb'
+ * @param {Array<string>} torrentIds
+ * @returns {Promise<number>} Removed rows
+ */
+async function forgetAddedTorrents(accountHash, service, torrentIds) {
+  if (!pool || !accountHash || !torrentIds || torrentIds.length === 0) return 0;
+
+  try {
+    await ensureAddedTorrentsTable();
+    const result = await pool.query(
+      'DELETE FROM debrid_added_torrents WHERE account_hash = $1 AND service = $2 AND torrent_id = ANY($3)',
+      [accountHash, service, torrentIds.map(String)]
+    );
+    return result.rowCount;
+  } catch (error) {
+    console.error(`❌ [DB] Error forgetting added torrents:`, error.message);
+    return 0;
+  }
+}
+
+// 🌱 Torrent health (built-in seeder refresh worker)
+let torrentHealthColumnsReady = null;
+
+/**
+ * Add the health columns to torrents on first use
+ * @returns {Promise<void>}
+ */
+async function ensureTorrentHealthColumns() {
+  if (!torrentHealthColumnsReady) {
+    torrentHealthColumnsReady = pool.query(`
+      ALTER TABLE torrents
+        ADD COLUMN IF NOT EXISTS leechers INTEGER,
+        ADD COLUMN IF NOT EXISTS last_checked TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS dead_checks INTEGER DEFAULT 0;
+      CREATE INDEX IF NOT EXISTS idx_torrents_last_checked ON torrents (last_checked NULLS FIRST);
+    `).catch(error => {
+      torrentHealthColumnsReady = null; // retry on next call
+      throw error;
+    });
+  }
+  return torrentHealthColumnsReady;
+}
+
+/**
+ * Torrents whose seeders were never checked or are older than maxAgeHours
+ * @param {number} limit - Max hashes
+ * @param {number} maxAgeHours - Re-check age
+ * @param {Array<string>|null} infoHashes - Restrict to these hashes (null = stalest of the whole table)
+ * @returns {Promise<Array<string>>} Lowercase info hashes, never checked first
+ */
+async function getTorrentsForSeederCheck(limit, maxAgeHours, infoHashes = null) {
+  if (!pool) return [];
+
+  try {
+    await ensureTorrentHealthColumns();
+    const params = [limit, maxAgeHours];
+    let hashFilter = '';
+    if (infoHashes) {
+      params.push(infoHashes.map(h => h.toLowerCase()));
+      hashFilter = 'AND info_hash = ANY($3)';
+    }
+    const result = await pool.query(`
+      SELECT info_hash FROM torrents
+      WHERE (last_checked IS NULL OR last_checked < NOW() - make_interval(hours => $2::int))
+        ${hashFilter}
+      ORDER BY last_checked ASC NULLS FIRST
+      LIMIT $1
+    `, params);
+    return result.rows.map(row => row.info_hash);
+  } catch (error) {
+    console.error(`❌ [DB] Error getting torrents for seeder check:`, error.message);
+    return [];
+  }
+}
+
+/**
+ * Save scrape results: seeders/leechers (null = no answer, counts kept), last_checked,
+ * and the count of consecutive checks that found no peers
+ * @param {Array<{infoHash: string, seeders: number|null, leechers: number|null}>} updates
+ * @returns {Promise<number>} Updated rows
+ */
+async function updateTorrentHealth(updates) {
+  if (!pool || !updates || updates.length === 0) return 0;
+
+  try {
+    await ensureTorrentHealthColumns();
+    const result = await pool.query(`
+      UPDATE torrents t SET
+        seeders = COALESCE(u.seeders, t.seeders),
+        leechers = COALESCE(u.leechers, t.leechers),
+        last_checked = NOW(),
+        dead_checks = CASE
+          WHEN u.seeders IS NULL THEN COALESCE(t.dead_checks, 0)
+          WHEN u.seeders = 0 AND u.leechers = 0 THEN COALESCE(t.dead_checks, 0) + 1
+          ELSE 0
+        END
+      FROM UNNEST($1::text[], $2::int[], $3::int[]) AS u(info_hash, seeders, leechers)
+      WHERE t.info_hash = u.info_hash
+    `, [
+      updates.map(u => u.infoHash.toLowerCase()),
+      updates.map(u => u.seeders),
+      updates.map(u => u.leechers)
+    ]);
+    return result.rowCount;
+  } catch (error) {
+    console.error(`❌ [DB] Error updating torrent health:`, error.message);
+    return 0;
+  }
+}
+
+/**
+ * Torrents found with no peers in at least minChecks consecutive checks
+ * @param {Array<string>} infoHashes
+ * @param {number} minChecks
+ * @returns {Promise<Set<string>>} Lowercase hashes
+ */
+async function getDeadTorrentHashes(infoHashes, minChecks) {
+  if (!pool || !infoHashes || infoHashes.length === 0) return new Set();
+
+  try {
+    await ensureTorrentHealthColumns();
+    const result = await pool.query(
+      'SELECT info_hash FROM torrents WHERE info_hash = ANY($1) AND dead_checks >= $2',
+      [infoHashes.map(h => h.toLowerCase()), minChecks]
+    );
+    return new Set(result.rows.map(row => row.info_hash));
+  } catch (error) {
+    console.error(`❌ [DB] Error getting dead torrents:`, error.message);
+    return new Set();
+  }
+}
+
+// ⚠️ User reports of fake/mislabelled/dead releases
+let reportTablesReady = null;
+
+/**
+ * Create the torrent_reports and torrent_report_flags tables on first use
+ * @returns {Promise<void>}
+ */
+async function ensureReportTables() {
+  if (!reportTablesReady) {
+    reportTablesReady = pool.query(`
+      CREATE TABLE IF NOT EXISTS torrent_reports (
+        info_hash TEXT NOT NULL,
+        file_index INTEGER NOT NULL DEFAULT -1,
+        reporter_hash TEXT NOT NULL,
+        reason TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        PRIMARY KEY (info_hash, file_index, reporter_hash)
+      );
+      CREATE TABLE IF NOT EXISTS torrent_report_flags (
+        info_hash TEXT NOT NULL,
+        file_index INTEGER NOT NULL DEFAULT -1,
+        status TEXT NOT NULL DEFAULT 'pending',
+        reporters INTEGER NOT NULL DEFAULT 0,
+        imdb_id TEXT,
+        season INTEGER,
+        episode INTEGER,
+        updated_at TIMESTAMP DEFAULT NOW(),
+        PRIMARY KEY (info_hash, file_index)
+      );
+      CREATE INDEX IF NOT EXISTS idx_report_flags_status ON torrent_report_flags (status, updated_at DESC);
+    `).catch(error => {
+      reportTablesReady = null; // retry on next call
+      throw error;
+    });
+  }
+  return reportTablesReady;
+}
+
+/**
+ * SQL condition hiding flagged/confirmed releases ('' when reports are unavailable)
+ * @param {string} hashColumn - Info hash column of the outer query
+ * @param {string|null} fileColumn - File index column (null = whole-torrent reports only)
+ * @returns {Promise<string>}
+ */
+async function reportFilterClause(hashColumn, fileColumn = null) {
+  if (process.env.REPORTS_ENABLED === 'false') return '';
+  try {
+    await ensureReportTables();
+  } catch (error) {
+    return '';
+  }
+  const fileCondition = fileColumn ? `rf.file_index IN (-1, ${fileColumn})` : 'rf.file_index = -1';
+  return ` AND NOT EXISTS (
+        SELECT 1 FROM torrent_report_flags rf
+        WHERE rf.info_hash = ${hashColumn} AND ${fileCondition} AND rf.status IN ('flagged', 'confirmed')
+      )`;
+}
+
+/**
+ * Record a report (one per reporter and target) and update the reporter count
+ * @param {Object} report - validateReport() result
+ * @param {string} reporter - Reporter hash
+ * @returns {Promise<{reporters: number, status: string}|null>} Count and current status, null on error
+ */
+async function saveTorrentReport(report, reporter) {
+  if (!pool) return null;
+
+  try {
+    await ensureReportTables();
+    await pool.query(`
+      INSERT INTO torrent_reports (info_hash, file_index, reporter_hash, reason)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (info_hash, file_index, reporter_hash) DO UPDATE SET reason = EXCLUDED.reason, created_at = NOW()
+    `, [report.infoHash, report.fileIndex, reporter, report.reason]);
+
+    const result = await pool.query(`
+      INSERT INTO torrent_report_flags (info_hash, file_index, reporters, imdb_id, season, episode)
+      VALUES ($1, $2, (SELECT COUNT(*) FROM torrent_reports WHERE info_hash = $1 AND file_index = $2), $3, $4, $5)
+      ON CONFLICT (info_hash, file_index) DO UPDATE SET
+        reporters = EXCLUDED.reporters,
+        imdb_id = COALESCE(torrent_report_flags.imdb_id, EXCLUDED.imdb_id),
+        season = COALESCE(torrent_report_flags.season, EXCLUDED.season),
+        episode = COALESCE(torrent_report_flags.episode, EXCLUDED.episode),
+        updated_at = NOW()
+      RETURNING reporters, status
+    `, [report.infoHash, report.fileIndex, report.imdbId, report.season, report.episode]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error(`❌ [DB] Error saving torrent report:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Set the review status of a reported release
+ * @param {string} infoHash
+ * @param {number} fileIndex - -1 = whole torrent
+ * @param {string} status - 'pending', 'flagged', 'confirmed' or 'dismissed'
+ * @returns {Promise<Object|null>} Updated row {imdb_id, season, episode, status}, null if not found
+ */
+async function setTorrentReportStatus(infoHash, fileIndex, status) {
+  if (!pool) return null;
+
+  try {
+    await ensureReportTables();
+    const result = await pool.query(`
+      UPDATE torrent_report_flags SET status = $3, updated_at = NOW()
+      WHERE info_hash = $1 AND file_index = $2
+      RETURNING imdb_id, season, episode, status
+    `, [infoHash.toLowerCase(), fileIndex, status]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error(`❌ [DB] Error setting report status:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Review queue: reported releases with title and reasons, flagged first
+ * @param {string|null} status - Only this status (null = all)
+ * @param {number} limit
+ * @returns {Promise<Array>} Rows {info_hash, file_index, status, reporters, imdb_id, season, episode, updated_at, title, file_title, reasons}
+ */
+async function getTorrentReports(status = null, limit = 100) {
+  if (!pool) return [];
+
+  try {
+    await ensureReportTables();
+    const result = await pool.query(`
+      SELECT rf.info_hash, rf.file_index, rf.status, rf.reporters, rf.imdb_id, rf.season, rf.episode, rf.updated_at,
+        t.title,
+        f.title AS file_title,
+        (SELECT json_object_agg(reason, n) FROM (
+          SELECT reason, COUNT(*) AS n FROM torrent_reports r
+          WHERE r.info_hash = rf.info_hash AND r.file_index = rf.file_index
+          GROUP BY reason
+        ) counts) AS reasons
+      FROM torrent_report_flags rf
+      LEFT JOIN torrents t ON t.info_hash = rf.info_hash
+      LEFT JOIN files f ON f.info_hash = rf.info_hash AND f.file_index = rf.file_index
+      WHERE ($1::text IS NULL OR rf.status = $1)
+      ORDER BY CASE rf.status WHEN 'flagged' THEN 0 WHEN 'pending' THEN 1 ELSE 2 END, rf.updated_at DESC
+      LIMIT $2
+    `, [status, limit]);
+    return result.rows;
+  } catch (error) {
+    console.error(`❌ [DB] Error getting torrent reports:`, error.message);
+    return [];
+  }
+}
+
+/**
+ * Whole torrents hidden by reports among the given hashes
+ * @param {Array<string>} infoHashes
+ * @returns {Promise<Set<string>>} Lowercase hashes
+ */
+async function getSuppressedTorrentHashes(infoHashes) {
+  if (!pool || !infoHashes || infoHashes.length === 0) return new Set();
+
+  try {
+    await ensureReportTables();
+    const result = await pool.query(`
+      SELECT info_hash FROM torrent_report_flags
+      WHERE info_hash = ANY($1) AND file_index = -1 AND status IN ('flagged', 'confirmed')
+    `, [infoHashes.map(h => h.toLowerCase())]);
+    return new Set(result.rows.map(row => row.info_hash));
+  } catch (error) {
+    console.error(`❌ [DB] Error getting suppressed torrents:`, error.message);
+    return new Set();
+  }
+}
+
 module.exports = {
   initDatabase,
+  getPoolStats,
   getTorrent,
+  getExistingTorrentHashes,
   updateTorrentTitle,
   searchByImdbId,
   searchByTmdbId,
@@ -2198,6 +3999,66 @@ module.exports = {
   getTorrentSearchCache,
   setTorrentSearchCache,
   cleanupTorrentSearchCache,
+  getTorrentSearchCacheStats,
+  purgeTorrentSearchCache,
   // 🏷️ Provider Priority (shared)
-  getProviderPriority
+  getProviderPriority,
+  // 📚 Stremio Catalogs
+  getItalianCatalog,
+  // 📡 Torznab indexer
+  buildTorznabFilters,
+  searchTorznabIndex,
+  countTorznabIndex,
+  // 📰 Usenet releases
+  saveUsenetReleases,
+  searchUsenetReleases,
+  // 💬 Subtitles
+  getSubtitleMatches,
+  saveSubtitleMatches,
+  findFileNameBySize,
+  // 🔒 Server-stored user configs
+  saveUserConfig,
+  getUserConfig,
+  // 🎧 Probed audio/subtitle tracks
+  saveFileTracks,
+  getFileTracks,
+  // 🌸 Anime ID mappings
+  getAnimeMapping,
+  saveAnimeMappings,
+  getAnimeMappingsImportedAt,
+  getTmdbSeasonEpisodes,
+  saveTmdbSeasonEpisodes,
+  // ▶️ Resolved playback links
+  getPlaybackLink,
+  savePlaybackLink,
+  deletePlaybackLink,
+  deletePlaybackLinksForTorrents,
+  // ☁️ Debrid library mirror
+  saveDebridLibrary,
+  getDebridLibrary,
+  getDebridLibraryUnmatched,
+  setDebridLibraryImdb,
+  getDebridLibraryCatalog,
+  // 🧹 Debrid cleanup policy
+  trackAddedTorrent,
+  touchAddedTorrent,
+  getAddedTorrents,
+  forgetAddedTorrents,
+  // 🌱 Torrent health
+  getTorrentsForSeederCheck,
+  updateTorrentHealth,
+  getDeadTorrentHashes,
+  // ⚠️ Reports
+  saveTorrentReport,
+  setTorrentReportStatus,
+  getTorrentReports,
+  getSuppressedTorrentHashes,
+  // 🔔 Webhooks
+  events: dbEvents,
+  saveWebhookSubscription,
+  getWebhookSubscription,
+  deleteWebhookSubscription,
+  getActiveWebhookSubscriptions,
+  countWebhookSubscriptions,
+  recordWebhookDelivery
 };
@@ -0,0 +1,59 @@
+/**
+ * Debrid Cleanup Module - Retention policy for torrents added by the addon
+ *
+ * /rd-stream/, /rd-add/, /torbox-stream/ and the next-episode prefetch add torrents
+ * to the user's account and never remove them, until the RD torrent limit is hit.
+ * Every torrent the addon adds is tracked (debrid_added_torrents); with a policy
+ * configured, the tracked ones outside it are deleted. Torrents the user added
+ * by hand are never tracked, so they are never touched.
+ *
+ * Policy (user config):
+ *   cleanup_keep_last  keep the N most recently used torrents
+ *   cleanup_keep_days  keep torrents used in the last X days
+ * A torrent is kept when either rule keeps it.
+ */
+
+const MAX_KEEP_LAST = 1000;
+const MAX_KEEP_DAYS = 365;
+
+function toLimit(value, max) {
+    const number = parseInt(value, 10);
+    return Number.isFinite(number) && number > 0 ? Math.min(number, max) : null;
+}
+
+/**
+ * Read the retention policy from the user config
+ * @param {Object} config - User config
+ * @returns {{keepLast: number|null, keepDays: number|null}|null} null when cleanup is off
+ */
+function normalizePolicy(config) {
+    const keepLast = toLimit(config?.cleanup_keep_last, MAX_KEEP_LAST);
+    const keepDays = toLimit(config?.cleanup_keep_days, MAX_KEEP_DAYS);
+    if (!keepLast && !keepDays) return null;
+    return { keepLast, keepDays };
+}
+
+/**
+ * Pick the tracked torrents the policy does not keep
+ * @param {Array<Object>} tracked - {torrentId, lastUsedAt}
+ * @param {Object} policy - normalizePolicy() result
+ * @param {number} now - Current time (ms)
+ * @returns {Array<Object>} Torrents to delete
+ */
+function selectForCleanup(tracked, policy, now = Date.now()) {
+    if (!policy || !Array.isArray(tracked)) return [];
+
+    const byLastUse = [...tracked].sort((a, b) => new Date(b.lastUsedAt) - new Date(a.lastUsedAt));
+    const minTime = policy.keepDays ? now - policy.keepDays * 24 * 60 * 60 * 1000 : null;
+
+    return byLastUse.filter((item, index) => {
+        if (policy.keepLast && index < policy.keepLast) return false;
+        if (minTime !== null && new Date(item.lastUsedAt).getTime() >= minTime) return false;
+        return true;
+    });
+}
+
+module.exports = {
+    normalizePolicy,
+    selectForCleanup
+};
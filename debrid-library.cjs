@@ -0,0 +1,145 @@
+/**
+ * Debrid Library Module - Mirror of the user's Real-Debrid/TorBox cloud
+ *
+ * The personal cache step of handleStream used to list the user's debrid torrents
+ * on every request. Each configured account is now mirrored in the debrid_library
+ * table (torrents and downloads), re-synced in background when older than
+ *   DEBRID_LIBRARY_SYNC_MINUTES  (default 15, 0 = always list live)
+ * and exposed as the "☁️ Il Mio Cloud" catalog. Items are mapped to IMDb IDs
+ * through the torrents table (by info hash) or a TMDB search of the parsed title.
+ */
+
+const crypto = require('crypto');
+const { parseTorrentTitle } = require('./title-parser.cjs');
+
+const DEFAULT_SYNC_MINUTES = 15;
+
+/**
+ * Opaque account identifier (the API key is never stored)
+ * @param {string} apiKey - Debrid API key
+ * @returns {string} 32 hex chars
+ */
+function accountHash(apiKey) {
+    return crypto.createHash('sha256').update(String(apiKey)).digest('hex').substring(0, 32);
+}
+
+/**
+ * Guess title, year and type from a torrent/file name
+ * @param {string} name
+ * @returns {{title: string, year: number|null, type: string}}
+ */
+function parseLibraryName(name) {
+    const cleanName = String(name || '').split('/').pop().replace(/\.(mkv|mp4|avi|m4v|ts)$/i, '');
+    const parsed = parseTorrentTitle(cleanName);
+    return {
+        title: parsed.title || cleanName,
+        year: parsed.year || null,
+        type: parsed.seasons?.length > 0 ? 'series' : 'movie'
+    };
+}
+
+function toDate(value) {
+    if (!value) return null;
+    const date = new Date(typeof value === 'number' && value < 1e12 ? value * 1000 : value);
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function toItem(kind, itemId, infoHash, name, bytes, status, ready, addedAt) {
+    if (itemId === undefined || itemId === null || !name) return null;
+    return {
+        kind,
+        itemId: String(itemId),
+        infoHash: infoHash ? String(infoHash).toLowerCase() : null,
+        name: String(name),
+        bytes: Number(bytes) || 0,
+        status: status || null,
+        ready: !!ready,
+        addedAt: toDate(addedAt),
+        ...parseLibraryName(name)
+    };
+}
+
+/**
+ * Real-Debrid /torrents entry -> library item
+ * @param {Object} torrent - {id, hash, filename, bytes, status, added}
+ * @returns {Object|null}
+ */
+function fromRdTorrent(torrent) {
+    return toItem('torrent', torrent?.id, torrent?.hash, torrent?.filename, torrent?.bytes, torrent?.status, torrent?.status === 'downloaded', torrent?.added);
+}
+
+/**
+ * Real-Debrid /downloads entry (unrestricted links) -> library item
+ * @param {Object} download - {id, filename, filesize, generated}
+ * @returns {Object|null}
+ */
+function fromRdDownload(download) {
+    return toItem('download', download?.id, null, download?.filename, download?.filesize, 'downloaded', true, download?.generated);
+}
+
+/**
+ * TorBox torrent entry -> library item
+ * @param {Object} torrent - {id, hash, name, size, download_finished, download_state, created_at}
+ * @returns {Object|null}
+ */
+function fromTbTorrent(torrent) {
+    return toItem('torrent', torrent?.id, torrent?.hash, torrent?.name, torrent?.size, torrent?.download_state, torrent?.download_finished === true, torrent?.created_at);
+}
+
+/**
+ * TorBox usenet download entry -> library item
+ * @param {Object} download - {id, name, size, download_finished, download_state, created_at}
+ * @returns {Object|null}
+ */
+function fromTbUsenet(download) {
+    return toItem('usenet', download?.id, null, download?.name, download?.size, download?.download_state, download?.download_finished === true, download?.created_at);
+}
+
+/**
+ * Library rows back in the shape of the debrid APIs' torrent lists,
+ * as used by handleStream's personal cache check
+ * @param {string} service - 'rd' or 'tb'
+ * @param {Array<Object>} rows - debrid_library rows (kind 'torrent')
+ * @returns {Array<Object>}
+ */
+function toUserTorrents(service, rows) {
+    return (rows || [])
+        .filter(row => row.kind === 'torrent' && row.info_hash)
+        .map(row => service === 'rd'
+            ? { id: row.item_id, hash: row.info_hash, filename: row.name, bytes: Number(row.bytes), status: row.status }
+            : { id: row.item_id, hash: row.info_hash, name: row.name, size: Number(row.bytes), download_finished: row.ready, download_state: row.status });
+}
+
+/**
+ * Sync interval in minutes (0 = mirror disabled)
+ * @param {Object} env - Environment (process.env)
+ * @returns {number}
+ */
+function syncIntervalMinutes(env = process.env) {
+    const minutes = parseInt(env.DEBRID_LIBRARY_SYNC_MINUTES ?? DEFAULT_SYNC_MINUTES, 10);
+    return Number.isFinite(minutes) && minutes > 0 ? minutes : 0;
+}
+
+/**
+ * Whether the mirror of an account is too old to be used
+ * @param {Date|null} syncedAt - Last sync time
+ * @param {Object} env - Environment (process.env)
+ * @returns {boolean}
+ */
+function needsSync(syncedAt, env = process.env) {
+    const minutes = syncIntervalMinutes(env);
+    if (!minutes || !syncedAt) return true;
+    return Date.now() - new Date(syncedAt).getTime() > minutes * 60 * 1000;
+}
+
+module.exports = {
+    accountHash,
+    parseLibraryName,
+    fromRdTorrent,
+    fromRdDownload,
+    fromTbTorrent,
+    fromTbUsenet,
+    toUserTorrents,
+    syncIntervalMinutes,
+    needsSync
+};
@@ -371,5 +371,6 @@ module.exports = {
     generateSpliceManifest,
     clearCache,
     getCacheStats,
-    isSafeUrl
+    isSafeUrl,
+    isFfprobeAvailable: () => FFPROBE_AVAILABLE
 };
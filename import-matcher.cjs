@@ -0,0 +1,206 @@
+/**
+ * Import Matcher Module - Suggests the title of an uploaded torrent
+ *
+ * The torrent name is read with the same parser used for search results
+ * (title-parser.cjs), TMDB candidates are scored by title similarity, year,
+ * type and number of seasons, and the file list is mapped to episodes with
+ * the same rules used by the import. The curator confirms or corrects the
+ * suggestion in /scrape before importing.
+ */
+
+const fuzzball = require('fuzzball');
+const { parseTorrentTitle } = require('./title-parser.cjs');
+const packFilesHandler = require('./pack-files-handler.cjs');
+
+const MIN_VIDEO_BYTES = 50 * 1024 * 1024; // same threshold as the import (samples/extras are skipped)
+const CONFIDENT_SCORE = 75;
+const CONFIDENT_GAP = 10;
+
+/**
+ * Extract season from full path (e.g., "Show/Season 4/Episode 1.mkv")
+ * @param {string} fullPath - Path inside the torrent
+ * @returns {number|null}
+ */
+function parseSeasonFromPath(fullPath) {
+    if (!fullPath) return null;
+    const parts = fullPath.split('/');
+    // Check parent folders for "Season X" or "S0X" or "Stagione X"
+    // Iterate backwards from parent of file
+    for (let i = parts.length - 2; i >= 0; i--) {
+        const folder = parts[i];
+        // Match:
+        // 1. "Season 1", "Stagione 1"
+        // 2. "S01", "S1" (Start/End of string or surrounded by separators)
+        // 3. "Show Name S01"
+        const seasonMatch = folder.match(/([sS]eason|[sS]tagione)\s*(\d{1,2})/i) ||
+            folder.match(/(?:^|[^a-zA-Z])[sS](\d{1,2})(?:$|[^a-zA-Z])/);
+
+        if (seasonMatch) {
+            // If match is from the second regex group (S01), capturing group is 1.
+            // If first (Season 01), capturing group is 2.
+            // We need to check which match succeeded.
+            const val = seasonMatch[2] ? seasonMatch[2] : seasonMatch[1];
+            return parseInt(val);
+        }
+    }
+    return null;
+}
+
+/**
+ * Season/episode of a file of a series torrent
+ * The season named by a parent folder (or the default one) wins over the "1" assumed for bare episode numbers.
+ * @param {string} filePath - Path inside the torrent
+ * @param {number|null} defaultSeason - Season to use when neither file nor folders name it
+ * @returns {{season: number, episode: number, recovered: boolean}|null} recovered = episode read from " - 01"/"Ep 01" only
+ */
+function mapFileEpisode(filePath, defaultSeason = null) {
+    const filename = filePath.split('/').pop();
+    const folderSeason = parseSeasonFromPath(filePath) || parseInt(defaultSeason) || null;
+
+    const parsed = packFilesHandler.parseSeasonEpisode(filename, folderSeason || 1);
+    if (parsed) return { season: parsed.season, episode: parsed.episode, recovered: false };
+
+    // 🚀 EXTRA PARSE: Try matching " - 01" directly if season is known from folder
+    const simpleEpMatch = filename.match(/(?:\s-\s|Ep[\s.]*|E)(\d{1,3})(?![0-9])/i);
+    if (simpleEpMatch && folderSeason) {
+        return { season: folderSeason, episode: parseInt(simpleEpMatch[1]), recovered: true };
+    }
+    return null;
+}
+
+/**
+ * Video files of a torrent (extras and samples excluded)
+ * @param {Array<{id: number, path: string, bytes: number}>} files
+ * @returns {Array<Object>}
+ */
+function getVideoFiles(files) {
+    return (files || []).filter(file => packFilesHandler.isVideoFile(file.path || '') && !(file.bytes < MIN_VIDEO_BYTES));
+}
+
+/**
+ * Episode of each video file, as the import would store it
+ * @param {Array<{id: number, path: string, bytes: number}>} files
+ * @param {number|null} defaultSeason
+ * @returns {{mapped: Array<{fileIndex: number, file: string, season: number, episode: number}>, unmapped: Array<string>}}
+ */
+function mapEpisodes(files, defaultSeason = null) {
+    const mapped = [];
+    const unmapped = [];
+    for (const file of getVideoFiles(files)) {
+        const match = mapFileEpisode(file.path, defaultSeason);
+        if (match) mapped.push({ fileIndex: file.id, file: file.path.split('/').pop(), season: match.season, episode: match.episode });
+        else unmapped.push(file.path);
+    }
+    mapped.sort((a, b) => a.season - b.season || a.episode - b.episode);
+    return { mapped, unmapped };
+}
+
+/**
+ * What to search for: title, year, type and seasons from the torrent name (or its main file)
+ * @param {string} torrentName
+ * @param {Array<Object>} files - Optional file list
+ * @returns {{title: string|null, year: number|null, type: string, seasons: Array<number>, season: number|null}}
+ */
+function buildMatchQuery(torrentName, files = []) {
+    let parsed = parseTorrentTitle(torrentName || '');
+    const videos = getVideoFiles(files);
+    if (!parsed.title && videos.length > 0) {
+        parsed = parseTorrentTitle(videos[0].path.split('/').pop());
+    }
+
+    let seasons = parsed.seasons || [];
+    const episodesInFiles = videos.some(file => packFilesHandler.parseSeasonEpisode(file.path.split('/').pop(), 0)?.season > 0);
+    const type = seasons.length > 0 || episodesInFiles ? 'series' : 'movie';
+    if (type === 'series' && seasons.length === 0) {
+        seasons = [...new Set(mapEpisodes(files).mapped.map(m => m.season))].sort((a, b) => a - b);
+    }
+
+    return {
+        title: parsed.title || null,
+        year: parsed.year || null,
+        type,
+        seasons,
+        season: seasons.length === 1 ? seasons[0] : null
+    };
+}
+
+/**
+ * Lowercase, accents and punctuation removed
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeTitle(text) {
+    return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase().replace(/&/g, ' and ').replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Score a TMDB candidate against the parsed torrent (0-100)
+ * Similarity weighs up to 70, year ±20, type 10 and a season count the show doesn't reach -30.
+ * @param {Object} query - buildMatchQuery() result
+ * @param {{name: string, originalName?: string, year?: string|number, type: string, seasonCount?: number}} candidate
+ * @returns {number}
+ */
+function scoreCandidate(query, candidate) {
+    const title = normalizeTitle(query.title);
+    if (!title) return 0;
+
+    const similarity = Math.max(...[candidate.name, candidate.originalName]
+        .filter(Boolean)
+        .map(name => fuzzball.token_sort_ratio(title, normalizeTitle(name), { full_process: false })));
+    let score = similarity * 0.7;
+
+    const candidateYear = parseInt(candidate.year);
+    if (query.year && Number.isFinite(candidateYear)) {
+        const diff = query.year - candidateYear;
+        if (query.type === 'series') {
+            // A season can come out years after the first one, never before
+            score += diff >= 0 ? 10 : -20;
+        } else {
+            score += diff === 0 ? 20 : (Math.abs(diff) === 1 ? 10 : -20);
+        }
+    }
+
+    if (candidate.type === query.type) score += 10;
+
+    if (query.type === 'series' && candidate.seasonCount && query.seasons.length > 0) {
+        if (Math.max(...query.seasons) > candidate.seasonCount) score -= 30;
+    }
+
+    return Math.max(0, Math.min(100, Math.round(score)));
+}
+
+/**
+ * Candidates with their score, best first
+ * @param {Object} query - buildMatchQuery() result
+ * @param {Array<Object>} candidates
+ * @returns {Array<Object>} Candidates with a `score` field
+ */
+function rankCandidates(query, candidates) {
+    return (candidates || [])
+        .map(candidate => ({ ...candidate, score: scoreCandidate(query, candidate) }))
+        .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * The top candidate, if it clearly wins
+ * @param {Array<Object>} ranked - rankCandidates() result
+ * @returns {Object|null}
+ */
+function pickBestMatch(ranked) {
+    const [best, second] = ranked;
+    if (!best || best.score < CONFIDENT_SCORE) return null;
+    if (second && best.score - second.score < CONFIDENT_GAP) return null;
+    return best;
+}
+
+module.exports = {
+    parseSeasonFromPath,
+    mapFileEpisode,
+    mapEpisodes,
+    buildMatchQuery,
+    normalizeTitle,
+    scoreCandidate,
+    rankCandidates,
+    pickBestMatch
+};
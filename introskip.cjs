@@ -194,11 +194,35 @@ function clearCache() {
     console.log('⏩ [IntroSkip] Cache cleared');
 }
 
+/**
+ * Remove cached intro data for a single title, season or episode
+ *
+ * @param {string} imdbId - IMDB ID (e.g., "tt0903747")
+ * @param {number} [season] - Limit to this season
+ * @param {number} [episode] - Limit to this episode (requires season)
+ * @returns {number} Number of removed entries
+ */
+function purgeCache(imdbId, season = null, episode = null) {
+    let prefix = `${imdbId}:`;
+    if (season) prefix += `${season}:`;
+
+    let removed = 0;
+    for (const key of Array.from(introCache.keys())) {
+        const matches = episode ? key === `${prefix}${episode}` : key.startsWith(prefix);
+        if (matches) {
+            introCache.delete(key);
+            removed++;
+        }
+    }
+    return removed;
+}
+
 module.exports = {
     lookupIntro,
     appendTimeOffset,
     getIntroIndicator,
     shouldApplyIntroSkip,
     getCacheStats,
-    clearCache
+    clearCache,
+    purgeCache
 };
@@ -3,6 +3,10 @@ const axios = require('axios');
 const router = express.Router();
 const dbHelper = require('./db-helper.cjs');
 const packFilesHandler = require('./pack-files-handler.cjs');
+const { getSeedersFromDHT } = require('./seeder-tracker.cjs');
+const bulkImport = require('./bulk-import.cjs');
+const importMatcher = require('./import-matcher.cjs');
+const { isAdminEnabled, isAdminRequest } = require('./admin-auth.cjs');
 const multer = require('multer');
 const fs = require('fs');
 const path = require('path');
@@ -26,32 +30,6 @@ const upload = multer({
 const DEFAULT_RD_KEY = process.env.REALDEBRID_API_KEY;
 const DEFAULT_TB_KEY = process.env.TORBOX_API_KEY;
 
-// HELPER: Extract season from full path (e.g., "Show/Season 4/Episode 1.mkv")
-function parseSeasonFromPath(fullPath) {
-    if (!fullPath) return null;
-    const parts = fullPath.split('/');
-    // Check parent folders for "Season X" or "S0X" or "Stagione X"
-    // Iterate backwards from parent of file
-    for (let i = parts.length - 2; i >= 0; i--) {
-        const folder = parts[i];
-        // Match:
-        // 1. "Season 1", "Stagione 1"
-        // 2. "S01", "S1" (Start/End of string or surrounded by separators)
-        // 3. "Show Name S01"
-        const seasonMatch = folder.match(/([sS]eason|[sS]tagione)\s*(\d{1,2})/i) ||
-            folder.match(/(?:^|[^a-zA-Z])[sS](\d{1,2})(?:$|[^a-zA-Z])/);
-
-        if (seasonMatch) {
-            // If match is from the second regex group (S01), capturing group is 1. 
-            // If first (Season 01), capturing group is 2.
-            // We need to check which match succeeded.
-            const val = seasonMatch[2] ? seasonMatch[2] : seasonMatch[1];
-            return parseInt(val);
-        }
-    }
-    return null;
-}
-
 /**
  * HELPER: fetchFilesFromRealDebrid (Copiato da pack-files-handler.cjs perché non esportato)
  */
@@ -761,7 +739,7 @@ router.get('/', (req, res) => {
     <div class="container">
         <div class="header-section">
             <h1>ICV Scrape</h1>
-            <div class="subtitle">Importazione Torrent</div>
+            <div class="subtitle">Importazione Torrent · <a href="/scrape/bulk" style="color: var(--neon-secondary);">Import massivo</a></div>
         </div>
         
         <div class="form-group">
@@ -790,6 +768,7 @@ router.get('/', (req, res) => {
                 <div style="display:flex; gap:15px; margin-bottom:12px; font-size:0.85rem; border-bottom: 1px solid rgba(255,255,255,0.1); padding-bottom: 5px;">
                     <span id="tabId" style="cursor:pointer; color:var(--neon-secondary); font-weight:bold; border-bottom:2px solid var(--neon-secondary); padding-bottom: 5px;">🆔 ID Diretto</span>
                     <span id="tabSearch" style="cursor:pointer; color:#94a3b8; padding-bottom: 5px; transition: color 0.3s;">🔍 Cerca Titolo</span>
+                    <span id="matchBtn" style="cursor:pointer; color:#94a3b8; padding-bottom: 5px; transition: color 0.3s;" title="Riconosce il titolo dal nome del torrent">🪄 Riconosci</span>
                 </div>
 
                 <label id="labelId">ID IMDb o TMDB</label>
@@ -834,6 +813,7 @@ router.get('/', (req, res) => {
         </div>
 
         <div id="metaPreview" style="display: none;"></div>
+        <div id="matchInfo" style="display: none; margin-bottom: 20px; font-size: 0.85rem; color: #94a3b8;"></div>
 
         <div id="debridKeys">
             <div class="grid-half">
@@ -941,6 +921,7 @@ router.get('/', (req, res) => {
         // Initial validation state
         let isValidated = false;
         let currentTmdbId = null; // Store detected TMDB ID
+        let matchSeason = null; // Season detected by 🪄 Riconosci (for packs whose files don't name it)
 
         // Reset validation on input change
         imdbInput.addEventListener('input', () => {
@@ -1071,6 +1052,78 @@ router.get('/', (req, res) => {
             if (e.key === 'Enter') document.getElementById('searchBtn').click(); 
         });
 
+        // --- AUTO MATCH: suggest the title from the torrent name, the curator confirms or corrects it ---
+        document.getElementById('matchBtn').addEventListener('click', async () => {
+            const magnetLink = document.getElementById('magnetLink').value.trim();
+            const torrentFile = document.getElementById('torrentFile').files[0];
+            const matchInfo = document.getElementById('matchInfo');
+            const resDiv = document.getElementById('searchResults');
+            if (!magnetLink && !torrentFile) { alert('Inserisci un Magnet Link o carica un file .torrent'); return; }
+
+            matchInfo.style.display = 'block';
+            matchInfo.innerText = '🪄 Analisi del torrent...';
+            try {
+                const formData = new FormData();
+                if (typeSelect.value !== 'pack') formData.append('type', typeSelect.value);
+                if (torrentFile) {
+                    const base64 = await new Promise((res, rej) => {
+                        const r = new FileReader();
+                        r.onload = () => res(r.result.split(',')[1]);
+                        r.onerror = rej;
+                        r.readAsDataURL(torrentFile);
+                    });
+                    formData.append('torrentFileBase64', base64);
+                } else {
+                    formData.append('magnetLink', magnetLink);
+                }
+
+                const data = await (await fetch('/scrape/match', { method: 'POST', body: formData })).json();
+                if (data.error) { matchInfo.innerText = '❌ ' + data.error; return; }
+
+                const q = data.query;
+                matchSeason = q.season;
+                let info = '🪄 Letto: <b>' + escapeHtml(q.title || '?') + '</b>' + (q.year ? ' (' + q.year + ')' : '') +
+                    ' • ' + (q.type === 'series' ? 'Serie' + (q.seasons.length ? ' S' + q.seasons.join(', S') : '') : 'Film');
+                if (data.episodes) {
+                    info += '<br>📺 ' + data.episodes.mapped.length + ' episodi riconosciuti' +
+                        (data.episodes.unmapped.length ? ', <span style="color:#fca5a5;">' + data.episodes.unmapped.length + ' file senza episodio (saranno ignorati)</span>' : '');
+                }
+                info += data.best
+                    ? '<br>✅ Proposto: ' + escapeHtml(data.best.name) + ' (' + data.best.year + ') - verifica e conferma o <a href="#" id="showAlternatives" style="color: var(--neon-secondary);">scegli un altro</a>'
+                    : '<br>⚠️ ' + escapeHtml(data.warning || 'Nessuna corrispondenza sicura: scegli dalla lista');
+                matchInfo.innerHTML = info;
+
+                if (q.type === 'series' || q.type === 'movie') typeSelect.value = q.type;
+                resDiv.style.display = 'block';
+                resDiv.innerHTML = data.candidates.length === 0
+                    ? '<div style="padding:15px; text-align:center; color:#f87171;">⚠️ Nessun risultato trovato.</div>'
+                    : data.candidates.map(r =>
+                        '<div class="search-item" onclick="selectResult(\\'' + r.id + '\\')" style="padding:12px; border-bottom:1px solid rgba(255,255,255,0.05); cursor:pointer; display:flex; align-items:center; gap:15px;">' +
+                        '<img src="' + r.poster + '" style="width:35px; height:52px; object-fit:cover; border-radius:4px; background:#1e293b;" onerror="this.style.display=\\'none\\'">' +
+                        '<div style="flex:1;"><div style="font-weight:bold; color:white; font-size:0.95rem;">' + escapeHtml(r.name) + '</div>' +
+                        '<div style="font-size:0.8rem; color:#94a3b8;">' + r.year + ' • ' + (r.type === 'movie' ? 'Film' : 'Serie') + '</div></div>' +
+                        '<div style="font-weight:bold; color:' + (r.score >= 75 ? '#4ade80' : '#facc15') + ';">' + r.score + '%</div></div>').join('');
+                // Preview the proposed title, or open the search tab with the candidates
+                document.getElementById('searchTerm').value = q.title || '';
+                if (data.best) {
+                    selectResult(data.best.id);
+                    document.getElementById('showAlternatives').addEventListener('click', (e) => {
+                        e.preventDefault();
+                        tabSearch.click();
+                        resDiv.style.display = 'block';
+                    });
+                } else {
+                    tabSearch.click();
+                }
+            } catch (e) {
+                matchInfo.innerText = '❌ Errore: ' + e.message;
+            }
+        });
+
+        function escapeHtml(text) {
+            return String(text == null ? '' : text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+        }
+
         window.selectResult = (id) => {
             imdbInput.value = id;
             document.getElementById('searchResults').style.display = 'none';
@@ -1121,6 +1174,10 @@ router.get('/', (req, res) => {
         document.getElementById('tbKey').addEventListener('input', validateDebridKeys);
         modeSelector.addEventListener('change', validateDebridKeys);
 
+        // A new torrent invalidates the season detected by 🪄 Riconosci
+        document.getElementById('magnetLink').addEventListener('input', () => { matchSeason = null; });
+        document.getElementById('torrentFile').addEventListener('change', () => { matchSeason = null; });
+
         // Add listeners to Inputs to trigger Pack check (to enable button)
         document.getElementById('magnetLink').addEventListener('input', checkPackMode);
         document.getElementById('torrentFile').addEventListener('change', checkPackMode);
@@ -1232,6 +1289,7 @@ router.get('/', (req, res) => {
                 formData.append('imdbId', imdbId);
                 if (currentTmdbId) formData.append('tmdbId', currentTmdbId); // ✅ Send TMDB ID
                 formData.append('type', typeVal);
+                if (matchSeason && typeVal === 'series') formData.append('season', matchSeason);
                 if (seedersVal) formData.append('seeders', seedersVal);
                 
                 if (rdKey) formData.append('rdKey', rdKey);
@@ -1289,336 +1347,602 @@ router.get('/', (req, res) => {
 // GET /manual/search (TMDB Proxy)
 const TMDB_SEARCH_KEY = '5462f78469f3d80bf5201645294c16e4'; // User provided / code context
 
+/**
+ * TMDB search mapped to the /search result format (max 10 results)
+ * @param {string} q - Title to search
+ * @param {string} type - 'movie' or 'series' ('serie'/'tv' accepted)
+ * @returns {Promise<Array<{id: string, name: string, originalName: string, year: string, poster: string, type: string}>>}
+ */
+async function searchTmdb(q, type) {
+    // TMDB uses 'tv' or 'movie'
+    const tmdbType = (type === 'serie' || type === 'series' || type === 'tv') ? 'tv' : 'movie';
+
+    console.log(`🔍 [MANUAL] Searching TMDB for: "${q}" (${tmdbType})`);
+    const url = `https://api.themoviedb.org/3/search/${tmdbType}?api_key=${TMDB_SEARCH_KEY}&query=${encodeURIComponent(q)}&language=it-IT&include_adult=false`;
+
+    const resp = await axios.get(url, { timeout: 5000 });
+    if (!resp.data || !resp.data.results) return [];
+
+    // Map TMDB results to common format
+    return resp.data.results.map(r => ({
+        id: 'tmdb:' + r.id, // Prefix to ensure it is treated as TMDB ID
+        name: r.title || r.name,
+        originalName: r.original_title || r.original_name,
+        year: r.release_date ? r.release_date.split('-')[0] : (r.first_air_date ? r.first_air_date.split('-')[0] : 'N/A'),
+        poster: r.poster_path ? `https://image.tmdb.org/t/p/w92${r.poster_path}` : 'https://via.placeholder.com/92x138?text=No+Img',
+        type: tmdbType === 'tv' ? 'series' : 'movie'
+    })).slice(0, 10); // Limit to 10 results
+}
+
+/**
+ * Number of seasons of a TMDB show (null if unknown)
+ * @param {string} id - 'tmdb:{id}'
+ * @returns {Promise<number|null>}
+ */
+async function fetchTmdbSeasonCount(id) {
+    try {
+        const resp = await axios.get(`https://api.themoviedb.org/3/tv/${id.replace('tmdb:', '')}?api_key=${TMDB_SEARCH_KEY}`, { timeout: 5000 });
+        return resp.data.number_of_seasons || null;
+    } catch (e) {
+        return null;
+    }
+}
+
 router.get('/search', async (req, res) => {
     const { q, type } = req.query;
     if (!q) return res.json({ results: [] });
 
-    // TMDB uses 'tv' or 'movie'
-    const tmdbType = (type === 'serie' || type === 'series' || type === 'tv') ? 'tv' : 'movie';
-
     try {
-        console.log(`🔍 [MANUAL] Searching TMDB for: "${q}" (${tmdbType})`);
-        const url = `https://api.themoviedb.org/3/search/${tmdbType}?api_key=${TMDB_SEARCH_KEY}&query=${encodeURIComponent(q)}&language=it-IT&include_adult=false`;
-
-        const resp = await axios.get(url, { timeout: 5000 });
-
-        if (resp.data && resp.data.results) {
-            // Map TMDB results to common format
-            const results = resp.data.results.map(r => ({
-                id: 'tmdb:' + r.id, // Prefix to ensure it is treated as TMDB ID
-                name: r.title || r.name,
-                year: r.release_date ? r.release_date.split('-')[0] : (r.first_air_date ? r.first_air_date.split('-')[0] : 'N/A'),
-                poster: r.poster_path ? `https://image.tmdb.org/t/p/w92${r.poster_path}` : 'https://via.placeholder.com/92x138?text=No+Img',
-                type: tmdbType === 'tv' ? 'series' : 'movie'
-            })).slice(0, 10); // Limit to 10 results
-
-            return res.json({ results });
-        }
-        res.json({ results: [] });
+        const results = await searchTmdb(q, type);
+        res.json({ results });
     } catch (e) {
         console.error("❌ [MANUAL] Search Error:", e.message);
         res.status(500).json({ error: "Search failed" });
     }
 });
 
-// POST /scrape/add
-router.post('/add', upload.any(), async (req, res) => {
-    console.log("📥 [MANUAL] POST /add called");
-    try {
-        let { // ✅ Using let for modification
-            method, // 'debrid' or 'nodebrid'
-            magnetLink,
-            torrentFileBase64,
-            imdbId,
-            tmdbId, // ✅ Capture TMDB ID
-            type,
-            rdKey: bodyRdKey,
-            tbKey: bodyTbKey,
-            seeders: bodySeeders,
-            forcePackMode
-        } = req.body;
-
-        // ✅ HANDLE PACK MODE:
-        // If type is 'pack', we treat it as 'movie' but enforce Force Pack Mode and allow NULL ID.
-        if (type === 'pack') {
-            console.log("📦 [MANUAL] Pack Mode selected. Forcing 'movie' type + forcePackMode=true");
-            type = 'movie';
-            forcePackMode = true;
-            if (!imdbId) imdbId = null; // Normalize empty to null
-        }
+/**
+ * Import one torrent (magnet/hash or .torrent) into the DB: shared by /add, /bulk and the folder watcher
+ * @param {Object} params - Same fields as the /add form, plus an optional default season
+ * @returns {Promise<{httpStatus: number, body: Object}>} Response for /add (200 = imported, 409 = already in DB)
+ */
+async function importTorrent(params) {
+    let { // ✅ Using let for modification
+        method, // 'debrid' or 'nodebrid'
+        magnetLink,
+        torrentFileBase64,
+        imdbId,
+        tmdbId, // ✅ Capture TMDB ID
+        type,
+        rdKey: bodyRdKey,
+        tbKey: bodyTbKey,
+        seeders: bodySeeders,
+        forcePackMode,
+        season: defaultSeason, // Season of packs whose folders/files don't name it
+        useDefaultKeys = true // Bulk imports only use the keys sent with the request
+    } = params;
+
+    // ✅ HANDLE PACK MODE:
+    // If type is 'pack', we treat it as 'movie' but enforce Force Pack Mode and allow NULL ID.
+    if (type === 'pack') {
+        console.log("📦 [MANUAL] Pack Mode selected. Forcing 'movie' type + forcePackMode=true");
+        type = 'movie';
+        forcePackMode = true;
+        if (!imdbId) imdbId = null; // Normalize empty to null
+    }
 
-        const userRdKey = bodyRdKey || DEFAULT_RD_KEY;
-        const userTbKey = bodyTbKey || DEFAULT_TB_KEY;
+    const userRdKey = bodyRdKey || (useDefaultKeys ? DEFAULT_RD_KEY : null);
+    const userTbKey = bodyTbKey || (useDefaultKeys ? DEFAULT_TB_KEY : null);
 
-        if ((!imdbId && !forcePackMode) || !type) {
-            return res.status(400).json({ error: "Missing required fields: imdbId, type" });
-        }
+    if ((!imdbId && !forcePackMode) || !type) {
+        return { httpStatus: 400, body: { error: "Missing required fields: imdbId, type" } };
+    }
 
-        if (!magnetLink && !torrentFileBase64) {
-            return res.status(400).json({ error: "Either magnetLink or torrentFileBase64 is required" });
-        }
+    if (!magnetLink && !torrentFileBase64) {
+        return { httpStatus: 400, body: { error: "Either magnetLink or torrentFileBase64 is required" } };
+    }
 
-        let infoHash = null;
-        let localFiles = null; // Files parsed directly from .torrent file
-        let torrentName = null;
+    let infoHash = null;
+    let localFiles = null; // Files parsed directly from .torrent file
+    let torrentName = null;
 
-        // 1. Extract InfoHash (from magnet OR from torrent file)
-        if (torrentFileBase64) {
-            console.log("📁 [MANUAL] Parsing uploaded .torrent file...");
-            try {
-                const parsed = parseTorrentFile(torrentFileBase64);
-                infoHash = parsed.infoHash.toLowerCase();
-                localFiles = parsed.files;
-                torrentName = parsed.filename;
-                console.log(`✅[MANUAL] Parsed torrent: ${torrentName}, hash: ${infoHash}, files: ${localFiles.length} `);
-            } catch (parseErr) {
-                return res.status(400).json({ error: "Failed to parse torrent file: " + parseErr.message });
-            }
-        } else {
-            const infoHashMatch = magnetLink.match(/xt=urn:btih:([a-zA-Z0-9]+)/);
-            infoHash = infoHashMatch ? infoHashMatch[1].toLowerCase() : magnetLink.toLowerCase();
+    // 1. Extract InfoHash (from magnet OR from torrent file)
+    if (torrentFileBase64) {
+        console.log("📁 [MANUAL] Parsing uploaded .torrent file...");
+        try {
+            const parsed = parseTorrentFile(torrentFileBase64);
+            infoHash = parsed.infoHash.toLowerCase();
+            localFiles = parsed.files;
+            torrentName = parsed.filename;
+            console.log(`✅[MANUAL] Parsed torrent: ${torrentName}, hash: ${infoHash}, files: ${localFiles.length} `);
+        } catch (parseErr) {
+            return { httpStatus: 400, body: { error: "Failed to parse torrent file: " + parseErr.message } };
         }
+    } else {
+        const infoHashMatch = magnetLink.match(/xt=urn:btih:([a-zA-Z0-9]+)/);
+        infoHash = infoHashMatch ? infoHashMatch[1].toLowerCase() : magnetLink.toLowerCase();
+    }
 
-        if (!infoHash || infoHash.length < 40) {
-            return res.status(400).json({ error: "Invalid magnet/hash or corrupt torrent file" });
-        }
+    if (!infoHash || infoHash.length < 40) {
+        return { httpStatus: 400, body: { error: "Invalid magnet/hash or corrupt torrent file" } };
+    }
 
-        console.log(`🛠️ [MANUAL] Step 1: Checking DB for hash ${infoHash}...`);
+    console.log(`🛠️ [MANUAL] Step 1: Checking DB for hash ${infoHash}...`);
 
-        // ✅ DUPLICATE CHECK: moved here to cover ALL methods (cache, debrid, local)
-        const existingTorrent = await dbHelper.getTorrent(infoHash);
-        if (existingTorrent) {
-            console.warn(`⚠️ [MANUAL] Torrent ${infoHash} already exists in DB. Skipping.`);
-            return res.status(409).json({
+    // ✅ DUPLICATE CHECK: moved here to cover ALL methods (cache, debrid, local)
+    const existingTorrent = await dbHelper.getTorrent(infoHash);
+    if (existingTorrent) {
+        console.warn(`⚠️ [MANUAL] Torrent ${infoHash} already exists in DB. Skipping.`);
+        return {
+            httpStatus: 409,
+            body: {
                 error: 'Torrent già presente nel database!',
                 detail: `Questo torrent (${infoHash}) è già stato importato.`
-            });
-        }
-
-        console.log(`🛠️ [MANUAL] Step 2: Fetching files (Local/Cache/Debrid)...`);
-
-        // 2. Get Files (from local torrent parse OR from Cache OR from Debrid)
-        let data = null;
-        let providerUsed = "";
-
-        if (localFiles && localFiles.length > 0) {
-            // Use files parsed from uploaded .torrent file
-            data = { files: localFiles, filename: torrentName };
-            providerUsed = "Local .torrent";
-            console.log(`📁[MANUAL] Using ${localFiles.length} files from uploaded torrent.`);
-        } else {
-            // Try Torrent Cache first if no Debrid keys provided
-            if (!userRdKey && !userTbKey) {
-                console.log(`🌐[MANUAL] No Debrid keys provided. Attempting Torrent Cache for magnet ${infoHash}...`);
-                const cachedTorrent = await fetchTorrentFromCaches(infoHash);
-                if (cachedTorrent) {
-                    data = { files: cachedTorrent.files, filename: cachedTorrent.filename };
-                    providerUsed = "Torrent Cache (P2P)";
-                } else {
-                    console.log(`⚠️[MANUAL] Cache fetch returned null.`);
-                }
-            }
-
-            // If still no data, try Debrid providers
-            if (!data && userRdKey) {
-                try {
-                    console.log(`🛠️ [MANUAL] Trying Real-Debrid fetch...`);
-                    data = await fetchFilesFromRealDebrid(infoHash, userRdKey);
-                    providerUsed = "Real-Debrid";
-                    console.log(`✅ [MANUAL] RD success.`);
-                } catch (e) { console.warn("RD Fetch failed:", e.message); }
             }
+        };
+    }
 
-            if (!data && userTbKey) {
-                try {
-                    console.log(`🛠️ [MANUAL] Trying Torbox fetch...`);
-                    data = await fetchFilesFromTorbox(infoHash, userTbKey);
-                    providerUsed = "Torbox";
-                    console.log(`✅ [MANUAL] Torbox success.`);
-                } catch (e) { console.warn("TB Fetch failed:", e.message); }
-            }
-        }
+    console.log(`🛠️ [MANUAL] Step 2: Fetching files (Local/Cache/Debrid)...`);
 
-        console.log(`🛠️ [MANUAL] Step 3: Checking data result...`);
+    // 2. Get Files (from local torrent parse OR from Cache OR from Debrid)
+    let data = null;
+    let providerUsed = "";
 
-        if (!data || !data.files || data.files.length === 0) {
-            if (torrentFileBase64) {
-                return res.status(500).json({ error: "Torrent file empty or invalid." });
+    if (localFiles && localFiles.length > 0) {
+        // Use files parsed from uploaded .torrent file
+        data = { files: localFiles, filename: torrentName };
+        providerUsed = "Local .torrent";
+        console.log(`📁[MANUAL] Using ${localFiles.length} files from uploaded torrent.`);
+    } else {
+        // Try Torrent Cache first if no Debrid keys provided
+        if (!userRdKey && !userTbKey) {
+            console.log(`🌐[MANUAL] No Debrid keys provided. Attempting Torrent Cache for magnet ${infoHash}...`);
+            const cachedTorrent = await fetchTorrentFromCaches(infoHash);
+            if (cachedTorrent) {
+                data = { files: cachedTorrent.files, filename: cachedTorrent.filename };
+                providerUsed = "Torrent Cache (P2P)";
             } else {
-                return res.status(400).json({ error: "Could not get file list. If you don't have RD/Torbox, please upload a .torrent file or ensure the magnet is in public caches." });
+                console.log(`⚠️[MANUAL] Cache fetch returned null.`);
             }
         }
 
-        console.log(`✅[MANUAL] Files from ${providerUsed}. Found ${data.files.length} files.`);
+        // If still no data, try Debrid providers
+        if (!data && userRdKey) {
+            try {
+                console.log(`🛠️ [MANUAL] Trying Real-Debrid fetch...`);
+                data = await fetchFilesFromRealDebrid(infoHash, userRdKey);
+                providerUsed = "Real-Debrid";
+                console.log(`✅ [MANUAL] RD success.`);
+            } catch (e) { console.warn("RD Fetch failed:", e.message); }
+        }
 
-        // 3. Prepare Torrent Entry
-        const totalSize = data.files.reduce((acc, f) => acc + (f.bytes || 0), 0);
-        let torrentTitle = data.filename || torrentName || `Imported - ${infoHash.substr(0, 8)} `;
+        if (!data && userTbKey) {
+            try {
+                console.log(`🛠️ [MANUAL] Trying Torbox fetch...`);
+                data = await fetchFilesFromTorbox(infoHash, userTbKey);
+                providerUsed = "Torbox";
+                console.log(`✅ [MANUAL] Torbox success.`);
+            } catch (e) { console.warn("TB Fetch failed:", e.message); }
+        }
+    }
 
-        // ✅ Using raw title because dbHelper.sanitizeTorrentTitle is not defined
-        // torrentTitle = dbHelper.sanitizeTorrentTitle(torrentTitle);
+    console.log(`🛠️ [MANUAL] Step 3: Checking data result...`);
 
-        let finalSeeders = 100;
-        if (bodySeeders !== undefined && bodySeeders !== '') {
-            finalSeeders = parseInt(bodySeeders);
+    if (!data || !data.files || data.files.length === 0) {
+        if (torrentFileBase64) {
+            return { httpStatus: 500, body: { error: "Torrent file empty or invalid." } };
         } else {
-            // ✅ AUTO-SEEDER CHECK: If no manual seeders provided, try to scrape DHT
-            // This happens automatically on backend now
-            try {
-                console.log(`🔍[MANUAL] Auto - scraping seeders for ${infoHash}...`);
-                const scrapedSeeders = await getSeedersFromDHT(infoHash, 3000); // 3s timeout for auto check
-                console.log(`✅[MANUAL] Auto - scrape result: ${scrapedSeeders} seeders`);
-                // If DHT returns 0, we fallback to 10? Or keep 0? User can override if they want.
-                // Let's use scrape result if > 0, otherwise default to 10 to avoid "dead" look
-                finalSeeders = scrapedSeeders > 0 ? scrapedSeeders : 10;
-            } catch (e) {
-                console.warn(`⚠️[MANUAL] Auto - scrape failed: ${e.message}, defaulting to 10`);
-                finalSeeders = 10;
-            }
+            return { httpStatus: 400, body: { error: "Could not get file list. If you don't have RD/Torbox, please upload a .torrent file or ensure the magnet is in public caches." } };
         }
+    }
 
-        const torrentEntry = {
-            info_hash: infoHash,  // snake_case required for batchInsertTorrents
-            provider: 'manual_add',
-            title: torrentTitle,
-            size: totalSize,
-            type: type,
-            seeders: finalSeeders,
-            imdb_id: imdbId,
-            tmdb_id: tmdbId || null, // ✅ Save to DB
-            upload_date: new Date(),
-            cached_rd: !!userRdKey,
-            cached_tb: !!userTbKey,
-            last_cached_check: new Date()
-        };
+    console.log(`✅[MANUAL] Files from ${providerUsed}. Found ${data.files.length} files.`);
 
-        // 4. Insert Main Torrent
-        await dbHelper.batchInsertTorrents([torrentEntry]);
+    // 3. Prepare Torrent Entry
+    const totalSize = data.files.reduce((acc, f) => acc + (f.bytes || 0), 0);
+    let torrentTitle = data.filename || torrentName || `Imported - ${infoHash.substr(0, 8)} `;
 
-        // 5. Process Files & Episodes
-        let processedFiles = [];
-        let filesToInsert = [];
+    // ✅ Using raw title because dbHelper.sanitizeTorrentTitle is not defined
+    // torrentTitle = dbHelper.sanitizeTorrentTitle(torrentTitle);
 
-        for (const file of data.files) {
-            if (!packFilesHandler.isVideoFile(file.path) || file.bytes < 50 * 1024 * 1024) continue;
+    let finalSeeders = 100;
+    if (bodySeeders !== undefined && bodySeeders !== '') {
+        finalSeeders = parseInt(bodySeeders);
+    } else {
+        // ✅ AUTO-SEEDER CHECK: If no manual seeders provided, try to scrape DHT
+        // This happens automatically on backend now
+        try {
+            console.log(`🔍[MANUAL] Auto - scraping seeders for ${infoHash}...`);
+            const scrapedSeeders = await getSeedersFromDHT(infoHash, 3000); // 3s timeout for auto check
+            console.log(`✅[MANUAL] Auto - scrape result: ${scrapedSeeders} seeders`);
+            // If DHT returns 0, we fallback to 10? Or keep 0? User can override if they want.
+            // Let's use scrape result if > 0, otherwise default to 10 to avoid "dead" look
+            finalSeeders = scrapedSeeders > 0 ? scrapedSeeders : 10;
+        } catch (e) {
+            console.warn(`⚠️[MANUAL] Auto - scrape failed: ${e.message}, defaulting to 10`);
+            finalSeeders = 10;
+        }
+    }
 
-            const filename = file.path.split('/').pop();
+    const torrentEntry = {
+        info_hash: infoHash,  // snake_case required for batchInsertTorrents
+        provider: 'manual_add',
+        title: torrentTitle,
+        size: totalSize,
+        type: type,
+        seeders: finalSeeders,
+        imdb_id: imdbId,
+        tmdb_id: tmdbId || null, // ✅ Save to DB
+        upload_date: new Date(),
+        cached_rd: !!userRdKey,
+        cached_tb: !!userTbKey,
+        last_cached_check: new Date()
+    };
 
-            // Try to parse S/E from FILENAME first
-            let parsed = packFilesHandler.parseSeasonEpisode(filename);
+    // 4. Insert Main Torrent
+    await dbHelper.batchInsertTorrents([torrentEntry]);
 
-            // If parsed season is missing or default (1), try to find real season in FOLDER path
-            const folderSeason = parseSeasonFromPath(file.path);
-            if (folderSeason) {
-                // Rerun parse with confirmed folder season as default
-                // or if raw parse failed, use folder season
-                parsed = packFilesHandler.parseSeasonEpisode(filename, folderSeason);
-            }
+    // 5. Process Files & Episodes
+    let processedFiles = [];
+    let filesToInsert = [];
 
-            // If series, require parsing. If movie, take valid video files.
-            let season = null;
-            let episode = null;
+    for (const file of data.files) {
+        if (!packFilesHandler.isVideoFile(file.path) || file.bytes < 50 * 1024 * 1024) continue;
 
-            if (type === 'series') {
-                if (parsed) {
-                    season = parsed.season;
-                    episode = parsed.episode;
-                } else {
-                    // 🚀 EXTRA PARSE: Try matching " - 01" directly if season is known from folder
-                    const simpleEpMatch = filename.match(/(?:\s-\s|Ep[\s.]*|E)(\d{1,3})(?![0-9])/i);
-                    if (simpleEpMatch && folderSeason) {
-                        season = folderSeason;
-                        episode = parseInt(simpleEpMatch[1]);
-                        console.log(`✅[MANUAL] Recovered S${season}E${episode} from folder ${folderSeason} + filename ${filename}`);
-                    } else {
-                        // Skip unparsable files for series
-                        console.log(`⚠️[MANUAL] Skipping series file (no S/E found): ${file.path}`);
-                        continue;
-                    }
-                }
-            }
+        const filename = file.path.split('/').pop();
 
-            // 📦 For movie packs: imdb_id will be null, matching happens later
-            // For series: imdbId is the series ID, applied to all episodes
-            const fileImdbId = (type === 'movie' && (data.files.length > 1 || forcePackMode === 'true')) ? null : imdbId;
-
-            filesToInsert.push({
-                info_hash: infoHash,
-                file_index: file.id,
-                title: filename,
-                size: file.bytes,
-                imdb_id: fileImdbId,
-                imdb_season: season,
-                imdb_episode: episode
-            });
+        // If series, require parsing (filename, then season from FOLDER path). If movie, take valid video files.
+        let season = null;
+        let episode = null;
 
-            processedFiles.push(filename);
+        if (type === 'series') {
+            const match = importMatcher.mapFileEpisode(file.path, defaultSeason);
+            if (!match) {
+                // Skip unparsable files for series
+                console.log(`⚠️[MANUAL] Skipping series file (no S/E found): ${file.path}`);
+                continue;
+            }
+            season = match.season;
+            episode = match.episode;
+            if (match.recovered) console.log(`✅[MANUAL] Recovered S${season}E${episode} from folder season + filename ${filename}`);
         }
 
-        // 6. Insert Files
-        // ✅ ALIGNED WITH NORMAL FLOW: 
-        // - Series/pack serie → files table (insertEpisodeFiles)
-        // - Pack film (multi-movie) → pack_files table (insertPackFiles) 
-        const isMultiMoviePack = (type === 'movie' && (data.files.length > 1 || forcePackMode === 'true'));
-
-        if (filesToInsert.length > 0) {
-            if (isMultiMoviePack) {
-                // 📦 PACK FILM: Use pack_files table (same as normal enrichment flow)
-                const packFilesData = filesToInsert.map(f => ({
-                    pack_hash: infoHash.toLowerCase(),
-                    imdb_id: null, // Will be matched later when user searches specific movie
-                    file_index: f.file_index,
-                    file_path: f.title,
-                    file_size: f.size || 0
-                }));
-                await dbHelper.insertPackFiles(packFilesData);
-                console.log(`📦 [MANUAL] Saved ${packFilesData.length} files to pack_files table`);
-            } else {
-                // 📺 SERIES or SINGLE MOVIE: Use files table
-                await dbHelper.insertEpisodeFiles(filesToInsert);
-                console.log(`📺 [MANUAL] Saved ${filesToInsert.length} files to files table`);
-            }
+        // 📦 For movie packs: imdb_id will be null, matching happens later
+        // For series: imdbId is the series ID, applied to all episodes
+        const fileImdbId = (type === 'movie' && (data.files.length > 1 || forcePackMode === 'true')) ? null : imdbId;
+
+        filesToInsert.push({
+            info_hash: infoHash,
+            file_index: file.id,
+            title: filename,
+            size: file.bytes,
+            imdb_id: fileImdbId,
+            imdb_season: season,
+            imdb_episode: episode
+        });
+
+        processedFiles.push(filename);
+    }
+
+    // 6. Insert Files
+    // ✅ ALIGNED WITH NORMAL FLOW: 
+    // - Series/pack serie → files table (insertEpisodeFiles)
+    // - Pack film (multi-movie) → pack_files table (insertPackFiles) 
+    const isMultiMoviePack = (type === 'movie' && (data.files.length > 1 || forcePackMode === 'true'));
+
+    if (filesToInsert.length > 0) {
+        if (isMultiMoviePack) {
+            // 📦 PACK FILM: Use pack_files table (same as normal enrichment flow)
+            const packFilesData = filesToInsert.map(f => ({
+                pack_hash: infoHash.toLowerCase(),
+                imdb_id: null, // Will be matched later when user searches specific movie
+                file_index: f.file_index,
+                file_path: f.title,
+                file_size: f.size || 0
+            }));
+            await dbHelper.insertPackFiles(packFilesData);
+            console.log(`📦 [MANUAL] Saved ${packFilesData.length} files to pack_files table`);
+        } else {
+            // 📺 SERIES or SINGLE MOVIE: Use files table
+            await dbHelper.insertEpisodeFiles(filesToInsert);
+            console.log(`📺 [MANUAL] Saved ${filesToInsert.length} files to files table`);
         }
+    }
 
-        return res.json({
+    return {
+        httpStatus: 200,
+        body: {
             status: "success",
             message: `Imported ${filesToInsert.length} files for ${imdbId || 'pack'}`,
             torrent: torrentEntry,
             files: processedFiles
-        });
+        }
+    };
+}
 
+// POST /scrape/add
+router.post('/add', upload.any(), async (req, res) => {
+    console.log("📥 [MANUAL] POST /add called");
+    try {
+        const result = await importTorrent(req.body);
+        return res.status(result.httpStatus).json(result.body);
     } catch (err) {
         console.error("❌ Manual Import Error:", err);
         res.status(500).json({ error: err.message });
     }
 });
 
-// DHT Scraper Helper
-async function getSeedersFromDHT(infoHash, timeoutMs = 5000) {
-    // Dynamic import for ESM module support in CJS
-    const { default: DHT } = await import('bittorrent-dht');
+// POST /scrape/match - Suggest the title (and episode mapping) of a torrent from its name and files
+router.post('/match', upload.any(), async (req, res) => {
+    const { magnetLink, torrentFileBase64, type: forcedType } = req.body || {};
+
+    try {
+        let torrentName = null;
+        let files = [];
+        if (torrentFileBase64) {
+            const parsed = parseTorrentFile(torrentFileBase64);
+            torrentName = parsed.filename;
+            files = parsed.files;
+        } else if (magnetLink) {
+            const dn = magnetLink.match(/[?&]dn=([^&]+)/);
+            torrentName = dn ? decodeURIComponent(dn[1].replace(/\+/g, ' ')) : null;
+            const infoHash = bulkImport.extractInfoHash(magnetLink);
+            const cached = infoHash ? await fetchTorrentFromCaches(infoHash) : null;
+            if (cached) {
+                torrentName = torrentName || cached.filename;
+                files = cached.files;
+            }
+        }
+
+        if (!torrentName) {
+            return res.status(400).json({ error: 'Nome del torrent non disponibile: carica il file .torrent o usa un magnet con dn=' });
+        }
 
-    return new Promise((resolve) => {
-        const dht = new DHT();
-        const peers = new Set();
+        const query = importMatcher.buildMatchQuery(torrentName, files);
+        if (forcedType === 'movie' || forcedType === 'series') query.type = forcedType;
+        if (!query.title) {
+            return res.json({ torrentName, query, candidates: [], best: null, episodes: null });
+        }
 
-        dht.on('peer', (peer, hash) => {
-            peers.add(`${peer.host}:${peer.port} `);
+        // The parsed name and the episode mapping are still useful if TMDB is down
+        let warning = null;
+        const candidates = await searchTmdb(query.title, query.type).catch(err => {
+            warning = 'Ricerca TMDB non riuscita: ' + err.message;
+            return [];
         });
+        if (query.type === 'series') {
+            // Season counts only for the most similar shows (one extra TMDB call each)
+            const top = importMatcher.rankCandidates({ ...query, seasons: [] }, candidates).slice(0, 3);
+            await Promise.all(top.map(async (candidate) => {
+                const original = candidates.find(c => c.id === candidate.id);
+                original.seasonCount = await fetchTmdbSeasonCount(candidate.id);
+            }));
+        }
 
-        dht.listen(() => {
-            const hashBuffer = Buffer.from(infoHash, 'hex');
-            dht.lookup(hashBuffer);
-        });
+        const ranked = importMatcher.rankCandidates(query, candidates);
+        const best = importMatcher.pickBestMatch(ranked);
+        const episodes = query.type === 'series' && files.length > 0 ? importMatcher.mapEpisodes(files, query.season) : null;
+
+        console.log(`🪄 [MANUAL] Match "${torrentName}" → ${best ? `${best.name} (${best.year}, ${best.score})` : 'no confident match'}`);
+        res.json({ torrentName, query, candidates: ranked, best, episodes, warning });
+    } catch (err) {
+        console.error("❌ [MANUAL] Match Error:", err.message);
+        res.status(500).json({ error: err.message });
+    }
+});
 
-        setTimeout(() => {
-            const count = peers.size;
-            dht.destroy();
-            resolve(count);
-        }, timeoutMs);
+/**
+ * importTorrent() for a bulk row or watched file, converting a TMDB-only ID to IMDb first
+ * @param {Object} params - importTorrent() params
+ * @returns {Promise<{httpStatus: number, body: Object}>}
+ */
+async function importWithResolvedId(params) {
+    let imdbId = params.imdbId || null;
+    if (!imdbId && params.tmdbId && params.type !== 'pack') {
+        imdbId = idConverter ? await idConverter.tmdbToImdb(params.tmdbId, params.type) : null;
+        if (!imdbId) {
+            return { httpStatus: 400, body: { error: `Nessun IMDb ID trovato per TMDB ${params.tmdbId}` } };
+        }
+    }
+    return importTorrent({ ...params, imdbId });
+}
+
+/**
+ * Watched folder callback: import a .torrent file named with its IDs
+ * @param {Buffer} buffer - .torrent content
+ * @param {Object} meta - bulkImport.parseWatchedFileName() result
+ * @returns {Promise<{httpStatus: number, body: Object}>}
+ */
+async function importWatchedTorrent(buffer, meta) {
+    if (!meta.imdbId && !meta.tmdbId && meta.type !== 'pack') {
+        return { httpStatus: 400, body: { error: 'IMDb o TMDB ID mancante nel nome del file (es. "Titolo [tt1234567].torrent")' } };
+    }
+
+    const torrentFileBase64 = buffer.toString('base64');
+    let type = meta.type;
+    if (!type) {
+        try {
+            type = bulkImport.inferTypeFromFiles(parseTorrentFile(torrentFileBase64).files);
+        } catch (err) {
+            return { httpStatus: 400, body: { error: "Failed to parse torrent file: " + err.message } };
+        }
+    }
+    return importWithResolvedId({
+        torrentFileBase64,
+        imdbId: meta.imdbId,
+        tmdbId: meta.tmdbId,
+        type,
+        season: meta.season
     });
 }
 
+/**
+ * Middleware: bulk import routes need the admin password (HTTP Basic, ADMIN_PASSWORD)
+ * Disabled (404) when ADMIN_PASSWORD is not set.
+ */
+function requireAdmin(req, res, next) {
+    if (!isAdminEnabled()) return res.status(404).send('Not found');
+    if (!isAdminRequest(req)) {
+        res.setHeader('WWW-Authenticate', 'Basic realm="IlCorsaroViola Admin"');
+        return res.status(401).json({ error: 'Autenticazione richiesta' });
+    }
+    next();
+}
+
+// GET /scrape/bulk - Bulk import page (the browser reuses the Basic credentials for the API calls)
+router.get('/bulk', requireAdmin, (req, res) => {
+    res.send(`<!DOCTYPE html>
+<html lang="it">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Import Massivo | ICV Scrape</title>
+    <style>
+        :root { --neon-primary: #a855f7; --neon-secondary: #06b6d4; --bg-dark: #050507; --border-low: rgba(255, 255, 255, 0.1); }
+        body { font-family: 'Inter', sans-serif; margin: 0; padding: 30px; background-color: var(--bg-dark); color: #f8fafc; }
+        .container { max-width: 1000px; margin: 0 auto; background: rgba(15, 23, 42, 0.7); border: 1px solid var(--border-low); border-radius: 16px; padding: 30px; }
+        h1 { margin: 0 0 6px; color: var(--neon-secondary); }
+        small, .hint { color: #94a3b8; }
+        textarea, input { width: 100%; box-sizing: border-box; background: rgba(0, 0, 0, 0.4); color: #f8fafc; border: 1px solid var(--border-low); border-radius: 10px; padding: 12px; font-family: monospace; }
+        textarea { min-height: 200px; margin: 12px 0; }
+        .row { display: flex; gap: 12px; margin-top: 12px; }
+        button { flex: 1; padding: 14px; border: none; border-radius: 10px; background: linear-gradient(135deg, var(--neon-primary), var(--neon-secondary)); color: white; font-weight: 600; cursor: pointer; }
+        button.secondary { background: rgba(255, 255, 255, 0.1); }
+        button:disabled { opacity: 0.4; cursor: not-allowed; }
+        table { width: 100%; border-collapse: collapse; margin-top: 20px; font-size: 0.85rem; }
+        th, td { padding: 8px; border-bottom: 1px solid var(--border-low); text-align: left; word-break: break-all; }
+        th { color: var(--neon-secondary); }
+        .valid, .queued, .importing { color: #facc15; } .imported { color: #4ade80; }
+        .invalid, .error { color: #f87171; } .duplicate, .skipped { color: #94a3b8; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <h1>📋 Import Massivo</h1>
+        <small><a href="/scrape" style="color: var(--neon-secondary);">← Import singolo</a></small>
+        <p class="hint">CSV con intestazione (separatore , o ;) oppure JSON. Colonne: <code>magnet</code> (magnet o info hash), <code>imdb_id</code> o <code>tmdb_id</code>, <code>type</code> (movie, series, pack), <code>season</code> (opzionale, solo serie).</p>
+        <input type="file" id="bulkFile" accept=".csv,.json,.txt">
+        <textarea id="bulkData" placeholder="magnet,imdb_id,type,season&#10;magnet:?xt=urn:btih:...,tt0903747,series,1"></textarea>
+        <div class="row">
+            <input type="password" id="rdKey" placeholder="API key Real-Debrid (opzionale)">
+            <input type="password" id="tbKey" placeholder="API key Torbox (opzionale)">
+        </div>
+        <div class="row">
+            <button class="secondary" id="previewBtn">🔍 Anteprima</button>
+            <button id="importBtn">🚀 Importa</button>
+        </div>
+        <div id="summary" style="margin-top: 16px;"></div>
+        <table><thead><tr><th>#</th><th>Hash</th><th>ID</th><th>Tipo</th><th>Stato</th><th>Dettagli</th></tr></thead><tbody id="rows"></tbody></table>
+    </div>
+    <script>
+        const escapeHtml = (text) => String(text == null ? '' : text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+
+        document.getElementById('bulkFile').addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (file) document.getElementById('bulkData').value = await file.text();
+        });
+
+        function render(data) {
+            const counts = Object.entries(data.summary || {}).map(([status, n]) => status + ': ' + n).join(' · ');
+            document.getElementById('summary').innerHTML = (data.error ? '❌ ' + escapeHtml(data.error) : escapeHtml(counts)) +
+                (data.status === 'running' ? ' <small>(in corso...)</small>' : '');
+            document.getElementById('rows').innerHTML = (data.rows || []).map(r =>
+                '<tr><td>' + r.row + '</td><td>' + escapeHtml(r.infoHash || r.magnetLink) + '</td><td>' + escapeHtml(r.imdbId || r.tmdbId || '-') +
+                (r.season !== null ? ' S' + r.season : '') + '</td><td>' + escapeHtml(r.type || '-') + '</td><td class="' + r.status + '">' + r.status +
+                '</td><td>' + escapeHtml(r.message || (r.errors || []).join(', ')) + '</td></tr>').join('');
+        }
+
+        async function send(dryRun) {
+            const buttons = [document.getElementById('previewBtn'), document.getElementById('importBtn')];
+            buttons.forEach(b => b.disabled = true);
+            try {
+                const response = await fetch('/scrape/bulk', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        data: document.getElementById('bulkData').value,
+                        dryRun,
+                        rdKey: document.getElementById('rdKey').value.trim() || undefined,
+                        tbKey: document.getElementById('tbKey').value.trim() || undefined
+                    })
+                });
+                const data = await response.json();
+                render(data);
+                if (data.jobId) await poll(data.jobId);
+            } catch (err) {
+                render({ error: err.message });
+            } finally {
+                buttons.forEach(b => b.disabled = false);
+            }
+        }
+
+        async function poll(jobId) {
+            while (true) {
+                await new Promise(r => setTimeout(r, 3000));
+                const data = await (await fetch('/scrape/bulk/' + jobId)).json();
+                render(data);
+                if (data.status !== 'running') return;
+            }
+        }
+
+        document.getElementById('previewBtn').addEventListener('click', () => send(true));
+        document.getElementById('importBtn').addEventListener('click', () => send(false));
+    </script>
+</body>
+</html>`);
+});
+
+// POST /scrape/bulk - Validate (dryRun) or import a CSV/JSON list in background
+router.post('/bulk', requireAdmin, upload.any(), async (req, res) => {
+    const { data, format, dryRun, rdKey, tbKey } = req.body || {};
+    const uploaded = req.files && req.files[0];
+
+    let rows;
+    try {
+        rows = bulkImport.validateRows(bulkImport.parseBulkInput(uploaded ? uploaded.buffer.toString('utf8') : data, format || null));
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+
+    // Already in the DB: reported in the preview, never re-imported
+    const existing = await dbHelper.getExistingTorrentHashes(rows.filter(r => r.status === 'valid').map(r => r.infoHash));
+    for (const row of rows) {
+        if (row.status === 'valid' && existing.has(row.infoHash)) {
+            row.status = 'duplicate';
+            row.errors.push('Già presente nel database');
+        }
+    }
+
+    const summary = {};
+    for (const row of rows) summary[row.status] = (summary[row.status] || 0) + 1;
+
+    if (dryRun === true || dryRun === 'true') {
+        return res.json({ dryRun: true, summary, rows });
+    }
+
+    const job = bulkImport.createJob(rows);
+    console.log(`📋 [BULK] Job ${job.id}: ${rows.length} rows (${summary.valid || 0} to import)`);
+    bulkImport.runJob(job, row => importWithResolvedId({
+        magnetLink: row.magnetLink,
+        imdbId: row.imdbId,
+        tmdbId: row.tmdbId,
+        type: row.type,
+        season: row.season,
+        rdKey,
+        tbKey,
+        useDefaultKeys: false
+    })).catch(err => console.error(`❌ [BULK] Job ${job.id} failed:`, err.message));
+
+    return res.status(202).json({ jobId: job.id, status: job.status, summary: bulkImport.summarizeJob(job), rows: job.rows });
+});
+
+// GET /scrape/bulk/:jobId - Per-row status of a bulk import
+router.get('/bulk/:jobId', requireAdmin, (req, res) => {
+    const job = bulkImport.getJob(req.params.jobId);
+    if (!job) return res.status(404).json({ error: 'Job non trovato (i job restano in memoria fino al riavvio)' });
+    res.json({ jobId: job.id, status: job.status, createdAt: job.createdAt, finishedAt: job.finishedAt, summary: bulkImport.summarizeJob(job), rows: job.rows });
+});
+
 // POST /manual/scrape - Get seeders
 router.post('/scrape', async (req, res) => {
     const { magnetLink, torrentFileBase64 } = req.body;
@@ -1643,4 +1967,7 @@ router.post('/scrape', async (req, res) => {
     }
 });
 
+// 📂 Optional watched folder of .torrent files (IMPORT_WATCH_DIR)
+bulkImport.startWatcher(importWatchedTorrent);
+
 module.exports = router;
@@ -0,0 +1,206 @@
+/**
+ * Media Probe Module - Audio/subtitle track languages read from the container
+ *
+ * Release names often leave out "ITA" on multi-audio files, so when a file is
+ * resolved through a debrid service its direct link is probed with ffprobe
+ * (same binary used by the HLS proxy) and the track languages are stored per file.
+ *
+ *   MEDIA_PROBE_ENABLED=false   disable probing (default: on when ffprobe is installed)
+ */
+
+const { spawn } = require('child_process');
+const hlsProxy = require('./hls-proxy.cjs');
+
+const DEBUG_MODE = process.env.DEBUG_MODE === 'true';
+
+const PROBE_TIMEOUT_MS = 20000;
+const MAX_CONCURRENT_PROBES = 2;
+const MAX_QUEUED_PROBES = 20;
+
+// Track tags come as ISO 639-1/639-2 codes or plain names, depending on the muxer
+const LANGUAGE_ALIASES = {
+    ita: ['it', 'ita', 'italian', 'italiano'],
+    eng: ['en', 'eng', 'english', 'inglese'],
+    fra: ['fr', 'fre', 'fra', 'french', 'francese', 'français'],
+    deu: ['de', 'ger', 'deu', 'german', 'tedesco', 'deutsch'],
+    spa: ['es', 'spa', 'spanish', 'spagnolo', 'español'],
+    por: ['pt', 'por', 'portuguese', 'portoghese'],
+    jpn: ['ja', 'jpn', 'japanese', 'giapponese'],
+    kor: ['ko', 'kor', 'korean', 'coreano'],
+    rus: ['ru', 'rus', 'russian', 'russo'],
+    chi: ['zh', 'chi', 'zho', 'chinese', 'cinese']
+};
+
+// Names used by the formatter's {stream.languages}
+const LANGUAGE_NAMES = {
+    ita: 'Italian', eng: 'English', fra: 'French', deu: 'German', spa: 'Spanish',
+    por: 'Portuguese', jpn: 'Japanese', kor: 'Korean', rus: 'Russian', chi: 'Chinese'
+};
+
+const LANGUAGE_LOOKUP = new Map();
+for (const [code, aliases] of Object.entries(LANGUAGE_ALIASES)) {
+    for (const alias of aliases) LANGUAGE_LOOKUP.set(alias, code);
+}
+
+/**
+ * Normalize a track language tag to a 3-letter code
+ * @param {string} tag - e.g. "it", "ita", "Italian"
+ * @returns {string|null} Code (e.g. "ita") or null when undetermined
+ */
+function normalizeLanguage(tag) {
+    const value = String(tag || '').trim().toLowerCase();
+    if (!value || value === 'und' || value === 'unknown') return null;
+    if (LANGUAGE_LOOKUP.has(value)) return LANGUAGE_LOOKUP.get(value);
+    return /^[a-z]{3}$/.test(value) ? value : null;
+}
+
+/**
+ * Formatter name of a language code
+ * @param {string} code - e.g. "ita"
+ * @returns {string} e.g. "Italian" (the upper-cased code when unknown)
+ */
+function languageName(code) {
+    return LANGUAGE_NAMES[code] || String(code || '').toUpperCase();
+}
+
+/**
+ * Guess a track language from its title when the language tag is missing
+ * e.g. "Italiano DD5.1", "ITA - Forced"
+ * @param {string} title
+ * @returns {string|null}
+ */
+function languageFromTitle(title) {
+    const words = String(title || '').toLowerCase().split(/[^a-zà-ÿ]+/);
+    for (const word of words) {
+        if (word.length >= 3 && LANGUAGE_LOOKUP.has(word)) return LANGUAGE_LOOKUP.get(word);
+    }
+    return null;
+}
+
+/**
+ * Parse ffprobe JSON output (-show_entries stream=...)
+ * @param {Object|string} output - ffprobe output
+ * @returns {{audioLanguages: string[], subtitleLanguages: string[], tracks: Array}}
+ */
+function parseProbeOutput(output) {
+    const data = typeof output === 'string' ? JSON.parse(output) : output;
+    const tracks = [];
+
+    for (const stream of data?.streams || []) {
+        if (stream.codec_type !== 'audio' && stream.codec_type !== 'subtitle') continue;
+        tracks.push({
+            type: stream.codec_type,
+            codec: stream.codec_name || null,
+            language: normalizeLanguage(stream.tags?.language) || languageFromTitle(stream.tags?.title),
+            title: stream.tags?.title || null,
+            channels: stream.channels || null,
+            forced: stream.disposition?.forced === 1
+        });
+    }
+
+    const languagesOf = type => [...new Set(tracks.filter(t => t.type === type && t.language).map(t => t.language))];
+
+    return {
+        audioLanguages: languagesOf('audio'),
+        subtitleLanguages: languagesOf('subtitle'),
+        tracks
+    };
+}
+
+/**
+ * Run ffprobe on a direct link, reading only the container headers
+ * @param {string} url - Direct (unrestricted) file URL
+ * @returns {Promise<Object|null>} parseProbeOutput() result, or null on failure
+ */
+function probeTracks(url) {
+    if (!hlsProxy.isFfprobeAvailable() || !hlsProxy.isSafeUrl(url)) return Promise.resolve(null);
+
+    return new Promise((resolve) => {
+        const args = [
+            '-v', 'error',
+            '-probesize', '5000000',
+            '-analyzeduration', '0',
+            '-show_entries', 'stream=index,codec_type,codec_name,channels:stream_tags=language,title:stream_disposition=forced',
+            '-of', 'json',
+            url
+        ];
+
+        let proc;
+        try {
+            proc = spawn('ffprobe', args);
+        } catch (e) {
+            console.warn(`🎧 [Probe] Failed to spawn ffprobe: ${e.message}`);
+            return resolve(null);
+        }
+
+        const timeout = setTimeout(() => {
+            console.warn(`🎧 [Probe] ffprobe timeout`);
+            proc.kill('SIGKILL');
+            resolve(null);
+        }, PROBE_TIMEOUT_MS);
+
+        let stdout = '';
+        proc.stdout.on('data', (data) => stdout += data);
+        proc.on('error', (err) => {
+            clearTimeout(timeout);
+            console.warn(`🎧 [Probe] ffprobe error: ${err.message}`);
+            resolve(null);
+        });
+        proc.on('close', (code) => {
+            clearTimeout(timeout);
+            if (code !== 0) return resolve(null);
+            try {
+                resolve(parseProbeOutput(stdout));
+            } catch (e) {
+                console.warn(`🎧 [Probe] Invalid ffprobe output: ${e.message}`);
+                resolve(null);
+            }
+        });
+    });
+}
+
+// Background queue: playback must never wait for a probe
+const pendingKeys = new Set();
+const queue = [];
+let running = 0;
+
+function runNext() {
+    while (running < MAX_CONCURRENT_PROBES && queue.length > 0) {
+        const job = queue.shift();
+        running++;
+        probeTracks(job.url)
+            .then(result => result ? job.onResult(result) : null)
+            .catch(error => console.warn(`🎧 [Probe] ${error.message}`))
+            .finally(() => {
+                running--;
+                pendingKeys.delete(job.key);
+                runNext();
+            });
+    }
+}
+
+/**
+ * Queue a background probe (deduplicated by key, dropped when the queue is full)
+ * @param {string} key - Unique file key (hash:season:episode:file)
+ * @param {string} url - Direct file URL
+ * @param {Function} onResult - Called with parseProbeOutput() result
+ * @returns {boolean} True if queued
+ */
+function queueProbe(key, url, onResult) {
+    if (process.env.MEDIA_PROBE_ENABLED === 'false' || !hlsProxy.isFfprobeAvailable()) return false;
+    if (pendingKeys.has(key) || queue.length >= MAX_QUEUED_PROBES) return false;
+
+    pendingKeys.add(key);
+    queue.push({ key, url, onResult });
+    if (DEBUG_MODE) console.log(`🎧 [Probe] Queued ${key} (${queue.length} waiting)`);
+    runNext();
+    return true;
+}
+
+module.exports = {
+    normalizeLanguage,
+    languageName,
+    parseProbeOutput,
+    probeTracks,
+    queueProbe
+};
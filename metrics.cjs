@@ -0,0 +1,132 @@
+/**
+ * Metrics Module - Prometheus text exposition for /metrics
+ *
+ * Dependency-free: keeps a few counters/histograms in memory and renders them
+ * in the Prometheus text format (version 0.0.4). Values are per process and
+ * reset on restart, which Prometheus handles natively for counters.
+ */
+
+// Stream request latency buckets (seconds): global cache hits are ~50ms, live scrapes up to ~30s
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30];
+
+// tier -> { buckets: number[], sum: number, count: number }
+const streamLatency = new Map();
+
+// service -> { checked: number, hits: number }
+const cacheChecks = new Map();
+
+/**
+ * Record the latency of a /stream/ request
+ * @param {string} tier - 'global_cache', 'db' or 'live'
+ * @param {number} seconds - Request duration in seconds
+ */
+function observeStreamRequest(tier, seconds) {
+    if (!streamLatency.has(tier)) {
+        streamLatency.set(tier, { buckets: LATENCY_BUCKETS.map(() => 0), sum: 0, count: 0 });
+    }
+    const histogram = streamLatency.get(tier);
+    LATENCY_BUCKETS.forEach((le, i) => {
+        if (seconds <= le) histogram.buckets[i]++;
+    });
+    histogram.sum += seconds;
+    histogram.count++;
+}
+
+/**
+ * Record the outcome of a debrid cache check
+ * @param {string} service - 'rd' or 'tb'
+ * @param {number} checked - Number of hashes checked
+ * @param {number} hits - Number of hashes found cached
+ */
+function recordCacheCheck(service, checked, hits) {
+    if (!cacheChecks.has(service)) {
+        cacheChecks.set(service, { checked: 0, hits: 0 });
+    }
+    const entry = cacheChecks.get(service);
+    entry.checked += checked;
+    entry.hits += hits;
+}
+
+/**
+ * Escape a label value for the text format
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Render all metrics in Prometheus text format
+ *
+ * @param {Object} snapshot - Live values owned by other modules
+ * @param {Map<string, Object>} snapshot.providerStats - name -> {calls, errors, timeouts, totalMs}
+ * @param {{active: number, queued: number, max: number}} snapshot.bgQueue - Background job queue
+ * @param {{total: number, idle: number, waiting: number, max: number}|null} snapshot.dbPool - pg pool usage
+ * @returns {string}
+ */
+function renderMetrics({ providerStats, bgQueue, dbPool }) {
+    const lines = [];
+    const metric = (name, type, help) => {
+        lines.push(`# HELP ${name} ${help}`);
+        lines.push(`# TYPE ${name} ${type}`);
+    };
+
+    // Stream latency per tier
+    metric('icv_stream_request_duration_seconds', 'histogram', 'Stream request latency by serving tier');
+    streamLatency.forEach((histogram, tier) => {
+        const t = escapeLabel(tier);
+        LATENCY_BUCKETS.forEach((le, i) => {
+            lines.push(`icv_stream_request_duration_seconds_bucket{tier="${t}",le="${le}"} ${histogram.buckets[i]}`);
+        });
+        lines.push(`icv_stream_request_duration_seconds_bucket{tier="${t}",le="+Inf"} ${histogram.count}`);
+        lines.push(`icv_stream_request_duration_seconds_sum{tier="${t}"} ${histogram.sum}`);
+        lines.push(`icv_stream_request_duration_seconds_count{tier="${t}"} ${histogram.count}`);
+    });
+
+    // Providers
+    metric('icv_provider_calls_total', 'counter', 'Provider search calls');
+    providerStats.forEach((stats, name) => lines.push(`icv_provider_calls_total{provider="${escapeLabel(name)}"} ${stats.calls}`));
+    metric('icv_provider_errors_total', 'counter', 'Provider search calls that threw');
+    providerStats.forEach((stats, name) => lines.push(`icv_provider_errors_total{provider="${escapeLabel(name)}"} ${stats.errors}`));
+    metric('icv_provider_timeouts_total', 'counter', 'Provider search calls that timed out');
+    providerStats.forEach((stats, name) => lines.push(`icv_provider_timeouts_total{provider="${escapeLabel(name)}"} ${stats.timeouts}`));
+    metric('icv_provider_duration_seconds_total', 'counter', 'Total time spent in provider calls');
+    providerStats.forEach((stats, name) => lines.push(`icv_provider_duration_seconds_total{provider="${escapeLabel(name)}"} ${stats.totalMs / 1000}`));
+
+    // Debrid cache checks
+    metric('icv_debrid_cache_checked_total', 'counter', 'Hashes checked against the debrid cache');
+    cacheChecks.forEach((entry, service) => lines.push(`icv_debrid_cache_checked_total{service="${escapeLabel(service)}"} ${entry.checked}`));
+    metric('icv_debrid_cache_hits_total', 'counter', 'Hashes found cached on the debrid service');
+    cacheChecks.forEach((entry, service) => lines.push(`icv_debrid_cache_hits_total{service="${escapeLabel(service)}"} ${entry.hits}`));
+    metric('icv_debrid_cache_hit_ratio', 'gauge', 'Cached hashes / checked hashes since start');
+    cacheChecks.forEach((entry, service) => lines.push(`icv_debrid_cache_hit_ratio{service="${escapeLabel(service)}"} ${entry.checked > 0 ? entry.hits / entry.checked : 0}`));
+
+    // Background queue
+    metric('icv_bg_jobs_active', 'gauge', 'Background jobs currently running');
+    lines.push(`icv_bg_jobs_active ${bgQueue.active}`);
+    metric('icv_bg_jobs_queued', 'gauge', 'Background jobs waiting in queue');
+    lines.push(`icv_bg_jobs_queued ${bgQueue.queued}`);
+    metric('icv_bg_jobs_max_concurrent', 'gauge', 'Background job concurrency limit');
+    lines.push(`icv_bg_jobs_max_concurrent ${bgQueue.max}`);
+
+    // DB pool
+    if (dbPool) {
+        metric('icv_db_pool_connections', 'gauge', 'PostgreSQL pool connections by state');
+        lines.push(`icv_db_pool_connections{state="total"} ${dbPool.total}`);
+        lines.push(`icv_db_pool_connections{state="idle"} ${dbPool.idle}`);
+        lines.push(`icv_db_pool_connections{state="active"} ${dbPool.total - dbPool.idle}`);
+        metric('icv_db_pool_waiting', 'gauge', 'Queries waiting for a free pool connection');
+        lines.push(`icv_db_pool_waiting ${dbPool.waiting}`);
+        metric('icv_db_pool_max', 'gauge', 'PostgreSQL pool size limit');
+        lines.push(`icv_db_pool_max ${dbPool.max}`);
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+module.exports = {
+    observeStreamRequest,
+    recordCacheCheck,
+    renderMetrics
+};
@@ -0,0 +1,247 @@
+/**
+ * Newznab Module - Usenet indexer search (NZB)
+ *
+ * Indexers are configured server-side, like Jackett:
+ *   NEWZNAB_URL + NEWZNAB_API_KEY (+ NEWZNAB_NAME)       single indexer
+ *   NEWZNAB_INDEXERS="name|url|apikey;name2|url2|apikey2"  multiple indexers
+ *
+ * NZB links are stored and put in stream URLs WITHOUT the API key. TorBox gets
+ * a signed /nzb/{signature}/{nzbUrl} link to the addon, which downloads the NZB
+ * with the key (withApiKey) and returns it: the key never leaves the server.
+ * An NZB URL belongs to the indexer with the same origin whose URL path is the
+ * longest prefix of its path, so indexers sharing a host never swap keys.
+ */
+
+const cheerio = require('cheerio');
+const crypto = require('crypto');
+
+const DEBUG_MODE = process.env.DEBUG_MODE === 'true';
+
+// Query params carrying the indexer credentials in API and NZB download URLs
+const SECRET_PARAMS = ['apikey', 'api_key', 'r'];
+
+const DEFAULT_TIMEOUT = 10000;
+
+/**
+ * Indexers configured through environment variables
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {Array<{name: string, url: string, apiKey: string}>}
+ */
+function getNewznabIndexers(env = process.env) {
+    const indexers = [];
+
+    if (env.NEWZNAB_URL && env.NEWZNAB_API_KEY) {
+        indexers.push({ name: env.NEWZNAB_NAME || new URL(env.NEWZNAB_URL).hostname, url: env.NEWZNAB_URL, apiKey: env.NEWZNAB_API_KEY });
+    }
+
+    for (const entry of (env.NEWZNAB_INDEXERS || '').split(/[;\n]/)) {
+        const [name, url, apiKey] = entry.split('|').map(part => part?.trim());
+        if (name && url && apiKey) indexers.push({ name, url, apiKey });
+    }
+
+    return indexers.map(indexer => ({ ...indexer, url: indexer.url.replace(/\/$/, '') }));
+}
+
+/**
+ * Remove the credentials from an NZB URL
+ * @param {string} nzbUrl
+ * @returns {string}
+ */
+function stripApiKey(nzbUrl) {
+    try {
+        const parsed = new URL(nzbUrl);
+        for (const param of SECRET_PARAMS) parsed.searchParams.delete(param);
+        return parsed.toString();
+    } catch {
+        return nzbUrl;
+    }
+}
+
+/**
+ * Put back the API key of the indexer that owns an NZB URL
+ * @param {string} nzbUrl - URL returned by stripApiKey()
+ * @param {Array<Object>} indexers - getNewznabIndexers()
+ * @returns {string|null} Downloadable URL, or null if no configured indexer owns the URL
+ */
+function withApiKey(nzbUrl, indexers = getNewznabIndexers()) {
+    const indexer = findIndexer(nzbUrl, indexers);
+    if (!indexer) return null;
+    const parsed = new URL(nzbUrl);
+    parsed.searchParams.set('apikey', indexer.apiKey);
+    return parsed.toString();
+}
+
+/**
+ * Indexer owning an NZB URL: same origin, longest matching path prefix
+ * @param {string} nzbUrl
+ * @param {Array<Object>} indexers - getNewznabIndexers()
+ * @returns {Object|null}
+ */
+function findIndexer(nzbUrl, indexers) {
+    try {
+        const target = new URL(nzbUrl);
+        let owner = null;
+        let ownerPathLength = -1;
+        for (const indexer of indexers) {
+            const base = new URL(indexer.url);
+            const basePath = base.pathname.replace(/\/$/, '');
+            const underBase = target.pathname === basePath || target.pathname.startsWith(`${basePath}/`);
+            if (base.origin === target.origin && underBase && basePath.length > ownerPathLength) {
+                owner = indexer;
+                ownerPathLength = basePath.length;
+            }
+        }
+        return owner;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Signature of a credential-free NZB URL (HMAC keyed by the indexer API key)
+ * Only URLs handed out by the addon can be fetched through the /nzb/ proxy.
+ * @param {string} nzbUrl - URL returned by stripApiKey()
+ * @param {Array<Object>} indexers - getNewznabIndexers()
+ * @returns {string|null} 32 hex chars, or null if no configured indexer owns the URL
+ */
+function signNzbUrl(nzbUrl, indexers = getNewznabIndexers()) {
+    const indexer = findIndexer(nzbUrl, indexers);
+    if (!indexer) return null;
+    return crypto.createHmac('sha256', indexer.apiKey).update(nzbUrl).digest('hex').substring(0, 32);
+}
+
+/**
+ * Check the signature of a /nzb/ proxy request
+ * @param {string} signature
+ * @param {string} nzbUrl
+ * @param {Array<Object>} indexers - getNewznabIndexers()
+ * @returns {boolean}
+ */
+function verifyNzbSignature(signature, nzbUrl, indexers = getNewznabIndexers()) {
+    const expected = signNzbUrl(nzbUrl, indexers);
+    if (!expected || typeof signature !== 'string' || signature.length !== expected.length) return false;
+    return crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+}
+
+/**
+ * Public NZB link for TorBox, served by the addon's /nzb/ proxy
+ * @param {string} nzbUrl - URL returned by stripApiKey()
+ * @param {string} origin - Public origin of the addon
+ * @param {Array<Object>} indexers - getNewznabIndexers()
+ * @returns {string|null} null if no configured indexer owns the URL
+ */
+function getProxyNzbUrl(nzbUrl, origin, indexers = getNewznabIndexers()) {
+    const signature = signNzbUrl(nzbUrl, indexers);
+    if (!signature) return null;
+    return `${origin}/nzb/${signature}/${encodeURIComponent(nzbUrl)}`;
+}
+
+/**
+ * Stable ID of a release (MD5 of the credential-free NZB URL)
+ * @param {string} nzbUrl
+ * @returns {string}
+ */
+function getReleaseId(nzbUrl) {
+    return crypto.createHash('md5').update(stripApiKey(nzbUrl)).digest('hex');
+}
+
+class NewznabIndexer {
+    /**
+     * @param {{name: string, url: string, apiKey: string}} indexer
+     */
+    constructor({ name, url, apiKey }) {
+        this.name = name;
+        this.baseUrl = url.replace(/\/$/, '');
+        this.apiKey = apiKey;
+    }
+
+    /**
+     * Search by IMDb ID (t=movie / t=tvsearch), or free text with t=search
+     * @param {Object} params
+     * @param {string} params.type - 'movie' or 'series'
+     * @param {string} [params.imdbId] - "tt0111161"
+     * @param {number} [params.season]
+     * @param {number} [params.episode]
+     * @param {string} [params.query]
+     * @param {number} [params.timeout]
+     * @returns {Promise<Array<Object>>} Releases (rejects on HTTP/indexer errors)
+     */
+    async search({ type, imdbId = null, season = null, episode = null, query = null, timeout = DEFAULT_TIMEOUT }) {
+        const params = new URLSearchParams({ apikey: this.apiKey, limit: '100', extended: '1' });
+
+        if (imdbId) {
+            params.set('t', type === 'series' ? 'tvsearch' : 'movie');
+            params.set('imdbid', imdbId.replace(/^tt/, ''));
+            if (type === 'series' && season) params.set('season', String(season));
+            if (type === 'series' && episode) params.set('ep', String(episode));
+        } else {
+            params.set('t', 'search');
+            params.set('q', query || '');
+        }
+        params.set('cat', type === 'series' ? '5000' : '2000');
+
+        if (DEBUG_MODE) console.log(`📰 [Newznab] ${this.name}: t=${params.get('t')} ${imdbId || query}${season ? ` S${season}` : ''}${episode ? `E${episode}` : ''}`);
+
+        const response = await fetch(`${this.baseUrl}/api?${params}`, {
+            headers: { 'User-Agent': 'ilcorsaroviola/2.0', 'Accept': 'application/xml, text/xml' },
+            signal: AbortSignal.timeout(timeout)
+        });
+
+        if (!response.ok) {
+            throw new Error(`Newznab ${this.name} HTTP ${response.status}`);
+        }
+
+        return this.parseXmlResults(await response.text());
+    }
+
+    /**
+     * Parse a Newznab RSS response
+     * @param {string} xmlText
+     * @returns {Array<Object>}
+     */
+    parseXmlResults(xmlText) {
+        const $ = cheerio.load(xmlText, { xmlMode: true });
+
+        const error = $('error').first();
+        if (error.length > 0) {
+            throw new Error(`Newznab ${this.name} error ${error.attr('code')}: ${error.attr('description')}`);
+        }
+
+        const releases = [];
+        $('item').each((i, elem) => {
+            const $item = $(elem);
+            const attrs = {};
+            $item.find('newznab\\:attr, attr').each((j, attr) => {
+                attrs[$(attr).attr('name')] = $(attr).attr('value');
+            });
+
+            const nzbUrl = $item.find('enclosure').attr('url') || $item.find('link').text();
+            const title = $item.find('title').text().trim();
+            if (!nzbUrl || !title) return;
+
+            releases.push({
+                id: getReleaseId(nzbUrl),
+                title,
+                nzbUrl: stripApiKey(nzbUrl),
+                sizeInBytes: parseInt(attrs.size || $item.find('enclosure').attr('length')) || 0,
+                pubDate: $item.find('pubDate').text() || null,
+                grabs: parseInt(attrs.grabs) || 0,
+                imdbId: attrs.imdb ? `tt${String(attrs.imdb).padStart(7, '0')}` : null,
+                indexer: this.name
+            });
+        });
+
+        return releases;
+    }
+}
+
+module.exports = {
+    NewznabIndexer,
+    getNewznabIndexers,
+    stripApiKey,
+    withApiKey,
+    signNzbUrl,
+    verifyNzbSignature,
+    getProxyNzbUrl,
+    getReleaseId
+};
@@ -0,0 +1,83 @@
+/**
+ * Next-Episode Prefetch Module - Which episode comes next and the background queue
+ *
+ * While the user watches SxxEyy (config.prefetch_next), the following episode is
+ * searched in background (runNextEpisodePrefetch in api/index.js). This module
+ * picks that episode, moving to E01 of the next season after the last episode
+ * (TMDB episode counts), and keeps the queue: one job at a time, each
+ * episode/bingeGroup/account at most once every PREFETCH_TTL_MS.
+ */
+
+const PREFETCH_TTL_MS = 6 * 60 * 60 * 1000;
+const MAX_QUEUED_PREFETCH = 20;
+
+const recentPrefetches = new Map(); // key -> timestamp
+const queue = [];
+let running = false;
+
+/**
+ * Stremio ID of the following episode
+ * @param {string} id - e.g. "tt0944947:2:4" or "kitsu:1376:12"
+ * @param {Array<{season_number: number, episode_count: number}>} seasons - TMDB seasons (empty = unknown)
+ * @returns {string|null} e.g. "tt0944947:2:5", "tt0944947:3:1" after the last episode, null after the finale
+ */
+function getNextEpisodeId(id, seasons = []) {
+    const parts = decodeURIComponent(id).split(':');
+    const episode = parseInt(parts[parts.length - 1], 10);
+    if (parts.length < 3 || !Number.isFinite(episode) || episode < 1) return null;
+
+    // Kitsu IDs carry an absolute episode number: there is no season to cross
+    const season = parts[0] === 'kitsu' ? null : parseInt(parts[parts.length - 2], 10);
+    const current = season === null ? null : seasons.find(s => s.season_number === season);
+    if (current?.episode_count > 0 && episode >= current.episode_count) {
+        const hasNextSeason = seasons.some(s => s.season_number === season + 1 && s.episode_count > 0);
+        if (!hasNextSeason) return null;
+        parts[parts.length - 2] = String(season + 1);
+        parts[parts.length - 1] = '1';
+        return parts.join(':');
+    }
+
+    parts[parts.length - 1] = String(episode + 1);
+    return parts.join(':');
+}
+
+function runNext() {
+    if (running || queue.length === 0) return;
+    running = true;
+    const { job, run } = queue.shift();
+    Promise.resolve()
+        .then(() => run(job))
+        .catch(error => console.warn(`⚠️ [Prefetch] ${job.id}: ${error.message}`))
+        .finally(() => {
+            running = false;
+            runNext();
+        });
+}
+
+/**
+ * Queue a prefetch (deduplicated by key for PREFETCH_TTL_MS, dropped when the queue is full)
+ * @param {string} key - Episode, bingeGroup and account
+ * @param {Object} job - Passed to run()
+ * @param {Function} run - async (job) => void
+ * @param {number} now - Current time (ms)
+ * @returns {boolean} True if queued
+ */
+function queuePrefetch(key, job, run, now = Date.now()) {
+    for (const [queuedKey, time] of recentPrefetches) {
+        if (now - time > PREFETCH_TTL_MS) recentPrefetches.delete(queuedKey);
+    }
+
+    if (recentPrefetches.has(key) || queue.length >= MAX_QUEUED_PREFETCH) return false;
+    recentPrefetches.set(key, now);
+
+    queue.push({ job, run });
+    runNext();
+    return true;
+}
+
+module.exports = {
+    PREFETCH_TTL_MS,
+    MAX_QUEUED_PREFETCH,
+    getNextEpisodeId,
+    queuePrefetch
+};
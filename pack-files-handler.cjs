@@ -550,6 +550,68 @@ async function processSeriesPackFiles(files, infoHash, seriesImdbId, targetSeaso
     return processedFiles;
 }
 
+/**
+ * Indice del link RD di ogni file video selezionato di un torrent scaricato
+ * RD restituisce un link per file selezionato, in ordine di id: se il numero di link
+ * è diverso (es. archivi divisi in parti) le posizioni non sono affidabili.
+ * @param {Object} torrent - Info torrent RD ({files, links})
+ * @returns {Array<{file: Object, linkIndex: number}>|null} null se link e file selezionati non corrispondono
+ */
+function mapRdLinksToFiles(torrent) {
+    const selected = (torrent.files || []).filter(f => f.selected === 1).sort((a, b) => a.id - b.id);
+    const links = torrent.links || [];
+    if (selected.length === 0 || links.length !== selected.length) return null;
+
+    return selected
+        .map((file, linkIndex) => ({ file, linkIndex }))
+        .filter(entry => isVideoFile(entry.file.path));
+}
+
+/**
+ * Salva l'indice del link RD di ogni episodio di un season pack scaricato
+ * Le righe episodio (tabella files) sono quelle lette dallo STEP 0 di /rd-stream/.
+ * @param {Object} torrent - Info torrent RD (status 'downloaded')
+ * @param {string} infoHash - Hash del pack
+ * @param {number} season - Stagione del pack
+ * @param {Object} dbHelper - Modulo db-helper
+ * @returns {Promise<number>} Episodi mappati
+ */
+async function prepopulateSeasonPackLinks(torrent, infoHash, season, dbHelper) {
+    const entries = mapRdLinksToFiles(torrent);
+    if (!entries) {
+        const selectedCount = (torrent.files || []).filter(f => f.selected === 1).length;
+        console.log(`📥 [Season] ${infoHash.substring(0, 8)}: ${(torrent.links || []).length} links for ${selectedCount} files, mapping left to /rd-stream/`);
+        return 0;
+    }
+
+    const hash = infoHash.toLowerCase();
+    const fileName = (file) => file.path.split('/').pop();
+    const videoFiles = entries.map(entry => entry.file);
+
+    await dbHelper.insertPackFiles(videoFiles.map(f => ({
+        pack_hash: hash,
+        imdb_id: null,
+        file_index: f.id,
+        file_path: fileName(f),
+        file_size: f.bytes || 0
+    })));
+
+    const imdbId = await dbHelper.getImdbIdByHash(hash);
+    const episodes = imdbId
+        ? await processSeriesPackFiles(videoFiles, hash, imdbId, season, dbHelper, torrent.filename, torrent.bytes)
+        : [];
+    const episodeIds = new Set(episodes.map(e => e.file_index));
+
+    let mapped = 0;
+    for (const { file, linkIndex } of entries) {
+        await dbHelper.updateRdLinkIndexForPack(hash, file.id, linkIndex, fileName(file));
+        if (episodeIds.has(file.id) && await dbHelper.updateRdLinkIndex(hash, file.id, linkIndex)) mapped++;
+    }
+
+    console.log(`📥 [Season] ${hash.substring(0, 8)} S${season}: ${mapped} episodes mapped (${videoFiles.length} files)`);
+    return mapped;
+}
+
 /**
  * Trova l'episodio richiesto nella lista file
  * @param {Array} files - Lista file processati
@@ -1129,5 +1191,7 @@ module.exports = {
     fetchFilesFromTorbox,
     fetchTorrentFromPublicCaches,
     fetchFilesFromAnySource,
-    findMovieFile
+    findMovieFile,
+    mapRdLinksToFiles,
+    prepopulateSeasonPackLinks
 };
@@ -0,0 +1,128 @@
+/**
+ * Playback Links Module - Cache of resolved Real-Debrid/TorBox direct links
+ *
+ * /rd-stream/ and /torbox-stream/ store the direct link per debrid account
+ * (hashed API key), info hash and selected file, so reopening, seeking or
+ * reconnecting redirects without calling addMagnet/selectFiles/unrestrict again.
+ *
+ * A link is kept for PLAYBACK_LINK_TTL_MINUTES (default 60, 0 = off) or until
+ * the expiry signed in the URL (?expires=/?exp=), whichever comes first: the
+ * RD/TorBox unrestrict responses carry no expiry. Before a cached link is reused
+ * it is checked with a HEAD request: a link the host refuses is dropped and resolved again.
+ */
+
+const DEFAULT_TTL_MINUTES = 60;
+const EXPIRY_MARGIN_MS = 2 * 60 * 1000; // don't hand out a link about to expire
+const CHECK_TIMEOUT_MS = 3000;
+
+// Query params carrying a unix expiry in signed CDN links
+const EXPIRY_PARAMS = ['expires', 'exp', 'e'];
+
+/**
+ * Configured link lifetime
+ * @param {Object} env - Environment (process.env)
+ * @returns {number} Minutes (0 = cache off)
+ */
+function getTtlMinutes(env = process.env) {
+    const minutes = parseInt(env.PLAYBACK_LINK_TTL_MINUTES ?? String(DEFAULT_TTL_MINUTES), 10);
+    return Number.isFinite(minutes) && minutes > 0 ? minutes : 0;
+}
+
+/**
+ * Expiry signed in a link's URL params
+ * @param {string} directUrl
+ * @returns {number|null} Expiry in ms, null when unknown
+ */
+function getLinkExpiry(directUrl) {
+    try {
+        const params = new URL(directUrl).searchParams;
+        for (const name of EXPIRY_PARAMS) {
+            const value = params.get(name);
+            if (value && /^\d{9,10}$/.test(value)) return Number(value) * 1000;
+        }
+    } catch {
+        // Not a URL: no expiry to read
+    }
+    return null;
+}
+
+/**
+ * How long a link may be cached
+ * @param {string} directUrl
+ * @param {Object} options
+ * @param {number} options.maxMinutes - getTtlMinutes()
+ * @param {number} [options.now] - Current time (ms)
+ * @returns {number} Minutes (0 = don't cache)
+ */
+function getLinkLifetimeMinutes(directUrl, { maxMinutes, now = Date.now() }) {
+    if (!directUrl || !(maxMinutes > 0)) return 0;
+    const expiry = getLinkExpiry(directUrl);
+    if (expiry === null) return maxMinutes;
+    const minutes = Math.floor((expiry - EXPIRY_MARGIN_MS - now) / 60000);
+    return Math.max(0, Math.min(maxMinutes, minutes));
+}
+
+/**
+ * Whether the host still serves a link (HEAD, redirects followed)
+ * @param {string} directUrl
+ * @param {Object} [options]
+ * @param {Function} [options.fetchImpl] - fetch implementation
+ * @param {number} [options.timeout]
+ * @returns {Promise<boolean>}
+ */
+async function isLinkAlive(directUrl, { fetchImpl = fetch, timeout = CHECK_TIMEOUT_MS } = {}) {
+    try {
+        const response = await fetchImpl(directUrl, { method: 'HEAD', redirect: 'follow', signal: AbortSignal.timeout(timeout) });
+        return response.ok;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Still valid cached link for a playback request (dead links are dropped)
+ * @param {Object} db - db-helper.cjs (getPlaybackLink, deletePlaybackLink)
+ * @param {Object} key - {accountHash, service, infoHash, fileKey}
+ * @param {Object} [options]
+ * @param {Function} [options.fetchImpl] - fetch implementation for the liveness check
+ * @returns {Promise<string|null>}
+ */
+async function getCachedLink(db, key, { fetchImpl = fetch } = {}) {
+    const cached = await db.getPlaybackLink(key);
+    if (!cached?.url) return null;
+
+    if (!(await isLinkAlive(cached.url, { fetchImpl }))) {
+        console.log(`▶️ [Playback Cache] Dead link dropped ${key.service} ${key.infoHash.substring(0, 8)} (${key.fileKey})`);
+        await db.deletePlaybackLink(key);
+        return null;
+    }
+
+    console.log(`▶️ [Playback Cache] HIT ${key.service} ${key.infoHash.substring(0, 8)} (${key.fileKey})`);
+    return cached.url;
+}
+
+/**
+ * Store a resolved link for its lifetime
+ * @param {Object} db - db-helper.cjs (savePlaybackLink)
+ * @param {Object} key - {accountHash, service, infoHash, fileKey}
+ * @param {string} directUrl
+ * @param {Object} options
+ * @param {number} options.maxMinutes - getTtlMinutes()
+ * @param {string|null} [options.fileName]
+ * @param {number} [options.now] - Current time (ms)
+ * @returns {Promise<boolean>} True if the link was stored
+ */
+async function cacheLink(db, key, directUrl, { maxMinutes, fileName = null, now = Date.now() }) {
+    const minutes = getLinkLifetimeMinutes(directUrl, { maxMinutes, now });
+    if (minutes <= 0) return false;
+    return db.savePlaybackLink(key, directUrl, minutes, fileName);
+}
+
+module.exports = {
+    getTtlMinutes,
+    getLinkExpiry,
+    getLinkLifetimeMinutes,
+    isLinkAlive,
+    getCachedLink,
+    cacheLink
+};
@@ -0,0 +1,154 @@
+/**
+ * Quality Profile Module - Weighted stream scoring from the user's profile
+ *
+ * The profile lives in the user config (quality_profile) and assigns points to
+ * resolution, HDR type, audio, codec, release group, size band and cache status.
+ * Streams are sorted by the total score, exposed to formatters as {stream.score}.
+ */
+
+const GB = 1024 * 1024 * 1024;
+
+// Weights used for any category the user didn't set
+const DEFAULT_PROFILE = {
+    resolution: { '2160p': 40, '1080p': 30, '720p': 15, '480p': 0, 'unknown': 5 },
+    hdr: { 'DV': 8, 'HDR10+': 8, 'HDR': 6, 'SDR': 0 },
+    audio: { 'Atmos': 6, 'DTS': 4, 'AC3 ITA': 8 },
+    codec: { 'HEVC': 4, 'AV1': 3, 'AVC': 2, 'other': 0 },
+    size: { '<2GB': 0, '2-5GB': 4, '5-15GB': 8, '15-40GB': 6, '>40GB': 0 },
+    groups: {},
+    cached: 50
+};
+
+const MAX_WEIGHT = 100;
+
+// Size bands: upper bound in bytes (exclusive)
+const SIZE_BANDS = [
+    ['<2GB', 2 * GB],
+    ['2-5GB', 5 * GB],
+    ['5-15GB', 15 * GB],
+    ['15-40GB', 40 * GB],
+    ['>40GB', Infinity]
+];
+
+const RESOLUTION_PATTERNS = [
+    ['2160p', /\b(2160p?|4k|uhd)\b/i],
+    ['1080p', /\b(1080[pi]?|fhd|full\s?hd)\b/i],
+    ['720p', /\b720p?\b/i],
+    ['480p', /\b(480p?|576p?|sd|dvdrip|cam|ts|telesync|screener)\b/i]
+];
+
+// Ordered best-first: a release gets the points of its best HDR format only
+const HDR_PATTERNS = [
+    ['DV', /dolby.?vision|\bdovi\b|\bdv\b/i],
+    ['HDR10+', /hdr.?10.?(\+|plus)/i],
+    ['HDR', /\bhdr(10)?\b/i]
+];
+
+const AUDIO_PATTERNS = [
+    ['Atmos', /\batmos\b/i],
+    ['DTS', /\bdts(.?hd|.?ma|.?x)?\b/i],
+    ['AC3 ITA', /\b(ac3|dd5?.?1?)\b.{0,12}\bita\b|\bita\b.{0,12}\b(ac3|dd5?.?1?)\b/i]
+];
+
+const CODEC_PATTERNS = [
+    ['HEVC', /\b(hevc|[xh].?265)\b/i],
+    ['AV1', /\bav1\b/i],
+    ['AVC', /\b(avc|[xh].?264)\b/i]
+];
+
+/**
+ * Clamp a user weight to a safe integer range
+ * @param {*} value
+ * @param {number} fallback
+ * @returns {number}
+ */
+function toWeight(value, fallback) {
+    const number = parseInt(value, 10);
+    if (isNaN(number)) return fallback;
+    return Math.max(-MAX_WEIGHT, Math.min(MAX_WEIGHT, number));
+}
+
+/**
+ * Merge a user profile with the defaults
+ * @param {Object|null} raw - config.quality_profile
+ * @returns {Object|null} Complete profile, or null when profiles are off
+ */
+function normalizeProfile(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+
+    const profile = { groups: {}, cached: toWeight(raw.cached, DEFAULT_PROFILE.cached) };
+    for (const category of ['resolution', 'hdr', 'audio', 'codec', 'size']) {
+        profile[category] = {};
+        for (const [key, fallback] of Object.entries(DEFAULT_PROFILE[category])) {
+            profile[category][key] = toWeight(raw[category]?.[key], fallback);
+        }
+    }
+    for (const [group, weight] of Object.entries(raw.groups || {})) {
+        if (group.trim()) profile.groups[group.trim().toLowerCase()] = toWeight(weight, 0);
+    }
+
+    return profile;
+}
+
+/**
+ * Extract the features the profile scores
+ * @param {string} name - Release or file name
+ * @param {number} sizeInBytes - File size (0 if unknown)
+ * @param {boolean} cached - Instantly available on the debrid service
+ * @returns {Object} {resolution, hdr, audio[], codec, group, sizeBand, cached}
+ */
+function getStreamFeatures(name, sizeInBytes, cached) {
+    const text = String(name || '').replace(/[._]/g, ' ');
+    const findFirst = patterns => (patterns.find(([, regex]) => regex.test(text)) || [null])[0];
+
+    const groupMatch = String(name || '').replace(/\.(mkv|mp4|avi|m4v|ts)$/i, '').match(/-\s?([a-z0-9]{2,15})(\[[^\]]*\])?$/i);
+    const size = Number(sizeInBytes) || 0;
+
+    return {
+        resolution: findFirst(RESOLUTION_PATTERNS) || 'unknown',
+        hdr: findFirst(HDR_PATTERNS) || 'SDR',
+        audio: AUDIO_PATTERNS.filter(([, regex]) => regex.test(text)).map(([key]) => key),
+        codec: findFirst(CODEC_PATTERNS) || 'other',
+        group: groupMatch ? groupMatch[1].toLowerCase() : null,
+        sizeBand: size > 0 ? SIZE_BANDS.find(([, max]) => size < max)[0] : null,
+        cached: !!cached
+    };
+}
+
+/**
+ * Total score of a stream
+ * @param {Object} features - getStreamFeatures()
+ * @param {Object} profile - normalizeProfile()
+ * @returns {number}
+ */
+function scoreStream(features, profile) {
+    let score = profile.resolution[features.resolution] || 0;
+    score += profile.hdr[features.hdr] || 0;
+    score += features.audio.reduce((sum, tag) => sum + (profile.audio[tag] || 0), 0);
+    score += profile.codec[features.codec] || 0;
+    if (features.sizeBand) score += profile.size[features.sizeBand] || 0;
+    if (features.group) score += profile.groups[features.group] || 0;
+    if (features.cached) score += profile.cached;
+    return score;
+}
+
+/**
+ * Sort comparator: score, then cached, then seeders
+ * @param {Object} a - Stream with _meta.score
+ * @param {Object} b
+ * @returns {number}
+ */
+function compareByScore(a, b) {
+    const scoreDiff = (b._meta?.score || 0) - (a._meta?.score || 0);
+    if (scoreDiff !== 0) return scoreDiff;
+    if (!!a._meta?.cached !== !!b._meta?.cached) return a._meta?.cached ? -1 : 1;
+    return (b._meta?.seeders || 0) - (a._meta?.seeders || 0);
+}
+
+module.exports = {
+    DEFAULT_PROFILE,
+    normalizeProfile,
+    getStreamFeatures,
+    scoreStream,
+    compareByScore
+};
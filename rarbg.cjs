@@ -685,6 +685,7 @@ async function testMirrors() {
 
 module.exports = {
     searchRARBG,
+    tryMirror,
     setMirrors,
     getConfig,
     testMirrors,
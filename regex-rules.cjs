@@ -0,0 +1,154 @@
+/**
+ * Regex Rules Module - User include/exclude/preferred rules on release names
+ *
+ * Rules live in the user config (regex_rules):
+ *   { required: [{ name, pattern }], excluded: [...], preferred: [...] }
+ * - excluded:  drop results matching any rule
+ * - required:  keep only results matching at least one rule
+ * - preferred: results matching a rule go first, in rule order
+ * The name of the rule that matched is exposed to formatters as {stream.regexMatched}.
+ *
+ * Patterns come from users and run on the server: they are compiled with RE2, whose
+ * matching is linear in the input, so (a+)+$ or (a|aa)+$ can't stall the event loop.
+ * RE2 has no lookarounds or backreferences; such patterns are skipped as invalid.
+ */
+
+const RE2 = require('re2');
+
+const DEBUG_MODE = process.env.DEBUG_MODE === 'true';
+
+const MAX_RULES_PER_LIST = 20;
+const MAX_PATTERN_LENGTH = 200;
+
+/**
+ * Compile one list of rules, skipping invalid or too long patterns
+ * @param {Array} list - [{name, pattern}] or plain pattern strings
+ * @param {string} kind - List name (for logs)
+ * @returns {Array<{name: string, regex: RE2}>}
+ */
+function compileList(list, kind) {
+    if (!Array.isArray(list)) return [];
+
+    const rules = [];
+    for (const entry of list.slice(0, MAX_RULES_PER_LIST)) {
+        const pattern = String(typeof entry === 'string' ? entry : entry?.pattern || '').trim();
+        const name = String((typeof entry === 'object' && entry?.name) || pattern).trim();
+        if (!pattern) continue;
+
+        if (pattern.length > MAX_PATTERN_LENGTH) {
+            console.warn(`⚠️ [Regex] Skipping too long ${kind} rule "${name.substring(0, 40)}"`);
+            continue;
+        }
+
+        try {
+            rules.push({ name, regex: new RE2(pattern, 'i') });
+        } catch (error) {
+            console.warn(`⚠️ [Regex] Invalid ${kind} rule "${name.substring(0, 40)}": ${error.message}`);
+        }
+    }
+    return rules;
+}
+
+/**
+ * Compile the user's rules
+ * @param {Object|null} raw - config.regex_rules
+ * @returns {Object|null} {required, excluded, preferred} or null when no rule is set
+ */
+function compileRules(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+
+    const rules = {
+        required: compileList(raw.required, 'required'),
+        excluded: compileList(raw.excluded, 'excluded'),
+        preferred: compileList(raw.preferred, 'preferred')
+    };
+
+    const total = rules.required.length + rules.excluded.length + rules.preferred.length;
+    return total > 0 ? rules : null;
+}
+
+/**
+ * Names a result can be matched on: release title and the selected file
+ * @param {Object} result
+ * @returns {string[]}
+ */
+function getMatchTexts(result) {
+    return [result.title, result.websiteTitle, result.filename, result.file_title]
+        .filter(Boolean)
+        .map(text => String(text));
+}
+
+/**
+ * First rule of a list matching any of the texts
+ * @param {string[]} texts
+ * @param {Array<{name: string, regex: RE2}>} list
+ * @returns {{rule: Object, index: number}|null}
+ */
+function findMatch(texts, list) {
+    for (let index = 0; index < list.length; index++) {
+        if (texts.some(text => list[index].regex.test(text))) return { rule: list[index], index };
+    }
+    return null;
+}
+
+/**
+ * Filter and tag search results
+ * Kept results get regexMatched (rule name) and regexRank (preferred rule index, or Infinity)
+ * @param {Array<Object>} results - Search results
+ * @param {Object} rules - compileRules()
+ * @returns {Array<Object>} Kept results, preferred matches first (stable otherwise)
+ */
+function applyRegexRules(results, rules) {
+    if (!rules) return results;
+
+    const kept = [];
+    for (const result of results) {
+        const texts = getMatchTexts(result);
+
+        const excluded = findMatch(texts, rules.excluded);
+        if (excluded) {
+            if (DEBUG_MODE) console.log(`🚫 [Regex] "${(result.title || '').substring(0, 50)}" excluded by "${excluded.rule.name}"`);
+            continue;
+        }
+
+        const required = rules.required.length > 0 ? findMatch(texts, rules.required) : null;
+        if (rules.required.length > 0 && !required) continue;
+
+        // Copies: results may be shared through the search caches
+        const preferred = findMatch(texts, rules.preferred);
+        kept.push({
+            ...result,
+            regexMatched: preferred?.rule.name || required?.rule.name || null,
+            regexRank: preferred ? preferred.index : Infinity
+        });
+    }
+
+    return kept.sort((a, b) => compareRank(a.regexRank, b.regexRank));
+}
+
+/**
+ * Compare preferred-rule ranks (Infinity = no preferred match)
+ * @param {number} a
+ * @param {number} b
+ * @returns {number}
+ */
+function compareRank(a, b) {
+    if (a === b) return 0;
+    return a < b ? -1 : 1;
+}
+
+/**
+ * Stable sort comparator for built streams (_meta.regexRank)
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {number}
+ */
+function compareByRegexRank(a, b) {
+    return compareRank(a._meta?.regexRank ?? Infinity, b._meta?.regexRank ?? Infinity);
+}
+
+module.exports = {
+    compileRules,
+    applyRegexRules,
+    compareByRegexRank
+};
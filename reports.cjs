@@ -0,0 +1,170 @@
+/**
+ * Reports Module - User reports of fake, mislabelled or dead releases
+ *
+ * Users open /report/{type}/{id} (from the "⚠️ Segnala" stream entry), pick a
+ * release of that title and a reason. Reports are stored per info hash and file
+ * (file_index -1 = whole torrent), one per reporter (hashed IP). When a target
+ * reaches the threshold of distinct reporters it is flagged: searchByImdbId and
+ * searchEpisodeFiles stop returning it until an admin dismisses the reports
+ * from the /admin review queue (or confirms them, keeping it hidden for good).
+ *
+ *   REPORTS_ENABLED=false   turn reporting off (default: on with DATABASE_URL)
+ *   REPORT_THRESHOLD        distinct reporters needed to flag a release (default 3)
+ */
+
+const crypto = require('crypto');
+
+const REASONS = {
+    fake: '🚫 Fake / non è il contenuto giusto',
+    not_ita: '🇮🇹 Non è in italiano',
+    wrong_episode: '📺 Episodio sbagliato',
+    dead: '💀 Torrent morto'
+};
+
+const STATUSES = ['pending', 'flagged', 'confirmed', 'dismissed'];
+const WHOLE_TORRENT = -1;
+const DEFAULT_THRESHOLD = 3;
+const MAX_REPORTS_PER_HOUR = 20;
+const HOUR_MS = 60 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 10 * 60 * 1000;
+
+const recentReports = new Map(); // reporterHash -> timestamps
+let lastPrune = 0;
+
+/**
+ * Whether reporting is available
+ * @param {Object} env - Environment (process.env)
+ * @returns {boolean}
+ */
+function isEnabled(env = process.env) {
+    return !!env.DATABASE_URL && env.REPORTS_ENABLED !== 'false';
+}
+
+/**
+ * Distinct reporters needed to flag a release
+ * @param {Object} env - Environment (process.env)
+ * @returns {number}
+ */
+function reportThreshold(env = process.env) {
+    const threshold = parseInt(env.REPORT_THRESHOLD, 10);
+    return Number.isFinite(threshold) && threshold > 0 ? threshold : DEFAULT_THRESHOLD;
+}
+
+/**
+ * Parse an optional non-negative integer
+ * @param {*} value
+ * @returns {number|null} null when missing, NaN when invalid
+ */
+function toOptionalInt(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const number = parseInt(value, 10);
+    return Number.isFinite(number) && number >= 0 ? number : NaN;
+}
+
+/**
+ * Validate and normalize a report
+ * @param {Object} body - {infoHash, fileIndex, imdbId, season, episode, reason}
+ * @returns {{infoHash: string, fileIndex: number, imdbId: string, season: number|null, episode: number|null, reason: string}}
+ * @throws {Error} With a user-facing (Italian) message
+ */
+function validateReport(body) {
+    if (!body || typeof body !== 'object') throw new Error('Richiesta non valida');
+
+    const infoHash = String(body.infoHash || '').trim().toLowerCase();
+    if (!/^[a-f0-9]{40}$/.test(infoHash)) throw new Error('Info hash non valido');
+
+    const reason = String(body.reason || '');
+    if (!REASONS[reason]) throw new Error('Motivo non valido');
+
+    const imdbId = String(body.imdbId || '').trim();
+    if (!/^tt\d+$/.test(imdbId)) throw new Error('IMDb ID non valido');
+
+    const season = toOptionalInt(body.season);
+    const episode = toOptionalInt(body.episode);
+    const fileIndex = toOptionalInt(body.fileIndex);
+    if (Number.isNaN(season) || Number.isNaN(episode) || Number.isNaN(fileIndex)) throw new Error('Stagione, episodio o file non validi');
+    if (episode !== null && season === null) throw new Error('Episodio richiede anche la stagione');
+
+    return {
+        infoHash,
+        // Only a wrong episode is a problem of the single file, the rest is the whole torrent
+        fileIndex: reason === 'wrong_episode' && fileIndex !== null ? fileIndex : WHOLE_TORRENT,
+        imdbId,
+        season,
+        episode,
+        reason
+    };
+}
+
+/**
+ * Opaque reporter identifier (the IP is never stored)
+ * @param {string} ip - Client IP
+ * @param {string} salt - Server secret
+ * @returns {string} 32 hex chars
+ */
+function reporterHash(ip, salt = '') {
+    return crypto.createHash('sha256').update(`${salt}|${ip || 'unknown'}`).digest('hex').substring(0, 32);
+}
+
+/**
+ * Per-reporter hourly limit
+ * @param {string} reporter - reporterHash() result
+ * @param {number} now - Current time (ms)
+ * @returns {boolean} True if the report may be recorded
+ */
+function allowReport(reporter, now = Date.now()) {
+    if (now - lastPrune > PRUNE_INTERVAL_MS) pruneRecentReports(now);
+    const hourAgo = now - HOUR_MS;
+    const times = (recentReports.get(reporter) || []).filter(time => time > hourAgo);
+    if (times.length >= MAX_REPORTS_PER_HOUR) {
+        recentReports.set(reporter, times);
+        return false;
+    }
+    times.push(now);
+    recentReports.set(reporter, times);
+    return true;
+}
+
+/**
+ * Forget reporters with no report in the last hour, so the limiter doesn't grow forever
+ * @param {number} now - Current time (ms)
+ * @returns {number} Reporters removed
+ */
+function pruneRecentReports(now = Date.now()) {
+    lastPrune = now;
+    const hourAgo = now - HOUR_MS;
+    let removed = 0;
+    for (const [reporter, times] of recentReports) {
+        if (!times.some(time => time > hourAgo)) {
+            recentReports.delete(reporter);
+            removed++;
+        }
+    }
+    return removed;
+}
+
+/**
+ * Status of a target after a new report
+ * Admin decisions (confirmed/dismissed) are never overridden by users.
+ * @param {string|null} current - Current status (null = first report)
+ * @param {number} reporters - Distinct reporters so far
+ * @param {number} threshold - reportThreshold()
+ * @returns {string}
+ */
+function nextStatus(current, reporters, threshold) {
+    if (current === 'confirmed' || current === 'dismissed') return current;
+    return reporters >= threshold ? 'flagged' : 'pending';
+}
+
+module.exports = {
+    REASONS,
+    STATUSES,
+    WHOLE_TORRENT,
+    isEnabled,
+    reportThreshold,
+    validateReport,
+    reporterHash,
+    allowReport,
+    pruneRecentReports,
+    nextStatus
+};
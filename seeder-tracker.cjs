@@ -0,0 +1,337 @@
+/**
+ * Seeder Tracker Module - Built-in torrent health refresh
+ *
+ * Seeder counts in the torrents table come from whichever scraper saw the torrent
+ * last. Without an external SEEDER_UPDATE_URL service, this worker refreshes them:
+ * batches of hashes are scraped from UDP trackers (one scrape request per tracker
+ * per batch), torrents no tracker answered for fall back to a DHT peer lookup, and
+ * seeders/leechers/last_checked are written back. A torrent found with no peers
+ * (a tracker 0/0 confirmed by DHT) in DEAD_AFTER_CHECKS consecutive checks is
+ * dead: handleStream moves it to the bottom (debrid) or hides it (P2P).
+ *
+ *   SEEDER_TRACKER_ENABLED=false  turn the worker off (default: on with DATABASE_URL)
+ *   SEEDER_REFRESH_MINUTES        sweep interval over the stalest torrents (default 30)
+ *   SEEDER_MAX_AGE_HOURS          re-check torrents older than this (default 12)
+ *   SEEDER_BATCH_SIZE             hashes per scrape request (default 70, UDP max 74)
+ *   SEEDER_DHT_LOOKUPS            max DHT lookups per batch (default 5)
+ *   SEEDER_TRACKERS               comma separated UDP trackers (default: list below)
+ */
+
+const dbHelper = require('./db-helper.cjs');
+
+const DEBUG_MODE = process.env.DEBUG_MODE === 'true';
+
+const DEFAULT_TRACKERS = [
+    'udp://tracker.opentrackr.org:1337/announce',
+    'udp://open.stealth.si:80/announce',
+    'udp://tracker.torrent.eu.org:451/announce',
+    'udp://exodus.desync.com:6969/announce'
+];
+
+const DEAD_AFTER_CHECKS = 2;
+const MAX_BATCH_SIZE = 74;
+const MAX_QUEUED_HASHES = 1000;
+const SCRAPE_TIMEOUT = 10000;
+const DHT_TIMEOUT = 4000;
+
+const queuedHashes = new Set();
+let sweepTimer = null;
+let running = false;
+let lastSweepAt = 0;
+let trackerClient = null;
+
+function toPositiveInt(value, fallback, max = Infinity) {
+    const number = parseInt(value, 10);
+    return Number.isFinite(number) && number >= 0 ? Math.min(number, max) : fallback;
+}
+
+/**
+ * Worker settings from the environment
+ * @param {Object} env - Environment (process.env)
+ * @returns {{refreshMinutes: number, maxAgeHours: number, batchSize: number, dhtLookups: number, trackers: string[]}}
+ */
+function getSettings(env = process.env) {
+    const trackers = (env.SEEDER_TRACKERS || '')
+        .split(',')
+        .map(t => t.trim())
+        .filter(t => /^udp:\/\//i.test(t));
+
+    return {
+        refreshMinutes: toPositiveInt(env.SEEDER_REFRESH_MINUTES, 30),
+        maxAgeHours: toPositiveInt(env.SEEDER_MAX_AGE_HOURS, 12) || 12,
+        batchSize: toPositiveInt(env.SEEDER_BATCH_SIZE, 70, MAX_BATCH_SIZE) || 70,
+        dhtLookups: toPositiveInt(env.SEEDER_DHT_LOOKUPS, 5),
+        trackers: trackers.length > 0 ? trackers : DEFAULT_TRACKERS
+    };
+}
+
+/**
+ * Whether the built-in worker should run (the external service takes priority)
+ * @param {Object} env - Environment (process.env)
+ * @returns {boolean}
+ */
+function isEnabled(env = process.env) {
+    return !!env.DATABASE_URL && !env.SEEDER_UPDATE_URL && env.SEEDER_TRACKER_ENABLED !== 'false';
+}
+
+/**
+ * Normalize a bittorrent-tracker scrape result (one hash: the entry, several: a map)
+ * @param {Object} data - Scrape callback data
+ * @returns {Object} hash -> {complete, incomplete}
+ */
+function normalizeScrape(data) {
+    if (!data || typeof data !== 'object') return {};
+    if (typeof data.infoHash === 'string') return { [data.infoHash.toLowerCase()]: data };
+
+    const byHash = {};
+    for (const [hash, entry] of Object.entries(data)) {
+        if (entry && typeof entry === 'object') byHash[hash.toLowerCase()] = entry;
+    }
+    return byHash;
+}
+
+/**
+ * Combine the answers of several trackers: the best count of each hash wins
+ * @param {Array<Object>} scrapes - normalizeScrape() results, one per tracker
+ * @returns {Map<string, {seeders: number, leechers: number}>}
+ */
+function mergeScrapeResults(scrapes) {
+    const merged = new Map();
+    for (const scrape of scrapes) {
+        for (const [hash, entry] of Object.entries(scrape || {})) {
+            const seeders = Math.max(0, parseInt(entry.complete, 10) || 0);
+            const leechers = Math.max(0, parseInt(entry.incomplete, 10) || 0);
+            const current = merged.get(hash);
+            merged.set(hash, {
+                seeders: Math.max(seeders, current?.seeders || 0),
+                leechers: Math.max(leechers, current?.leechers || 0)
+            });
+        }
+    }
+    return merged;
+}
+
+/**
+ * Health rows for the DB: hashes with no answer at all keep their counts (null)
+ * Public trackers answer 0/0 for hashes they don't track (e.g. private or Italian
+ * tracker releases), so a tracker 0/0 is unknown too unless a DHT lookup confirms it.
+ * @param {Array<string>} hashes - Checked hashes
+ * @param {Map<string, Object>} scraped - mergeScrapeResults() result
+ * @param {Map<string, number>} dhtPeers - hash -> DHT peer count
+ * @returns {Array<{infoHash: string, seeders: number|null, leechers: number|null}>}
+ */
+function buildHealthUpdates(hashes, scraped, dhtPeers = new Map()) {
+    return hashes.map(hash => {
+        const tracker = scraped.get(hash);
+        const peers = dhtPeers.get(hash);
+
+        if (tracker && (tracker.seeders > 0 || tracker.leechers > 0)) {
+            return { infoHash: hash, seeders: tracker.seeders, leechers: tracker.leechers };
+        }
+        if (peers !== undefined) {
+            return { infoHash: hash, seeders: peers, leechers: tracker?.leechers || 0 };
+        }
+        return { infoHash: hash, seeders: null, leechers: null };
+    });
+}
+
+/**
+ * Move dead torrents to the bottom, or drop them
+ * @param {Array<Object>} results - Search results ({infoHash})
+ * @param {Set<string>} deadHashes - Lowercase hashes of dead torrents
+ * @param {boolean} hide - Drop instead of moving
+ * @returns {Array<Object>}
+ */
+function rankDeadTorrents(results, deadHashes, hide = false) {
+    if (!deadHashes || deadHashes.size === 0) return results;
+    const isDead = r => deadHashes.has(String(r.infoHash || '').toLowerCase());
+    const alive = results.filter(r => !isDead(r));
+    return hide ? alive : [...alive, ...results.filter(isDead)];
+}
+
+/**
+ * bittorrent-tracker client, imported once (null when it cannot be loaded)
+ * @returns {Promise<Function|null>}
+ */
+function loadTrackerClient() {
+    if (!trackerClient) {
+        trackerClient = import('bittorrent-tracker/client')
+            .then(module => module.default)
+            .catch(error => {
+                // e.g. native WebRTC bindings not built: the DHT fallback still runs
+                console.warn(`⚠️ [Seeders] bittorrent-tracker unavailable: ${error.message}`);
+                return null;
+            });
+    }
+    return trackerClient;
+}
+
+/**
+ * Scrape a batch of hashes from one UDP tracker
+ * @param {string} announce - Tracker URL
+ * @param {Array<string>} hashes - Up to 74 info hashes
+ * @returns {Promise<Object>} hash -> {complete, incomplete} ({} on error or timeout)
+ */
+async function scrapeTracker(announce, hashes) {
+    const Client = await loadTrackerClient();
+    if (!Client) return {};
+
+    return new Promise((resolve) => {
+        let client = null;
+        const timeout = setTimeout(() => {
+            if (client) client.destroy();
+            resolve({});
+        }, SCRAPE_TIMEOUT);
+
+        try {
+            client = Client.scrape({ announce, infoHash: hashes }, (err, data) => {
+                clearTimeout(timeout);
+                if (err) {
+                    if (DEBUG_MODE) console.warn(`⚠️ [Seeders] ${announce}: ${err.message || err}`);
+                    return resolve({});
+                }
+                resolve(normalizeScrape(data));
+            });
+        } catch (error) {
+            clearTimeout(timeout);
+            resolve({});
+        }
+    });
+}
+
+/**
+ * Count DHT peers of a torrent (a rough seeder estimate)
+ * @param {string} infoHash - Info hash (hex)
+ * @param {number} timeoutMs - Lookup duration
+ * @returns {Promise<number>} Peers found
+ */
+async function getSeedersFromDHT(infoHash, timeoutMs = 5000) {
+    // Dynamic import for ESM module support in CJS
+    const { default: DHT } = await import('bittorrent-dht');
+
+    return new Promise((resolve) => {
+        const dht = new DHT();
+        const peers = new Set();
+
+        dht.on('peer', (peer) => {
+            peers.add(`${peer.host}:${peer.port}`);
+        });
+        dht.on('error', () => { /* reported as 0 peers */ });
+
+        dht.listen(() => {
+            dht.lookup(Buffer.from(infoHash, 'hex'));
+        });
+
+        setTimeout(() => {
+            const count = peers.size;
+            dht.destroy();
+            resolve(count);
+        }, timeoutMs);
+    });
+}
+
+/**
+ * Check one batch: trackers first, DHT for the hashes no tracker knew
+ * @param {Array<string>} hashes - Lowercase info hashes
+ * @param {Object} settings - getSettings() result
+ * @returns {Promise<Array<Object>>} buildHealthUpdates() rows
+ */
+async function checkBatch(hashes, settings) {
+    const scrapes = [];
+    for (const tracker of settings.trackers) {
+        scrapes.push(await scrapeTracker(tracker, hashes));
+    }
+    const scraped = mergeScrapeResults(scrapes);
+
+    const dhtPeers = new Map();
+    const unknown = hashes.filter(h => !(scraped.get(h)?.seeders > 0 || scraped.get(h)?.leechers > 0));
+    for (const hash of unknown.slice(0, settings.dhtLookups)) {
+        try {
+            dhtPeers.set(hash, await getSeedersFromDHT(hash, DHT_TIMEOUT));
+        } catch (error) {
+            if (DEBUG_MODE) console.warn(`⚠️ [Seeders] DHT ${hash.substring(0, 8)}: ${error.message}`);
+        }
+    }
+
+    return buildHealthUpdates(hashes, scraped, dhtPeers);
+}
+
+/**
+ * One worker run: queued hashes (from searches) first, then the stalest torrents
+ * @returns {Promise<number>} Torrents checked
+ */
+async function runOnce() {
+    if (running) return 0;
+    running = true;
+
+    try {
+        const settings = getSettings();
+        const queued = [...queuedHashes].slice(0, settings.batchSize);
+        queued.forEach(hash => queuedHashes.delete(hash));
+
+        // Queued hashes are only re-checked when stale too
+        let hashes = queued.length > 0
+            ? await dbHelper.getTorrentsForSeederCheck(settings.batchSize, settings.maxAgeHours, queued)
+            : [];
+        const sweepDue = settings.refreshMinutes > 0 && Date.now() - lastSweepAt >= settings.refreshMinutes * 60 * 1000;
+        if (hashes.length === 0 && queuedHashes.size === 0 && sweepDue) {
+            lastSweepAt = Date.now();
+            hashes = await dbHelper.getTorrentsForSeederCheck(settings.batchSize, settings.maxAgeHours);
+        }
+        if (hashes.length === 0) return 0;
+
+        const updates = await checkBatch(hashes, settings);
+        const saved = await dbHelper.updateTorrentHealth(updates);
+        const answered = updates.filter(u => u.seeders !== null).length;
+        console.log(`🌱 [Seeders] Checked ${hashes.length} torrents (${answered} answered, ${saved} updated)`);
+        return hashes.length;
+    } catch (error) {
+        console.warn(`⚠️ [Seeders] Refresh failed: ${error.message}`);
+        return 0;
+    } finally {
+        running = false;
+        if (queuedHashes.size > 0) setImmediate(runOnce);
+    }
+}
+
+/**
+ * Queue hashes seen in a search for a re-check (only stale ones are scraped)
+ * @param {Array<Object>} results - Search results ({infoHash} or {magnetLink})
+ */
+function queueResults(results) {
+    if (!isEnabled()) return;
+
+    for (const result of results || []) {
+        const hash = (result.infoHash || result.magnetLink?.match(/btih:([a-fA-F0-9]{40})/i)?.[1] || '').toLowerCase();
+        if (hash.length === 40 && queuedHashes.size < MAX_QUEUED_HASHES) queuedHashes.add(hash);
+    }
+    start();
+    runOnce();
+}
+
+/**
+ * Start the periodic sweep (idempotent)
+ */
+function start() {
+    if (sweepTimer || !isEnabled()) return;
+    const { refreshMinutes } = getSettings();
+    if (!refreshMinutes) return;
+
+    sweepTimer = setInterval(runOnce, refreshMinutes * 60 * 1000);
+    sweepTimer.unref();
+    console.log(`🌱 [Seeders] Seeder refresh every ${refreshMinutes} min`);
+}
+
+module.exports = {
+    DEAD_AFTER_CHECKS,
+    getSettings,
+    isEnabled,
+    normalizeScrape,
+    mergeScrapeResults,
+    buildHealthUpdates,
+    rankDeadTorrents,
+    scrapeTracker,
+    getSeedersFromDHT,
+    queueResults,
+    start
+};
@@ -12,6 +12,13 @@ const dbHelper = require('./db-helper.cjs');
 const app = express();
 const PORT = process.env.PORT || 7860; // HuggingFace usa porta 7860
 
+// 🔒 X-Forwarded-For is only trusted from the configured proxies (req.ip = client IP behind them)
+// TRUST_PROXY: number of hops (e.g. 1 on HuggingFace), "true", or a list of proxy IPs/subnets
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy) {
+    app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy, 10) : (trustProxy === 'true' ? true : trustProxy));
+}
+
 // 🚀 Initialize database at startup (before handling requests)
 // This ensures cache lookups work on the first request after restart
 if (process.env.DATABASE_URL) {
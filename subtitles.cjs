@@ -0,0 +1,279 @@
+/**
+ * Subtitles Module - Italian subtitles for the selected file
+ *
+ * Sources are configured server-side:
+ *   SUBTITLE_SOURCES="opensubtitles,opensubtitles_org"  enabled sources, in order (default: all available)
+ *   OPENSUBTITLES_API_KEY                                 required by opensubtitles (api.opensubtitles.com)
+ *
+ * Subtitles are ranked against the file being played: release hash match
+ * (Stremio's videoHash) first, then release group, then filename similarity.
+ */
+
+const zlib = require('zlib');
+
+const DEBUG_MODE = process.env.DEBUG_MODE === 'true';
+
+const USER_AGENT = 'IlCorsaroViola v7.2.3';
+const DEFAULT_TIMEOUT = 8000;
+const MAX_SUBTITLES = 10;
+
+const VIDEO_EXTENSION_REGEX = /\.(mkv|mp4|avi|mov|wmv|m4v|ts|m2ts|srt|sub)$/i;
+
+// Ranking weights: a hash match means the subtitle was synced on this exact file
+const SCORE_HASH_MATCH = 1000;
+const SCORE_GROUP_MATCH = 100;
+const SCORE_SIMILARITY = 100;
+
+/**
+ * api.opensubtitles.com (REST v1, needs an API key; downloads count against its quota)
+ */
+const openSubtitles = {
+    name: 'OpenSubtitles',
+    baseUrl: 'https://api.opensubtitles.com/api/v1',
+
+    isAvailable(env) {
+        return !!env.OPENSUBTITLES_API_KEY;
+    },
+
+    headers(env) {
+        return { 'Api-Key': env.OPENSUBTITLES_API_KEY, 'User-Agent': USER_AGENT, 'Accept': 'application/json' };
+    },
+
+    async search({ imdbId, season, episode, videoHash, timeout }, env) {
+        const imdbNumber = String(parseInt(imdbId.replace(/^tt/, ''), 10));
+        const params = new URLSearchParams({ languages: 'it' });
+        if (season) {
+            params.set('parent_imdb_id', imdbNumber);
+            params.set('season_number', String(season));
+            params.set('episode_number', String(episode));
+        } else {
+            params.set('imdb_id', imdbNumber);
+        }
+        if (videoHash) params.set('moviehash', videoHash);
+
+        const response = await fetch(`${this.baseUrl}/subtitles?${params}`, {
+            headers: this.headers(env),
+            signal: AbortSignal.timeout(timeout)
+        });
+        if (!response.ok) throw new Error(`OpenSubtitles HTTP ${response.status}`);
+
+        const data = await response.json();
+        return (data.data || []).flatMap(item => (item.attributes?.files || []).map(file => ({
+            id: String(file.file_id),
+            ref: String(file.file_id),
+            releaseName: item.attributes.release || file.file_name || '',
+            hashMatch: item.attributes.moviehash_match === true,
+            downloads: item.attributes.download_count || 0
+        })));
+    },
+
+    async download(ref, env) {
+        if (!/^\d+$/.test(ref)) throw new Error('Invalid OpenSubtitles file id');
+
+        const response = await fetch(`${this.baseUrl}/download`, {
+            method: 'POST',
+            headers: { ...this.headers(env), 'Content-Type': 'application/json' },
+            body: JSON.stringify({ file_id: parseInt(ref, 10), sub_format: 'srt' }),
+            signal: AbortSignal.timeout(DEFAULT_TIMEOUT)
+        });
+        if (!response.ok) throw new Error(`OpenSubtitles download HTTP ${response.status}`);
+
+        const { link } = await response.json();
+        if (!link) throw new Error('OpenSubtitles returned no download link');
+
+        const file = await fetch(link, { signal: AbortSignal.timeout(DEFAULT_TIMEOUT) });
+        if (!file.ok) throw new Error(`OpenSubtitles file HTTP ${file.status}`);
+        return decodeSubtitle(Buffer.from(await file.arrayBuffer()));
+    }
+};
+
+/**
+ * rest.opensubtitles.org (legacy REST API, no key; files are gzipped)
+ */
+const openSubtitlesOrg = {
+    name: 'OpenSubtitles.org',
+    baseUrl: 'https://rest.opensubtitles.org/search',
+    downloadHost: 'dl.opensubtitles.org',
+
+    isAvailable() {
+        return true;
+    },
+
+    async search({ imdbId, season, episode, videoHash, videoSize, timeout }) {
+        // The legacy API wants path segments in alphabetical order
+        const segments = [];
+        if (season) segments.push(`episode-${episode}`);
+        segments.push(`imdbid-${parseInt(imdbId.replace(/^tt/, ''), 10)}`);
+        if (videoHash && videoSize) segments.push(`moviebytesize-${videoSize}`, `moviehash-${videoHash}`);
+        if (season) segments.push(`season-${season}`);
+        segments.push('sublanguageid-ita');
+
+        const response = await fetch(`${this.baseUrl}/${segments.join('/')}`, {
+            headers: { 'X-User-Agent': 'TemporaryUserAgent', 'User-Agent': USER_AGENT },
+            signal: AbortSignal.timeout(timeout)
+        });
+        if (!response.ok) throw new Error(`OpenSubtitles.org HTTP ${response.status}`);
+
+        const data = await response.json();
+        return (Array.isArray(data) ? data : [])
+            .filter(sub => sub.SubFormat === 'srt' && sub.SubDownloadLink)
+            .map(sub => ({
+                id: String(sub.IDSubtitleFile),
+                ref: sub.SubDownloadLink,
+                releaseName: sub.MovieReleaseName || sub.SubFileName || '',
+                hashMatch: sub.MatchedBy === 'moviehash',
+                downloads: parseInt(sub.SubDownloadsCnt) || 0
+            }));
+    },
+
+    async download(ref) {
+        // ref is a download link: only follow it to the official download host
+        const link = new URL(ref);
+        if (link.protocol !== 'https:' || link.hostname !== this.downloadHost) {
+            throw new Error('Invalid OpenSubtitles.org download link');
+        }
+
+        const response = await fetch(link, { headers: { 'User-Agent': USER_AGENT }, signal: AbortSignal.timeout(DEFAULT_TIMEOUT) });
+        if (!response.ok) throw new Error(`OpenSubtitles.org file HTTP ${response.status}`);
+
+        const body = Buffer.from(await response.arrayBuffer());
+        return decodeSubtitle(link.pathname.endsWith('.gz') ? zlib.gunzipSync(body) : body);
+    }
+};
+
+const SOURCES = {
+    opensubtitles: openSubtitles,
+    opensubtitles_org: openSubtitlesOrg
+};
+
+/**
+ * Subtitle sources enabled through environment variables
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {Array<{key: string, source: Object}>}
+ */
+function getSubtitleSources(env = process.env) {
+    const keys = env.SUBTITLE_SOURCES
+        ? env.SUBTITLE_SOURCES.split(',').map(key => key.trim().toLowerCase()).filter(Boolean)
+        : Object.keys(SOURCES);
+
+    return keys
+        .filter(key => SOURCES[key] && SOURCES[key].isAvailable(env))
+        .map(key => ({ key, source: SOURCES[key] }));
+}
+
+/**
+ * Decode a subtitle file to text: UTF-8 if valid, otherwise Windows-1252 (most Italian .srt)
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+function decodeSubtitle(buffer) {
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    } catch {
+        return new TextDecoder('windows-1252').decode(buffer);
+    }
+}
+
+/**
+ * Release group of a release/file name ("...x264-MeM.mkv" -> "mem")
+ * @param {string} name
+ * @returns {string|null}
+ */
+function extractReleaseGroup(name) {
+    const base = String(name || '').split('/').pop().replace(VIDEO_EXTENSION_REGEX, '').replace(/\[[^\]]*\]$/, '').trim();
+    const match = base.match(/-\s?([a-z0-9]{2,15})$/i);
+    return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Normalize a release/file name for similarity comparison
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeReleaseName(name) {
+    return String(name || '')
+        .split('/').pop()
+        .replace(VIDEO_EXTENSION_REGEX, '')
+        .toLowerCase()
+        .replace(/[._\-\[\]()]+/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Rank subtitles for a file
+ * @param {Array<Object>} subtitles - Candidates from the sources ({releaseName, hashMatch, downloads})
+ * @param {string|null} filename - Name of the file being played
+ * @param {Function} similarity - (a, b) => 0..1 (calculateSimilarity)
+ * @returns {Array<Object>} Candidates with a score, best first
+ */
+function rankSubtitles(subtitles, filename, similarity) {
+    const fileGroup = filename ? extractReleaseGroup(filename) : null;
+    const fileName = filename ? normalizeReleaseName(filename) : null;
+
+    return subtitles
+        .map(sub => {
+            let score = sub.hashMatch ? SCORE_HASH_MATCH : 0;
+            if (fileName && sub.releaseName) {
+                if (fileGroup && extractReleaseGroup(sub.releaseName) === fileGroup) score += SCORE_GROUP_MATCH;
+                score += Math.round(similarity(normalizeReleaseName(sub.releaseName), fileName) * SCORE_SIMILARITY);
+            }
+            return { ...sub, score };
+        })
+        .sort((a, b) => b.score - a.score || b.downloads - a.downloads);
+}
+
+/**
+ * Search every enabled source and rank the results
+ * @param {Object} params
+ * @param {string} params.imdbId - "tt0111161"
+ * @param {number|null} params.season
+ * @param {number|null} params.episode
+ * @param {string|null} params.videoHash - OpenSubtitles hash sent by Stremio
+ * @param {number|null} params.videoSize
+ * @param {string|null} params.filename
+ * @param {Object} options
+ * @param {Function} options.similarity - (a, b) => 0..1
+ * @param {Function} [options.track] - (name, fn) => Promise, wraps each source call (provider stats)
+ * @param {Object} [options.env]
+ * @returns {Promise<Array<Object>>} Best matches ({source, id, ref, releaseName, hashMatch, downloads, score})
+ */
+async function findSubtitles(params, { similarity, track = (name, fn) => fn(), env = process.env }) {
+    const sources = getSubtitleSources(env);
+    if (sources.length === 0) return [];
+
+    const batches = await Promise.all(sources.map(({ key, source }) =>
+        track(`Subtitles (${source.name})`, () => source.search({ timeout: DEFAULT_TIMEOUT, ...params }, env))
+            .then(results => results.map(sub => ({ ...sub, source: key })))
+            .catch(error => {
+                console.warn(`⚠️ [Subtitles] ${source.name} failed: ${error.message}`);
+                return [];
+            })
+    ));
+
+    const ranked = rankSubtitles(batches.flat(), params.filename, similarity).slice(0, MAX_SUBTITLES);
+    if (DEBUG_MODE) console.log(`💬 [Subtitles] ${batches.flat().length} found, best: ${ranked[0] ? `${ranked[0].releaseName} (${ranked[0].score})` : 'none'}`);
+    return ranked;
+}
+
+/**
+ * Download a subtitle file as text
+ * @param {string} sourceKey - Key of SOURCES
+ * @param {string} ref - Source-specific reference from findSubtitles()
+ * @param {Object} [env]
+ * @returns {Promise<string>}
+ */
+async function downloadSubtitle(sourceKey, ref, env = process.env) {
+    const source = SOURCES[sourceKey];
+    if (!source || !source.isAvailable(env)) throw new Error(`Unknown subtitle source: ${sourceKey}`);
+    return source.download(ref, env);
+}
+
+module.exports = {
+    getSubtitleSources,
+    extractReleaseGroup,
+    rankSubtitles,
+    findSubtitles,
+    downloadSubtitle,
+    decodeSubtitle
+};
@@ -0,0 +1,40 @@
+/**
+ * Admin auth: ADMIN_PASSWORD over HTTP Basic
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const adminAuth = require('../admin-auth.cjs');
+
+const ENV = { ADMIN_PASSWORD: 's3cret:with:colons' };
+const basic = (user, password) => ({ headers: { authorization: `Basic ${Buffer.from(`${user}:${password}`).toString('base64')}` } });
+
+describe('safeEqual', () => {
+    it('compares strings of any length', () => {
+        assert.equal(adminAuth.safeEqual('Bearer abc', 'Bearer abc'), true);
+        assert.equal(adminAuth.safeEqual('Bearer abd', 'Bearer abc'), false);
+        assert.equal(adminAuth.safeEqual('', 'Bearer abc'), false);
+        assert.equal(adminAuth.safeEqual('Bearer abc and more', 'Bearer abc'), false);
+    });
+});
+
+describe('isAdminRequest', () => {
+    it('accepts the admin password with any username', () => {
+        assert.equal(adminAuth.isAdminRequest(basic('admin', ENV.ADMIN_PASSWORD), ENV), true);
+        assert.equal(adminAuth.isAdminRequest(basic('', ENV.ADMIN_PASSWORD), ENV), true);
+    });
+
+    it('refuses wrong, missing or non-Basic credentials', () => {
+        assert.equal(adminAuth.isAdminRequest(basic('admin', 'nope'), ENV), false);
+        assert.equal(adminAuth.isAdminRequest({ headers: {} }, ENV), false);
+        assert.equal(adminAuth.isAdminRequest({ headers: { authorization: `Bearer ${ENV.ADMIN_PASSWORD}` } }, ENV), false);
+    });
+
+    it('authorizes nobody when ADMIN_PASSWORD is not set', () => {
+        assert.equal(adminAuth.isAdminEnabled({}), false);
+        assert.equal(adminAuth.isAdminRequest(basic('admin', ''), {}), false);
+    });
+});
@@ -0,0 +1,88 @@
+/**
+ * Anime mappings: dump parsing, refresh age and Kitsu episode → TMDB season
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const animeMapping = require('../anime-mapping.cjs');
+
+// Fribb/anime-lists entries (trimmed)
+const DUMP = [
+    { anidb_id: 9541, kitsu_id: 7442, mal_id: 16498, anilist_id: 16498, themoviedb_id: 1429, imdb_id: 'tt2560140', thetvdb_id: 267440, type: 'TV', season: { tvdb: 1, tmdb: 1 } },
+    { anidb_id: 13241, kitsu_id: 13569, mal_id: 35760, anilist_id: 99147, themoviedb_id: 1429, imdb_id: 'tt2560140', thetvdb_id: 267440, type: 'TV', season: { tvdb: 3, tmdb: 3 } },
+    { anidb_id: 4597, mal_id: 2472, type: 'Movie', imdb_id: 'null' },
+    { anidb_id: 1 }
+];
+
+// Attack on Titan on TMDB
+const SEASONS = [
+    { season_number: 0, episode_count: 9 },
+    { season_number: 1, episode_count: 25 },
+    { season_number: 2, episode_count: 12 },
+    { season_number: 3, episode_count: 22 },
+    { season_number: 4, episode_count: 30 }
+];
+
+describe('parseMappingDump', () => {
+    it('keeps entries with a Kitsu or MAL ID and reads the TMDB season', () => {
+        const rows = animeMapping.parseMappingDump(JSON.stringify(DUMP));
+        assert.equal(rows.length, 3);
+        assert.deepEqual(rows[1], {
+            kitsuId: 13569,
+            malId: 35760,
+            anilistId: 99147,
+            anidbId: 13241,
+            tmdbId: 1429,
+            imdbId: 'tt2560140',
+            tvdbId: 267440,
+            mediaType: 'TV',
+            tmdbSeason: 3,
+            episodeOffset: 0
+        });
+    });
+
+    it('drops invalid IMDb IDs', () => {
+        assert.equal(animeMapping.parseMappingEntry(DUMP[2]).imdbId, null);
+    });
+
+    it('rejects a dump that is not an array', () => {
+        assert.throws(() => animeMapping.parseMappingDump('{}'));
+    });
+});
+
+describe('needsRefresh', () => {
+    it('imports when never imported or older than the interval', () => {
+        assert.equal(animeMapping.needsRefresh(null, {}), true);
+        assert.equal(animeMapping.needsRefresh(new Date(Date.now() - 8 * 86400000), {}), true);
+        assert.equal(animeMapping.needsRefresh(new Date(Date.now() - 86400000), {}), false);
+        assert.equal(animeMapping.needsRefresh(new Date(Date.now() - 86400000), { ANIME_MAPPING_REFRESH_DAYS: '0.5' }), true);
+    });
+});
+
+describe('resolveEpisode', () => {
+    it('counts absolute episodes from the first season without a mapping', () => {
+        assert.deepEqual(animeMapping.resolveEpisode(null, 30, SEASONS), { season: 2, episode: 5 });
+    });
+
+    it('starts from the TMDB season of a sequel entry', () => {
+        assert.deepEqual(animeMapping.resolveEpisode({ tmdbSeason: 3 }, 5, SEASONS), { season: 3, episode: 5 });
+    });
+
+    it('walks into the next seasons when an entry spans several', () => {
+        assert.deepEqual(animeMapping.resolveEpisode({ tmdbSeason: 3 }, 25, SEASONS), { season: 4, episode: 3 });
+    });
+
+    it('applies the episode offset', () => {
+        assert.deepEqual(animeMapping.resolveEpisode({ tmdbSeason: 4, episodeOffset: 16 }, 1, SEASONS), { season: 4, episode: 17 });
+    });
+
+    it('trusts the mapping when TMDB seasons are unknown, gives up past the last episode', () => {
+        assert.deepEqual(animeMapping.resolveEpisode({ tmdbSeason: 5 }, 2, SEASONS), { season: 5, episode: 2 });
+        assert.deepEqual(animeMapping.resolveEpisode({ tmdbSeason: 2 }, 3, []), { season: 2, episode: 3 });
+        assert.equal(animeMapping.resolveEpisode(null, 3, []), null);
+        assert.equal(animeMapping.resolveEpisode(null, 200, SEASONS), null);
+    });
+});
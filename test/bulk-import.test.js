@@ -0,0 +1,120 @@
+/**
+ * Bulk import: CSV/JSON parsing, row validation, watched file names and jobs
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'module';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const require = createRequire(import.meta.url);
+const bulkImport = require('../bulk-import.cjs');
+
+const HASH_A = 'a'.repeat(40);
+const HASH_B = 'b'.repeat(40);
+
+describe('parseBulkInput', () => {
+    it('reads CSV with quoted fields and semicolons', () => {
+        const rows = bulkImport.parseBulkInput(`Magnet;IMDb_ID;Type;Season\r\n"magnet:?xt=urn:btih:${HASH_A}&dn=a;b";tt0903747;series;1\n\n${HASH_B};tt0111161;movie;\n`);
+        assert.equal(rows.length, 2);
+        assert.equal(rows[0].magnet, `magnet:?xt=urn:btih:${HASH_A}&dn=a;b`);
+        assert.equal(rows[0].season, '1');
+        assert.equal(rows[1].imdb_id, 'tt0111161');
+    });
+
+    it('reads JSON arrays and { rows }', () => {
+        assert.equal(bulkImport.parseBulkInput(`[{"magnet":"${HASH_A}"}]`).length, 1);
+        assert.equal(bulkImport.parseBulkInput(`{"rows":[{"magnet":"${HASH_A}"},{"magnet":"${HASH_B}"}]}`).length, 2);
+    });
+
+    it('rejects empty, broken or oversized input', () => {
+        assert.throws(() => bulkImport.parseBulkInput('  '), /vuota/);
+        assert.throws(() => bulkImport.parseBulkInput('[{'), /JSON non valido/);
+        assert.throws(() => bulkImport.parseBulkInput('{"a":1}'), /array/);
+        const tooMany = JSON.stringify(Array.from({ length: bulkImport.MAX_ROWS + 1 }, () => ({})));
+        assert.throws(() => bulkImport.parseBulkInput(tooMany), /Troppe righe/);
+    });
+});
+
+describe('validateRows', () => {
+    it('normalizes valid rows', () => {
+        const [row] = bulkImport.validateRows([{ magnetLink: `magnet:?xt=urn:btih:${HASH_A.toUpperCase()}`, tmdb: 'tmdb-1396', tipo: 'serie', stagione: '2' }]);
+        assert.equal(row.status, 'valid');
+        assert.equal(row.infoHash, HASH_A);
+        assert.equal(row.tmdbId, '1396');
+        assert.equal(row.type, 'series');
+        assert.equal(row.season, 2);
+    });
+
+    it('reports every problem of a row', () => {
+        const rows = bulkImport.validateRows([
+            { magnet: HASH_A, imdb_id: 'tt1', type: 'movie' },
+            { magnet: HASH_A, imdb_id: 'x1', type: 'movie', season: '1' },
+            { magnet: 'nope', type: 'anime' },
+            { magnet: HASH_B, type: 'pack' }
+        ]);
+        assert.equal(rows[0].status, 'valid');
+        assert.deepEqual(rows[1].errors, ['Duplicato nella lista', 'IMDb ID non valido', 'Stagione ammessa solo per le serie']);
+        assert.deepEqual(rows[2].errors, ['Magnet o hash non valido', 'Tipo sconosciuto: anime', 'IMDb o TMDB ID mancante']);
+        assert.equal(rows[3].status, 'valid');
+        assert.deepEqual(rows.map(r => r.row), [1, 2, 3, 4]);
+    });
+});
+
+describe('parseWatchedFileName / inferTypeFromFiles', () => {
+    it('reads IDs, type and season from the name', () => {
+        assert.deepEqual(bulkImport.parseWatchedFileName('/in/Breaking Bad [tt0903747] [Serie] [S2].torrent'),
+            { imdbId: 'tt0903747', tmdbId: null, type: 'series', season: 2 });
+        assert.deepEqual(bulkImport.parseWatchedFileName('Film 2024 [tmdb-12345].torrent'),
+            { imdbId: null, tmdbId: '12345', type: null, season: null });
+    });
+
+    it('guesses series, packs and movies', () => {
+        assert.equal(bulkImport.inferTypeFromFiles([{ path: 'Show/Show.S01E01.mkv' }, { path: 'Show/sample.txt' }]), 'series');
+        assert.equal(bulkImport.inferTypeFromFiles([{ path: 'Saga/Film 1.mkv' }, { path: 'Saga/Film 2.mkv' }]), 'pack');
+        assert.equal(bulkImport.inferTypeFromFiles([{ path: 'Film.2024.mkv' }, { path: 'Film.nfo' }]), 'movie');
+    });
+});
+
+describe('jobs', () => {
+    it('imports queued rows and records the outcome of each', async () => {
+        const rows = bulkImport.validateRows([
+            { magnet: HASH_A, imdb_id: 'tt1', type: 'movie' },
+            { magnet: HASH_B, imdb_id: 'tt2', type: 'movie' },
+            { magnet: 'bad', imdb_id: 'tt3', type: 'movie' }
+        ]);
+        const job = bulkImport.createJob(rows);
+        assert.equal(bulkImport.getJob(job.id), job);
+
+        await bulkImport.runJob(job, async row => row.infoHash === HASH_A
+            ? { httpStatus: 200, body: { message: 'Imported 1 files for tt1' } }
+            : { httpStatus: 409, body: { error: 'Torrent già presente nel database!' } });
+
+        assert.equal(job.status, 'done');
+        assert.deepEqual(job.rows.map(r => r.status), ['imported', 'duplicate', 'skipped']);
+        assert.deepEqual(bulkImport.summarizeJob(job), { imported: 1, duplicate: 1, skipped: 1 });
+    });
+});
+
+describe('scanWatchDir', () => {
+    it('moves imported and rejected files, keeps the ones that errored', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'icv-watch-'));
+        for (const name of ['ok [tt0111161].torrent', 'bad.torrent', 'retry [tt0903747].torrent', 'notes.txt']) {
+            fs.writeFileSync(path.join(dir, name), 'd4:infode');
+        }
+
+        const stats = await bulkImport.scanWatchDir(dir, async (buffer, meta, name) => {
+            if (name.startsWith('retry')) throw new Error('DB down');
+            return meta.imdbId ? { httpStatus: 200, body: { message: 'ok' } } : { httpStatus: 400, body: { error: 'ID mancante' } };
+        }, Date.now() + 60000);
+
+        assert.deepEqual(stats, { imported: 1, failed: 2 });
+        assert.ok(fs.existsSync(path.join(dir, 'imported', 'ok [tt0111161].torrent')));
+        assert.equal(fs.readFileSync(path.join(dir, 'failed', 'bad.torrent.txt'), 'utf8'), 'ID mancante\n');
+        assert.ok(fs.existsSync(path.join(dir, 'retry [tt0903747].torrent')));
+        assert.ok(fs.existsSync(path.join(dir, 'notes.txt')));
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+});
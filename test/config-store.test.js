@@ -0,0 +1,171 @@
+/**
+ * Config tokens: icv-/icve- round trips, tampered tokens, missing secret and the resolve cache
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const configStore = require('../config-store.cjs');
+const dbHelper = require('../db-helper.cjs');
+
+const CONFIG = { rd_key: 'RDKEY1234567890', use_rd: true, full_ita: true, formatter_custom_name: '{stream.resolution}' };
+
+// Stands in for the user_configs table
+const rows = new Map();
+let dbReads = 0;
+
+const realEnv = { DATABASE_URL: process.env.DATABASE_URL, CONFIG_SECRET: process.env.CONFIG_SECRET };
+const realDb = { saveUserConfig: dbHelper.saveUserConfig, getUserConfig: dbHelper.getUserConfig };
+let realError;
+
+function setEnv(env) {
+    for (const name of ['DATABASE_URL', 'CONFIG_SECRET']) {
+        if (env[name] === undefined) delete process.env[name];
+        else process.env[name] = env[name];
+    }
+}
+
+before(() => {
+    realError = console.error;
+    console.error = () => {};
+    dbHelper.saveUserConfig = async (token, payload, encrypted) => {
+        if (!rows.has(token)) rows.set(token, { payload, encrypted });
+        return true;
+    };
+    dbHelper.getUserConfig = async token => { dbReads++; return rows.get(token) || null; };
+});
+
+after(() => {
+    console.error = realError;
+    Object.assign(dbHelper, realDb);
+    setEnv(realEnv);
+});
+
+beforeEach(() => setEnv({}));
+
+describe('isAvailable', () => {
+    it('needs DATABASE_URL or CONFIG_SECRET', async () => {
+        assert.equal(configStore.isAvailable(), false);
+        await assert.rejects(configStore.createConfigToken(CONFIG));
+
+        setEnv({ CONFIG_SECRET: 'viola' });
+        assert.equal(configStore.isAvailable(), true);
+        setEnv({ DATABASE_URL: 'postgres://localhost/test' });
+        assert.equal(configStore.isAvailable(), true);
+    });
+});
+
+describe('encrypted tokens (icve-)', () => {
+    it('round trips the config without a database', async () => {
+        setEnv({ CONFIG_SECRET: 'viola' });
+        const token = await configStore.createConfigToken(CONFIG);
+        assert.ok(token.startsWith('icve-'));
+        assert.ok(!token.includes('RDKEY'));
+        assert.deepEqual(await configStore.resolveConfigToken(token), CONFIG);
+    });
+
+    it('rejects tampered and truncated tokens', async () => {
+        setEnv({ CONFIG_SECRET: 'viola' });
+        const token = await configStore.createConfigToken(CONFIG);
+        const raw = Buffer.from(token.substring(5), 'base64url');
+
+        const tampered = Buffer.from(raw);
+        tampered[tampered.length - 1] ^= 1;
+        const badTag = Buffer.from(raw);
+        badTag[20] ^= 1;
+
+        assert.equal(await configStore.resolveConfigToken(`icve-${tampered.toString('base64url')}`), null);
+        assert.equal(await configStore.resolveConfigToken(`icve-${badTag.toString('base64url')}`), null);
+        assert.equal(await configStore.resolveConfigToken(`icve-${raw.subarray(0, 20).toString('base64url')}`), null);
+        assert.equal(await configStore.resolveConfigToken(`icve-${raw.subarray(0, raw.length - 4).toString('base64url')}`), null);
+    });
+
+    it('cannot be read with another secret or without one', async () => {
+        setEnv({ CONFIG_SECRET: 'viola' });
+        const first = await configStore.createConfigToken({ ...CONFIG, max_size: 10 });
+        const second = await configStore.createConfigToken({ ...CONFIG, max_size: 20 });
+
+        setEnv({ CONFIG_SECRET: 'altro' });
+        assert.equal(await configStore.resolveConfigToken(first), null);
+        setEnv({});
+        assert.equal(await configStore.resolveConfigToken(second), null);
+    });
+});
+
+describe('stored tokens (icv-)', () => {
+    it('round trips the config encrypted at rest', async () => {
+        setEnv({ DATABASE_URL: 'postgres://localhost/test', CONFIG_SECRET: 'viola' });
+        const token = await configStore.createConfigToken(CONFIG);
+        assert.ok(token.startsWith('icv-'));
+        assert.equal(rows.get(token).encrypted, true);
+        assert.ok(!rows.get(token).payload.includes('RDKEY'));
+        assert.deepEqual(await configStore.resolveConfigToken(token), CONFIG);
+    });
+
+    it('returns the same token for the same config', async () => {
+        setEnv({ DATABASE_URL: 'postgres://localhost/test' });
+        const token = await configStore.createConfigToken(CONFIG);
+        assert.equal(await configStore.createConfigToken({ ...CONFIG }), token);
+        assert.notEqual(await configStore.createConfigToken({ ...CONFIG, full_ita: false }), token);
+        assert.equal(rows.get(token).encrypted, false);
+    });
+
+    it('returns null for unknown tokens and encrypted rows without the secret', async () => {
+        setEnv({ DATABASE_URL: 'postgres://localhost/test', CONFIG_SECRET: 'viola' });
+        const token = await configStore.createConfigToken({ ...CONFIG, max_size: 30 });
+
+        setEnv({ DATABASE_URL: 'postgres://localhost/test' });
+        assert.equal(await configStore.resolveConfigToken(token), null);
+        assert.equal(await configStore.resolveConfigToken('icv-unknown'), null);
+    });
+
+    it('evicts the oldest token once the cache is full', async () => {
+        setEnv({ DATABASE_URL: 'postgres://localhost/test' });
+        const first = await configStore.createConfigToken({ ...CONFIG, max_size: 1 });
+        await configStore.resolveConfigToken(first);
+
+        for (let i = 0; i < configStore.CACHE_MAX_SIZE; i++) {
+            rows.set(`icv-fill${i}`, { payload: '{}', encrypted: false });
+            await configStore.resolveConfigToken(`icv-fill${i}`);
+        }
+
+        dbReads = 0;
+        await configStore.resolveConfigToken(`icv-fill${configStore.CACHE_MAX_SIZE - 1}`);
+        assert.equal(dbReads, 0);
+        assert.deepEqual(await configStore.resolveConfigToken(first), { ...CONFIG, max_size: 1 });
+        assert.equal(dbReads, 1);
+    });
+});
+
+describe('sanitizeConfig', () => {
+    it('keeps only known keys', () => {
+        const config = configStore.sanitizeConfig({ ...CONFIG, config_token: 'icv-x', secure_config: true, evil: 'x'.repeat(100) });
+        assert.deepEqual(config, { use_rd: true, rd_key: 'RDKEY1234567890', full_ita: true, formatter_custom_name: '{stream.resolution}' });
+    });
+
+    it('rejects non-objects and oversized configs', () => {
+        assert.throws(() => configStore.sanitizeConfig(null));
+        assert.throws(() => configStore.sanitizeConfig([CONFIG]));
+        assert.throws(() => configStore.sanitizeConfig({ formatter_custom_desc: 'x'.repeat(configStore.MAX_CONFIG_BYTES) }));
+    });
+
+    it('orders keys so equal configs serialize equally', () => {
+        const a = configStore.sanitizeConfig({ full_ita: true, rd_key: 'k' });
+        const b = configStore.sanitizeConfig({ rd_key: 'k', full_ita: true });
+        assert.equal(JSON.stringify(a), JSON.stringify(b));
+    });
+});
+
+describe('allowTokenRequest', () => {
+    it('limits token requests per client and hour', () => {
+        const now = Date.parse('2026-03-01T12:00:00Z');
+        for (let i = 0; i < configStore.MAX_TOKENS_PER_HOUR; i++) {
+            assert.equal(configStore.allowTokenRequest('203.0.113.7', now + i), true);
+        }
+        assert.equal(configStore.allowTokenRequest('203.0.113.7', now + 100), false);
+        assert.equal(configStore.allowTokenRequest('198.51.100.2', now + 100), true);
+        assert.equal(configStore.allowTokenRequest('203.0.113.7', now + 60 * 60 * 1000 + 1), true);
+    });
+});
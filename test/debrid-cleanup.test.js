@@ -0,0 +1,55 @@
+/**
+ * Debrid cleanup: retention policy parsing and torrent selection
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const debridCleanup = require('../debrid-cleanup.cjs');
+
+const NOW = Date.parse('2026-03-01T12:00:00Z');
+const daysAgo = days => new Date(NOW - days * 24 * 60 * 60 * 1000).toISOString();
+
+const TRACKED = [
+    { torrentId: 'a', lastUsedAt: daysAgo(1) },
+    { torrentId: 'b', lastUsedAt: daysAgo(40) },
+    { torrentId: 'c', lastUsedAt: daysAgo(3) },
+    { torrentId: 'd', lastUsedAt: daysAgo(20) },
+    { torrentId: 'e', lastUsedAt: daysAgo(10) }
+];
+
+describe('normalizePolicy', () => {
+    it('is off without limits', () => {
+        assert.equal(debridCleanup.normalizePolicy({}), null);
+        assert.equal(debridCleanup.normalizePolicy({ cleanup_keep_last: 0, cleanup_keep_days: '-3' }), null);
+        assert.equal(debridCleanup.normalizePolicy(undefined), null);
+    });
+
+    it('parses and caps the limits', () => {
+        assert.deepEqual(debridCleanup.normalizePolicy({ cleanup_keep_last: '20' }), { keepLast: 20, keepDays: null });
+        assert.deepEqual(debridCleanup.normalizePolicy({ cleanup_keep_last: 5000, cleanup_keep_days: 900 }), { keepLast: 1000, keepDays: 365 });
+    });
+});
+
+describe('selectForCleanup', () => {
+    const ids = list => list.map(item => item.torrentId).sort();
+
+    it('keeps the last N used torrents', () => {
+        assert.deepEqual(ids(debridCleanup.selectForCleanup(TRACKED, { keepLast: 2, keepDays: null }, NOW)), ['b', 'd', 'e']);
+    });
+
+    it('keeps torrents used in the last X days', () => {
+        assert.deepEqual(ids(debridCleanup.selectForCleanup(TRACKED, { keepLast: null, keepDays: 15 }, NOW)), ['b', 'd']);
+    });
+
+    it('keeps a torrent when either rule keeps it', () => {
+        assert.deepEqual(ids(debridCleanup.selectForCleanup(TRACKED, { keepLast: 4, keepDays: 2 }, NOW)), ['b']);
+        assert.deepEqual(ids(debridCleanup.selectForCleanup(TRACKED, { keepLast: 1, keepDays: 30 }, NOW)), ['b']);
+    });
+
+    it('deletes nothing without a policy', () => {
+        assert.deepEqual(debridCleanup.selectForCleanup(TRACKED, null, NOW), []);
+    });
+});
@@ -0,0 +1,90 @@
+/**
+ * Debrid library: account hashing, listing normalization and mirror freshness
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const debridLibrary = require('../debrid-library.cjs');
+
+describe('accountHash', () => {
+    it('is stable and never contains the API key', () => {
+        const hash = debridLibrary.accountHash('ABCDEFGHIJKLMNOP');
+        assert.equal(hash, debridLibrary.accountHash('ABCDEFGHIJKLMNOP'));
+        assert.equal(hash.length, 32);
+        assert.ok(!hash.includes('ABCDEFGH'));
+        assert.notEqual(hash, debridLibrary.accountHash('ABCDEFGHIJKLMNOQ'));
+    });
+});
+
+describe('listing normalization', () => {
+    it('maps Real-Debrid torrents and downloads', () => {
+        const torrent = debridLibrary.fromRdTorrent({
+            id: 'ABC123', hash: 'AAAA'.repeat(10), filename: 'Gomorra.S05.COMPLETE.1080p.ITA-MeM',
+            bytes: 12345, status: 'downloaded', added: '2026-01-10T10:00:00.000Z'
+        });
+        assert.equal(torrent.kind, 'torrent');
+        assert.equal(torrent.infoHash, 'aaaa'.repeat(10));
+        assert.equal(torrent.ready, true);
+        assert.equal(torrent.type, 'series');
+        assert.equal(torrent.title, 'Gomorra');
+
+        const download = debridLibrary.fromRdDownload({ id: 'D1', filename: 'Interstellar (2014) 1080p ITA.mkv', filesize: 999, generated: '2026-01-11T10:00:00.000Z' });
+        assert.equal(download.kind, 'download');
+        assert.equal(download.infoHash, null);
+        assert.deepEqual([download.title, download.year, download.type], ['Interstellar', 2014, 'movie']);
+    });
+
+    it('maps TorBox torrents and usenet downloads', () => {
+        const torrent = debridLibrary.fromTbTorrent({ id: 42, hash: 'b'.repeat(40), name: 'Dune.Part.Two.2024.2160p.ITA.ENG', size: 5, download_finished: false, download_state: 'downloading', created_at: '2026-01-12T00:00:00Z' });
+        assert.equal(torrent.itemId, '42');
+        assert.equal(torrent.ready, false);
+        assert.equal(torrent.status, 'downloading');
+
+        const usenet = debridLibrary.fromTbUsenet({ id: 7, name: 'The.Office.US.S02E04.720p', size: 1, download_finished: true });
+        assert.equal(usenet.kind, 'usenet');
+        assert.equal(usenet.type, 'series');
+        assert.equal(usenet.addedAt, null);
+    });
+
+    it('skips entries without id or name', () => {
+        assert.equal(debridLibrary.fromRdTorrent({ hash: 'a'.repeat(40) }), null);
+        assert.equal(debridLibrary.fromTbTorrent(null), null);
+    });
+});
+
+describe('toUserTorrents', () => {
+    const rows = [
+        { kind: 'torrent', item_id: 'X1', info_hash: 'c'.repeat(40), name: 'Movie.2020.1080p', bytes: '100', status: 'downloaded', ready: true },
+        { kind: 'download', item_id: 'D1', info_hash: null, name: 'file.mkv', bytes: '5', status: 'downloaded', ready: true }
+    ];
+
+    it('rebuilds the Real-Debrid torrent list shape', () => {
+        assert.deepEqual(debridLibrary.toUserTorrents('rd', rows), [
+            { id: 'X1', hash: 'c'.repeat(40), filename: 'Movie.2020.1080p', bytes: 100, status: 'downloaded' }
+        ]);
+    });
+
+    it('rebuilds the TorBox torrent list shape', () => {
+        const [torrent] = debridLibrary.toUserTorrents('tb', rows);
+        assert.equal(torrent.download_finished, true);
+        assert.equal(torrent.name, 'Movie.2020.1080p');
+        assert.equal(torrent.size, 100);
+    });
+});
+
+describe('needsSync', () => {
+    it('uses DEBRID_LIBRARY_SYNC_MINUTES (default 15)', () => {
+        const tenMinutesAgo = new Date(Date.now() - 10 * 60 * 1000);
+        assert.equal(debridLibrary.needsSync(null, {}), true);
+        assert.equal(debridLibrary.needsSync(tenMinutesAgo, {}), false);
+        assert.equal(debridLibrary.needsSync(tenMinutesAgo, { DEBRID_LIBRARY_SYNC_MINUTES: '5' }), true);
+    });
+
+    it('always syncs when the mirror is disabled', () => {
+        assert.equal(debridLibrary.syncIntervalMinutes({ DEBRID_LIBRARY_SYNC_MINUTES: '0' }), 0);
+        assert.equal(debridLibrary.needsSync(new Date(), { DEBRID_LIBRARY_SYNC_MINUTES: '0' }), true);
+    });
+});
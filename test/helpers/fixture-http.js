@@ -0,0 +1,130 @@
+/**
+ * Fixture HTTP layer for the offline scraper tests
+ *
+ * Replay (default): global fetch and axios are stubbed and every request is
+ * answered from test/fixtures/scrapers/<name>.json. A request without a
+ * recorded response fails the test instead of hitting the network.
+ *
+ * Record (RECORD_FIXTURES=1): requests go to the real sites and the
+ * responses are written back to the fixture file, so a broken parser can be
+ * re-checked against the new markup.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+// Same CommonJS instance used by rarbg.cjs
+const axios = require('axios');
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'scrapers');
+export const RECORD_MODE = process.env.RECORD_FIXTURES === '1';
+
+// Query params that must never end up in a fixture
+const SECRET_PARAMS = ['apikey', 'api_key', 'token'];
+
+/**
+ * Host-independent key of a request (method + path + query without secrets),
+ * so fixtures recorded against a private Jackett instance replay anywhere
+ * @param {string} method
+ * @param {string} url
+ * @returns {string}
+ */
+function requestKey(method, url) {
+    const parsed = new URL(url);
+    // delete() re-encodes the whole query string, so only touch URLs that carry a secret
+    for (const param of SECRET_PARAMS) {
+        if (parsed.searchParams.has(param)) parsed.searchParams.delete(param);
+    }
+    return `${(method || 'GET').toUpperCase()} ${parsed.pathname}${parsed.search}`;
+}
+
+/**
+ * Install the fixture HTTP layer for one scenario
+ * @param {string} name - Fixture file name (without .json)
+ * @returns {Promise<{restore: () => Promise<void>}>} Call restore() when the test ends
+ */
+export async function useFixture(name) {
+    const file = path.join(FIXTURES_DIR, `${name}.json`);
+    const realFetch = globalThis.fetch;
+    const realAdapter = axios.defaults.adapter;
+    const recorded = [];
+    let interceptorId = null;
+
+    // Scrapers log every row: keep the test output readable (and the test runner's stdout protocol intact)
+    const realLog = console.log;
+    const realWarn = console.warn;
+    if (!process.env.FIXTURES_VERBOSE) {
+        console.log = () => {};
+        console.warn = () => {};
+    }
+
+    if (RECORD_MODE) {
+        globalThis.fetch = async (input, init = {}) => {
+            const url = typeof input === 'string' ? input : input.url;
+            const response = await realFetch(input, init);
+            const body = await response.clone().text();
+            recorded.push({
+                key: requestKey(init.method, url),
+                status: response.status,
+                contentType: response.headers.get('content-type') || '',
+                body
+            });
+            return response;
+        };
+        interceptorId = axios.interceptors.response.use(response => {
+            recorded.push({
+                key: requestKey(response.config.method, response.config.url),
+                status: response.status,
+                contentType: String(response.headers['content-type'] || ''),
+                body: typeof response.data === 'string' ? response.data : JSON.stringify(response.data)
+            });
+            return response;
+        });
+    } else {
+        const exchanges = JSON.parse(await fs.readFile(file, 'utf8'));
+        const findExchange = (method, url) => {
+            const key = requestKey(method, url);
+            const exchange = exchanges.find(e => e.key === key);
+            if (!exchange) throw new Error(`No fixture in ${name}.json for ${key}`);
+            return exchange;
+        };
+
+        globalThis.fetch = async (input, init = {}) => {
+            const exchange = findExchange(init.method, typeof input === 'string' ? input : input.url);
+            return new Response(exchange.body, {
+                status: exchange.status,
+                headers: { 'content-type': exchange.contentType }
+            });
+        };
+        axios.defaults.adapter = async (config) => {
+            const exchange = findExchange(config.method, config.url);
+            return {
+                data: exchange.body,
+                status: exchange.status,
+                statusText: String(exchange.status),
+                headers: { 'content-type': exchange.contentType },
+                config,
+                request: {}
+            };
+        };
+    }
+
+    return {
+        async restore() {
+            console.log = realLog;
+            console.warn = realWarn;
+            globalThis.fetch = realFetch;
+            axios.defaults.adapter = realAdapter;
+            if (interceptorId !== null) axios.interceptors.response.eject(interceptorId);
+
+            if (RECORD_MODE && recorded.length > 0) {
+                await fs.mkdir(FIXTURES_DIR, { recursive: true });
+                await fs.writeFile(file, JSON.stringify(recorded, null, 2) + '\n');
+                console.log(`📼 [Fixtures] Recorded ${recorded.length} responses to ${name}.json`);
+            }
+        }
+    };
+}
@@ -0,0 +1,93 @@
+/**
+ * Import matcher: episode mapping, query from the torrent name and candidate scoring
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const importMatcher = require('../import-matcher.cjs');
+
+const MB = 1024 * 1024;
+
+describe('parseSeasonFromPath / mapFileEpisode', () => {
+    it('reads the season from parent folders', () => {
+        assert.equal(importMatcher.parseSeasonFromPath('Show/Stagione 4/Episodio 1.mkv'), 4);
+        assert.equal(importMatcher.parseSeasonFromPath('Show S02/01.mkv'), 2);
+        assert.equal(importMatcher.parseSeasonFromPath('Show/01.mkv'), null);
+    });
+
+    it('maps episodes with folder or default season', () => {
+        assert.deepEqual(importMatcher.mapFileEpisode('Show/Show.S01E05.mkv'), { season: 1, episode: 5, recovered: false });
+        assert.deepEqual(importMatcher.mapFileEpisode('Show/Season 3/Show - E07.mkv'), { season: 3, episode: 7, recovered: false });
+        assert.equal(importMatcher.mapFileEpisode('Show/Making of.mkv'), null);
+        assert.equal(importMatcher.mapFileEpisode('Show/Ep 04.mkv', 2).season, 2);
+    });
+});
+
+describe('mapEpisodes', () => {
+    it('maps video files only, sorted, and lists the rest', () => {
+        const { mapped, unmapped } = importMatcher.mapEpisodes([
+            { id: 0, path: 'Show/Show.S01E02.mkv', bytes: 400 * MB },
+            { id: 1, path: 'Show/Show.S01E01.mkv', bytes: 400 * MB },
+            { id: 2, path: 'Show/sample.mkv', bytes: 10 * MB },
+            { id: 3, path: 'Show/Bonus.mkv', bytes: 400 * MB },
+            { id: 4, path: 'Show/Show.nfo', bytes: 1000 }
+        ]);
+        assert.deepEqual(mapped.map(m => [m.fileIndex, m.season, m.episode]), [[1, 1, 1], [0, 1, 2]]);
+        assert.deepEqual(unmapped, ['Show/Bonus.mkv']);
+    });
+});
+
+describe('buildMatchQuery', () => {
+    it('reads title, year and season from the torrent name', () => {
+        const query = importMatcher.buildMatchQuery('Il Trono di Spade - Stagione 3 (2013) [Completa] 720p ITA');
+        assert.deepEqual(query, { title: 'Il Trono di Spade', year: 2013, type: 'series', seasons: [3], season: 3 });
+    });
+
+    it('detects series from the files and movies otherwise', () => {
+        const series = importMatcher.buildMatchQuery('Breaking Bad 1080p ITA', [
+            { id: 0, path: 'BB/Breaking.Bad.S02E01.mkv', bytes: 500 * MB },
+            { id: 1, path: 'BB/Breaking.Bad.S02E02.mkv', bytes: 500 * MB }
+        ]);
+        assert.equal(series.type, 'series');
+        assert.deepEqual(series.seasons, [2]);
+
+        const movie = importMatcher.buildMatchQuery('Dune Parte Due (2024) 2160p H265 ITA ENG');
+        assert.deepEqual(movie, { title: 'Dune Parte Due', year: 2024, type: 'movie', seasons: [], season: null });
+    });
+});
+
+describe('scoreCandidate / rankCandidates / pickBestMatch', () => {
+    const movie = { title: 'La vita è bella', year: 1997, type: 'movie', seasons: [], season: null };
+
+    it('normalizes accents and punctuation', () => {
+        assert.equal(importMatcher.normalizeTitle('La Vita è Bella!'), 'la vita e bella');
+    });
+
+    it('prefers the right title and year', () => {
+        const ranked = importMatcher.rankCandidates(movie, [
+            { id: 'tmdb:2', name: 'La vita è bella', year: '1943', type: 'movie' },
+            { id: 'tmdb:1', name: 'La vita è bella', originalName: 'La vita è bella', year: '1997', type: 'movie' },
+            { id: 'tmdb:3', name: 'Bella', year: '2006', type: 'movie' }
+        ]);
+        assert.deepEqual(ranked.map(r => r.id), ['tmdb:1', 'tmdb:2', 'tmdb:3']);
+        assert.equal(ranked[0].score, 100);
+        assert.equal(importMatcher.pickBestMatch(ranked).id, 'tmdb:1');
+    });
+
+    it('matches the original title and penalizes missing seasons', () => {
+        const query = { title: 'Game of Thrones', year: 2013, type: 'series', seasons: [3], season: 3 };
+        const got = importMatcher.scoreCandidate(query, { name: 'Il Trono di Spade', originalName: 'Game of Thrones', year: '2011', type: 'series', seasonCount: 8 });
+        const short = importMatcher.scoreCandidate(query, { name: 'Game of Thrones', year: '2011', type: 'series', seasonCount: 2 });
+        assert.equal(got, 90);
+        assert.equal(short, 60);
+    });
+
+    it('does not pick close or weak candidates', () => {
+        assert.equal(importMatcher.pickBestMatch([{ score: 90 }, { score: 85 }]), null);
+        assert.equal(importMatcher.pickBestMatch([{ score: 60 }]), null);
+        assert.equal(importMatcher.pickBestMatch([]), null);
+    });
+});
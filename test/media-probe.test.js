@@ -0,0 +1,64 @@
+/**
+ * Media probe: language normalization and ffprobe output parsing
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const mediaProbe = require('../media-probe.cjs');
+
+// Trimmed `ffprobe -show_entries stream=...:stream_tags=language,title:stream_disposition=forced -of json` output
+const FFPROBE_OUTPUT = {
+    streams: [
+        { index: 0, codec_name: 'hevc', codec_type: 'video', disposition: { forced: 0 }, tags: { language: 'eng' } },
+        { index: 1, codec_name: 'eac3', codec_type: 'audio', channels: 6, disposition: { forced: 0 }, tags: { language: 'eng', title: 'English DDP5.1' } },
+        { index: 2, codec_name: 'ac3', codec_type: 'audio', channels: 6, disposition: { forced: 0 }, tags: { title: 'Italiano AC3 5.1' } },
+        { index: 3, codec_name: 'subrip', codec_type: 'subtitle', disposition: { forced: 1 }, tags: { language: 'it', title: 'Forced' } },
+        { index: 4, codec_name: 'subrip', codec_type: 'subtitle', disposition: { forced: 0 }, tags: { language: 'ita' } },
+        { index: 5, codec_name: 'hdmv_pgs_subtitle', codec_type: 'subtitle', disposition: { forced: 0 }, tags: { language: 'und' } }
+    ]
+};
+
+describe('normalizeLanguage', () => {
+    it('maps 2-letter codes, 3-letter variants and names to one code', () => {
+        assert.equal(mediaProbe.normalizeLanguage('it'), 'ita');
+        assert.equal(mediaProbe.normalizeLanguage('Italian'), 'ita');
+        assert.equal(mediaProbe.normalizeLanguage('ger'), 'deu');
+        assert.equal(mediaProbe.normalizeLanguage('pol'), 'pol');
+    });
+
+    it('treats undetermined tags as unknown', () => {
+        assert.equal(mediaProbe.normalizeLanguage('und'), null);
+        assert.equal(mediaProbe.normalizeLanguage(''), null);
+        assert.equal(mediaProbe.normalizeLanguage('x'), null);
+    });
+});
+
+describe('parseProbeOutput', () => {
+    it('collects unique audio and subtitle languages, skipping video and untagged tracks', () => {
+        const tracks = mediaProbe.parseProbeOutput(JSON.stringify(FFPROBE_OUTPUT));
+        assert.deepEqual(tracks.audioLanguages, ['eng', 'ita']);
+        assert.deepEqual(tracks.subtitleLanguages, ['ita']);
+        assert.equal(tracks.tracks.length, 5);
+    });
+
+    it('falls back to the track title when the language tag is missing', () => {
+        const audio = mediaProbe.parseProbeOutput(FFPROBE_OUTPUT).tracks.find(track => track.codec === 'ac3');
+        assert.equal(audio.language, 'ita');
+        assert.equal(audio.channels, 6);
+    });
+
+    it('keeps the forced flag of subtitle tracks', () => {
+        const forced = mediaProbe.parseProbeOutput(FFPROBE_OUTPUT).tracks.filter(track => track.forced);
+        assert.deepEqual(forced.map(track => track.title), ['Forced']);
+    });
+});
+
+describe('languageName', () => {
+    it('uses the formatter language names', () => {
+        assert.equal(mediaProbe.languageName('ita'), 'Italian');
+        assert.equal(mediaProbe.languageName('pol'), 'POL');
+    });
+});
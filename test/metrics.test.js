@@ -0,0 +1,67 @@
+/**
+ * Prometheus text rendering: latency histograms, provider counters, cache hit ratio, queue and pool gauges
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const metrics = require('../metrics.cjs');
+
+const SNAPSHOT = {
+    providerStats: new Map([['CorsaroNero', { calls: 12, errors: 2, timeouts: 1, totalMs: 4500 }]]),
+    bgQueue: { active: 1, queued: 3, max: 2 },
+    dbPool: { total: 5, idle: 3, waiting: 0, max: 10 }
+};
+
+const render = (snapshot = SNAPSHOT) => metrics.renderMetrics(snapshot).split('\n');
+
+describe('renderMetrics', () => {
+    it('renders cumulative latency buckets per tier', () => {
+        metrics.observeStreamRequest('db', 0.2);
+        metrics.observeStreamRequest('db', 3);
+        metrics.observeStreamRequest('db', 45);
+        const lines = render();
+
+        assert.ok(lines.includes('# TYPE icv_stream_request_duration_seconds histogram'));
+        assert.ok(lines.includes('icv_stream_request_duration_seconds_bucket{tier="db",le="0.1"} 0'));
+        assert.ok(lines.includes('icv_stream_request_duration_seconds_bucket{tier="db",le="0.25"} 1'));
+        assert.ok(lines.includes('icv_stream_request_duration_seconds_bucket{tier="db",le="5"} 2'));
+        assert.ok(lines.includes('icv_stream_request_duration_seconds_bucket{tier="db",le="30"} 2'));
+        assert.ok(lines.includes('icv_stream_request_duration_seconds_bucket{tier="db",le="+Inf"} 3'));
+        assert.ok(lines.includes('icv_stream_request_duration_seconds_sum{tier="db"} 48.2'));
+        assert.ok(lines.includes('icv_stream_request_duration_seconds_count{tier="db"} 3'));
+    });
+
+    it('renders provider counters with escaped labels', () => {
+        const lines = render({ ...SNAPSHOT, providerStats: new Map([...SNAPSHOT.providerStats, ['Bad "name"\\x', { calls: 1, errors: 0, timeouts: 0, totalMs: 0 }]]) });
+
+        assert.ok(lines.includes('icv_provider_calls_total{provider="CorsaroNero"} 12'));
+        assert.ok(lines.includes('icv_provider_errors_total{provider="CorsaroNero"} 2'));
+        assert.ok(lines.includes('icv_provider_timeouts_total{provider="CorsaroNero"} 1'));
+        assert.ok(lines.includes('icv_provider_duration_seconds_total{provider="CorsaroNero"} 4.5'));
+        assert.ok(lines.includes('icv_provider_calls_total{provider="Bad \\"name\\"\\\\x"} 1'));
+    });
+
+    it('renders the debrid cache hit ratio', () => {
+        metrics.recordCacheCheck('rd', 8, 2);
+        metrics.recordCacheCheck('rd', 2, 3);
+        const lines = render();
+
+        assert.ok(lines.includes('icv_debrid_cache_checked_total{service="rd"} 10'));
+        assert.ok(lines.includes('icv_debrid_cache_hits_total{service="rd"} 5'));
+        assert.ok(lines.includes('icv_debrid_cache_hit_ratio{service="rd"} 0.5'));
+    });
+
+    it('renders queue gauges and pool usage only when a pool exists', () => {
+        const lines = render();
+        assert.ok(lines.includes('icv_bg_jobs_queued 3'));
+        assert.ok(lines.includes('icv_db_pool_connections{state="active"} 2'));
+        assert.ok(lines.includes('icv_db_pool_max 10'));
+
+        const withoutPool = render({ ...SNAPSHOT, dbPool: null });
+        assert.ok(!withoutPool.some(line => line.startsWith('icv_db_pool')));
+        assert.equal(metrics.renderMetrics({ ...SNAPSHOT, dbPool: null }).endsWith('\n'), true);
+    });
+});
@@ -0,0 +1,115 @@
+/**
+ * Newznab indexers: env config, feed parsing and API key handling
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const newznab = require('../newznab.cjs');
+
+const FEED = `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:newznab="http://www.newznab.com/DTD/2010/feeds/attributes/">
+  <channel>
+    <item>
+      <title>Gomorra.S05E03.iTA.1080p.WEB-DL.x264-MeM</title>
+      <link>https://api.nzbgeek.info/api?t=get&amp;id=abc&amp;apikey=SECRET</link>
+      <pubDate>Tue, 09 Jan 2024 10:00:00 +0000</pubDate>
+      <enclosure url="https://api.nzbgeek.info/api?t=get&amp;id=abc&amp;apikey=SECRET" length="1500" type="application/x-nzb"/>
+      <newznab:attr name="size" value="1500000000"/>
+      <newznab:attr name="grabs" value="42"/>
+      <newznab:attr name="imdb" value="2049116"/>
+    </item>
+  </channel>
+</rss>`;
+
+const INDEXERS = newznab.getNewznabIndexers({
+    NEWZNAB_URL: 'https://api.nzbgeek.info/',
+    NEWZNAB_API_KEY: 'SECRET',
+    NEWZNAB_INDEXERS: 'slug|https://api.drunkenslug.com|K2; broken|https://x.example'
+});
+
+describe('getNewznabIndexers', () => {
+    it('reads the single indexer and the NEWZNAB_INDEXERS list', () => {
+        assert.deepEqual(INDEXERS, [
+            { name: 'api.nzbgeek.info', url: 'https://api.nzbgeek.info', apiKey: 'SECRET' },
+            { name: 'slug', url: 'https://api.drunkenslug.com', apiKey: 'K2' }
+        ]);
+    });
+
+    it('returns nothing when unconfigured', () => {
+        assert.deepEqual(newznab.getNewznabIndexers({}), []);
+    });
+});
+
+describe('parseXmlResults', () => {
+    const indexer = new newznab.NewznabIndexer(INDEXERS[0]);
+
+    it('parses releases without leaking the API key', () => {
+        const [release] = indexer.parseXmlResults(FEED);
+        assert.equal(release.title, 'Gomorra.S05E03.iTA.1080p.WEB-DL.x264-MeM');
+        assert.equal(release.nzbUrl, 'https://api.nzbgeek.info/api?t=get&id=abc');
+        assert.equal(release.sizeInBytes, 1500000000);
+        assert.equal(release.grabs, 42);
+        assert.equal(release.imdbId, 'tt2049116');
+        assert.equal(release.indexer, 'api.nzbgeek.info');
+        assert.equal(release.id, newznab.getReleaseId('https://api.nzbgeek.info/api?t=get&id=abc'));
+    });
+
+    it('throws on Newznab error documents', () => {
+        assert.throws(
+            () => indexer.parseXmlResults('<error code="100" description="Incorrect user credentials"/>'),
+            /error 100: Incorrect user credentials/
+        );
+    });
+});
+
+describe('withApiKey', () => {
+    it('adds the key of the indexer owning the host', () => {
+        const stripped = newznab.stripApiKey('https://api.drunkenslug.com/getnzb/xyz.nzb?i=1&r=K2');
+        assert.equal(stripped, 'https://api.drunkenslug.com/getnzb/xyz.nzb?i=1');
+        assert.equal(newznab.withApiKey(stripped, INDEXERS), 'https://api.drunkenslug.com/getnzb/xyz.nzb?i=1&apikey=K2');
+    });
+
+    it('refuses hosts that are not configured', () => {
+        assert.equal(newznab.withApiKey('https://evil.example/api?t=get&id=1', INDEXERS), null);
+        assert.equal(newznab.withApiKey('http://api.drunkenslug.com/getnzb/xyz.nzb', INDEXERS), null);
+        assert.equal(newznab.withApiKey('https://api.drunkenslug.com:8443/getnzb/xyz.nzb', INDEXERS), null);
+    });
+
+    it('tells apart indexers sharing a host by path prefix', () => {
+        const shared = newznab.getNewznabIndexers({
+            NEWZNAB_INDEXERS: 'root|https://nzb.example|ROOT; a|https://nzb.example/a/|KEY_A; ab|https://nzb.example/a/b|KEY_AB'
+        });
+        assert.equal(new URL(newznab.withApiKey('https://nzb.example/a/getnzb/1.nzb', shared)).searchParams.get('apikey'), 'KEY_A');
+        assert.equal(new URL(newznab.withApiKey('https://nzb.example/a/b/getnzb/1.nzb', shared)).searchParams.get('apikey'), 'KEY_AB');
+        assert.equal(new URL(newznab.withApiKey('https://nzb.example/abc/getnzb/1.nzb', shared)).searchParams.get('apikey'), 'ROOT');
+        assert.equal(newznab.withApiKey('https://nzb.example/abc/getnzb/1.nzb', shared.slice(1)), null);
+
+        const nested = 'https://nzb.example/a/b/getnzb/1.nzb';
+        const signature = newznab.signNzbUrl(nested, shared);
+        assert.equal(newznab.verifyNzbSignature(signature, nested, shared), true);
+        assert.equal(newznab.verifyNzbSignature(signature, nested, shared.filter(i => i.name !== 'ab')), false);
+    });
+});
+
+describe('getProxyNzbUrl / verifyNzbSignature', () => {
+    const nzbUrl = 'https://api.drunkenslug.com/getnzb/xyz.nzb?i=1';
+
+    it('builds an addon link without the API key', () => {
+        const proxyUrl = newznab.getProxyNzbUrl(nzbUrl, 'https://addon.example', INDEXERS);
+        const [, , signature, encoded] = new URL(proxyUrl).pathname.split('/');
+        assert.ok(proxyUrl.startsWith('https://addon.example/nzb/'));
+        assert.ok(!proxyUrl.includes('K2'));
+        assert.equal(decodeURIComponent(encoded), nzbUrl);
+        assert.equal(newznab.verifyNzbSignature(signature, nzbUrl, INDEXERS), true);
+    });
+
+    it('rejects tampered URLs and unknown hosts', () => {
+        const signature = newznab.signNzbUrl(nzbUrl, INDEXERS);
+        assert.equal(newznab.verifyNzbSignature(signature, 'https://api.drunkenslug.com/api?t=search&q=x', INDEXERS), false);
+        assert.equal(newznab.verifyNzbSignature('0'.repeat(32), nzbUrl, INDEXERS), false);
+        assert.equal(newznab.getProxyNzbUrl('https://evil.example/x.nzb', 'https://addon.example', INDEXERS), null);
+    });
+});
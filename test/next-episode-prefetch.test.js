@@ -0,0 +1,90 @@
+/**
+ * Next-episode prefetch: following episode ID and queue deduplication
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const prefetch = require('../next-episode-prefetch.cjs');
+
+const SEASONS = [
+    { season_number: 1, episode_count: 10 },
+    { season_number: 2, episode_count: 8 }
+];
+
+let realWarn;
+before(() => { realWarn = console.warn; console.warn = () => {}; });
+after(() => { console.warn = realWarn; });
+
+describe('getNextEpisodeId', () => {
+    it('moves to the next episode of the same season', () => {
+        assert.equal(prefetch.getNextEpisodeId('tt0944947:2:4'), 'tt0944947:2:5');
+        assert.equal(prefetch.getNextEpisodeId('tt0944947%3A1%3A3', SEASONS), 'tt0944947:1:4');
+        assert.equal(prefetch.getNextEpisodeId('tmdb:1399:1:9', SEASONS), 'tmdb:1399:1:10');
+    });
+
+    it('crosses into E01 of the next season after the last episode', () => {
+        assert.equal(prefetch.getNextEpisodeId('tt0944947:1:10', SEASONS), 'tt0944947:2:1');
+        assert.equal(prefetch.getNextEpisodeId('tmdb:1399:1:10', SEASONS), 'tmdb:1399:2:1');
+    });
+
+    it('stops after the finale or before a season without episodes', () => {
+        assert.equal(prefetch.getNextEpisodeId('tt0944947:2:8', SEASONS), null);
+        assert.equal(prefetch.getNextEpisodeId('tt0944947:2:8', [...SEASONS, { season_number: 3, episode_count: 0 }]), null);
+    });
+
+    it('keeps counting when the episode counts are unknown', () => {
+        assert.equal(prefetch.getNextEpisodeId('tt0944947:1:10'), 'tt0944947:1:11');
+        assert.equal(prefetch.getNextEpisodeId('tt0944947:3:1', SEASONS), 'tt0944947:3:2');
+    });
+
+    it('uses absolute episodes for Kitsu and rejects IDs without an episode', () => {
+        assert.equal(prefetch.getNextEpisodeId('kitsu:1376:12', [{ season_number: 1376, episode_count: 12 }]), 'kitsu:1376:13');
+        assert.equal(prefetch.getNextEpisodeId('tt0111161'), null);
+        assert.equal(prefetch.getNextEpisodeId('tt0944947:1:0'), null);
+    });
+});
+
+describe('queuePrefetch', () => {
+    it('runs each key once per TTL, one job at a time', async () => {
+        const started = [];
+        let release;
+        const blocker = new Promise(resolve => { release = resolve; });
+        const run = async job => { started.push(job.id); await blocker; };
+        const now = 1_000_000;
+
+        assert.equal(prefetch.queuePrefetch('a', { id: 'a' }, run, now), true);
+        assert.equal(prefetch.queuePrefetch('a', { id: 'a' }, run, now + 1000), false);
+        assert.equal(prefetch.queuePrefetch('b', { id: 'b' }, run, now + 1000), true);
+
+        await new Promise(resolve => setImmediate(resolve));
+        assert.deepEqual(started, ['a']);
+
+        release();
+        await new Promise(resolve => setTimeout(resolve, 10));
+        assert.deepEqual(started, ['a', 'b']);
+
+        assert.equal(prefetch.queuePrefetch('a', { id: 'a' }, run, now + prefetch.PREFETCH_TTL_MS + 1), true);
+    });
+
+    it('drops jobs when the queue is full and keeps going after a failure', async () => {
+        let release;
+        const blocker = new Promise(resolve => { release = resolve; });
+        const done = [];
+        const now = 50_000_000;
+
+        assert.equal(prefetch.queuePrefetch('slow', { id: 'slow' }, () => blocker, now), true);
+        await new Promise(resolve => setImmediate(resolve));
+        for (let i = 0; i < prefetch.MAX_QUEUED_PREFETCH; i++) {
+            const run = i === 0 ? async () => { throw new Error('boom'); } : async job => { done.push(job.id); };
+            assert.equal(prefetch.queuePrefetch(`k${i}`, { id: `k${i}` }, run, now), true);
+        }
+        assert.equal(prefetch.queuePrefetch('overflow', { id: 'overflow' }, async () => {}, now), false);
+
+        release();
+        await new Promise(resolve => setTimeout(resolve, 20));
+        assert.equal(done.length, prefetch.MAX_QUEUED_PREFETCH - 1);
+    });
+});
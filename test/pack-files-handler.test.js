@@ -0,0 +1,87 @@
+/**
+ * Season pack links: RD link index of each file, including link count mismatches
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const packFilesHandler = require('../pack-files-handler.cjs');
+
+const HASH = 'C'.repeat(40);
+const GB = 1024 * 1024 * 1024;
+
+// RD torrent info: ids start at 1, only selected files get a link
+function createTorrent(links) {
+    return {
+        filename: 'Gomorra.S02.1080p.WEB-DL.ITA',
+        bytes: 3 * GB,
+        files: [
+            { id: 1, path: '/Gomorra.S02/Gomorra.S02.nfo', bytes: 2048, selected: 1 },
+            { id: 2, path: '/Gomorra.S02/Gomorra.S02E01.mkv', bytes: GB, selected: 1 },
+            { id: 3, path: '/Gomorra.S02/Sample/Gomorra.S02E01.sample.mkv', bytes: 5 * 1024 * 1024, selected: 1 },
+            { id: 4, path: '/Gomorra.S02/Gomorra.S02E01.ita.srt', bytes: 40000, selected: 0 },
+            { id: 6, path: '/Gomorra.S02/Gomorra.S02E03.mkv', bytes: GB, selected: 1 },
+            { id: 5, path: '/Gomorra.S02/Gomorra.S02E02.mkv', bytes: GB, selected: 1 }
+        ],
+        links: Array.from({ length: links }, (_, i) => `https://real-debrid.com/d/LINK${i}`)
+    };
+}
+
+// Stands in for db-helper.cjs: records every write
+function createFakeDb(imdbId = 'tt2049116') {
+    const calls = { packFiles: [], episodes: [], packLinks: [], episodeLinks: [] };
+    return {
+        calls,
+        async insertPackFiles(rows) { calls.packFiles.push(...rows); return rows.length; },
+        async getImdbIdByHash() { return imdbId; },
+        async insertTorrent() { return true; },
+        async insertEpisodeFiles(rows) { calls.episodes.push(...rows); return rows.length; },
+        async updateRdLinkIndexForPack(hash, fileIndex, linkIndex) { calls.packLinks.push([fileIndex, linkIndex]); return true; },
+        async updateRdLinkIndex(hash, fileIndex, linkIndex) { calls.episodeLinks.push([fileIndex, linkIndex]); return true; }
+    };
+}
+
+let realLog;
+before(() => { realLog = console.log; console.log = () => {}; });
+after(() => { console.log = realLog; });
+
+describe('mapRdLinksToFiles', () => {
+    it('gives each video file its position among the selected files', () => {
+        const entries = packFilesHandler.mapRdLinksToFiles(createTorrent(5));
+        assert.deepEqual(entries.map(e => [e.file.id, e.linkIndex]), [[2, 1], [3, 2], [5, 3], [6, 4]]);
+    });
+
+    it('returns null when RD returns more or fewer links than selected files', () => {
+        assert.equal(packFilesHandler.mapRdLinksToFiles(createTorrent(4)), null);
+        assert.equal(packFilesHandler.mapRdLinksToFiles(createTorrent(6)), null);
+        assert.equal(packFilesHandler.mapRdLinksToFiles({ files: [], links: [] }), null);
+    });
+});
+
+describe('prepopulateSeasonPackLinks', () => {
+    it('stores the link index of every episode of the season', async () => {
+        const db = createFakeDb();
+        const mapped = await packFilesHandler.prepopulateSeasonPackLinks(createTorrent(5), HASH, 2, db);
+
+        assert.equal(mapped, 3);
+        assert.deepEqual(db.calls.episodeLinks, [[2, 1], [5, 3], [6, 4]]);
+        assert.deepEqual(db.calls.packLinks, [[2, 1], [3, 2], [5, 3], [6, 4]]);
+        assert.deepEqual(db.calls.episodes.map(e => [e.file_index, e.imdb_episode]), [[2, 1], [5, 2], [6, 3]]);
+        assert.ok(db.calls.packFiles.every(row => row.pack_hash === HASH.toLowerCase()));
+    });
+
+    it('writes nothing when the link count does not match', async () => {
+        const db = createFakeDb();
+        assert.equal(await packFilesHandler.prepopulateSeasonPackLinks(createTorrent(3), HASH, 2, db), 0);
+        assert.deepEqual(db.calls, { packFiles: [], episodes: [], packLinks: [], episodeLinks: [] });
+    });
+
+    it('keeps the pack links but maps no episode for an unknown series', async () => {
+        const db = createFakeDb(null);
+        assert.equal(await packFilesHandler.prepopulateSeasonPackLinks(createTorrent(5), HASH, 2, db), 0);
+        assert.equal(db.calls.packLinks.length, 4);
+        assert.deepEqual(db.calls.episodeLinks, []);
+    });
+});
@@ -0,0 +1,123 @@
+/**
+ * Playback links: lifetime from the expiry signed in the URL, cache hits and invalidation
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const playbackLinks = require('../playback-links.cjs');
+
+const KEY = { accountHash: 'a'.repeat(32), service: 'rd', infoHash: 'b'.repeat(40), fileKey: '1/2' };
+const NOW = Date.parse('2026-03-01T12:00:00Z');
+const LINK = 'https://abc.download.real-debrid.com/d/XYZ/Gomorra.S01E02.mkv';
+
+// Stands in for db-helper.cjs: rows expire like the SQL query (expires_at > NOW())
+function createFakeDb(clock) {
+    const rows = new Map();
+    const id = key => `${key.accountHash}|${key.service}|${key.infoHash}|${key.fileKey}`;
+    return {
+        rows,
+        async getPlaybackLink(key) {
+            const row = rows.get(id(key));
+            return row && row.expiresAt > clock.now ? row : null;
+        },
+        async savePlaybackLink(key, url, ttlMinutes, fileName) {
+            rows.set(id(key), { url, file_name: fileName, expiresAt: clock.now + ttlMinutes * 60000 });
+            return true;
+        },
+        async deletePlaybackLink(key) {
+            return rows.delete(id(key));
+        }
+    };
+}
+
+const alive = async () => ({ ok: true });
+const dead = async () => ({ ok: false, status: 404 });
+
+let realLog;
+before(() => { realLog = console.log; console.log = () => {}; });
+after(() => { console.log = realLog; });
+
+describe('getTtlMinutes', () => {
+    it('defaults to 60 and turns off with 0 or garbage', () => {
+        assert.equal(playbackLinks.getTtlMinutes({}), 60);
+        assert.equal(playbackLinks.getTtlMinutes({ PLAYBACK_LINK_TTL_MINUTES: '15' }), 15);
+        assert.equal(playbackLinks.getTtlMinutes({ PLAYBACK_LINK_TTL_MINUTES: '0' }), 0);
+        assert.equal(playbackLinks.getTtlMinutes({ PLAYBACK_LINK_TTL_MINUTES: 'off' }), 0);
+    });
+});
+
+describe('getLinkLifetimeMinutes', () => {
+    it('uses the configured TTL when the link reports no expiry', () => {
+        assert.equal(playbackLinks.getLinkLifetimeMinutes(LINK, { maxMinutes: 60, now: NOW }), 60);
+    });
+
+    it('stops before the expiry signed in the URL', () => {
+        const expires = Math.floor((NOW + 20 * 60000) / 1000);
+        assert.equal(playbackLinks.getLinkLifetimeMinutes(`${LINK}?expires=${expires}`, { maxMinutes: 60, now: NOW }), 18);
+    });
+
+    it('reads unix expiries only from the known URL params', () => {
+        const expires = Math.floor((NOW + 10 * 60000) / 1000);
+        assert.equal(playbackLinks.getLinkExpiry(`${LINK}?token=x&e=${expires}`), expires * 1000);
+        assert.equal(playbackLinks.getLinkExpiry(`${LINK}?expires=2026-03-01`), null);
+        assert.equal(playbackLinks.getLinkExpiry(`${LINK}?valid_until=${expires}`), null);
+        assert.equal(playbackLinks.getLinkExpiry('not a url'), null);
+    });
+
+    it('never caches links that are about to expire or when the cache is off', () => {
+        const expires = Math.floor((NOW + 60000) / 1000);
+        assert.equal(playbackLinks.getLinkLifetimeMinutes(`${LINK}?exp=${expires}`, { maxMinutes: 60, now: NOW }), 0);
+        assert.equal(playbackLinks.getLinkLifetimeMinutes(LINK, { maxMinutes: 0, now: NOW }), 0);
+    });
+});
+
+describe('getCachedLink / cacheLink', () => {
+    it('returns a stored link while it is valid and working', async () => {
+        const clock = { now: NOW };
+        const db = createFakeDb(clock);
+        assert.equal(await playbackLinks.cacheLink(db, KEY, LINK, { maxMinutes: 60, fileName: 'Gomorra.S01E02.mkv', now: NOW }), true);
+
+        assert.equal(await playbackLinks.getCachedLink(db, KEY, { fetchImpl: alive }), LINK);
+        assert.equal(await playbackLinks.getCachedLink(db, { ...KEY, fileKey: '1/3' }, { fetchImpl: alive }), null);
+    });
+
+    it('misses once the reported expiry has passed', async () => {
+        const clock = { now: NOW };
+        const db = createFakeDb(clock);
+        const expires = Math.floor((NOW + 20 * 60000) / 1000);
+        await playbackLinks.cacheLink(db, KEY, `${LINK}?expires=${expires}`, { maxMinutes: 60, now: NOW });
+
+        clock.now = NOW + 17 * 60000;
+        assert.ok(await playbackLinks.getCachedLink(db, KEY, { fetchImpl: alive }));
+        clock.now = NOW + 19 * 60000;
+        assert.equal(await playbackLinks.getCachedLink(db, KEY, { fetchImpl: alive }), null);
+    });
+
+    it('does not store links that expire too soon', async () => {
+        const db = createFakeDb({ now: NOW });
+        const expires = Math.floor((NOW + 60000) / 1000);
+        assert.equal(await playbackLinks.cacheLink(db, KEY, `${LINK}?expires=${expires}`, { maxMinutes: 60, now: NOW }), false);
+        assert.equal(db.rows.size, 0);
+    });
+
+    it('drops a link the host no longer serves', async () => {
+        const db = createFakeDb({ now: NOW });
+        await playbackLinks.cacheLink(db, KEY, LINK, { maxMinutes: 60, now: NOW });
+
+        assert.equal(await playbackLinks.getCachedLink(db, KEY, { fetchImpl: dead }), null);
+        assert.equal(db.rows.size, 0);
+        assert.equal(await playbackLinks.getCachedLink(db, KEY, { fetchImpl: alive }), null);
+    });
+
+    it('treats a failed liveness check as a dead link', async () => {
+        const db = createFakeDb({ now: NOW });
+        await playbackLinks.cacheLink(db, KEY, LINK, { maxMinutes: 60, now: NOW });
+        const failing = async () => { throw new Error('ECONNRESET'); };
+
+        assert.equal(await playbackLinks.getCachedLink(db, KEY, { fetchImpl: failing }), null);
+        assert.equal(db.rows.size, 0);
+    });
+});
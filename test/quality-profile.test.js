@@ -0,0 +1,81 @@
+/**
+ * Quality profiles: feature extraction, weights and sort order
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const qualityProfile = require('../quality-profile.cjs');
+
+const GB = 1024 * 1024 * 1024;
+
+describe('getStreamFeatures', () => {
+    it('reads resolution, HDR, audio, codec and group from the release name', () => {
+        const features = qualityProfile.getStreamFeatures('Dune.Parte.Due.2024.2160p.UHD.BluRay.DV.HDR10.ITA.AC3.ENG.TrueHD.Atmos.x265-MeM.mkv', 20 * GB, true);
+        assert.deepEqual(features, {
+            resolution: '2160p',
+            hdr: 'DV',
+            audio: ['Atmos', 'AC3 ITA'],
+            codec: 'HEVC',
+            group: 'mem',
+            sizeBand: '15-40GB',
+            cached: true
+        });
+    });
+
+    it('falls back to unknown/SDR/other with no tags and no size', () => {
+        const features = qualityProfile.getStreamFeatures('Gomorra 5x03', 0, false);
+        assert.equal(features.resolution, 'unknown');
+        assert.equal(features.hdr, 'SDR');
+        assert.equal(features.codec, 'other');
+        assert.equal(features.sizeBand, null);
+        assert.equal(features.group, null);
+    });
+});
+
+describe('normalizeProfile', () => {
+    it('is off without a profile', () => {
+        assert.equal(qualityProfile.normalizeProfile(undefined), null);
+    });
+
+    it('fills missing weights from the defaults and clamps user values', () => {
+        const profile = qualityProfile.normalizeProfile({ resolution: { '2160p': 500 }, groups: { ' MeM ': '15' }, cached: -300 });
+        assert.equal(profile.resolution['2160p'], 100);
+        assert.equal(profile.resolution['1080p'], qualityProfile.DEFAULT_PROFILE.resolution['1080p']);
+        assert.deepEqual(profile.groups, { mem: 15 });
+        assert.equal(profile.cached, -100);
+    });
+});
+
+describe('scoreStream', () => {
+    const profile = qualityProfile.normalizeProfile({
+        resolution: { '2160p': 10, '1080p': 30 },
+        groups: { MeM: 20 },
+        cached: 50
+    });
+    const score = (name, size, cached) => qualityProfile.scoreStream(qualityProfile.getStreamFeatures(name, size, cached), profile);
+
+    it('lets the user prefer 1080p over 2160p', () => {
+        assert.ok(score('Film.2024.1080p.WEB-DL.x264-Group', 4 * GB, false) > score('Film.2024.2160p.WEB-DL.x264-Group', 4 * GB, false));
+    });
+
+    it('adds the release group and cache weights', () => {
+        const base = score('Film.2024.1080p.WEB-DL.x264-Other', 4 * GB, false);
+        assert.equal(score('Film.2024.1080p.WEB-DL.x264-MeM', 4 * GB, false), base + 20);
+        assert.equal(score('Film.2024.1080p.WEB-DL.x264-Other', 4 * GB, true), base + 50);
+    });
+});
+
+describe('compareByScore', () => {
+    it('sorts by score, then cached, then seeders', () => {
+        const streams = [
+            { id: 'a', _meta: { score: 10, cached: false, seeders: 100 } },
+            { id: 'b', _meta: { score: 40, cached: false, seeders: 1 } },
+            { id: 'c', _meta: { score: 10, cached: true, seeders: 0 } },
+            { id: 'd', _meta: { score: 10, cached: false, seeders: 300 } }
+        ];
+        assert.deepEqual(streams.sort(qualityProfile.compareByScore).map(s => s.id), ['b', 'c', 'd', 'a']);
+    });
+});
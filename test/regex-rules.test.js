@@ -0,0 +1,92 @@
+/**
+ * Regex rules: compilation safety, filtering and preferred ordering
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const regexRules = require('../regex-rules.cjs');
+
+const RESULTS = [
+    { title: 'Gomorra.S05E03.ENG.1080p.WEB-DL.x264-FakeITA' },
+    { title: 'Gomorra.S05E03.iTA.720p.HDTV.x264-NovaRip' },
+    { title: 'Gomorra.S05E03.iTA.1080p.WEB-DL.x264-MeM' },
+    { title: 'Gomorra S05 Stagione 5 COMPLETA 1080p ITA', file_title: 'Gomorra.S05E03.1080p.ITA-DarkSideMux.mkv' }
+];
+
+let realWarn;
+before(() => { realWarn = console.warn; console.warn = () => {}; });
+after(() => { console.warn = realWarn; });
+
+describe('compileRules', () => {
+    it('is off when no rule is set', () => {
+        assert.equal(regexRules.compileRules(undefined), null);
+        assert.equal(regexRules.compileRules({ required: [], excluded: [{ pattern: '  ' }] }), null);
+    });
+
+    it('skips invalid, too long and unsupported patterns', () => {
+        const rules = regexRules.compileRules({
+            excluded: [
+                { name: 'Broken', pattern: '(' },
+                { name: 'Long', pattern: 'a'.repeat(201) },
+                { name: 'Lookahead', pattern: 'ita(?!lian)' },
+                { name: 'Ok', pattern: 'cam' }
+            ]
+        });
+        assert.deepEqual(rules.excluded.map(r => r.name), ['Ok']);
+    });
+
+    it('matches catastrophic patterns in linear time', () => {
+        const rules = regexRules.compileRules({
+            excluded: [{ name: 'Nested', pattern: '(a+)+$' }, { name: 'Alternation', pattern: '(a|aa)+$' }, { name: 'Dot', pattern: '(.|.)*x' }]
+        });
+        assert.equal(rules.excluded.length, 3);
+
+        const title = 'a'.repeat(5000) + '!';
+        const start = Date.now();
+        assert.equal(regexRules.applyRegexRules([{ title }], rules).length, 1);
+        assert.ok(Date.now() - start < 1000);
+    });
+
+    it('accepts plain strings and uses the pattern as name', () => {
+        const rules = regexRules.compileRules({ preferred: ['-MeM\\b'] });
+        assert.equal(rules.preferred[0].name, '-MeM\\b');
+        assert.ok(rules.preferred[0].regex.test('x264-mem'));
+    });
+});
+
+describe('applyRegexRules', () => {
+    it('drops excluded and non-required results', () => {
+        const rules = regexRules.compileRules({
+            required: [{ name: 'ITA', pattern: '\\bita\\b' }],
+            excluded: [{ name: 'Fake', pattern: '-FakeITA$' }, { name: 'HDTV', pattern: 'hdtv' }]
+        });
+        const kept = regexRules.applyRegexRules(RESULTS, rules);
+        assert.deepEqual(kept.map(r => r.title), [RESULTS[2].title, RESULTS[3].title]);
+        assert.equal(kept[0].regexMatched, 'ITA');
+    });
+
+    it('moves preferred matches first in rule order, matching the pack file name too', () => {
+        const rules = regexRules.compileRules({
+            preferred: [{ name: 'DarkSideMux', pattern: '-DarkSideMux' }, { name: 'MeM', pattern: '-MeM$' }]
+        });
+        const kept = regexRules.applyRegexRules(RESULTS, rules);
+        assert.deepEqual(kept.map(r => r.regexMatched), ['DarkSideMux', 'MeM', null, null]);
+        assert.deepEqual(kept.slice(2).map(r => r.title), [RESULTS[0].title, RESULTS[1].title]);
+    });
+
+    it('does not mutate the input results', () => {
+        const rules = regexRules.compileRules({ preferred: [{ name: 'MeM', pattern: '-MeM$' }] });
+        regexRules.applyRegexRules(RESULTS, rules);
+        assert.equal(RESULTS[2].regexMatched, undefined);
+    });
+});
+
+describe('compareByRegexRank', () => {
+    it('keeps streams without a preferred match in their existing order', () => {
+        const streams = [{ id: 'a', _meta: {} }, { id: 'b', _meta: { regexRank: 1 } }, { id: 'c', _meta: {} }, { id: 'd', _meta: { regexRank: 0 } }];
+        assert.deepEqual(streams.sort(regexRules.compareByRegexRank).map(s => s.id), ['d', 'b', 'a', 'c']);
+    });
+});
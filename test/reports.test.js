@@ -0,0 +1,83 @@
+/**
+ * Reports: validation, reporter hashing, rate limit and status transitions
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const reports = require('../reports.cjs');
+
+const HASH = 'a'.repeat(40);
+
+describe('isEnabled / reportThreshold', () => {
+    it('needs a database and can be turned off', () => {
+        assert.equal(reports.isEnabled({}), false);
+        assert.equal(reports.isEnabled({ DATABASE_URL: 'postgres://x' }), true);
+        assert.equal(reports.isEnabled({ DATABASE_URL: 'postgres://x', REPORTS_ENABLED: 'false' }), false);
+    });
+
+    it('falls back to the default threshold', () => {
+        assert.equal(reports.reportThreshold({}), 3);
+        assert.equal(reports.reportThreshold({ REPORT_THRESHOLD: '5' }), 5);
+        assert.equal(reports.reportThreshold({ REPORT_THRESHOLD: '0' }), 3);
+    });
+});
+
+describe('validateReport', () => {
+    it('normalizes a movie report to the whole torrent', () => {
+        const report = reports.validateReport({ infoHash: HASH.toUpperCase(), fileIndex: 2, imdbId: 'tt0111161', reason: 'fake' });
+        assert.deepEqual(report, { infoHash: HASH, fileIndex: -1, imdbId: 'tt0111161', season: null, episode: null, reason: 'fake' });
+    });
+
+    it('keeps the file only for a wrong episode', () => {
+        const report = reports.validateReport({ infoHash: HASH, fileIndex: '3', imdbId: 'tt0903747', season: '1', episode: '2', reason: 'wrong_episode' });
+        assert.equal(report.fileIndex, 3);
+        assert.equal(report.season, 1);
+        assert.equal(report.episode, 2);
+    });
+
+    it('rejects invalid input', () => {
+        assert.throws(() => reports.validateReport(null), /Richiesta non valida/);
+        assert.throws(() => reports.validateReport({ infoHash: 'xyz', imdbId: 'tt1', reason: 'fake' }), /Info hash/);
+        assert.throws(() => reports.validateReport({ infoHash: HASH, imdbId: 'tt1', reason: 'boring' }), /Motivo/);
+        assert.throws(() => reports.validateReport({ infoHash: HASH, imdbId: '123', reason: 'dead' }), /IMDb/);
+        assert.throws(() => reports.validateReport({ infoHash: HASH, imdbId: 'tt1', episode: 2, reason: 'dead' }), /stagione/);
+        assert.throws(() => reports.validateReport({ infoHash: HASH, imdbId: 'tt1', season: -1, reason: 'dead' }), /non validi/);
+    });
+});
+
+describe('reporterHash / allowReport', () => {
+    it('hashes the IP with the salt', () => {
+        const hash = reports.reporterHash('1.2.3.4', 'salt');
+        assert.match(hash, /^[a-f0-9]{32}$/);
+        assert.equal(hash, reports.reporterHash('1.2.3.4', 'salt'));
+        assert.notEqual(hash, reports.reporterHash('1.2.3.4', 'other'));
+    });
+
+    it('limits reports per hour', () => {
+        const reporter = reports.reporterHash('10.0.0.1', 'test');
+        const now = 1_000_000_000;
+        for (let i = 0; i < 20; i++) assert.equal(reports.allowReport(reporter, now + i), true);
+        assert.equal(reports.allowReport(reporter, now + 100), false);
+        assert.equal(reports.allowReport(reporter, now + 60 * 60 * 1000 + 100), true);
+    });
+
+    it('forgets reporters idle for an hour', () => {
+        const now = 2_000_000_000;
+        reports.allowReport(reports.reporterHash('10.0.0.2', 'test'), now);
+        reports.allowReport(reports.reporterHash('10.0.0.3', 'test'), now + 30 * 60 * 1000);
+        assert.equal(reports.pruneRecentReports(now + 60 * 60 * 1000 + 1), 1);
+        assert.equal(reports.pruneRecentReports(now + 2 * 60 * 60 * 1000), 1);
+    });
+});
+
+describe('nextStatus', () => {
+    it('flags at the threshold and keeps admin decisions', () => {
+        assert.equal(reports.nextStatus(null, 1, 3), 'pending');
+        assert.equal(reports.nextStatus('pending', 3, 3), 'flagged');
+        assert.equal(reports.nextStatus('dismissed', 10, 3), 'dismissed');
+        assert.equal(reports.nextStatus('confirmed', 1, 3), 'confirmed');
+    });
+});
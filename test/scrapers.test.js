@@ -0,0 +1,155 @@
+/**
+ * Offline regression tests for the scraper parsers
+ *
+ *   npm test                 replay the saved responses in test/fixtures/scrapers
+ *   npm run test:record      hit the real sites and overwrite the fixtures
+ *
+ * In record mode the assertions still run: a failure means the site changed
+ * its markup (or the content moved), and the new fixture shows how.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'module';
+import { useFixture, RECORD_MODE } from './helpers/fixture-http.js';
+import { fetchUIndexSingle, fetchCorsaroNeroSingle, KnabenAPI, Jackettio } from '../api/index.js';
+
+const require = createRequire(import.meta.url);
+const { tryMirror, RARBG_CONFIG } = require('../rarbg.cjs');
+
+const HASH_REGEX = /^[A-F0-9]{40}$/i;
+
+/**
+ * Install a fixture for the whole describe() block
+ * @param {string} name - Fixture file name
+ */
+function withFixture(name) {
+    let fixture;
+    before(async () => { fixture = await useFixture(name); });
+    after(async () => { await fixture.restore(); });
+}
+
+describe('UIndex (parseUIndexHTML)', () => {
+    withFixture('uindex-search');
+
+    it('parses magnet rows with title, size, seeders and category', async () => {
+        const results = await fetchUIndexSingle('il gladiatore ita', 'movie');
+
+        assert.ok(results.length >= 1, 'expected at least one result');
+        for (const result of results) {
+            assert.match(result.infoHash, HASH_REGEX);
+            assert.ok(result.magnetLink.startsWith('magnet:?xt=urn:btih:'));
+            assert.ok(!result.magnetLink.includes('&amp;'), 'HTML entities must be decoded');
+            assert.ok(result.title.length > 3);
+            assert.equal(result.source, 'UIndex');
+        }
+
+        if (!RECORD_MODE) {
+            assert.equal(results.length, 2);
+            const first = results.find(r => r.title === 'Il.Gladiatore.2000.ITA.ENG.1080p.BluRay.x264');
+            assert.ok(first);
+            assert.equal(first.size, '10.2 GB');
+            assert.equal(first.seeders, 152);
+            assert.equal(first.leechers, 12);
+            assert.equal(first.category, 'Movies');
+        }
+    });
+});
+
+describe('CorsaroNero (fetchCorsaroNeroSingle)', () => {
+    withFixture('corsaronero-search');
+
+    it('filters rows by category and extracts magnets from detail pages', async () => {
+        const results = await fetchCorsaroNeroSingle('il gladiatore', 'movie');
+
+        assert.ok(results.length >= 1, 'expected at least one result');
+        for (const result of results) {
+            assert.match(result.infoHash, HASH_REGEX);
+            assert.equal(result.source, 'CorsaroNero');
+            assert.deepEqual(result.categories, ['Movies']);
+        }
+
+        if (!RECORD_MODE) {
+            assert.equal(results.length, 2, 'the "Serie TV" row must be skipped for movies');
+            const hd = results.find(r => r.title.includes('1080p'));
+            assert.equal(hd.infoHash, '1111222233334444555566667777888899990000');
+            assert.equal(hd.seeders, 87);
+            assert.equal(hd.leechers, 5);
+            assert.equal(hd.size, '9.8 GB');
+            // Second detail page only has the magnet inside a <script>: raw HTML fallback
+            const sd = results.find(r => r.title.includes('720p'));
+            assert.equal(sd.infoHash, 'ABCDEFABCDEFABCDEFABCDEFABCDEFABCDEF0123');
+        }
+    });
+});
+
+describe('Knaben (KnabenAPI.search)', () => {
+    withFixture('knaben-search');
+
+    it('returns hits and totals from the JSON API', async () => {
+        const response = await new KnabenAPI().search({ query: 'il gladiatore 2000', categories: [3000000] });
+
+        assert.ok(Array.isArray(response.hits));
+        assert.ok(response.hits.length >= 1, 'expected at least one hit');
+        assert.equal(typeof response.total.value, 'number');
+        for (const hit of response.hits) {
+            assert.ok(hit.title);
+            assert.ok(hit.hash || hit.magnetUrl || hit.link, 'every hit needs a hash, magnet or .torrent link');
+        }
+
+        if (!RECORD_MODE) {
+            assert.equal(response.hits.length, 2);
+            assert.equal(response.total.value, 2);
+            assert.equal(response.hits[0].seeders, 152);
+        }
+    });
+});
+
+describe('Jackett (Jackettio Torznab parsing)', () => {
+    withFixture('jackett-torznab');
+
+    it('parses Torznab XML attributes and keeps only Italian magnets', async () => {
+        // Record mode needs a real instance: JACKETT_URL=... JACKETT_API_KEY=... npm run test:record
+        const jackett = new Jackettio(process.env.JACKETT_URL || 'http://jackett.local:9117', process.env.JACKETT_API_KEY || 'fixture');
+        const results = await jackett.search('il gladiatore', '2000', true);
+
+        for (const result of results) {
+            assert.match(result.infoHash, HASH_REGEX);
+            assert.ok(result.magnetLink.startsWith('magnet:'));
+            assert.equal(result.source, 'Jackettio');
+        }
+
+        if (!RECORD_MODE) {
+            assert.equal(results.length, 1, 'non-Italian and .torrent-only items must be skipped');
+            assert.equal(results[0].title, 'Il Gladiatore 2000 ITA ENG 1080p BluRay x264');
+            assert.equal(results[0].seeders, 152);
+            assert.equal(results[0].leechers, 164);
+            assert.equal(results[0].mainFileSize, 10952166604);
+            assert.deepEqual(results[0].categories, ['Movies']);
+        }
+    });
+});
+
+describe('RARBG (tryMirror)', () => {
+    withFixture('rarbg-search');
+
+    it('parses the lista2 results table of a mirror', async () => {
+        const mirror = RARBG_CONFIG.MIRRORS[0];
+        const { candidates } = await tryMirror(mirror, 'il gladiatore');
+
+        assert.ok(candidates.length >= 1, 'expected at least one candidate');
+        for (const candidate of candidates) {
+            assert.ok(candidate.name.length >= 5);
+            assert.ok(candidate.detailUrl.startsWith('http'), 'detail URLs must be absolute');
+            assert.equal(typeof candidate.seeders, 'number');
+        }
+
+        if (!RECORD_MODE) {
+            assert.equal(candidates.length, 2);
+            assert.equal(candidates[0].name, 'Il.Gladiatore.2000.iTA.ENG.1080p.BluRay.x264');
+            assert.equal(candidates[0].detailUrl, `${mirror}/torrent/gladiator-2000-ita-1080p-123.html`);
+            assert.equal(candidates[0].size, '10.20 GB');
+            assert.equal(candidates[0].seeders, 1204);
+        }
+    });
+});
@@ -0,0 +1,110 @@
+/**
+ * Seeder tracker: settings, scrape result merging, health rows and dead ranking
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const seederTracker = require('../seeder-tracker.cjs');
+
+const HASH_A = 'a'.repeat(40);
+const HASH_B = 'b'.repeat(40);
+const HASH_C = 'c'.repeat(40);
+
+describe('getSettings', () => {
+    it('uses the defaults', () => {
+        const settings = seederTracker.getSettings({});
+        assert.equal(settings.refreshMinutes, 30);
+        assert.equal(settings.maxAgeHours, 12);
+        assert.equal(settings.batchSize, 70);
+        assert.equal(settings.dhtLookups, 5);
+        assert.ok(settings.trackers.length > 0);
+    });
+
+    it('caps the batch to the UDP scrape limit and keeps only UDP trackers', () => {
+        const settings = seederTracker.getSettings({
+            SEEDER_BATCH_SIZE: '500',
+            SEEDER_REFRESH_MINUTES: '0',
+            SEEDER_TRACKERS: 'udp://one.example:1337/announce, http://two.example/announce'
+        });
+        assert.equal(settings.batchSize, 74);
+        assert.equal(settings.refreshMinutes, 0);
+        assert.deepEqual(settings.trackers, ['udp://one.example:1337/announce']);
+    });
+});
+
+describe('isEnabled', () => {
+    it('needs a database and no external service', () => {
+        assert.equal(seederTracker.isEnabled({}), false);
+        assert.equal(seederTracker.isEnabled({ DATABASE_URL: 'postgres://x' }), true);
+        assert.equal(seederTracker.isEnabled({ DATABASE_URL: 'postgres://x', SEEDER_UPDATE_URL: 'http://vps/update' }), false);
+        assert.equal(seederTracker.isEnabled({ DATABASE_URL: 'postgres://x', SEEDER_TRACKER_ENABLED: 'false' }), false);
+    });
+});
+
+describe('normalizeScrape / mergeScrapeResults', () => {
+    it('handles single and multi hash answers', () => {
+        const single = seederTracker.normalizeScrape({ infoHash: HASH_A.toUpperCase(), complete: 3, incomplete: 1 });
+        assert.deepEqual(Object.keys(single), [HASH_A]);
+
+        const multi = seederTracker.normalizeScrape({ [HASH_A]: { complete: 1 }, [HASH_B]: { complete: 0 } });
+        assert.deepEqual(Object.keys(multi).sort(), [HASH_A, HASH_B]);
+        assert.deepEqual(seederTracker.normalizeScrape(null), {});
+    });
+
+    it('keeps the best count of each hash', () => {
+        const merged = seederTracker.mergeScrapeResults([
+            { [HASH_A]: { complete: 4, incomplete: 9 } },
+            { [HASH_A]: { complete: 12, incomplete: 2 }, [HASH_B]: { complete: 0, incomplete: 0 } },
+            {}
+        ]);
+        assert.deepEqual(merged.get(HASH_A), { seeders: 12, leechers: 9 });
+        assert.deepEqual(merged.get(HASH_B), { seeders: 0, leechers: 0 });
+    });
+});
+
+describe('buildHealthUpdates', () => {
+    it('prefers trackers, then DHT, and leaves unanswered hashes untouched', () => {
+        const scraped = new Map([
+            [HASH_A, { seeders: 7, leechers: 1 }],
+            [HASH_B, { seeders: 0, leechers: 0 }]
+        ]);
+        const dht = new Map([[HASH_B, 2]]);
+        const updates = seederTracker.buildHealthUpdates([HASH_A, HASH_B, HASH_C], scraped, dht);
+
+        assert.deepEqual(updates, [
+            { infoHash: HASH_A, seeders: 7, leechers: 1 },
+            { infoHash: HASH_B, seeders: 2, leechers: 0 },
+            { infoHash: HASH_C, seeders: null, leechers: null }
+        ]);
+    });
+
+    it('treats a tracker 0/0 as unknown until DHT confirms it', () => {
+        const scraped = new Map([[HASH_B, { seeders: 0, leechers: 0 }], [HASH_C, { seeders: 0, leechers: 0 }]]);
+        const updates = seederTracker.buildHealthUpdates([HASH_B, HASH_C], scraped, new Map([[HASH_C, 0]]));
+        assert.deepEqual(updates, [
+            { infoHash: HASH_B, seeders: null, leechers: null },
+            { infoHash: HASH_C, seeders: 0, leechers: 0 }
+        ]);
+    });
+});
+
+describe('rankDeadTorrents', () => {
+    const results = [{ infoHash: HASH_A.toUpperCase() }, { infoHash: HASH_B }, { infoHash: HASH_C }];
+
+    it('moves dead torrents last, keeping the order', () => {
+        const ranked = seederTracker.rankDeadTorrents(results, new Set([HASH_A]));
+        assert.deepEqual(ranked.map(r => r.infoHash), [HASH_B, HASH_C, HASH_A.toUpperCase()]);
+    });
+
+    it('hides them when asked', () => {
+        const ranked = seederTracker.rankDeadTorrents(results, new Set([HASH_A, HASH_C]), true);
+        assert.deepEqual(ranked.map(r => r.infoHash), [HASH_B]);
+    });
+
+    it('returns the input without dead torrents', () => {
+        assert.equal(seederTracker.rankDeadTorrents(results, new Set()), results);
+    });
+});
@@ -0,0 +1,76 @@
+/**
+ * Subtitles: source config, release group extraction and ranking
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const subtitles = require('../subtitles.cjs');
+
+// Stands in for calculateSimilarity: shared-token ratio is enough to order candidates
+function similarity(a, b) {
+    const tokensA = new Set(a.split(' '));
+    const tokensB = new Set(b.split(' '));
+    const shared = [...tokensA].filter(token => tokensB.has(token)).length;
+    return shared / Math.max(tokensA.size, tokensB.size);
+}
+
+describe('getSubtitleSources', () => {
+    it('enables OpenSubtitles.com only with an API key', () => {
+        assert.deepEqual(subtitles.getSubtitleSources({}).map(s => s.key), ['opensubtitles_org']);
+        assert.deepEqual(subtitles.getSubtitleSources({ OPENSUBTITLES_API_KEY: 'k' }).map(s => s.key), ['opensubtitles', 'opensubtitles_org']);
+    });
+
+    it('follows SUBTITLE_SOURCES order and ignores unknown sources', () => {
+        const env = { OPENSUBTITLES_API_KEY: 'k', SUBTITLE_SOURCES: 'opensubtitles_org, foo,opensubtitles' };
+        assert.deepEqual(subtitles.getSubtitleSources(env).map(s => s.key), ['opensubtitles_org', 'opensubtitles']);
+    });
+});
+
+describe('extractReleaseGroup', () => {
+    for (const [name, group] of [
+        ['Gomorra.S05E03.iTA.1080p.WEB-DL.x264-MeM.mkv', 'mem'],
+        ['Il.Gladiatore.2000.iTA.ENG.2160p.BluRay.x265-MeM', 'mem'],
+        ['Pack/Dexter.S01E02.720p.HDTV.x264-NovaRip[eztv].mkv', 'novarip'],
+        ['Gomorra 5x03 ITA 720p', null]
+    ]) {
+        it(`${name} -> ${group}`, () => assert.equal(subtitles.extractReleaseGroup(name), group));
+    }
+});
+
+describe('rankSubtitles', () => {
+    const candidates = [
+        { id: '1', releaseName: 'Gomorra.S05E03.720p.HDTV.x264-DarkSideMux', hashMatch: false, downloads: 900 },
+        { id: '2', releaseName: 'Gomorra.S05E03.iTA.1080p.WEB-DL.x264-MeM', hashMatch: false, downloads: 10 },
+        { id: '3', releaseName: 'Gomorra - La serie 5x03', hashMatch: true, downloads: 1 }
+    ];
+
+    it('puts hash matches first, then release group and filename similarity', () => {
+        const ranked = subtitles.rankSubtitles(candidates, 'Gomorra.S05E03.iTA.1080p.WEB-DL.x264-MeM.mkv', similarity);
+        assert.deepEqual(ranked.map(s => s.id), ['3', '2', '1']);
+    });
+
+    it('falls back to download count without a filename', () => {
+        const ranked = subtitles.rankSubtitles(candidates.filter(s => !s.hashMatch), null, similarity);
+        assert.deepEqual(ranked.map(s => s.id), ['1', '2']);
+    });
+});
+
+describe('decodeSubtitle', () => {
+    it('keeps UTF-8 and converts Windows-1252 accents', () => {
+        assert.equal(subtitles.decodeSubtitle(Buffer.from('1\nPerché no?\n', 'utf-8')), '1\nPerché no?\n');
+        assert.equal(subtitles.decodeSubtitle(Buffer.from([0x50, 0x65, 0x72, 0x63, 0x68, 0xe9])), 'Perché');
+    });
+});
+
+describe('downloadSubtitle', () => {
+    it('refuses download links outside the source host', async () => {
+        await assert.rejects(
+            subtitles.downloadSubtitle('opensubtitles_org', 'https://evil.example/x.gz', {}),
+            /Invalid OpenSubtitles.org download link/
+        );
+        await assert.rejects(subtitles.downloadSubtitle('opensubtitles', '1', {}), /Unknown subtitle source/);
+    });
+});
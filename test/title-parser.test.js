@@ -0,0 +1,253 @@
+/**
+ * Conformance corpus for title-parser.cjs
+ *
+ * Real-world Italian release names and what the addon is expected to make of
+ * them. When a wrong match is reported, reproduce it with /api/parse?title=...
+ * and add the release name here together with the fix.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const {
+    parseTorrentTitle,
+    extractQuality,
+    getLanguageInfo,
+    isSeasonPack,
+    isExactEpisodeMatch,
+    isExactMovieMatch
+} = require('../title-parser.cjs');
+
+// The matchers log every decision: keep the test output readable
+let realLog;
+before(() => { realLog = console.log; console.log = () => {}; });
+after(() => { console.log = realLog; });
+
+describe('parseTorrentTitle', () => {
+    const cases = [
+        {
+            name: 'Il.Gladiatore.2000.iTA.ENG.1080p.BluRay.x264-MeM',
+            expected: { title: 'Il Gladiatore', year: 2000, seasons: [], episodes: [], resolution: '1080p', quality: 'BluRay', codec: 'AVC', group: 'MeM', languages: ['English', 'Italian'] }
+        },
+        {
+            name: 'Dune Parte Due (2024) 2160p UHD BluRay HDR10 DV iTA ENG DTS-HD MA 7.1 x265-MeM',
+            expected: { title: 'Dune Parte Due', year: 2024, resolution: '2160p', quality: 'BluRay', codec: 'HEVC', group: 'MeM', languages: ['English', 'Italian'] }
+        },
+        {
+            name: 'Oppenheimer.2023.ITA.ENG.HDR.2160p.WEB-DL.DDP5.1.H265-MIRCrew',
+            expected: { title: 'Oppenheimer', year: 2023, resolution: '2160p', quality: 'WEB-DL', codec: 'HEVC', group: 'MIRCrew' }
+        },
+        {
+            name: 'Spider-Man No Way Home 2021 iTA-ENG Bluray 2160p HDR x265-CYBER',
+            expected: { title: 'Spider-Man No Way Home', year: 2021, resolution: '2160p', quality: 'BluRay', group: 'CYBER', languages: ['English', 'Italian'] }
+        },
+        {
+            name: 'Tenet.2020.DVDRip.XviD.ITA.AC3',
+            expected: { title: 'Tenet', year: 2020, quality: 'DVDRip', codec: 'XviD', languages: ['Italian'] }
+        },
+        {
+            name: 'Il Signore degli Anelli - Il Ritorno del Re (2003) EXTENDED 1080p iTA ENG',
+            expected: { title: 'Il Signore degli Anelli - Il Ritorno del Re', year: 2003, resolution: '1080p', extended: true }
+        },
+        {
+            name: '[MeM] Gomorra S05E03 ITA 1080p HDTV x264',
+            expected: { seasons: [5], episodes: [3], resolution: '1080p', quality: 'HDTV', codec: 'AVC', languages: ['Italian'] }
+        },
+        {
+            name: 'Gomorra.S02E05.iTA.AC3.WEBDLRip.x264-MeM',
+            expected: { title: 'Gomorra', seasons: [2], episodes: [5], group: 'MeM', languages: ['Italian'] }
+        },
+        {
+            name: 'Succession.S04E10.MULTi.1080p.WEB.H264-FLUX',
+            expected: { title: 'Succession', seasons: [4], episodes: [10], quality: 'WEB-DL', group: 'FLUX', languages: ['Multi'] }
+        },
+        {
+            name: 'Il Trono di Spade 8x06 ITA ENG 1080p',
+            expected: { title: 'Il Trono di Spade', seasons: [8], episodes: [6], resolution: '1080p' }
+        },
+        {
+            name: 'Mare Fuori 1x01-1x10 ITA 720p WEBRip x264 [MeM]',
+            expected: { title: 'Mare Fuori', seasons: [1], resolution: '720p', quality: 'WEBRip', languages: ['Italian'] }
+        },
+        {
+            name: 'The Bear S03 Stagione 3 COMPLETA 1080p WEB-DL ITA ENG DDP5.1 x264-MeM',
+            expected: { title: 'The Bear', seasons: [3], episodes: [], complete: true, group: 'MeM' }
+        },
+        {
+            name: 'Breaking Bad S01-S05 Complete 1080p BluRay iTA ENG',
+            expected: { title: 'Breaking Bad', seasons: [1, 2, 3, 4, 5], complete: true }
+        },
+        {
+            name: 'Suburra.La.Serie.S03.COMPLETE.iTALiAN.1080p.NF.WEBMux.x264-MeM',
+            expected: { title: 'Suburra La Serie', seasons: [3], episodes: [], complete: true, group: 'MeM', languages: ['Italian'] }
+        },
+        {
+            name: "L'amica geniale S04 Storia della bambina perduta 720p HDTV ITA",
+            expected: { title: "L'amica geniale", seasons: [4], quality: 'HDTV' }
+        }
+    ];
+
+    for (const { name, expected } of cases) {
+        it(name, () => {
+            const parsed = parseTorrentTitle(name);
+            for (const [field, value] of Object.entries(expected)) {
+                assert.deepEqual(parsed[field], value, `${field} of "${name}"`);
+            }
+        });
+    }
+
+    it('returns an empty structure for empty input', () => {
+        const parsed = parseTorrentTitle('');
+        assert.equal(parsed.title, undefined);
+        assert.deepEqual(parsed.seasons, []);
+        assert.deepEqual(parsed.languages, []);
+    });
+});
+
+describe('Italian season/episode naming', () => {
+    it('reads "Stagione N Episodio M" as a single episode', () => {
+        const parsed = parseTorrentTitle('Dexter Stagione 2 Episodio 4 720p ITA');
+        assert.equal(parsed.title, 'Dexter');
+        assert.deepEqual(parsed.seasons, [2]);
+        assert.deepEqual(parsed.episodes, [4]);
+        assert.equal(parsed.resolution, '720p');
+        assert.equal(isSeasonPack('Dexter Stagione 2 Episodio 4 720p ITA'), false);
+    });
+
+    it('reads "Stagione N" as a season and cuts it from the title', () => {
+        const parsed = parseTorrentTitle('Il Commissario Montalbano - Stagione 1 COMPLETA (1999) DVDRip ITA');
+        assert.equal(parsed.title, 'Il Commissario Montalbano');
+        assert.equal(parsed.year, 1999);
+        assert.deepEqual(parsed.seasons, [1]);
+        assert.deepEqual(parsed.episodes, []);
+        assert.equal(parsed.complete, true);
+        assert.equal(isSeasonPack('Il Commissario Montalbano - Stagione 1 COMPLETA (1999) DVDRip ITA'), true);
+    });
+
+    it('expands "Stagioni N-M" to every season', () => {
+        const parsed = parseTorrentTitle('Breaking Bad Stagioni 1-5 Serie Completa 1080p BluRay iTA ENG');
+        assert.equal(parsed.title, 'Breaking Bad');
+        assert.deepEqual(parsed.seasons, [1, 2, 3, 4, 5]);
+        assert.equal(parsed.complete, true);
+    });
+});
+
+describe('extractQuality', () => {
+    const cases = [
+        ['Dune Parte Due (2024) 2160p UHD BluRay HDR10 DV iTA ENG DTS-HD MA 7.1 x265-MeM', '2160p'],
+        ['Il.Gladiatore.2000.iTA.ENG.1080p.BluRay.x264-MeM', '1080p'],
+        ['Mare Fuori 1x01-1x10 ITA 720p WEBRip x264 [MeM]', '720p'],
+        ['Tenet.2020.DVDRip.XviD.ITA.AC3', 'DVDRip'],
+        ['Gomorra.S02E05.iTA.AC3.WEBDLRip.x264-MeM', 'Unknown']
+    ];
+
+    for (const [name, quality] of cases) {
+        it(`${name} -> ${quality}`, () => assert.equal(extractQuality(name), quality));
+    }
+});
+
+describe('getLanguageInfo', () => {
+    const cases = [
+        ['Il.Gladiatore.2000.iTA.ENG.1080p.BluRay.x264-MeM', { isItalian: true, displayLabel: '🇮🇹 🇬🇧' }],
+        ['Spider-Man No Way Home 2021 iTA-ENG Bluray 2160p HDR x265-CYBER', { isItalian: true, displayLabel: '🇮🇹 🇬🇧' }],
+        ['Suburra.La.Serie.S03.COMPLETE.iTALiAN.1080p.NF.WEBMux.x264-MeM', { isItalian: true, displayLabel: '🇮🇹' }],
+        ['[MeM] Gomorra S05E03 ITA 1080p HDTV x264', { isItalian: true, displayLabel: '🇮🇹' }],
+        ['Succession.S04E10.MULTi.1080p.WEB.H264-FLUX', { isItalian: false, displayLabel: '🌈 MULTI' }]
+    ];
+
+    for (const [name, expected] of cases) {
+        it(`${name} -> ${expected.displayLabel}`, () => {
+            const info = getLanguageInfo(name);
+            assert.equal(info.isItalian, expected.isItalian);
+            assert.equal(info.displayLabel, expected.displayLabel);
+        });
+    }
+
+    it('trusts CorsaroNero releases as Italian even without a tag', () => {
+        assert.equal(getLanguageInfo('The.Bear.S03E01.1080p.WEB.H264', null, 'CorsaroNero').isItalian, true);
+    });
+});
+
+describe('isSeasonPack', () => {
+    const cases = [
+        ['The Bear S03 Stagione 3 COMPLETA 1080p WEB-DL ITA ENG DDP5.1 x264-MeM', true],
+        ['Il Commissario Montalbano - Stagione 1 COMPLETA (1999) DVDRip ITA', true],
+        ['Breaking Bad Stagioni 1-5 Serie Completa 1080p BluRay iTA ENG', true],
+        ['Breaking Bad S01-S05 Complete 1080p BluRay iTA ENG', true],
+        ['Suburra.La.Serie.S03.COMPLETE.iTALiAN.1080p.NF.WEBMux.x264-MeM', true],
+        ['[MeM] Gomorra S05E03 ITA 1080p HDTV x264', false],
+        ['Il Trono di Spade 8x06 ITA ENG 1080p', false],
+        ['Il.Gladiatore.2000.iTA.ENG.1080p.BluRay.x264-MeM', false]
+    ];
+
+    for (const [name, expected] of cases) {
+        it(`${name} -> ${expected}`, () => assert.equal(isSeasonPack(name), expected));
+    }
+});
+
+describe('isExactEpisodeMatch', () => {
+    const cases = [
+        // [release, show, season, episode, expected]
+        ['[MeM] Gomorra S05E03 ITA 1080p HDTV x264', 'Gomorra', 5, 3, true],
+        ['[MeM] Gomorra S05E03 ITA 1080p HDTV x264', 'Gomorra', 5, 4, false],
+        ['Succession.S04E10.MULTi.1080p.WEB.H264-FLUX', 'Succession', 4, 10, true],
+        ['Il Trono di Spade 8x06 ITA ENG 1080p', 'Il Trono di Spade', 8, 6, true],
+        ['Il Trono di Spade 8x06 ITA ENG 1080p', 'Il Trono di Spade', 8, 16, false],
+        ['Mare Fuori 1x01-1x10 ITA 720p WEBRip x264 [MeM]', 'Mare Fuori', 1, 11, false],
+        ['Mare Fuori 1x01-1x10 ITA 720p WEBRip x264 [MeM]', 'Mare Fuori', 2, 5, false],
+        ['The Bear S03 Stagione 3 COMPLETA 1080p WEB-DL ITA ENG DDP5.1 x264-MeM', 'The Bear', 3, 2, true],
+        ['The Bear S03 Stagione 3 COMPLETA 1080p WEB-DL ITA ENG DDP5.1 x264-MeM', 'The Bear', 2, 2, false],
+        ['Il Commissario Montalbano - Stagione 1 COMPLETA (1999) DVDRip ITA', 'Il Commissario Montalbano', 1, 3, true],
+        ['Breaking Bad Stagioni 1-5 Serie Completa 1080p BluRay iTA ENG', 'Breaking Bad', 3, 7, true],
+        ['Breaking Bad S01-S05 Complete 1080p BluRay iTA ENG', 'Breaking Bad', 4, 1, true],
+        ['Breaking Bad S01-S05 Complete 1080p BluRay iTA ENG', 'Breaking Bad', 6, 1, false],
+        ['Better Call Saul S01E01 ITA 1080p', 'Breaking Bad', 1, 1, false]
+    ];
+
+    for (const [name, show, season, episode, expected] of cases) {
+        it(`${name} vs ${show} ${season}x${episode} -> ${expected}`, () => {
+            assert.equal(isExactEpisodeMatch(name, show, season, episode), expected);
+        });
+    }
+});
+
+describe('episode ranges', () => {
+    it('matches episodes inside a "1x01-1x10" range', () => {
+        assert.equal(isExactEpisodeMatch('Mare Fuori 1x01-1x10 ITA 720p WEBRip x264 [MeM]', 'Mare Fuori', 1, 5), true);
+    });
+
+    it('matches episodes inside a "S05E01-S05E10" range', () => {
+        assert.equal(isExactEpisodeMatch('Gomorra S05E01-S05E10 ITA 1080p', 'Gomorra', 5, 4), true);
+        assert.equal(isExactEpisodeMatch('Gomorra S05E01-S05E10 ITA 1080p', 'Gomorra', 5, 11), false);
+    });
+
+    it('does not read the end of a two-digit season as another season', () => {
+        assert.equal(isExactEpisodeMatch('Doctor Who 11x01-05 ITA 720p', 'Doctor Who', 1, 3), false);
+        assert.equal(isExactEpisodeMatch('Doctor Who 11x01-05 ITA 720p', 'Doctor Who', 11, 3), true);
+    });
+});
+
+describe('isExactMovieMatch', () => {
+    const cases = [
+        // [release, movie title, year, expected]
+        ['Il.Gladiatore.2000.iTA.ENG.1080p.BluRay.x264-MeM', 'Il Gladiatore', 2000, true],
+        ['Il.Gladiatore.2000.iTA.ENG.1080p.BluRay.x264-MeM', 'Il Gladiatore', 2024, false],
+        ['Il Gladiatore II 2024 iTA ENG 2160p', 'Il Gladiatore', 2000, false],
+        ['Il Gladiatore II 2024 iTA ENG 2160p', 'Il Gladiatore II', 2024, true],
+        ['Dune Parte Due (2024) 2160p UHD BluRay HDR10 DV iTA ENG DTS-HD MA 7.1 x265-MeM', 'Dune: Parte Due', 2024, true],
+        ['Dune Parte Due (2024) 2160p UHD BluRay HDR10 DV iTA ENG DTS-HD MA 7.1 x265-MeM', 'Dune', 2021, false],
+        ['Dune.2021.iTA.ENG.2160p.WEB-DL.x265', 'Dune', 2021, true],
+        ['Spider-Man No Way Home 2021 iTA-ENG Bluray 2160p HDR x265-CYBER', 'Spider-Man: No Way Home', 2021, true],
+        ['Toy Story 1995 ITA 1080p', 'Toy Story', 1995, true],
+        ['Toy Story 2 1999 ITA 1080p', 'Toy Story', 1995, false],
+        ['Matrix Trilogia (1999-2003) 1080p ITA', 'Matrix', 1999, true]
+    ];
+
+    for (const [name, movie, year, expected] of cases) {
+        it(`${name} vs ${movie} (${year}) -> ${expected}`, () => {
+            assert.equal(isExactMovieMatch(name, movie, year), expected);
+        });
+    }
+});
@@ -0,0 +1,150 @@
+/**
+ * Torznab indexer endpoint: request parsing, filtering and feed rendering
+ *
+ * The feed is read back with the addon's own Jackettio parser, so anything
+ * IlCorsaroViola can consume from Jackett it can also serve.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'module';
+import { Jackettio } from '../api/index.js';
+
+const require = createRequire(import.meta.url);
+const torznab = require('../torznab.cjs');
+const { buildTorznabFilters } = require('../db-helper.cjs');
+
+const ROWS = [
+    { info_hash: 'aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa', title: 'Gomorra.S05E03.iTA.1080p.WEB-DL.x264-MeM', type: 'series', size: '1500000000', seeders: 40, imdb_id: 'tt2049116', upload_date: '2024-01-10T10:00:00Z' },
+    { info_hash: 'bbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbb', title: 'Gomorra S05 Stagione 5 COMPLETA 720p ITA', type: 'series', size: '9000000000', seeders: 12, imdb_id: 'tt2049116', upload_date: '2024-01-09T10:00:00Z' },
+    { info_hash: 'cccccccccccccccccccccccccccccccccccccccc', title: 'Gomorra 4x02 ITA 720p', type: 'series', size: '800000000', seeders: 3, imdb_id: 'tt2049116', upload_date: '2023-01-01T10:00:00Z' },
+    { info_hash: 'dddddddddddddddddddddddddddddddddddddddd', title: 'Il.Gladiatore.2000.iTA.ENG.2160p.BluRay.x265-MeM', type: 'movie', size: '30000000000', seeders: 150, imdb_id: 'tt0172495', upload_date: '2023-05-01T10:00:00Z' }
+];
+
+// Stands in for db-helper.cjs: filters like the SQL queries do
+const matchingRows = filters => ROWS
+    .filter(r => !filters.imdbId || r.imdb_id === filters.imdbId)
+    .filter(r => !filters.type || r.type === filters.type);
+
+const fakeDb = {
+    calls: [],
+    async searchTorznabIndex(filters) {
+        this.calls.push(filters);
+        return matchingRows(filters).slice(filters.offset, filters.offset + filters.limit);
+    },
+    async countTorznabIndex(filters) {
+        return matchingRows(filters).length;
+    }
+};
+
+function request(query) {
+    const { request, error } = torznab.parseSearchRequest(new URLSearchParams(query));
+    assert.equal(error, undefined);
+    return request;
+}
+
+let realLog;
+before(() => { realLog = console.log; console.log = () => {}; });
+after(() => { console.log = realLog; });
+
+describe('parseSearchRequest', () => {
+    it('normalizes imdbid with or without tt prefix', () => {
+        assert.equal(request('t=tvsearch&imdbid=2049116').imdbId, 'tt2049116');
+        assert.equal(request('t=movie&imdbid=tt0172495').imdbId, 'tt0172495');
+        assert.equal(request('t=movie&imdbid=172495').imdbId, 'tt0172495');
+    });
+
+    it('derives the DB type from t and categories', () => {
+        assert.equal(request('t=tvsearch').type, 'series');
+        assert.equal(request('t=movie').type, 'movie');
+        assert.equal(request('t=search&cat=2000,2045').type, 'movie');
+        assert.equal(request('t=search&cat=2000,5000').type, null);
+    });
+
+    it('rejects bad parameters with Torznab error codes', () => {
+        const bad = torznab.parseSearchRequest(new URLSearchParams('t=tvsearch&imdbid=abc'));
+        assert.equal(bad.error.code, torznab.ERRORS.BAD_PARAMETER);
+        const missing = torznab.parseSearchRequest(new URLSearchParams('t=tvsearch&ep=3'));
+        assert.equal(missing.error.code, torznab.ERRORS.MISSING_PARAMETER);
+    });
+
+    it('caps limit at the advertised maximum', () => {
+        assert.equal(request('t=search&limit=5000').limit, 100);
+    });
+});
+
+describe('searchTorznab', () => {
+    it('returns the episode and the matching season pack for tvsearch', async () => {
+        const { items, total } = await torznab.searchTorznab(fakeDb, request('t=tvsearch&imdbid=2049116&season=5&ep=3'));
+        assert.equal(total, 2);
+        assert.deepEqual(items.map(i => i.infoHash[0]), ['A', 'B']);
+        assert.equal(items[0].season, 5);
+        assert.equal(items[0].episode, 3);
+    });
+
+    it('filters by resolution subcategory', async () => {
+        const { items } = await torznab.searchTorznab(fakeDb, request('t=search&cat=5040'));
+        assert.deepEqual(items.map(i => i.categories), [[5000, 5040], [5000, 5040], [5000, 5040]]);
+
+        const { items: uhd } = await torznab.searchTorznab(fakeDb, request('t=movie&cat=2045'));
+        assert.equal(uhd.length, 1);
+        assert.deepEqual(uhd[0].categories, [2000, 2045]);
+    });
+
+    it('paginates in SQL when no title filtering is needed', async () => {
+        fakeDb.calls = [];
+        await torznab.searchTorznab(fakeDb, request('t=movie&offset=10&limit=20'));
+        assert.equal(fakeDb.calls[0].offset, 10);
+        assert.equal(fakeDb.calls[0].limit, 20);
+    });
+
+    it('reports the total of all matches, not just the page', async () => {
+        const { items, total } = await torznab.searchTorznab(fakeDb, request('t=tvsearch&limit=1'));
+        assert.equal(items.length, 1);
+        assert.equal(total, 3);
+
+        const xml = torznab.renderResults(items, { selfUrl: 'http://localhost/torznab/api', offset: 0, total });
+        assert.match(xml, /<torznab:response offset="0" total="3"\/>/);
+    });
+});
+
+describe('buildTorznabFilters', () => {
+    it('requires every word and matches LIKE wildcards literally', () => {
+        const { where, params } = buildTorznabFilters({ type: 'movie', query: '100% Wolf' });
+        assert.equal(where, 'WHERE type = $1 AND title ILIKE $2 AND title ILIKE $3');
+        assert.deepEqual(params, ['movie', '%100\\%%', '%Wolf%']);
+    });
+});
+
+describe('renderResults', () => {
+    it('produces a feed the Jackettio parser understands', async () => {
+        const { items } = await torznab.searchTorznab(fakeDb, request('t=movie&imdbid=tt0172495'));
+        const xml = torznab.renderResults(items, { selfUrl: 'http://localhost/torznab/api' });
+        const parsed = new Jackettio('http://localhost', 'key').parseXmlResults(xml);
+
+        assert.equal(parsed.length, 1);
+        assert.equal(parsed[0].Title, 'Il.Gladiatore.2000.iTA.ENG.2160p.BluRay.x265-MeM');
+        assert.equal(parsed[0].Size, 30000000000);
+        assert.equal(parsed[0].Seeders, 150);
+        assert.ok(parsed[0].MagnetUri.startsWith('magnet:?xt=urn:btih:DDDDDDDDDDDDDDDDDDDDDDDDDDDDDDDDDDDDDDDD&dn='));
+        assert.match(xml, /<torznab:attr name="imdbid" value="0172495"\/>/);
+    });
+
+    it('escapes XML special characters in titles', () => {
+        const xml = torznab.renderResults([{
+            title: 'Tom & Jerry <ITA>', infoHash: 'E'.repeat(40), magnetLink: 'magnet:?xt=urn:btih:x&dn=y',
+            size: 1, seeders: 0, imdbId: null, pubDate: new Date(0).toUTCString(), categories: [2000, 2030]
+        }], { selfUrl: 'http://localhost/torznab/api' });
+        assert.match(xml, /<title>Tom &amp; Jerry &lt;ITA&gt;<\/title>/);
+        assert.match(xml, /magnet:\?xt=urn:btih:x&amp;dn=y/);
+    });
+});
+
+describe('renderCaps', () => {
+    it('advertises tv and movie search with imdbid/season/ep', () => {
+        const caps = torznab.renderCaps();
+        assert.match(caps, /<tv-search available="yes" supportedParams="q,imdbid,season,ep"\/>/);
+        assert.match(caps, /<movie-search available="yes" supportedParams="q,imdbid"\/>/);
+        assert.match(caps, /<subcat id="5045" name="TV\/UHD"\/>/);
+    });
+});
@@ -0,0 +1,115 @@
+/**
+ * Webhooks: registration validation, filters and payload formats
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const webhooks = require('../webhooks.cjs');
+
+const EVENT = {
+    infoHash: 'a'.repeat(40),
+    title: 'Gomorra.S05E03.iTA.1080p.WEB-DL.x264-MeM',
+    type: 'series',
+    size: 2.5 * 1024 * 1024 * 1024,
+    imdbId: 'tt2049116',
+    provider: 'ilcorsaronero'
+};
+
+describe('validateSubscription', () => {
+    it('accepts Discord webhook URLs only from Discord', () => {
+        const sub = webhooks.validateSubscription({ kind: 'discord', url: 'https://discord.com/api/webhooks/123/abc-DEF_1' });
+        assert.equal(sub.url, 'https://discord.com/api/webhooks/123/abc-DEF_1');
+        assert.throws(() => webhooks.validateSubscription({ kind: 'discord', url: 'https://example.com/api/webhooks/123/abc' }));
+    });
+
+    it('builds the Telegram sendMessage endpoint from the bot token', () => {
+        const sub = webhooks.validateSubscription({ kind: 'telegram', bot_token: '123456:ABCdefGHIjklMNOpqrSTUvwxYZ0123456789', chat_id: '-100123' });
+        assert.equal(sub.url, 'https://api.telegram.org/bot123456:ABCdefGHIjklMNOpqrSTUvwxYZ0123456789/sendMessage');
+        assert.equal(sub.chatId, '-100123');
+    });
+
+    it('refuses generic webhooks pointing to private addresses', () => {
+        assert.throws(() => webhooks.validateSubscription({ kind: 'generic', url: 'http://127.0.0.1:8080/hook' }), /non consentito/);
+        assert.throws(() => webhooks.validateSubscription({ kind: 'generic', url: 'http://192.168.1.10/hook' }), /non consentito/);
+        assert.throws(() => webhooks.validateSubscription({ kind: 'email', url: 'https://example.com' }), /non supportato/);
+    });
+});
+
+describe('matchesFilters', () => {
+    it('matches everything without filters', () => {
+        const filters = webhooks.normalizeFilters(undefined);
+        assert.ok(webhooks.matchesFilters(filters, 'torrent_added', EVENT));
+        assert.ok(webhooks.matchesFilters(filters, 'rd_cached', EVENT));
+    });
+
+    it('filters on IMDb ID, type and resolution', () => {
+        const filters = webhooks.normalizeFilters({ imdbIds: 'tt2049116, bogus', type: 'series', resolutions: ['2160p', '1080P'] });
+        assert.deepEqual(filters.imdbIds, ['tt2049116']);
+        assert.ok(webhooks.matchesFilters(filters, 'torrent_added', EVENT));
+        assert.equal(webhooks.matchesFilters(filters, 'torrent_added', { ...EVENT, imdbId: 'tt0903747' }), false);
+        assert.equal(webhooks.matchesFilters(filters, 'torrent_added', { ...EVENT, title: 'Gomorra.S05E03.iTA.720p.HDTV' }), false);
+        assert.equal(webhooks.matchesFilters(filters, 'torrent_added', { ...EVENT, type: 'movie' }), false);
+    });
+
+    it('can be limited to RD-cached events', () => {
+        const filters = webhooks.normalizeFilters({ events: ['rd_cached'] });
+        assert.equal(webhooks.matchesFilters(filters, 'torrent_added', EVENT), false);
+        assert.ok(webhooks.matchesFilters(filters, 'rd_cached', EVENT));
+    });
+});
+
+describe('buildPayload', () => {
+    const items = [{ name: 'torrent_added', event: EVENT }, { name: 'rd_cached', event: EVENT }];
+
+    it('sends one text message for Discord and Telegram', () => {
+        const discord = webhooks.buildPayload({ kind: 'discord' }, items);
+        assert.equal(discord.content.split('\n').length, 2);
+        assert.match(discord.content, /^🆕 Nuova release: Gomorra\.S05E03.*\(2\.50 GB · tt2049116 · ilcorsaronero\)$/m);
+
+        const telegram = webhooks.buildPayload({ kind: 'telegram', chat_id: '-100123' }, items);
+        assert.equal(telegram.chat_id, '-100123');
+        assert.match(telegram.text, /⚡ In cache su Real-Debrid/);
+    });
+
+    it('sends structured events to generic webhooks', () => {
+        const generic = webhooks.buildPayload({ kind: 'generic' }, items);
+        assert.deepEqual(generic.events.map(e => e.event), ['torrent_added', 'rd_cached']);
+        assert.equal(generic.events[0].imdbId, 'tt2049116');
+    });
+});
+
+describe('allowRegistration', () => {
+    it('limits registration attempts per client and hour', () => {
+        const now = Date.parse('2026-03-01T12:00:00Z');
+        for (let i = 0; i < webhooks.MAX_REGISTRATIONS_PER_HOUR; i++) {
+            assert.equal(webhooks.allowRegistration('203.0.113.7', now + i), true);
+        }
+        assert.equal(webhooks.allowRegistration('203.0.113.7', now + 100), false);
+        assert.equal(webhooks.allowRegistration('198.51.100.2', now + 100), true);
+        assert.equal(webhooks.allowRegistration('203.0.113.7', now + 60 * 60 * 1000 + 1), true);
+    });
+});
+
+describe('checkRegistration', () => {
+    const env = { ADMIN_PASSWORD: 'viola' };
+    const basic = password => `Basic ${Buffer.from(`admin:${password}`).toString('base64')}`;
+
+    it('rejects callers without the admin password', () => {
+        const now = Date.parse('2026-03-02T12:00:00Z');
+        assert.equal(webhooks.checkRegistration({ ip: '192.0.2.10', headers: {} }, env, now)?.status, 401);
+        assert.equal(webhooks.checkRegistration({ ip: '192.0.2.10', headers: { authorization: basic('wrong') } }, env, now)?.status, 401);
+        assert.equal(webhooks.checkRegistration({ ip: '192.0.2.10', headers: { 'x-config-token': 'icv-abc' } }, env, now)?.status, 401);
+        assert.equal(webhooks.checkRegistration({ ip: '192.0.2.10', headers: { authorization: basic('viola') } }, {}, now)?.status, 401);
+    });
+
+    it('lets the admin register within the hourly limit', () => {
+        const now = Date.parse('2026-03-03T12:00:00Z');
+        const req = { ip: '192.0.2.20', headers: { authorization: basic('viola') } };
+        assert.equal(webhooks.checkRegistration(req, env, now), null);
+        for (let i = 1; i < webhooks.MAX_REGISTRATIONS_PER_HOUR; i++) webhooks.checkRegistration(req, env, now + i);
+        assert.equal(webhooks.checkRegistration(req, env, now + 100)?.status, 429);
+    });
+});
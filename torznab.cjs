@@ -0,0 +1,304 @@
+/**
+ * Torznab Module - Expose the torrents DB as a Torznab indexer
+ *
+ * Lets Sonarr, Radarr and Prowlarr query IlCorsaroViola the same way the addon
+ * queries Jackett (see the Jackettio class): /torznab/api?t=caps|search|tvsearch|movie
+ * Results come only from the local PostgreSQL DB, no live scraping.
+ */
+
+const { parseTorrentTitle } = require('./title-parser.cjs');
+
+const DEBUG_MODE = process.env.DEBUG_MODE === 'true';
+
+// Newznab/Torznab standard categories served by this indexer
+const CATEGORIES = {
+    movie: { id: 2000, name: 'Movies', subcats: { SD: 2030, HD: 2040, UHD: 2045 } },
+    series: { id: 5000, name: 'TV', subcats: { SD: 5030, HD: 5040, UHD: 5045 } }
+};
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 100;
+// Season/episode filtering happens on parsed titles, so scan a wider window first
+const SEASON_SCAN_LIMIT = 500;
+
+const TRACKERS = ['udp://tracker.opentrackr.org:1337/announce'];
+
+// Torznab error codes
+const ERRORS = {
+    BAD_CREDENTIALS: 100,
+    MISSING_PARAMETER: 200,
+    BAD_PARAMETER: 201,
+    NO_SUCH_FUNCTION: 202,
+    FUNCTION_UNAVAILABLE: 203,
+    UNKNOWN: 900
+};
+
+/**
+ * Escape text for XML content and attributes
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeXml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Torznab categories of a release (parent + resolution subcategory)
+ * @param {string} type - 'movie' or 'series'
+ * @param {string} title - Release name
+ * @returns {number[]}
+ */
+function getTorznabCategories(type, title) {
+    const category = CATEGORIES[type];
+    if (!category) return [];
+
+    const resolution = parseTorrentTitle(title).resolution;
+    let subcat = category.subcats.SD;
+    if (resolution === '2160p') subcat = category.subcats.UHD;
+    else if (resolution === '1080p' || resolution === '720p') subcat = category.subcats.HD;
+
+    return [category.id, subcat];
+}
+
+/**
+ * Map requested categories to a DB type ('movie', 'series' or null for both)
+ * @param {number[]} cats
+ * @returns {string|null}
+ */
+function typeFromCategories(cats) {
+    const wantsMovies = cats.some(c => Math.floor(c / 1000) === 2);
+    const wantsTv = cats.some(c => Math.floor(c / 1000) === 5);
+    if (wantsMovies && !wantsTv) return 'movie';
+    if (wantsTv && !wantsMovies) return 'series';
+    return null;
+}
+
+/**
+ * Normalize the Torznab imdbid parameter ("0111161", "111161" or "tt0111161")
+ * @param {string|null} value
+ * @returns {string|null} "tt0111161" or null if invalid
+ */
+function normalizeImdbId(value) {
+    if (!value) return null;
+    const digits = String(value).replace(/^tt/i, '');
+    if (!/^\d{1,10}$/.test(digits)) return null;
+    return `tt${digits.padStart(7, '0')}`;
+}
+
+/**
+ * Render the t=caps document
+ * @param {string} serverTitle
+ * @returns {string}
+ */
+function renderCaps(serverTitle = 'IlCorsaroViola') {
+    const categoriesXml = Object.values(CATEGORIES).map(category => {
+        const subcats = Object.entries(category.subcats)
+            .map(([name, id]) => `      <subcat id="${id}" name="${category.name}/${name}"/>`)
+            .join('\n');
+        return `    <category id="${category.id}" name="${category.name}">\n${subcats}\n    </category>`;
+    }).join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<caps>
+  <server title="${escapeXml(serverTitle)}"/>
+  <limits default="${DEFAULT_LIMIT}" max="${MAX_LIMIT}"/>
+  <searching>
+    <search available="yes" supportedParams="q"/>
+    <tv-search available="yes" supportedParams="q,imdbid,season,ep"/>
+    <movie-search available="yes" supportedParams="q,imdbid"/>
+  </searching>
+  <categories>
+${categoriesXml}
+  </categories>
+</caps>
+`;
+}
+
+/**
+ * Render a Torznab error document
+ * @param {number} code - One of ERRORS
+ * @param {string} description
+ * @returns {string}
+ */
+function renderError(code, description) {
+    return `<?xml version="1.0" encoding="UTF-8"?>\n<error code="${code}" description="${escapeXml(description)}"/>\n`;
+}
+
+/**
+ * Render search results as a Torznab RSS feed
+ * @param {Array<Object>} items - searchTorznab() items
+ * @param {Object} options
+ * @param {string} options.selfUrl - Public URL of the endpoint (atom:link)
+ * @param {number} [options.offset]
+ * @param {number} [options.total] - All matching results (searchTorznab() total), for paging clients
+ * @returns {string}
+ */
+function renderResults(items, { selfUrl, offset = 0, total = offset + items.length }) {
+    const itemsXml = items.map(item => {
+        const attrs = [
+            ...item.categories.map(cat => ['category', cat]),
+            ['size', item.size],
+            ['seeders', item.seeders],
+            ['peers', item.seeders],
+            ['infohash', item.infoHash],
+            ['magneturl', item.magnetLink],
+            ['downloadvolumefactor', 0],
+            ['uploadvolumefactor', 1]
+        ];
+        if (item.imdbId) attrs.push(['imdbid', item.imdbId.replace(/^tt/, '')]);
+        if (item.season !== undefined) attrs.push(['season', item.season]);
+        if (item.episode !== undefined) attrs.push(['episode', item.episode]);
+
+        return `    <item>
+      <title>${escapeXml(item.title)}</title>
+      <guid isPermaLink="false">${item.infoHash}</guid>
+      <link>${escapeXml(item.magnetLink)}</link>
+      <pubDate>${item.pubDate}</pubDate>
+      <size>${item.size}</size>
+${item.categories.map(cat => `      <category>${cat}</category>`).join('\n')}
+      <enclosure url="${escapeXml(item.magnetLink)}" length="${item.size}" type="application/x-bittorrent;x-scheme-handler/magnet"/>
+${attrs.map(([name, value]) => `      <torznab:attr name="${name}" value="${escapeXml(value)}"/>`).join('\n')}
+    </item>`;
+    }).join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:torznab="http://torznab.com/schemas/2015/feed">
+  <channel>
+    <atom:link href="${escapeXml(selfUrl)}" rel="self" type="application/rss+xml"/>
+    <title>IlCorsaroViola</title>
+    <description>IlCorsaroViola Torznab feed</description>
+    <torznab:response offset="${offset}" total="${total}"/>
+${itemsXml}
+  </channel>
+</rss>
+`;
+}
+
+/**
+ * Turn a DB row into a feed item (null if the row doesn't fit the request)
+ * @param {Object} row - torrents row
+ * @param {Object} request - Parsed request (season, episode, cats)
+ * @returns {Object|null}
+ */
+function toFeedItem(row, request) {
+    const title = row.title || '';
+    const parsed = parseTorrentTitle(title);
+
+    if (request.season !== null) {
+        if (!parsed.seasons.includes(request.season)) return null;
+        // Season packs answer episode searches too (Sonarr picks the file)
+        if (request.episode !== null && parsed.episodes.length > 0 && !parsed.episodes.includes(request.episode)) return null;
+    }
+
+    const categories = getTorznabCategories(row.type, title);
+    if (categories.length === 0) return null;
+    if (request.cats.length > 0 && !categories.some(cat => request.cats.includes(cat))) return null;
+
+    const infoHash = String(row.info_hash).toUpperCase();
+    const item = {
+        title,
+        infoHash,
+        magnetLink: `magnet:?xt=urn:btih:${infoHash}&dn=${encodeURIComponent(title)}${TRACKERS.map(tr => `&tr=${encodeURIComponent(tr)}`).join('')}`,
+        size: parseInt(row.size) || 0,
+        seeders: parseInt(row.seeders) || 0,
+        imdbId: row.imdb_id || null,
+        pubDate: new Date(row.upload_date || Date.now()).toUTCString(),
+        categories
+    };
+    if (parsed.seasons.length === 1) item.season = parsed.seasons[0];
+    if (parsed.episodes.length === 1) item.episode = parsed.episodes[0];
+    return item;
+}
+
+/**
+ * Validate the query string of a search request
+ * @param {URLSearchParams} searchParams
+ * @returns {{request: Object}|{error: {code: number, description: string}}}
+ */
+function parseSearchRequest(searchParams) {
+    const t = searchParams.get('t');
+    const cats = (searchParams.get('cat') || '')
+        .split(',')
+        .map(c => parseInt(c))
+        .filter(c => !isNaN(c));
+
+    const rawImdb = searchParams.get('imdbid');
+    const imdbId = normalizeImdbId(rawImdb);
+    if (rawImdb && !imdbId) {
+        return { error: { code: ERRORS.BAD_PARAMETER, description: 'Invalid imdbid' } };
+    }
+
+    const season = searchParams.has('season') ? parseInt(searchParams.get('season')) : null;
+    const episode = searchParams.has('ep') ? parseInt(searchParams.get('ep')) : null;
+    if (Number.isNaN(season) || Number.isNaN(episode)) {
+        return { error: { code: ERRORS.BAD_PARAMETER, description: 'Invalid season or ep' } };
+    }
+    if (episode !== null && season === null) {
+        return { error: { code: ERRORS.MISSING_PARAMETER, description: 'ep requires season' } };
+    }
+
+    let type = typeFromCategories(cats);
+    if (t === 'tvsearch') type = 'series';
+    if (t === 'movie') type = 'movie';
+
+    return {
+        request: {
+            t,
+            query: (searchParams.get('q') || '').trim() || null,
+            imdbId,
+            type,
+            season: t === 'movie' ? null : season,
+            episode: t === 'movie' ? null : episode,
+            cats,
+            offset: Math.max(0, parseInt(searchParams.get('offset')) || 0),
+            limit: Math.min(MAX_LIMIT, Math.max(1, parseInt(searchParams.get('limit')) || DEFAULT_LIMIT))
+        }
+    };
+}
+
+/**
+ * Run a search against the DB
+ * @param {Object} dbHelper - db-helper.cjs (must be initialized)
+ * @param {Object} request - Output of parseSearchRequest()
+ * @param {Object} [options]
+ * @param {boolean} [options.italianOnly]
+ * @returns {Promise<{items: Array<Object>, total: number}>} Feed items of the requested page and all matches
+ */
+async function searchTorznab(dbHelper, request, { italianOnly = false } = {}) {
+    const filters = { imdbId: request.imdbId, type: request.type, query: request.query, italianOnly };
+
+    // Season filtering and subcategories are applied in JS: paginate after filtering,
+    // the total counts the matches within the scanned window
+    const filterInJs = request.season !== null || request.cats.some(cat => cat % 1000 !== 0);
+    if (filterInJs) {
+        const rows = await dbHelper.searchTorznabIndex({ ...filters, offset: 0, limit: SEASON_SCAN_LIMIT });
+        const items = rows.map(row => toFeedItem(row, request)).filter(Boolean);
+        if (DEBUG_MODE) console.log(`📡 [Torznab] ${request.t}: ${rows.length} rows -> ${items.length} items`);
+        return { items: items.slice(request.offset, request.offset + request.limit), total: items.length };
+    }
+
+    const [rows, total] = await Promise.all([
+        dbHelper.searchTorznabIndex({ ...filters, offset: request.offset, limit: request.limit }),
+        dbHelper.countTorznabIndex(filters)
+    ]);
+    const items = rows.map(row => toFeedItem(row, request)).filter(Boolean);
+    if (DEBUG_MODE) console.log(`📡 [Torznab] ${request.t}: ${rows.length} rows -> ${items.length} items (${total} total)`);
+
+    return { items, total };
+}
+
+module.exports = {
+    ERRORS,
+    getTorznabCategories,
+    normalizeImdbId,
+    parseSearchRequest,
+    searchTorznab,
+    renderCaps,
+    renderError,
+    renderResults
+};
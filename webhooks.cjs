@@ -0,0 +1,402 @@
+/**
+ * Webhooks Module - "New Italian release" notifications
+ *
+ * Users register a webhook (Discord, Telegram bot or generic HTTP) with filters;
+ * db-helper emits an event when a torrent lands in the torrents table
+ * ('torrent_added') or becomes RD-cached ('rd_cached'), and matching
+ * subscriptions are notified. Events are grouped per subscription for a few
+ * seconds so a background enrichment run sends one message, not fifty.
+ *
+ *   WEBHOOKS_ENABLED=false        turn the feature off (default: on with DATABASE_URL)
+ *   WEBHOOK_MAX_SUBSCRIPTIONS     max registered webhooks (default 500)
+ *
+ * Registration needs the admin password (ADMIN_PASSWORD, HTTP Basic) and each
+ * client may try at most MAX_REGISTRATIONS_PER_HOUR times an hour.
+ *
+ * Generic webhooks are signed: X-Webhook-Signature = hex HMAC-SHA256 of the body with the subscription secret.
+ */
+
+const crypto = require('crypto');
+const dbHelper = require('./db-helper.cjs');
+const adminAuth = require('./admin-auth.cjs');
+const hlsProxy = require('./hls-proxy.cjs');
+const qualityProfile = require('./quality-profile.cjs');
+
+const DEBUG_MODE = process.env.DEBUG_MODE === 'true';
+
+const EVENTS = ['torrent_added', 'rd_cached'];
+const TYPES = ['movie', 'series'];
+const RESOLUTIONS = ['2160p', '1080p', '720p', '480p'];
+
+const MAX_IMDB_FILTERS = 50;
+const MAX_FAILURES = 5;
+const BATCH_DELAY_MS = 10000;
+const MAX_EVENTS_PER_MESSAGE = 15;
+const SUBSCRIPTIONS_CACHE_TTL = 60 * 1000;
+const DELIVERY_TIMEOUT = 8000;
+const MAX_REGISTRATIONS_PER_HOUR = 10;
+const HOUR_MS = 60 * 60 * 1000;
+
+const DISCORD_URL_REGEX = /^https:\/\/(discord\.com|discordapp\.com|ptb\.discord\.com|canary\.discord\.com)\/api\/webhooks\/\d+\/[\w-]+$/;
+const TELEGRAM_TOKEN_REGEX = /^\d+:[\w-]{30,}$/;
+
+const EVENT_LABELS = {
+    torrent_added: '🆕 Nuova release',
+    rd_cached: '⚡ In cache su Real-Debrid'
+};
+
+/**
+ * Validate and normalize a registration request
+ * @param {Object} body - {kind, url, bot_token, chat_id, filters}
+ * @returns {Object} {kind, url, chatId, filters}
+ * @throws {Error} With a user-facing (Italian) message
+ */
+function validateSubscription(body) {
+    if (!body || typeof body !== 'object') throw new Error('Richiesta non valida');
+
+    const kind = String(body.kind || '').toLowerCase();
+    let url;
+    let chatId = null;
+
+    if (kind === 'discord') {
+        url = String(body.url || '').trim();
+        if (!DISCORD_URL_REGEX.test(url)) throw new Error('URL webhook Discord non valido');
+    } else if (kind === 'telegram') {
+        const botToken = String(body.bot_token || '').trim();
+        chatId = String(body.chat_id || '').trim();
+        if (!TELEGRAM_TOKEN_REGEX.test(botToken)) throw new Error('Token del bot Telegram non valido');
+        if (!/^(-?\d+|@\w{5,})$/.test(chatId)) throw new Error('Chat ID Telegram non valido');
+        url = `https://api.telegram.org/bot${botToken}/sendMessage`;
+    } else if (kind === 'generic') {
+        url = String(body.url || '').trim();
+        if (!url.startsWith('https://') && !url.startsWith('http://')) throw new Error('URL webhook non valido');
+        if (!hlsProxy.isSafeUrl(url)) throw new Error('URL webhook non consentito');
+    } else {
+        throw new Error('Tipo di webhook non supportato (discord, telegram, generic)');
+    }
+
+    return { kind, url, chatId, filters: normalizeFilters(body.filters) };
+}
+
+/**
+ * Normalize user filters (unknown values are dropped)
+ * @param {Object} raw - {imdbIds, type, resolutions, events}
+ * @returns {Object} {imdbIds[], type, resolutions[], events[]}
+ */
+function normalizeFilters(raw) {
+    const filters = raw && typeof raw === 'object' ? raw : {};
+    const list = value => (Array.isArray(value) ? value : String(value || '').split(',')).map(v => String(v).trim()).filter(Boolean);
+
+    const events = list(filters.events).filter(e => EVENTS.includes(e));
+    return {
+        imdbIds: list(filters.imdbIds).filter(id => /^tt\d+$/.test(id)).slice(0, MAX_IMDB_FILTERS),
+        type: TYPES.includes(filters.type) ? filters.type : null,
+        resolutions: list(filters.resolutions).map(r => r.toLowerCase()).filter(r => RESOLUTIONS.includes(r)),
+        events: events.length > 0 ? events : [...EVENTS]
+    };
+}
+
+/**
+ * Whether an event passes a subscription's filters
+ * @param {Object} filters - normalizeFilters()
+ * @param {string} name - Event name
+ * @param {Object} event - {infoHash, title, type, size, imdbId, provider}
+ * @returns {boolean}
+ */
+function matchesFilters(filters, name, event) {
+    if (!filters.events.includes(name)) return false;
+    if (filters.imdbIds.length > 0 && !filters.imdbIds.includes(event.imdbId)) return false;
+    if (filters.type && event.type !== filters.type) return false;
+    if (filters.resolutions.length > 0) {
+        const { resolution } = qualityProfile.getStreamFeatures(event.title, 0, false);
+        if (!filters.resolutions.includes(resolution)) return false;
+    }
+    return true;
+}
+
+/**
+ * Human size
+ * @param {number} bytes
+ * @returns {string}
+ */
+function formatSize(bytes) {
+    if (!bytes) return '';
+    const gb = bytes / (1024 * 1024 * 1024);
+    return gb >= 1 ? `${gb.toFixed(2)} GB` : `${(bytes / (1024 * 1024)).toFixed(0)} MB`;
+}
+
+/**
+ * One text line per event
+ * @param {{name: string, event: Object}} item
+ * @returns {string}
+ */
+function describeEvent({ name, event }) {
+    const details = [formatSize(event.size), event.imdbId, event.provider].filter(Boolean).join(' · ');
+    return `${EVENT_LABELS[name]}: ${event.title}${details ? ` (${details})` : ''}`;
+}
+
+/**
+ * Build the HTTP request body for a subscription
+ * @param {Object} sub - Subscription row {kind, chat_id}
+ * @param {Array<{name: string, event: Object}>} items - Events to send
+ * @returns {Object} JSON body
+ */
+function buildPayload(sub, items) {
+    const lines = items.map(describeEvent);
+
+    if (sub.kind === 'discord') {
+        // Discord rejects content over 2000 characters
+        return { username: 'IlCorsaroViola', content: lines.join('\n').substring(0, 1990) };
+    }
+    if (sub.kind === 'telegram') {
+        return { chat_id: sub.chat_id, text: lines.join('\n').substring(0, 4000), disable_web_page_preview: true };
+    }
+    return {
+        source: 'ilcorsaroviola',
+        events: items.map(({ name, event }) => ({ event: name, ...event }))
+    };
+}
+
+/**
+ * POST a payload to a subscription
+ * @param {Object} sub - Subscription row
+ * @param {Array<{name: string, event: Object}>} items
+ * @returns {Promise<boolean>} Delivered
+ */
+async function deliver(sub, items) {
+    const body = JSON.stringify(buildPayload(sub, items));
+    const headers = { 'Content-Type': 'application/json', 'User-Agent': 'IlCorsaroViola-Webhooks' };
+    if (sub.kind === 'generic' && sub.secret) {
+        headers['X-Webhook-Signature'] = crypto.createHmac('sha256', sub.secret).update(body).digest('hex');
+    }
+
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), DELIVERY_TIMEOUT);
+    try {
+        const response = await fetch(sub.url, { method: 'POST', headers, body, signal: controller.signal, redirect: 'error' });
+        if (!response.ok) {
+            console.warn(`⚠️ [Webhooks] ${sub.id} (${sub.kind}) answered HTTP ${response.status}`);
+            return false;
+        }
+        return true;
+    } catch (error) {
+        console.warn(`⚠️ [Webhooks] ${sub.id} (${sub.kind}) delivery failed: ${error.message}`);
+        return false;
+    } finally {
+        clearTimeout(timeout);
+    }
+}
+
+// id -> { sub, items[], timer }
+const pending = new Map();
+let subscriptionsCache = { rows: [], timestamp: 0 };
+
+/**
+ * Active subscriptions (cached for a minute)
+ * @returns {Promise<Array>}
+ */
+async function getSubscriptions() {
+    if (Date.now() - subscriptionsCache.timestamp > SUBSCRIPTIONS_CACHE_TTL) {
+        const rows = await dbHelper.getActiveWebhookSubscriptions();
+        subscriptionsCache = { rows: rows.map(row => ({ ...row, filters: normalizeFilters(row.filters) })), timestamp: Date.now() };
+    }
+    return subscriptionsCache.rows;
+}
+
+/**
+ * Send the events collected for a subscription
+ * @param {string} id
+ */
+async function flush(id) {
+    const entry = pending.get(id);
+    if (!entry) return;
+    pending.delete(id);
+    clearTimeout(entry.timer);
+
+    const ok = await deliver(entry.sub, entry.items);
+    if (DEBUG_MODE || !ok) console.log(`🔔 [Webhooks] ${id}: ${entry.items.length} event(s) ${ok ? 'sent' : 'not delivered'}`);
+    await dbHelper.recordWebhookDelivery(id, ok, MAX_FAILURES);
+    if (!ok) subscriptionsCache.timestamp = 0; // pick up a deactivation
+}
+
+/**
+ * Queue an event for every matching subscription
+ * @param {string} name - Event name
+ * @param {Object} event
+ */
+async function handleEvent(name, event) {
+    try {
+        for (const sub of await getSubscriptions()) {
+            if (!matchesFilters(sub.filters, name, event)) continue;
+
+            let entry = pending.get(sub.id);
+            if (!entry) {
+                entry = { sub, items: [], timer: setTimeout(() => flush(sub.id), BATCH_DELAY_MS) };
+                pending.set(sub.id, entry);
+            }
+            // The same torrent can be reported by several providers in one run
+            if (entry.items.some(item => item.name === name && item.event.infoHash === event.infoHash)) continue;
+            entry.items.push({ name, event });
+            if (entry.items.length >= MAX_EVENTS_PER_MESSAGE) flush(sub.id);
+        }
+    } catch (error) {
+        console.warn(`⚠️ [Webhooks] Event handling failed: ${error.message}`);
+    }
+}
+
+/**
+ * Whether webhooks can be used on this server
+ * @returns {boolean}
+ */
+function isAvailable() {
+    return !!process.env.DATABASE_URL && process.env.WEBHOOKS_ENABLED !== 'false';
+}
+
+let attached = false;
+
+/**
+ * Start listening to db-helper torrent events
+ */
+function attach() {
+    if (attached || !isAvailable()) return;
+    attached = true;
+    for (const name of EVENTS) {
+        dbHelper.events.on(name, event => { handleEvent(name, event); });
+    }
+    console.log('🔔 [Webhooks] Listening for new releases');
+}
+
+const recentRegistrations = new Map(); // client IP -> timestamps
+
+/**
+ * Per-client hourly limit on registration attempts
+ * Clients with no attempt in the last hour are forgotten on each call.
+ * @param {string} client - Client IP
+ * @param {number} now - Current time (ms)
+ * @returns {boolean} True if the client may register
+ */
+function allowRegistration(client, now = Date.now()) {
+    const hourAgo = now - HOUR_MS;
+    for (const [key, times] of recentRegistrations) {
+        if (!times.some(time => time > hourAgo)) recentRegistrations.delete(key);
+    }
+
+    const key = client || 'unknown';
+    const times = (recentRegistrations.get(key) || []).filter(time => time > hourAgo);
+    if (times.length >= MAX_REGISTRATIONS_PER_HOUR) return false;
+    times.push(now);
+    recentRegistrations.set(key, times);
+    return true;
+}
+
+/**
+ * Gate for POST /api/webhooks: per-client rate limit, then the admin password
+ * @param {Object} req - Incoming request (ip, headers.authorization)
+ * @param {Object} env - Environment (process.env)
+ * @param {number} now - Current time (ms)
+ * @returns {Object|null} {status, error} to reject the request, null if allowed
+ */
+function checkRegistration(req, env = process.env, now = Date.now()) {
+    const client = req.ip || req.socket?.remoteAddress;
+    if (!allowRegistration(client, now)) {
+        return { status: 429, error: 'Troppe registrazioni, riprova più tardi' };
+    }
+    if (!adminAuth.isAdminRequest(req, env)) {
+        return { status: 401, error: 'Serve la password admin del server' };
+    }
+    return null;
+}
+
+/**
+ * Register a subscription
+ * @param {Object} body - Registration request (see validateSubscription)
+ * @returns {Promise<{id: string, token: string, secret: string|null}>} token is needed to delete it, secret signs generic payloads
+ * @throws {Error} With a user-facing (Italian) message
+ */
+async function createSubscription(body) {
+    const sub = validateSubscription(body);
+
+    const max = parseInt(process.env.WEBHOOK_MAX_SUBSCRIPTIONS) || 500;
+    if (await dbHelper.countWebhookSubscriptions() >= max) throw new Error('Numero massimo di webhook raggiunto su questo server');
+
+    const id = crypto.randomBytes(8).toString('hex');
+    const token = crypto.randomBytes(24).toString('base64url');
+    const secret = sub.kind === 'generic' ? crypto.randomBytes(24).toString('base64url') : null;
+
+    const saved = await dbHelper.saveWebhookSubscription({ ...sub, id, tokenHash: hashToken(token), secret });
+    if (!saved) throw new Error('Salvataggio webhook fallito');
+
+    subscriptionsCache.timestamp = 0;
+    return { id, token, secret };
+}
+
+/**
+ * SHA-256 of a management token
+ * @param {string} token
+ * @returns {string}
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Load a subscription if the management token is right
+ * @param {string} id
+ * @param {string} token
+ * @returns {Promise<Object|null>} Subscription row or null
+ */
+async function authorize(id, token) {
+    const row = await dbHelper.getWebhookSubscription(id);
+    if (!row || !token) return null;
+    const expected = Buffer.from(row.token_hash, 'hex');
+    const provided = Buffer.from(hashToken(token), 'hex');
+    return crypto.timingSafeEqual(expected, provided) ? row : null;
+}
+
+/**
+ * Delete a subscription
+ * @param {string} id
+ * @param {string} token
+ * @returns {Promise<boolean>} True if deleted
+ */
+async function deleteSubscription(id, token) {
+    if (!await authorize(id, token)) return false;
+    pending.delete(id);
+    subscriptionsCache.timestamp = 0;
+    return dbHelper.deleteWebhookSubscription(id);
+}
+
+/**
+ * Send a test notification
+ * @param {string} id
+ * @param {string} token
+ * @returns {Promise<boolean|null>} Delivered, or null if not authorized
+ */
+async function sendTest(id, token) {
+    const row = await authorize(id, token);
+    if (!row) return null;
+
+    const ok = await deliver(row, [{
+        name: 'torrent_added',
+        event: { infoHash: '0'.repeat(40), title: 'Test IlCorsaroViola - notifica di prova', type: 'movie', size: 0, imdbId: null, provider: null }
+    }]);
+    // A successful test re-activates a subscription disabled after repeated failures
+    await dbHelper.recordWebhookDelivery(id, ok, MAX_FAILURES);
+    subscriptionsCache.timestamp = 0;
+    return ok;
+}
+
+module.exports = {
+    MAX_REGISTRATIONS_PER_HOUR,
+    isAvailable,
+    attach,
+    allowRegistration,
+    checkRegistration,
+    createSubscription,
+    deleteSubscription,
+    sendTest,
+    validateSubscription,
+    normalizeFilters,
+    matchesFilters,
+    buildPayload
+};